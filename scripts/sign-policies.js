@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * sign-policies.js
+ *
+ * Creates the signing key pair for a team policy bundle and signs bundles
+ * for distribution as a managed policy (see src/main/agent/policy-engine.js).
+ * Keep the private key with whoever maintains the team rules; give users the
+ * public key to paste into Settings → Policies → Managed policy (or set
+ * OPENDESKTOP_MANAGED_POLICY_KEY).
+ *
+ * Usage:
+ *   node scripts/sign-policies.js keygen <dir>
+ *     → <dir>/policy-signing.key (private) and <dir>/policy-signing.pub
+ *   node scripts/sign-policies.js sign <rules.json> <policy-signing.key> [out.json]
+ *     rules.json is a Settings → Policies export or { name, rules: [...] };
+ *     every rule needs a stable id. Writes to stdout without out.json.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+
+const { signBundle } = require('../src/main/agent/policy-engine');
+
+function usage() {
+  console.error('Usage:\n  node scripts/sign-policies.js keygen <dir>\n  node scripts/sign-policies.js sign <rules.json> <private.key> [out.json]');
+  process.exit(1);
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+if (command === 'keygen') {
+  const dir = args[0] || usage();
+  fs.mkdirSync(dir, { recursive: true });
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519', {
+    publicKeyEncoding:  { type: 'spki',  format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+  fs.writeFileSync(path.join(dir, 'policy-signing.key'), privateKey, { mode: 0o600 });
+  fs.writeFileSync(path.join(dir, 'policy-signing.pub'), publicKey);
+  console.log(`Wrote ${path.join(dir, 'policy-signing.key')} (keep private) and ${path.join(dir, 'policy-signing.pub')}`);
+} else if (command === 'sign') {
+  const [rulesFile, keyFile, outFile] = args;
+  if (!rulesFile || !keyFile) usage();
+
+  const input  = JSON.parse(fs.readFileSync(rulesFile, 'utf-8'));
+  const rules  = Array.isArray(input) ? input : input.rules;
+  if (!Array.isArray(rules)) throw new Error(`${rulesFile} has no rules array`);
+  const noId = rules.filter((r) => !r.id).map((r) => r.name || '(unnamed)');
+  if (noId.length) throw new Error(`Every managed rule needs an id — missing for: ${noId.join(', ')}`);
+
+  const bundle = signBundle({
+    name:  input.name || path.basename(rulesFile, '.json'),
+    rules: rules.map(({ builtin: _builtin, managed: _managed, ...rule }) => rule),
+  }, fs.readFileSync(keyFile, 'utf-8'));
+
+  const json = JSON.stringify(bundle, null, 2);
+  if (outFile) {
+    fs.writeFileSync(outFile, json);
+    console.log(`Signed ${rules.length} rule(s) → ${outFile}`);
+  } else {
+    process.stdout.write(`${json}\n`);
+  }
+} else {
+  usage();
+}
@@ -0,0 +1,89 @@
+/**
+ * SpendBudget — Enforce spend limits using the estimated costs in usage_log.
+ *
+ * Scopes (0 / unset = unlimited):
+ *   task     — settings.budgetTaskUsd     (spend of the current taskId)
+ *   daily    — settings.budgetDailyUsd    (since local midnight)
+ *   monthly  — settings.budgetMonthlyUsd  (since the 1st of the month)
+ *   settings.budgetProviders: { [provider]: { dailyUsd, monthlyUsd } } adds
+ *   daily/monthly limits that only count (and only apply to) that provider.
+ *
+ * AgentLoop calls status() before every LLM call; a scope at or above
+ * settings.budgetWarnRatio of its limit is reported as a warning, a scope at
+ * its limit stops the task.
+ */
+
+const DEFAULT_WARN_RATIO = 0.8;
+
+class SpendBudget {
+  /**
+   * @param {object}   opts
+   * @param {import('./memory').MemorySystem} opts.memory
+   * @param {Function} opts.getSettings - () → current AgentCore settings
+   */
+  constructor({ memory, getSettings }) {
+    this.memory      = memory;
+    this.getSettings = getSettings;
+  }
+
+  /**
+   * Spend and remaining budget for every configured scope.
+   * @param {{ taskId?: string, provider?: string }} [opts]
+   *   taskId adds the task scope; provider limits provider scopes to that
+   *   provider (omit to report all of them).
+   * @returns {{ scopes: Array<{ scope, provider, limitUsd, spentUsd, remainingUsd, ratio }>,
+   *             exceeded: object|null, warnings: Array, warnRatio: number }}
+   */
+  status({ taskId, provider } = {}) {
+    const s = this.getSettings() || {};
+    const warnRatio = s.budgetWarnRatio > 0 && s.budgetWarnRatio < 1 ? s.budgetWarnRatio : DEFAULT_WARN_RATIO;
+    const { dayStart, monthStart } = this._periodStarts();
+
+    const limits = [];
+    if (taskId)             limits.push({ scope: 'task',    provider: null, limitUsd: s.budgetTaskUsd,    filter: { taskId } });
+    if (s.budgetDailyUsd)   limits.push({ scope: 'daily',   provider: null, limitUsd: s.budgetDailyUsd,   filter: { since: dayStart } });
+    if (s.budgetMonthlyUsd) limits.push({ scope: 'monthly', provider: null, limitUsd: s.budgetMonthlyUsd, filter: { since: monthStart } });
+    for (const [name, p] of Object.entries(s.budgetProviders || {})) {
+      if (provider && name !== provider) continue;
+      if (p?.dailyUsd)   limits.push({ scope: 'daily',   provider: name, limitUsd: p.dailyUsd,   filter: { since: dayStart,   provider: name } });
+      if (p?.monthlyUsd) limits.push({ scope: 'monthly', provider: name, limitUsd: p.monthlyUsd, filter: { since: monthStart, provider: name } });
+    }
+
+    const scopes = limits
+      .filter((l) => Number(l.limitUsd) > 0)
+      .map(({ scope, provider: p, limitUsd, filter }) => {
+        const limit = Number(limitUsd);
+        const spent = this.memory.getSpend ? this.memory.getSpend(filter) : 0;
+        return {
+          scope,
+          provider:     p,
+          limitUsd:     limit,
+          spentUsd:     spent,
+          remainingUsd: Math.max(0, limit - spent),
+          ratio:        spent / limit,
+        };
+      });
+
+    return {
+      scopes,
+      exceeded: scopes.find((sc) => sc.ratio >= 1) || null,
+      warnings: scopes.filter((sc) => sc.ratio >= warnRatio && sc.ratio < 1),
+      warnRatio,
+    };
+  }
+
+  /** Human-readable name of a scope, e.g. "daily anthropic budget". */
+  static describe(scope) {
+    return `${scope.scope}${scope.provider ? ` ${scope.provider}` : ''} budget`;
+  }
+
+  _periodStarts() {
+    const now = new Date();
+    return {
+      dayStart:   new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime(),
+      monthStart: new Date(now.getFullYear(), now.getMonth(), 1).getTime(),
+    };
+  }
+}
+
+module.exports = { SpendBudget };
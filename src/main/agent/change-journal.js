@@ -0,0 +1,239 @@
+/**
+ * ChangeJournal — Per-task record of the files tools change, so a whole task
+ * can be reverted.
+ *
+ * Tools that write files declare it with `writes(params) → string[]` (absolute
+ * paths). Before such a tool runs, AgentLoop hands those paths to capture(),
+ * which snapshots each path the first time the task touches it: a copy of the
+ * file or directory, or a note that it did not exist yet. revert() restores
+ * every snapshot and deletes the paths the task created.
+ *
+ * Journals are kept under {userData}/change-journal/{taskId}/ so a task can
+ * still be reverted after a restart:
+ *   journal.json  { taskId, sessionId, createdAt, updatedAt, revertedAt, entries: [
+ *                   { path, kind: 'file'|'directory'|'missing', snapshot, tool, at, skipped? } ] }
+ *   files/{n}     the snapshot of entry n
+ */
+
+const fs   = require('fs');
+const fsp  = require('fs/promises');
+const path = require('path');
+
+// Paths larger than this are recorded but not copied (and can't be restored)
+const MAX_SNAPSHOT_BYTES = 100 * 1024 * 1024;
+const JOURNAL_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
+class ChangeJournal {
+  constructor() {
+    this._dir   = null;
+    this._locks = new Map(); // taskId → promise chain (captures of one task run in order)
+  }
+
+  // ---------------------------------------------------------------------------
+  // Initialization
+  // ---------------------------------------------------------------------------
+
+  init(userDataPath) {
+    this._dir = path.join(userDataPath, 'change-journal');
+    fs.mkdirSync(this._dir, { recursive: true });
+    this._prune();
+  }
+
+  _prune() {
+    const cutoff = Date.now() - JOURNAL_MAX_AGE_MS;
+    for (const taskId of fs.readdirSync(this._dir)) {
+      const journal = this._read(taskId);
+      if (!journal || journal.updatedAt < cutoff) this.delete(taskId);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Capture
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Snapshot paths a tool is about to write. Paths the task already touched
+   * keep their first (pre-task) snapshot.
+   * @param {string} taskId
+   * @param {{ tool: string, paths: string[], sessionId?: string }} change
+   * @returns {Promise<number>} Number of newly journaled paths
+   */
+  capture(taskId, { tool, paths, sessionId = null }) {
+    if (!this._dir || !taskId) return Promise.resolve(0);
+    const run  = () => this._capture(taskId, { tool, paths, sessionId });
+    const next = (this._locks.get(taskId) || Promise.resolve()).then(run, run);
+    this._locks.set(taskId, next.catch(() => {}));
+    return next;
+  }
+
+  async _capture(taskId, { tool, paths, sessionId }) {
+    const journal = this._read(taskId) || {
+      taskId, sessionId, createdAt: Date.now(), updatedAt: Date.now(), revertedAt: null, entries: [],
+    };
+    const known = new Set(journal.entries.map((e) => e.path));
+    let added = 0;
+
+    for (const raw of paths) {
+      const target = path.resolve(raw);
+      if (known.has(target)) continue;
+      known.add(target);
+
+      const n     = journal.entries.length;
+      const entry = { path: target, kind: 'missing', snapshot: null, tool, at: Date.now() };
+      const stat  = await fsp.lstat(target).catch(() => null);
+      if (stat) {
+        entry.kind = stat.isDirectory() ? 'directory' : 'file';
+        const size = stat.isDirectory() ? await _dirSize(target, MAX_SNAPSHOT_BYTES) : stat.size;
+        if (size > MAX_SNAPSHOT_BYTES) {
+          entry.skipped = `larger than ${MAX_SNAPSHOT_BYTES / 1024 / 1024} MB`;
+        } else {
+          const snapshot = path.join(this._taskDir(taskId), 'files', String(n));
+          await fsp.mkdir(path.dirname(snapshot), { recursive: true });
+          await fsp.cp(target, snapshot, { recursive: true, preserveTimestamps: true, verbatimSymlinks: true });
+          entry.snapshot = path.relative(this._taskDir(taskId), snapshot);
+        }
+      }
+      journal.entries.push(entry);
+      added++;
+    }
+
+    if (added) {
+      journal.updatedAt = Date.now();
+      this._write(journal);
+    }
+    return added;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Queries
+  // ---------------------------------------------------------------------------
+
+  /** Journal for a task, or null. */
+  get(taskId) {
+    return this._read(taskId);
+  }
+
+  /** Journals with at least one change, newest first (without snapshot details). */
+  list({ sessionId, limit = 50 } = {}) {
+    if (!this._dir) return [];
+    return fs.readdirSync(this._dir)
+      .map((taskId) => this._read(taskId))
+      .filter((j) => j && j.entries.length && (!sessionId || j.sessionId === sessionId))
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .slice(0, limit)
+      .map((j) => this.summary(j));
+  }
+
+  /** { taskId, sessionId, files, tools, createdAt, updatedAt, revertedAt } for a journal or taskId. */
+  summary(journalOrTaskId) {
+    const j = typeof journalOrTaskId === 'string' ? this._read(journalOrTaskId) : journalOrTaskId;
+    if (!j) return null;
+    return {
+      taskId:     j.taskId,
+      sessionId:  j.sessionId,
+      files:      j.entries.map((e) => ({ path: e.path, existed: e.kind !== 'missing', restorable: !e.skipped })),
+      tools:      [...new Set(j.entries.map((e) => e.tool))],
+      createdAt:  j.createdAt,
+      updatedAt:  j.updatedAt,
+      revertedAt: j.revertedAt,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Revert
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Put every path the task touched back the way it was before the task.
+   * Entries are undone newest first, so later changes inside an earlier
+   * snapshot are handled correctly.
+   * @returns {Promise<{ restored: string[], removed: string[], failed: Array<{path, error}> } | { error: string }>}
+   */
+  async revert(taskId) {
+    await this._locks.get(taskId);
+    const journal = this._read(taskId);
+    if (!journal || !journal.entries.length) return { error: `No recorded changes for task ${taskId}` };
+    if (journal.revertedAt) return { error: `Task ${taskId} was already reverted` };
+
+    const restored = [];
+    const removed  = [];
+    const failed   = [];
+    for (const entry of [...journal.entries].reverse()) {
+      try {
+        if (entry.kind === 'missing') {
+          if (await fsp.lstat(entry.path).catch(() => null)) {
+            await fsp.rm(entry.path, { recursive: true, force: true });
+            removed.push(entry.path);
+          }
+        } else if (entry.skipped) {
+          failed.push({ path: entry.path, error: `not snapshotted (${entry.skipped})` });
+        } else {
+          await fsp.rm(entry.path, { recursive: true, force: true });
+          await fsp.mkdir(path.dirname(entry.path), { recursive: true });
+          await fsp.cp(path.join(this._taskDir(taskId), entry.snapshot), entry.path, {
+            recursive: true, preserveTimestamps: true, verbatimSymlinks: true,
+          });
+          restored.push(entry.path);
+        }
+      } catch (err) {
+        failed.push({ path: entry.path, error: err.message });
+      }
+    }
+
+    journal.revertedAt = Date.now();
+    this._write(journal);
+    return { taskId, restored, removed, failed };
+  }
+
+  delete(taskId) {
+    if (!this._dir) return false;
+    const dir = this._taskDir(taskId);
+    if (!fs.existsSync(dir)) return false;
+    fs.rmSync(dir, { recursive: true, force: true });
+    return true;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Storage
+  // ---------------------------------------------------------------------------
+
+  _taskDir(taskId) {
+    // Task IDs are UUIDs; never let one escape the journal directory
+    return path.join(this._dir, String(taskId).replace(/[^a-zA-Z0-9_-]/g, '_'));
+  }
+
+  _read(taskId) {
+    if (!this._dir) return null;
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this._taskDir(taskId), 'journal.json'), 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  _write(journal) {
+    const dir = this._taskDir(journal.taskId);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'journal.json'), JSON.stringify(journal, null, 2), 'utf-8');
+  }
+}
+
+/** Total size of a directory tree, stopping early once it exceeds `limit`. */
+async function _dirSize(dir, limit) {
+  let total = 0;
+  const stack = [dir];
+  while (stack.length && total <= limit) {
+    const current = stack.pop();
+    const entries = await fsp.readdir(current, { withFileTypes: true }).catch(() => []);
+    for (const e of entries) {
+      const p = path.join(current, e.name);
+      if (e.isDirectory()) stack.push(p);
+      else if (e.isFile()) total += (await fsp.stat(p).catch(() => ({ size: 0 }))).size;
+    }
+  }
+  return total;
+}
+
+// Singleton
+const changeJournal = new ChangeJournal();
+module.exports = changeJournal;
@@ -0,0 +1,75 @@
+/**
+ * Images — image content in the internal message format.
+ *
+ * Image block (user content arrays):
+ *   { type: 'image', mediaType: 'image/png', path?, data? }
+ * Tool results may carry images alongside their text:
+ *   { id, name, content, images: [{ mediaType, path?, data? }] }
+ *
+ * Images are referenced by path so transcripts and token estimates stay
+ * small; llm.js loads the bytes (base64) when it builds a request, and turns
+ * images into a short text note for models without vision support.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const IMAGE_MEDIA_TYPES = {
+  '.png':  'image/png',
+  '.jpg':  'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif':  'image/gif',
+  '.webp': 'image/webp',
+};
+
+// Anthropic's per-image limit — the strictest of the vision providers
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Rough context cost of one image, for conversation budgeting
+const IMAGE_TOKEN_ESTIMATE = 1600;
+
+function imageMediaType(filePath) {
+  return IMAGE_MEDIA_TYPES[path.extname(String(filePath || '')).toLowerCase()] || null;
+}
+
+function isImagePath(filePath) {
+  return !!imageMediaType(filePath);
+}
+
+/** Image block for a file on disk (bytes are read when the request is built). */
+function imageBlock(filePath) {
+  return { type: 'image', mediaType: imageMediaType(filePath), path: filePath };
+}
+
+/**
+ * Base64 data for an image block or tool result image.
+ * @returns {{ mediaType: string, data: string }}
+ * @throws when the file is missing or over MAX_IMAGE_BYTES
+ */
+function loadImageData(image) {
+  if (image.data) return { mediaType: image.mediaType || 'image/png', data: image.data };
+  const stat = fs.statSync(image.path);
+  if (stat.size > MAX_IMAGE_BYTES) {
+    throw new Error(`image is ${(stat.size / 1024 / 1024).toFixed(1)} MB (limit ${MAX_IMAGE_BYTES / 1024 / 1024} MB)`);
+  }
+  return {
+    mediaType: image.mediaType || imageMediaType(image.path) || 'image/png',
+    data:      fs.readFileSync(image.path).toString('base64'),
+  };
+}
+
+/** Text stand-in for an image the model can't see. */
+function describeImage(image, reason) {
+  return `[Image${image.path ? ` ${image.path}` : ''} not shown: ${reason}]`;
+}
+
+module.exports = {
+  IMAGE_MEDIA_TYPES,
+  MAX_IMAGE_BYTES,
+  IMAGE_TOKEN_ESTIMATE,
+  imageMediaType,
+  isImagePath,
+  imageBlock,
+  loadImageData,
+  describeImage,
+};
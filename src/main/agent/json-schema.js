@@ -0,0 +1,139 @@
+/**
+ * JSON Schema helpers for structured LLM output (llm.js responseSchema).
+ *
+ * validate() covers the subset of JSON Schema that models are asked to
+ * produce: type (incl. arrays of types), properties, required,
+ * additionalProperties, items, enum, const, anyOf/oneOf, min/max for
+ * numbers, strings and arrays. Unknown keywords are ignored.
+ */
+
+/**
+ * Parse a model response as JSON: plain JSON, a ```json fenced block, or the
+ * outermost {...} / [...] in the text. Returns undefined when nothing parses.
+ */
+function parseJSONText(text) {
+  if (text && typeof text === 'object') return text;
+  if (typeof text !== 'string') return undefined;
+  const candidates = [text.trim()];
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) candidates.push(fenced[1].trim());
+  const braced = text.match(/(\{[\s\S]*\}|\[[\s\S]*\])/);
+  if (braced) candidates.push(braced[1].trim());
+  for (const c of candidates) {
+    try { return JSON.parse(c); } catch { /* try next */ }
+  }
+  return undefined;
+}
+
+/**
+ * Validate a value against a schema.
+ * @returns {string[]} Error messages with JSON paths (empty when valid)
+ */
+function validate(value, schema, at = '$') {
+  if (!schema || typeof schema !== 'object' || schema === true) return [];
+  const errors = [];
+
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    if (!options.some((s) => validate(value, s, at).length === 0)) {
+      errors.push(`${at}: does not match any of the allowed schemas`);
+    }
+  }
+  if ('const' in schema && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.some((e) => JSON.stringify(e) === JSON.stringify(value))) {
+    errors.push(`${at}: must be one of ${schema.enum.map((e) => JSON.stringify(e)).join(', ')}`);
+  }
+
+  if (schema.type) {
+    const types = [...(Array.isArray(schema.type) ? schema.type : [schema.type])];
+    if (schema.nullable) types.push('null');
+    if (!types.some((t) => _isType(value, t))) {
+      errors.push(`${at}: expected ${types.join(' or ')}, got ${_typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: must match /${schema.pattern}/`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(item, schema.items, `${at}[${i}]`)));
+  } else if (value && typeof value === 'object') {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing required property "${key}"`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) {
+        errors.push(...validate(v, props[key], `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(v, schema.additionalProperties, `${at}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Gemini's responseSchema accepts an OpenAPI subset; drop keywords it rejects
+ * (additionalProperties, $schema, const, pattern, ...). Validation still
+ * applies the full schema afterwards.
+ */
+const GEMINI_SCHEMA_KEYS = new Set([
+  'type', 'format', 'description', 'nullable', 'enum', 'properties', 'required',
+  'items', 'minItems', 'maxItems', 'minimum', 'maximum', 'anyOf', 'propertyOrdering',
+]);
+
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (!GEMINI_SCHEMA_KEYS.has(key)) continue;
+    if (key === 'type' && Array.isArray(value)) {
+      // ['string', 'null'] → type: 'string', nullable: true
+      out.type = value.find((t) => t !== 'null') || 'string';
+      if (value.includes('null')) out.nullable = true;
+    } else if (key === 'properties') {
+      out.properties = Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toGeminiSchema(v)]));
+    } else {
+      out[key] = typeof value === 'object' ? toGeminiSchema(value) : value;
+    }
+  }
+  return out;
+}
+
+function _isType(value, type) {
+  switch (type) {
+    case 'object':  return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':   return Array.isArray(value);
+    case 'string':  return typeof value === 'string';
+    case 'number':  return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'null':    return value === null;
+    default:        return true;
+  }
+}
+
+function _typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+module.exports = { parseJSONText, validate, toGeminiSchema };
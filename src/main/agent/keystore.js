@@ -2,6 +2,9 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
 
 const ALGORITHM = 'aes-256-gcm';
 const KEY_LENGTH = 32;
@@ -10,11 +13,39 @@ const TAG_LENGTH = 16;
 const SALT_LENGTH = 32;
 const ITERATIONS = 100000;
 
+// Master passwords and export passphrases go through scrypt (~32 MB, ~100 ms)
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+const MIN_PASSWORD_LENGTH = 8;
+
+// How the encryption key is protected:
+//   machine     — derived from username@hostname:homedir; anyone with the file
+//                 and those values can decrypt it
+//   safeStorage — a random key wrapped by Electron safeStorage (Keychain, DPAPI,
+//                 libsecret/kwallet)
+//   password    — derived from a master password; locked until unlock()
+const MODES = ['machine', 'safeStorage', 'password'];
+
+const EXPORT_FORMAT = 'opendesktop-keystore';
+
 class KeyStore {
-  constructor(userDataPath) {
+  /**
+   * @param {string} userDataPath
+   * @param {object} [opts]
+   * @param {object} [opts.safeStorage] - Electron's safeStorage (main process only)
+   */
+  constructor(userDataPath, { safeStorage } = {}) {
     this.filePath = path.join(userDataPath, '.keystore.enc');
     this.keys = {};
-    this.masterSecret = null;
+    this.masterSecret = null; // salt (machine and password modes)
+    this.mode = 'machine';
+    this.locked = false;
+    this.error = null;        // why the keystore could not be opened
+    this.safeStorage = safeStorage || null;
+    this._key = null;         // AES key for the current file
+    this._wrappedKey = null;  // safeStorage-encrypted _key
+    this._kdfParams = null;   // scrypt params _key was derived with (password mode)
+    this._envelope = null;    // file contents while locked
   }
 
   /**
@@ -27,6 +58,10 @@ class KeyStore {
     return crypto.pbkdf2Sync(machineId, salt, ITERATIONS, KEY_LENGTH, 'sha512');
   }
 
+  _derivePasswordKey(password, salt, params = SCRYPT_PARAMS) {
+    return scrypt(String(password), salt, KEY_LENGTH, { ...params, maxmem: SCRYPT_MAXMEM });
+  }
+
   _encrypt(plaintext, masterKey) {
     const iv = crypto.randomBytes(IV_LENGTH);
     const cipher = crypto.createCipheriv(ALGORITHM, masterKey, iv);
@@ -41,65 +76,359 @@ class KeyStore {
     return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf-8');
   }
 
+  _decryptEnvelope(envelope, key) {
+    const b64 = (field) => Buffer.from(envelope[field], 'base64');
+    return JSON.parse(this._decrypt(b64('data'), b64('iv'), b64('tag'), key));
+  }
+
+  /** True when safeStorage encrypts with a real OS secret store (not Linux's plaintext fallback). */
+  safeStorageAvailable() {
+    try {
+      if (!this.safeStorage?.isEncryptionAvailable()) return false;
+      return this.safeStorage.getSelectedStorageBackend?.() !== 'basic_text';
+    } catch {
+      return false;
+    }
+  }
+
   async initialize() {
     try {
       if (fs.existsSync(this.filePath)) {
         const raw = fs.readFileSync(this.filePath);
-        // File format: [salt:32][iv:16][tag:16][encrypted:rest]
-        if (raw.length < SALT_LENGTH + IV_LENGTH + TAG_LENGTH + 1) {
-          throw new Error('Corrupt keystore');
+        const envelope = this._parseEnvelope(raw);
+        if (envelope) {
+          this._load(envelope);
+        } else {
+          this._loadLegacy(raw);
         }
-
-        const salt = raw.subarray(0, SALT_LENGTH);
-        const iv = raw.subarray(SALT_LENGTH, SALT_LENGTH + IV_LENGTH);
-        const tag = raw.subarray(SALT_LENGTH + IV_LENGTH, SALT_LENGTH + IV_LENGTH + TAG_LENGTH);
-        const encrypted = raw.subarray(SALT_LENGTH + IV_LENGTH + TAG_LENGTH);
-
-        this.masterSecret = salt;
-        const masterKey = this._deriveMasterKey(salt);
-
-        const decrypted = this._decrypt(encrypted, iv, tag, masterKey);
-        this.keys = JSON.parse(decrypted);
       } else {
-        this.masterSecret = crypto.randomBytes(SALT_LENGTH);
-        this.keys = {};
-        await this._persist();
+        await this._reset();
       }
     } catch (err) {
+      // A password or safeStorage keystore is never thrown away: the user may
+      // fix the cause (wrong account, keychain unavailable) or reset explicitly
+      if (this.mode !== 'machine') {
+        console.error('[KeyStore] Failed to load:', err.message);
+        this.locked = true;
+        this.error = err.message;
+        return;
+      }
       console.error('[KeyStore] Failed to load, resetting:', err.message);
-      this.masterSecret = crypto.randomBytes(SALT_LENGTH);
-      this.keys = {};
-      await this._persist();
+      try {
+        await this._reset();
+      } catch (resetErr) {
+        // Keys still work for this run; getStatus() reports why they won't be kept
+        this.error = resetErr.message;
+      }
+    }
+  }
+
+  /** Version 2 files are JSON; anything else is the original binary format. */
+  _parseEnvelope(raw) {
+    try {
+      const envelope = JSON.parse(raw.toString('utf-8'));
+      return envelope?.version === 2 ? envelope : null;
+    } catch {
+      return null;
     }
   }
 
+  _load(envelope) {
+    if (!MODES.includes(envelope.mode)) throw new Error(`Unknown keystore mode: ${envelope.mode}`);
+    this.mode = envelope.mode;
+
+    if (envelope.mode === 'password') {
+      // Decrypted by unlock()
+      this.locked = true;
+      this._envelope = envelope;
+      return;
+    }
+
+    if (envelope.mode === 'safeStorage') {
+      if (!this.safeStorageAvailable()) {
+        throw new Error('The keystore is protected by the OS keychain, which is not available for this user');
+      }
+      this._wrappedKey = Buffer.from(envelope.wrappedKey, 'base64');
+      this._key = Buffer.from(this.safeStorage.decryptString(this._wrappedKey), 'base64');
+    } else {
+      this.masterSecret = Buffer.from(envelope.salt, 'base64');
+      this._key = this._deriveMasterKey(this.masterSecret);
+    }
+    this.keys = this._decryptEnvelope(envelope, this._key);
+  }
+
+  _loadLegacy(raw) {
+    // File format: [salt:32][iv:16][tag:16][encrypted:rest]
+    if (raw.length < SALT_LENGTH + IV_LENGTH + TAG_LENGTH + 1) {
+      throw new Error('Corrupt keystore');
+    }
+
+    const salt = raw.subarray(0, SALT_LENGTH);
+    const iv = raw.subarray(SALT_LENGTH, SALT_LENGTH + IV_LENGTH);
+    const tag = raw.subarray(SALT_LENGTH + IV_LENGTH, SALT_LENGTH + IV_LENGTH + TAG_LENGTH);
+    const encrypted = raw.subarray(SALT_LENGTH + IV_LENGTH + TAG_LENGTH);
+
+    this.mode = 'machine';
+    this.masterSecret = Buffer.from(salt);
+    this._key = this._deriveMasterKey(this.masterSecret);
+
+    const decrypted = this._decrypt(encrypted, iv, tag, this._key);
+    this.keys = JSON.parse(decrypted);
+  }
+
+  /** Start an empty keystore — in the OS keychain when there is one. */
+  async _reset() {
+    this.keys = {};
+    this.locked = false;
+    this.error = null;
+    this._envelope = null;
+    await this._rekey(this.safeStorageAvailable() ? 'safeStorage' : 'machine');
+    await this._persist();
+  }
+
+  /** Generate a fresh key (and salt) for a mode. Keys stay in memory; call _persist() after. */
+  async _rekey(mode, password) {
+    let salt = null;
+    let key;
+    let wrappedKey = null;
+    if (mode === 'password') {
+      if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`The master password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+      salt = crypto.randomBytes(SALT_LENGTH);
+      key = await this._derivePasswordKey(password, salt, SCRYPT_PARAMS);
+    } else if (mode === 'safeStorage') {
+      if (!this.safeStorageAvailable()) throw new Error('The OS keychain (Electron safeStorage) is not available on this system');
+      key = crypto.randomBytes(KEY_LENGTH);
+      wrappedKey = this.safeStorage.encryptString(key.toString('base64'));
+    } else {
+      salt = crypto.randomBytes(SALT_LENGTH);
+      key = this._deriveMasterKey(salt);
+    }
+    this.mode = mode;
+    this.masterSecret = salt;
+    this._key = key;
+    this._wrappedKey = wrappedKey;
+    this._kdfParams = mode === 'password' ? { ...SCRYPT_PARAMS } : null;
+  }
+
+  _assertUnlocked() {
+    if (this.locked) {
+      throw new Error(this.error
+        ? `Keystore unavailable: ${this.error}`
+        : 'Keystore is locked — unlock it with the master password first');
+    }
+  }
+
+  /** Write the keystore. Throws when it can't be saved, so callers can report it. */
   async _persist() {
+    this._assertUnlocked();
     try {
       const dir = path.dirname(this.filePath);
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
       }
 
-      const masterKey = this._deriveMasterKey(this.masterSecret);
       const plaintext = JSON.stringify(this.keys);
-      const { iv, encrypted, tag } = this._encrypt(plaintext, masterKey);
+      const { iv, encrypted, tag } = this._encrypt(plaintext, this._key);
+
+      const envelope = { version: 2, mode: this.mode };
+      if (this.mode === 'password') envelope.kdf = { name: 'scrypt', ...this._kdfParams };
+      if (this.masterSecret) envelope.salt = this.masterSecret.toString('base64');
+      if (this._wrappedKey) envelope.wrappedKey = this._wrappedKey.toString('base64');
+      envelope.iv = iv.toString('base64');
+      envelope.tag = tag.toString('base64');
+      envelope.data = encrypted.toString('base64');
 
-      // Write: salt + iv + tag + encrypted
-      const output = Buffer.concat([this.masterSecret, iv, tag, encrypted]);
-      fs.writeFileSync(this.filePath, output);
+      // Write beside and rename, so a crash never leaves a half-written keystore
+      const tmp = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(envelope), { mode: 0o600 });
+      fs.renameSync(tmp, this.filePath);
     } catch (err) {
       console.error('[KeyStore] Failed to persist:', err.message);
+      throw new Error(`Could not save the keystore: ${err.message}`);
     }
   }
 
+  /**
+   * Apply a change in memory and persist it. If either step fails the keys and
+   * protection are put back as they were, so memory never runs ahead of the file.
+   */
+  async _commit(change) {
+    const before = {
+      keys:         { ...this.keys },
+      mode:         this.mode,
+      masterSecret: this.masterSecret,
+      _key:         this._key,
+      _wrappedKey:  this._wrappedKey,
+      _kdfParams:   this._kdfParams,
+    };
+    try {
+      await change();
+      await this._persist();
+    } catch (err) {
+      Object.assign(this, before);
+      throw err;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Protection mode, unlock and rotation
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @returns {{ mode: string, locked: boolean, error: string|null, safeStorageAvailable: boolean, keys: number }}
+   */
+  getStatus() {
+    return {
+      mode: this.mode,
+      locked: this.locked,
+      error: this.error,
+      safeStorageAvailable: this.safeStorageAvailable(),
+      keys: Object.keys(this.keys).length,
+    };
+  }
+
+  /**
+   * Decrypt a master-password keystore.
+   * @param {string} password
+   */
+  async unlock(password) {
+    if (!this.locked) return this.getStatus();
+    if (!this._envelope || this._envelope.mode !== 'password') {
+      throw new Error(this.error || 'The keystore cannot be unlocked');
+    }
+    const salt = Buffer.from(this._envelope.salt, 'base64');
+    const { N, r, p } = this._envelope.kdf || SCRYPT_PARAMS;
+    const key = await this._derivePasswordKey(password, salt, { N, r, p });
+    try {
+      this.keys = this._decryptEnvelope(this._envelope, key);
+    } catch {
+      throw new Error('Wrong master password');
+    }
+    this.masterSecret = salt;
+    this._key = key;
+    this._kdfParams = { N, r, p };
+    this.locked = false;
+    this.error = null;
+    this._envelope = null;
+    return this.getStatus();
+  }
+
+  /**
+   * Switch how the keystore is protected, re-encrypting every key.
+   * Leaving (or changing) password mode needs the current password.
+   * @param {'machine'|'safeStorage'|'password'} mode
+   * @param {{ password?: string, currentPassword?: string }} [opts]
+   */
+  async setMode(mode, { password, currentPassword } = {}) {
+    if (!MODES.includes(mode)) throw new Error(`Unknown keystore mode: ${mode}`);
+    this._assertUnlocked();
+    await this._checkPassword(currentPassword);
+    await this._commit(() => this._rekey(mode, password));
+    return this.getStatus();
+  }
+
+  /**
+   * Re-encrypt with a new random salt/key in the current mode — e.g. after the
+   * file may have been copied. In password mode, `password` also changes it.
+   * @param {{ currentPassword?: string, password?: string }} [opts]
+   */
+  async rotate({ currentPassword, password } = {}) {
+    this._assertUnlocked();
+    await this._checkPassword(currentPassword);
+    await this._commit(() => this._rekey(this.mode, password || currentPassword));
+    return this.getStatus();
+  }
+
+  async _checkPassword(password) {
+    if (this.mode !== 'password') return;
+    if (!password) throw new Error('Enter the current master password');
+    const key = await this._derivePasswordKey(password, this.masterSecret, this._kdfParams);
+    if (!crypto.timingSafeEqual(key, this._key)) throw new Error('Wrong master password');
+  }
+
+  /** Delete every stored key and start over (e.g. after a forgotten master password). */
+  async reset() {
+    await this._reset();
+    return this.getStatus();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Export / import (moving to a new machine)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Encrypt every key with a passphrase, independent of this machine.
+   * @param {string} passphrase
+   * @returns {Promise<object>} Bundle to write to a file
+   */
+  async exportKeys(passphrase) {
+    this._assertUnlocked();
+    if (!passphrase || String(passphrase).length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`The export passphrase must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const key = await this._derivePasswordKey(passphrase, salt);
+    const { iv, encrypted, tag } = this._encrypt(JSON.stringify(this.keys), key);
+    return {
+      format: EXPORT_FORMAT,
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      keys: Object.keys(this.keys).length,
+      kdf: { name: 'scrypt', ...SCRYPT_PARAMS },
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: tag.toString('base64'),
+      data: encrypted.toString('base64'),
+    };
+  }
+
+  /**
+   * Add the keys from an exportKeys() bundle.
+   * @param {object} bundle
+   * @param {string} passphrase
+   * @param {{ replace?: boolean }} [opts] - replace: drop keys not in the bundle
+   * @returns {Promise<{ added: number, updated: number }>}
+   */
+  async importKeys(bundle, passphrase, { replace = false } = {}) {
+    this._assertUnlocked();
+    if (bundle?.format !== EXPORT_FORMAT) throw new Error('Not an OpenDesktop keystore export');
+    const { N, r, p } = bundle.kdf || SCRYPT_PARAMS;
+    const key = await this._derivePasswordKey(passphrase || '', Buffer.from(bundle.salt, 'base64'), { N, r, p });
+    let keys;
+    try {
+      keys = this._decryptEnvelope(bundle, key);
+    } catch {
+      throw new Error('Wrong passphrase, or the export file is damaged');
+    }
+
+    let added = 0;
+    let updated = 0;
+    for (const name of Object.keys(keys)) {
+      if (name in this.keys) updated++;
+      else added++;
+    }
+    await this._commit(() => {
+      this.keys = replace ? { ...keys } : { ...this.keys, ...keys };
+    });
+    return { added, updated };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Keys
+  // ---------------------------------------------------------------------------
+
   /**
    * Store an API key for a provider.
    * @param {string} provider - e.g. 'openai', 'anthropic', 'google', 'deepseek'
    * @param {string} apiKey - the raw API key
    */
   async setKey(provider, apiKey) {
-    this.keys[provider] = apiKey;
-    await this._persist();
+    this._assertUnlocked();
+    await this._commit(() => {
+      this.keys[provider] = apiKey;
+    });
   }
 
   /**
@@ -116,8 +445,10 @@ class KeyStore {
    * @param {string} provider
    */
   async removeKey(provider) {
-    delete this.keys[provider];
-    await this._persist();
+    this._assertUnlocked();
+    await this._commit(() => {
+      delete this.keys[provider];
+    });
   }
 
   /**
@@ -149,7 +480,8 @@ class KeyStore {
     // Clear keys from memory
     this.keys = {};
     this.masterSecret = null;
+    this._key = null;
   }
 }
 
-module.exports = { KeyStore };
+module.exports = { KeyStore, MODES };
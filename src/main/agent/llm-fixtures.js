@@ -0,0 +1,119 @@
+/**
+ * LLMFixture — Recorded LLM responses for deterministic offline runs.
+ *
+ * In record mode (settings.recordFixture) llm.js appends every real
+ * callWithTools / callLLM response to a JSON fixture file. The `replay`
+ * provider (settings.replayFixture) serves them back without any network
+ * access, so AgentLoop, approvals, policies and tool execution can be
+ * exercised on a machine with no API keys.
+ *
+ * Fixture file:
+ *   { version: 1, calls: [{ kind: 'tools'|'text', key, provider, model, preview, response }] }
+ *
+ * `key` hashes the conversation shape — roles, text, tool names and inputs —
+ * but not tool result contents, tool call ids or the system prompt, which
+ * contain timestamps and other run-specific data. Replay serves the first
+ * unused call with the same key, else (unless strict) the next unused call
+ * of the same kind in recorded order.
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const FIXTURE_VERSION = 1;
+
+class LLMFixture {
+  /**
+   * @param {string} filePath
+   * @param {'record'|'replay'} mode - record starts an empty fixture, replay loads the file
+   */
+  constructor(filePath, mode) {
+    this.filePath = path.resolve(filePath);
+    this.mode     = mode;
+    this.calls    = [];
+    this.used     = new Set();
+
+    if (mode === 'replay') {
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      } catch (err) {
+        throw new Error(`Cannot read LLM fixture ${this.filePath}: ${err.message}`);
+      }
+      if (!Array.isArray(data?.calls)) throw new Error(`Invalid LLM fixture ${this.filePath}: missing "calls"`);
+      this.calls = data.calls;
+    }
+  }
+
+  /** Append a real response and rewrite the fixture file. */
+  record({ kind, provider, model, messages, response }) {
+    this.calls.push({
+      kind,
+      key:      LLMFixture.keyFor(kind, messages),
+      provider,
+      model,
+      preview:  LLMFixture.preview(messages),
+      response,
+    });
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ version: FIXTURE_VERSION, calls: this.calls }, null, 2));
+  }
+
+  /**
+   * Next recorded response for a request.
+   * @param {'tools'|'text'} kind
+   * @param {Array|string} messages - Internal message array, or the user message for callLLM
+   * @param {{ strict?: boolean }} [opts] - strict: only serve calls whose key matches
+   */
+  next(kind, messages, { strict = false } = {}) {
+    const key = LLMFixture.keyFor(kind, messages);
+    let index = this.calls.findIndex((c, i) => !this.used.has(i) && c.kind === kind && c.key === key);
+    if (index === -1 && !strict) {
+      index = this.calls.findIndex((c, i) => !this.used.has(i) && c.kind === kind);
+    }
+    if (index === -1) {
+      throw new Error(
+        `No recorded ${kind} response left in ${path.basename(this.filePath)} for: ${LLMFixture.preview(messages)} `
+        + `(${this.used.size}/${this.calls.length} calls used). Re-record the fixture.`
+      );
+    }
+    this.used.add(index);
+    return this.calls[index].response;
+  }
+
+  /** Start serving the fixture from the beginning again. */
+  rewind() {
+    this.used.clear();
+  }
+
+  static keyFor(kind, messages) {
+    const shape = typeof messages === 'string' ? messages : (messages || []).map(_messageShape);
+    return crypto.createHash('sha1').update(JSON.stringify([kind, shape])).digest('hex').slice(0, 16);
+  }
+
+  /** Short description of the latest message, for fixture readability and errors. */
+  static preview(messages) {
+    const last = typeof messages === 'string' ? messages : _messageShape((messages || []).at(-1) || {});
+    return JSON.stringify(last).slice(0, 120);
+  }
+}
+
+function _messageShape(msg) {
+  if (msg.role === 'tool_results') {
+    return { role: msg.role, results: (msg.results || []).map((r) => ({ name: r.name, error: !!r.error })) };
+  }
+  if (typeof msg.content === 'string') return { role: msg.role, text: msg.content };
+  return {
+    role: msg.role,
+    content: (msg.content || []).map((b) => {
+      if (b.type === 'text')        return { text: b.text };
+      if (b.type === 'tool_use')    return { tool: b.name, input: b.input };
+      if (b.type === 'tool_result') return { tool_result: true };
+      if (b.type === 'image')       return { image: true };
+      return { type: b.type };
+    }),
+  };
+}
+
+module.exports = { LLMFixture };
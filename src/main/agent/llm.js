@@ -7,18 +7,42 @@
  *
  *  2. callWithTools(systemPrompt, messages, tools, options)
  *     Full agentic tool-calling API. Used by AgentLoop.
- *     Returns { text, toolCalls, rawContent, stopReason }.
+ *     Returns { text, toolCalls, rawContent, stopReason, servedBy }.
  *     Messages use an internal format; each provider adapter converts as needed.
+ *     Fails over along settings.fallbackChain when a provider is overloaded,
+ *     rate-limited or unreachable.
+ *
+ * Structured output: pass options.responseSchema (JSON Schema) to either mode.
+ *   Native structured output is used where the provider has it (OpenAI-style
+ *   json_schema, Anthropic forced tool, Gemini responseSchema, Ollama format);
+ *   the parsed result is always validated and the request retried with the
+ *   validation errors (options.schemaRetries, default 2).
+ *
+ * PII redaction: when pii-detector.js has redaction on for a provider, every
+ *   request to it is redacted and its response restored (options.redactor
+ *   passes a session's redactor so placeholders stay stable between calls).
+ *
+ * Offline testing:
+ *   settings.recordFixture — append every real response to a fixture file
+ *   provider 'replay'      — serve responses from settings.replayFixture
+ *                            (see llm-fixtures.js)
  *
  * Internal message format (canonical, Anthropic-inspired):
  *   { role: 'user',   content: string | [{type:'tool_result', tool_use_id, content}] }
  *   { role: 'assistant', content: string | [{type:'text', text} | {type:'tool_use', id, name, input}] }
- *   { role: 'tool_results', results: [{id, name, content, error?}] }
+ *   { role: 'tool_results', results: [{id, name, content, error?, images?}] }
  *     (tool_results are synthetic; adapters expand them into the correct position)
+ *   User content arrays may also hold { type: 'image', mediaType, path?, data? }
+ *   blocks (see images.js); they are loaded per request and replaced by a text
+ *   note for models without vision support.
  */
 
 const http  = require('http');
 const https = require('https');
+const { LLMFixture } = require('./llm-fixtures');
+const { parseJSONText, validate: validateSchema, toGeminiSchema } = require('./json-schema');
+const { loadImageData, describeImage } = require('./images');
+const piiDetector = require('./pii-detector');
 
 // ---------------------------------------------------------------------------
 // Provider & Model Catalog
@@ -240,10 +264,14 @@ function estimateCost(model, usage) {
 // ---------------------------------------------------------------------------
 
 let settings = {
-  provider:    'ollama',
-  model:       'llama3.2',
-  temperature: 0.7,
-  maxTokens:   8096,
+  provider:      'ollama',
+  model:         'llama3.2',
+  temperature:   0.7,
+  maxTokens:     8096,
+  fallbackChain: [],   // [{ provider, model, endpoint? }] tried in order after the primary model
+  recordFixture: null, // path: record real responses into this fixture file
+  replayFixture: null, // path: fixture served by the 'replay' provider
+  replayStrict:  false, // replay only responses recorded for an identical conversation
 };
 
 let _keyStore = null;
@@ -295,6 +323,39 @@ function setKeyStore(ks) { _keyStore = ks; }
 function getCurrentProvider() { return settings.provider; }
 function getCurrentModel() { return settings.model; }
 
+// Context window assumed for models missing from MODEL_CATALOG
+const DEFAULT_CONTEXT_WINDOW = 32768;
+
+/**
+ * Context window (tokens) for a model, from MODEL_CATALOG.
+ * Tagged Ollama models (e.g. "qwen2.5:14b") fall back to their base name;
+ * unknown models use DEFAULT_CONTEXT_WINDOW.
+ */
+function getContextWindow(provider = settings.provider, model = settings.model) {
+  const find = (models, id) => models?.find((m) => m.id === id)?.ctx;
+  const providerModels = MODEL_CATALOG[provider]?.models;
+  const ctx = find(providerModels, model)
+    || (model && model.includes(':') && find(providerModels, model.split(':')[0]))
+    || Object.values(MODEL_CATALOG).map((p) => find(p.models, model)).find(Boolean);
+  return ctx || DEFAULT_CONTEXT_WINDOW;
+}
+
+// Models that accept image input, by provider (matched against the model id)
+const VISION_MODELS = {
+  anthropic: /^claude-/,
+  openai:    /^(gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|o1$|o3$|o4)/,
+  google:    /^gemini-/,
+  ollama:    /llava|vision|moondream|minicpm-v|qwen2\.5-?vl|qwen3-vl|gemma3|gemma4|llama4|mistral-small3\.[12]/,
+  xai:       /vision|grok-4/,
+  mistral:   /pixtral|mistral-(medium|small)-latest/,
+  groq:      /vision|llama-4/,
+  together:  /vision|-VL|Llama-4/i,
+};
+
+function supportsVision(provider = settings.provider, model = settings.model) {
+  return !!VISION_MODELS[provider]?.test(model || '');
+}
+
 // ---------------------------------------------------------------------------
 // Ollama: list locally available models
 // ---------------------------------------------------------------------------
@@ -323,9 +384,68 @@ async function listOllamaModels(endpoint) {
 // Simple text-in / text-out (for llm-tools, synthesis, etc.)
 // ---------------------------------------------------------------------------
 
+/**
+ * @param {object} [options]
+ * @param {object} [options.responseSchema] JSON Schema — resolves to the parsed,
+ *   validated value instead of text; throws (err.schemaErrors) when retries run out
+ */
 async function callLLM(systemPrompt, userMessage, options = {}) {
-  const merged = { ...settings, ...options };
-  const { provider, model, temperature, maxTokens } = merged;
+  const merged   = { ...settings, ...options };
+  const redactor = _redactorFor(merged.provider, options);
+  if (redactor) {
+    systemPrompt = redactor.redactText(systemPrompt);
+    userMessage  = redactor.redactText(userMessage);
+  }
+  const result = merged.responseSchema
+    ? await _callLLMStructured(merged, systemPrompt, userMessage)
+    : await _callLLMText(merged, systemPrompt, userMessage);
+  return redactor ? redactor.restore(result) : result;
+}
+
+/** The PII redactor for a request to `provider`, or null when it isn't redacted. */
+function _redactorFor(provider, options) {
+  if (!piiDetector.shouldRedact(provider)) return null;
+  return options.redactor || piiDetector.createRedactor();
+}
+
+async function _callLLMText(merged, systemPrompt, userMessage) {
+  const { provider, model } = merged;
+
+  if (provider === 'replay') {
+    return _fixture('replay', merged.replayFixture).next('text', userMessage, { strict: merged.replayStrict });
+  }
+
+  const text = await _callLLMOn(merged, systemPrompt, userMessage);
+  if (merged.recordFixture) {
+    _fixture('record', merged.recordFixture).record({ kind: 'text', provider, model, messages: userMessage, response: text });
+  }
+  return text;
+}
+
+async function _callLLMStructured(merged, systemPrompt, userMessage) {
+  const schema  = merged.responseSchema;
+  const retries = merged.schemaRetries ?? DEFAULT_SCHEMA_RETRIES;
+  const system  = `${systemPrompt}\n\n${_schemaInstruction(schema)}`;
+
+  let prompt = userMessage;
+  for (let attempt = 0; ; attempt++) {
+    const text   = await _callLLMText(merged, system, prompt);
+    const errors = _schemaErrors(text, schema);
+    if (!errors.length) return parseJSONText(text);
+
+    if (attempt >= retries) {
+      const err = new Error(`Response did not match the requested schema after ${attempt + 1} attempt(s): ${errors.slice(0, 5).join('; ')}`);
+      err.schemaErrors = errors;
+      err.responseText = text;
+      throw err;
+    }
+    console.warn(`[LLM] Structured output rejected (attempt ${attempt + 1}): ${errors.slice(0, 3).join('; ')}`);
+    prompt = _schemaRetryPrompt(userMessage, text, errors);
+  }
+}
+
+async function _callLLMOn(merged, systemPrompt, userMessage) {
+  const { provider, model, temperature, maxTokens, responseSchema } = merged;
 
   const catalogEntry = MODEL_CATALOG[provider];
   const endpoint = merged.endpoint || catalogEntry?.endpoint || '';
@@ -338,25 +458,26 @@ async function callLLM(systemPrompt, userMessage, options = {}) {
 
   switch (provider) {
     case 'ollama':
-      return _ollamaSimple(endpoint, model, systemPrompt, userMessage, temperature);
+      return _ollamaSimple(endpoint, model, systemPrompt, userMessage, temperature, responseSchema);
     case 'openai':
-      return _openAISimple(endpoint, apiKey, model, systemPrompt, userMessage, temperature, maxTokens);
+      return _openAISimple(endpoint, apiKey, model, systemPrompt, userMessage, temperature, maxTokens, _openAIResponseFormat(provider, responseSchema));
     case 'anthropic':
-      return _anthropicSimple(endpoint, apiKey, model, systemPrompt, userMessage, temperature, maxTokens);
+      return _anthropicSimple(endpoint, apiKey, model, systemPrompt, userMessage, temperature, maxTokens, null, responseSchema);
     case 'google':
-      return _geminiSimple(endpoint, apiKey, model, systemPrompt, userMessage, temperature, maxTokens);
+      return _geminiSimple(endpoint, apiKey, model, systemPrompt, userMessage, temperature, maxTokens, responseSchema);
     case 'minimax':
       return _anthropicSimple(
         endpoint || MODEL_CATALOG.minimax.endpoint,
         apiKey, model, systemPrompt, userMessage, temperature, maxTokens,
-        '/anthropic/v1/messages'
+        '/anthropic/v1/messages', responseSchema
       );
     default: {
       // All OpenAI-compatible providers (deepseek, xai, mistral, groq, together, etc.)
       if (catalogEntry?.openaiCompatible || provider === 'deepseek') {
         return _openAISimple(
           endpoint || catalogEntry?.endpoint,
-          apiKey, model, systemPrompt, userMessage, temperature, maxTokens
+          apiKey, model, systemPrompt, userMessage, temperature, maxTokens,
+          _openAIResponseFormat(provider, responseSchema)
         );
       }
       throw new Error(`Unknown LLM provider: ${provider}`);
@@ -364,33 +485,194 @@ async function callLLM(systemPrompt, userMessage, options = {}) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Structured output helpers
+// ---------------------------------------------------------------------------
+
+const DEFAULT_SCHEMA_RETRIES = 2;
+
+// OpenAI-compatible providers that accept response_format json_schema; the
+// rest of them get json_object (valid JSON, schema enforced by validation)
+const JSON_SCHEMA_PROVIDERS = new Set(['openai', 'xai', 'mistral']);
+
+function _openAIResponseFormat(provider, schema) {
+  if (!schema) return null;
+  if (JSON_SCHEMA_PROVIDERS.has(provider)) {
+    return { type: 'json_schema', json_schema: { name: 'response', schema, strict: false } };
+  }
+  return { type: 'json_object' };
+}
+
+function _schemaInstruction(schema) {
+  return `Respond with only a JSON value (no prose, no code fences) that matches this JSON Schema:\n${JSON.stringify(schema)}`;
+}
+
+/** Validation errors for a model response (empty when it parses and matches). */
+function _schemaErrors(text, schema) {
+  const value = parseJSONText(text);
+  if (value === undefined) return ['response is not valid JSON'];
+  return validateSchema(value, schema);
+}
+
+function _schemaRetryPrompt(original, previous, errors) {
+  return `${original}\n\nYour previous response was:\n${String(previous).slice(0, 4000)}\n\n`
+    + `It was rejected because: ${errors.slice(0, 10).join('; ')}\n`
+    + 'Respond again with only JSON that matches the schema.';
+}
+
 // ---------------------------------------------------------------------------
 // Native tool-calling API  (used by AgentLoop)
 // ---------------------------------------------------------------------------
 
+// How long a model that just failed over is tried last instead of first
+const FALLBACK_COOLDOWN_MS = 60_000;
+const _modelCooldowns = new Map(); // 'provider:model' → retry-first-after timestamp
+
+/**
+ * Errors worth trying the next model in the chain for: overload (529/503),
+ * rate limits (429), server errors, network failures and missing API keys.
+ * Request errors (400, context too long, bad auth) are not retried elsewhere.
+ */
+function _isFailoverError(err) {
+  const msg = `${err?.code || ''} ${err?.message || ''}`;
+  return /HTTP (408|409|425|429|5\d\d)\b|overloaded|rate.?limit|too many requests|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|ETIMEDOUT|EPIPE|socket hang up|timed out|No API key configured/i.test(msg);
+}
+
+/**
+ * Ordered list of models to try: the requested (or configured) model first,
+ * then the fallback chain without duplicates. Models in cooldown move last.
+ */
+function _buildModelChain(merged, options) {
+  const primary = { provider: merged.provider, model: merged.model, endpoint: merged.endpoint, apiKey: options.apiKey };
+  const chain   = [primary];
+  for (const entry of options.fallbackChain ?? settings.fallbackChain ?? []) {
+    if (!entry?.provider || !entry?.model) continue;
+    if (chain.some((c) => c.provider === entry.provider && c.model === entry.model)) continue;
+    chain.push({ provider: entry.provider, model: entry.model, endpoint: entry.endpoint });
+  }
+  const now = Date.now();
+  const cooling = (c) => (_modelCooldowns.get(`${c.provider}:${c.model}`) || 0) > now;
+  return [...chain.filter((c) => !cooling(c)), ...chain.filter(cooling)];
+}
+
 /**
  * callWithTools — send a conversation with tool definitions and return:
- *   { text, toolCalls, rawContent, stopReason }
+ *   { text, toolCalls, rawContent, stopReason, usage, servedBy: { provider, model } }
+ *
+ * When the model fails with a failover error, the next model in the chain is
+ * tried with the same conversation (translated by that provider's adapter).
  *
  * @param {string}  systemPrompt
  * @param {Array}   messages       Internal message array (see file header for format)
  * @param {Array}   tools          Provider-specific tool definitions from ToolRegistry
  * @param {object}  options        { onTextToken, temperature, maxTokens, ... }
+ * @param {Function} [options.toolsFor]     (provider, model) → tool definitions for a fallback model
+ * @param {Array|false} [options.fallbackChain] Override settings.fallbackChain ([] / false disables)
+ * @param {Function} [options.onFailover]   ({ from, to, error }) called before each failover
+ * @param {PIIRedactor} [options.redactor]  Redactor to use when PII redaction applies (pii-detector.js)
+ * @param {object}  [options.responseSchema] JSON Schema for the final (tool-free) answer;
+ *   adds `parsed`, or `schemaErrors` when it still doesn't match after retries
  */
 async function callWithTools(systemPrompt, messages, tools, options = {}) {
   const merged = { ...settings, ...options };
-  const { provider, model, temperature } = merged;
+  // A custom endpoint belongs to the configured provider, not to a per-call one
+  if (options.provider && options.provider !== settings.provider && !options.endpoint) merged.endpoint = '';
+  if (!merged.responseSchema) return _callWithToolsChain(merged, systemPrompt, messages, tools, options);
+
+  const schema  = merged.responseSchema;
+  const retries = merged.schemaRetries ?? DEFAULT_SCHEMA_RETRIES;
+  const system  = `${systemPrompt}\n\nWhen you give your final answer (no more tool calls): ${_schemaInstruction(schema)}`;
+
+  let conversation = messages;
+  for (let attempt = 0; ; attempt++) {
+    const response = await _callWithToolsChain(merged, system, conversation, tools, options);
+    // Tool calls are not the final answer — it is validated when it arrives
+    if (response.toolCalls?.length) return response;
+
+    const errors = _schemaErrors(response.text, schema);
+    if (!errors.length) return { ...response, parsed: parseJSONText(response.text) };
+    if (attempt >= retries) return { ...response, schemaErrors: errors };
+
+    console.warn(`[LLM] Structured output rejected (attempt ${attempt + 1}): ${errors.slice(0, 3).join('; ')}`);
+    conversation = [
+      ...conversation,
+      { role: 'assistant', content: response.text || '' },
+      { role: 'user', content: `That response was rejected because: ${errors.slice(0, 10).join('; ')}\nRespond again with only JSON that matches the schema.` },
+    ];
+  }
+}
+
+async function _callWithToolsChain(merged, systemPrompt, messages, tools, options) {
+  if (merged.provider === 'replay') return _replayWithTools(merged, messages, options);
+
+  const chain  = options.fallbackChain === false
+    ? [{ provider: merged.provider, model: merged.model, endpoint: merged.endpoint, apiKey: options.apiKey }]
+    : _buildModelChain(merged, options);
+
+  let lastErr = null;
+  for (let i = 0; i < chain.length; i++) {
+    const target = chain[i];
+    const isPrimary = target.provider === merged.provider && target.model === merged.model;
+    const targetTools = isPrimary || !options.toolsFor ? tools : options.toolsFor(target.provider, target.model);
+    // Redaction is decided per target: a local primary may fail over to a cloud model
+    const redactor = _redactorFor(target.provider, options);
+    const stream   = redactor && options.onTextToken ? redactor.restoreStream(options.onTextToken) : null;
+    try {
+      const response = redactor
+        ? redactor.restore(await _callWithToolsOn(
+          target, redactor.redactText(systemPrompt), redactor.redactMessages(messages), targetTools, merged,
+          stream ? { ...options, onTextToken: stream.push } : options
+        ))
+        : await _callWithToolsOn(target, systemPrompt, messages, targetTools, merged, options);
+      stream?.flush();
+      _modelCooldowns.delete(`${target.provider}:${target.model}`);
+      if (merged.recordFixture) {
+        _fixture('record', merged.recordFixture).record({
+          kind: 'tools', provider: target.provider, model: target.model, messages, response,
+        });
+      }
+      return { ...response, servedBy: { provider: target.provider, model: target.model } };
+    } catch (err) {
+      stream?.flush();
+      lastErr = err;
+      if (!_isFailoverError(err) || i === chain.length - 1) break;
+      _modelCooldowns.set(`${target.provider}:${target.model}`, Date.now() + FALLBACK_COOLDOWN_MS);
+      const next = chain[i + 1];
+      console.warn(`[LLM] ${target.provider}/${target.model} failed (${err.message.slice(0, 120)}) — falling back to ${next.provider}/${next.model}`);
+      options.onFailover?.({
+        from:  { provider: target.provider, model: target.model },
+        to:    { provider: next.provider,   model: next.model },
+        error: err.message,
+      });
+    }
+  }
+  if (chain.length > 1 && lastErr) {
+    lastErr.message = `${lastErr.message} (after trying ${chain.map((c) => `${c.provider}/${c.model}`).join(' → ')})`;
+  }
+  throw lastErr;
+}
+
+/** One tool-calling request against a specific provider/model. */
+async function _callWithToolsOn(target, systemPrompt, rawMessages, tools, merged, options) {
+  const { provider, model } = target;
+  const { temperature } = merged;
   const maxTokens = merged.maxTokens || 8096;
 
   const catalogEntry = MODEL_CATALOG[provider];
-  const endpoint = merged.endpoint || catalogEntry?.endpoint || '';
+  // A custom endpoint configured for the primary provider also applies to fallbacks on that provider
+  const endpoint = target.endpoint
+    || (provider === merged.provider ? merged.endpoint : '')
+    || catalogEntry?.endpoint || '';
 
-  const apiKey = resolveApiKey(provider, merged.apiKey);
+  const apiKey = resolveApiKey(provider, target.apiKey);
 
   if (catalogEntry?.requiresKey && !apiKey) {
     throw new Error(`No API key configured for ${catalogEntry.label}. Add one in Settings → LLM, or set the ${(ENV_KEY_MAP[provider] || [provider.toUpperCase() + '_API_KEY']).join(' / ')} environment variable.`);
   }
 
+  const messages = _adaptMessagesForProvider(rawMessages, provider, model);
+  if (options.responseSchema) options = { ...options, _responseFormat: _openAIResponseFormat(provider, options.responseSchema) };
+
   switch (provider) {
     case 'anthropic':
       return _anthropicWithTools(endpoint, apiKey, model, systemPrompt, messages, tools, temperature, maxTokens, options);
@@ -419,6 +701,148 @@ async function callWithTools(systemPrompt, messages, tools, options = {}) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Record / replay fixtures
+// ---------------------------------------------------------------------------
+
+const _fixtures = new Map(); // 'mode:path' → LLMFixture
+
+function _fixture(mode, filePath) {
+  if (!filePath) {
+    throw new Error(mode === 'replay'
+      ? 'The replay provider needs settings.replayFixture (path to a recorded fixture)'
+      : 'settings.recordFixture is not set');
+  }
+  const key = `${mode}:${filePath}`;
+  if (!_fixtures.has(key)) _fixtures.set(key, new LLMFixture(filePath, mode));
+  return _fixtures.get(key);
+}
+
+/** Serve a recorded callWithTools response, streaming its text like a live provider. */
+function _replayWithTools(merged, messages, options) {
+  const response = _fixture('replay', merged.replayFixture).next('tools', messages, { strict: merged.replayStrict });
+  if (response.text) options.onTextToken?.(response.text);
+  return { ...response, servedBy: { provider: 'replay', model: merged.model } };
+}
+
+/**
+ * Forget loaded and recording fixtures so the next call starts from scratch
+ * (replay from the first recorded call, record into an empty file).
+ */
+function resetFixtures() {
+  _fixtures.clear();
+}
+
+// ---------------------------------------------------------------------------
+// Cross-provider history fix-ups
+// ---------------------------------------------------------------------------
+
+/**
+ * A conversation may contain turns produced by a different provider (after a
+ * failover or a model switch). Normalize what one provider emits but another
+ * rejects before handing the history to that provider's adapter:
+ *  - Anthropic-style APIs reject extra fields on tool_use blocks
+ *    (e.g. Gemini's thoughtSignature).
+ *  - Mistral requires tool call ids of exactly 9 alphanumeric characters.
+ */
+function _adaptMessagesForProvider(rawMessages, provider, model) {
+  const messages = _resolveImages(rawMessages, supportsVision(provider, model));
+  if (provider === 'anthropic' || provider === 'minimax') {
+    return messages.map((m) => {
+      if (m.role !== 'assistant' || !Array.isArray(m.content)) return m;
+      return {
+        ...m,
+        content: m.content.map((b) => (b.type === 'tool_use'
+          ? { type: 'tool_use', id: b.id, name: b.name, input: b.input ?? {} }
+          : b)),
+      };
+    });
+  }
+  if (provider === 'mistral') {
+    const fixId = (id) => (/^[a-zA-Z0-9]{9}$/.test(id) ? id : _shortToolId(id));
+    return messages.map((m) => {
+      if (m.role === 'assistant' && Array.isArray(m.content)) {
+        return { ...m, content: m.content.map((b) => (b.type === 'tool_use' ? { ...b, id: fixId(b.id) } : b)) };
+      }
+      if (m.role === 'tool_results') {
+        return { ...m, results: (m.results || []).map((r) => ({ ...r, id: fixId(r.id) })) };
+      }
+      if (m.role === 'user' && Array.isArray(m.content)) {
+        return { ...m, content: m.content.map((b) => (b.type === 'tool_result' ? { ...b, tool_use_id: fixId(b.tool_use_id) } : b)) };
+      }
+      return m;
+    });
+  }
+  return messages;
+}
+
+// Images sent per request — older ones become text notes
+const MAX_IMAGES_PER_REQUEST = 8;
+
+/**
+ * Load image blocks and tool result images as base64, newest first, or
+ * replace them with a text note when the model has no vision support, the
+ * file is unreadable / too large, or the request already carries enough images.
+ */
+function _resolveImages(messages, vision) {
+  const hasImages = (m) => (Array.isArray(m.content) && m.content.some((b) => b.type === 'image'))
+    || (m.role === 'tool_results' && m.results?.some((r) => r.images?.length));
+  if (!messages.some(hasImages)) return messages;
+
+  let remaining = MAX_IMAGES_PER_REQUEST;
+  const resolve = (image) => {
+    if (!vision)        return { note: describeImage(image, 'the current model has no vision support') };
+    if (remaining <= 0) return { note: describeImage(image, 'older image left out to limit request size') };
+    try {
+      const loaded = loadImageData(image);
+      remaining--;
+      return { image: loaded };
+    } catch (err) {
+      return { note: describeImage(image, err.message) };
+    }
+  };
+
+  const out = messages.slice();
+  for (let i = out.length - 1; i >= 0; i--) {
+    const m = out[i];
+    if (!hasImages(m)) continue;
+    if (m.role === 'tool_results') {
+      out[i] = {
+        ...m,
+        results: m.results.map((r) => {
+          if (!r.images?.length) return r;
+          const resolved = r.images.map(resolve);
+          return {
+            ...r,
+            content: [r.content, ...resolved.filter((x) => x.note).map((x) => x.note)].filter(Boolean).join('\n'),
+            images:  resolved.filter((x) => x.image).map((x) => x.image),
+          };
+        }),
+      };
+    } else {
+      out[i] = {
+        ...m,
+        content: m.content.map((b) => {
+          if (b.type !== 'image') return b;
+          const r = resolve(b);
+          return r.image ? { type: 'image', ...r.image } : { type: 'text', text: r.note };
+        }),
+      };
+    }
+  }
+  return out;
+}
+
+/** Deterministic 9-character alphanumeric id derived from any tool call id. */
+function _shortToolId(id) {
+  let h1 = 0x811c9dc5, h2 = 0x01000193;
+  for (const ch of String(id)) {
+    h1 = Math.imul(h1 ^ ch.charCodeAt(0), 16777619) >>> 0;
+    h2 = Math.imul(h2 + ch.charCodeAt(0), 2246822519) >>> 0;
+  }
+  return (h1.toString(36) + h2.toString(36)).padEnd(9, '0').slice(0, 9);
+}
+
 // ---------------------------------------------------------------------------
 // Internal message format → Anthropic messages
 // ---------------------------------------------------------------------------
@@ -432,7 +856,7 @@ function _internalToAnthropicMessages(messages) {
       if (typeof msg.content === 'string') {
         result.push({ role: 'user', content: msg.content });
       } else if (Array.isArray(msg.content)) {
-        result.push({ role: 'user', content: msg.content });
+        result.push({ role: 'user', content: msg.content.map((b) => (b.type === 'image' ? _anthropicImage(b) : b)) });
       }
     } else if (msg.role === 'assistant') {
       // Could be plain text or array with tool_use blocks
@@ -446,7 +870,9 @@ function _internalToAnthropicMessages(messages) {
       const toolResultBlocks = (msg.results || []).map((r) => ({
         type: 'tool_result',
         tool_use_id: r.id,
-        content: r.content || '',
+        content: r.images?.length
+          ? [{ type: 'text', text: r.content || '(image)' }, ...r.images.map(_anthropicImage)]
+          : r.content || '',
         is_error: !!r.error,
       }));
       if (toolResultBlocks.length > 0) {
@@ -458,6 +884,10 @@ function _internalToAnthropicMessages(messages) {
   return result;
 }
 
+function _anthropicImage(image) {
+  return { type: 'image', source: { type: 'base64', media_type: image.mediaType, data: image.data } };
+}
+
 // ---------------------------------------------------------------------------
 // Internal message format → OpenAI messages
 // ---------------------------------------------------------------------------
@@ -469,6 +899,14 @@ function _internalToOpenAIMessages(messages) {
     if (msg.role === 'user') {
       if (typeof msg.content === 'string') {
         result.push({ role: 'user', content: msg.content });
+      } else if (Array.isArray(msg.content) && msg.content.some((b) => b.type === 'image')) {
+        // Text + images → one user message with content parts
+        result.push({
+          role: 'user',
+          content: msg.content
+            .filter((b) => b.type === 'text' || b.type === 'image')
+            .map((b) => (b.type === 'image' ? _openAIImagePart(b) : { type: 'text', text: b.text })),
+        });
       } else if (Array.isArray(msg.content)) {
         // Convert tool_result blocks to tool messages
         for (const block of msg.content) {
@@ -517,12 +955,39 @@ function _internalToOpenAIMessages(messages) {
           content: r.content || (r.error ? `Error: ${r.error}` : ''),
         });
       }
+      // Tool messages are text-only — images follow as a user message
+      const withImages = (msg.results || []).filter((r) => r.images?.length);
+      if (withImages.length > 0) {
+        result.push({
+          role: 'user',
+          content: [
+            { type: 'text', text: `Image output from ${withImages.map((r) => r.name).join(', ')}:` },
+            ...withImages.flatMap((r) => r.images.map(_openAIImagePart)),
+          ],
+        });
+      }
     }
   }
 
   return result;
 }
 
+function _openAIImagePart(image) {
+  return { type: 'image_url', image_url: { url: `data:${image.mediaType};base64,${image.data}` } };
+}
+
+/** Ollama takes images as a base64 array on the message rather than content parts. */
+function _openAIToOllamaMessages(messages) {
+  return messages.map((m) => {
+    if (!Array.isArray(m.content)) return m;
+    return {
+      ...m,
+      content: m.content.filter((p) => p.type === 'text').map((p) => p.text).join('\n'),
+      images:  m.content.filter((p) => p.type === 'image_url').map((p) => p.image_url.url.split(',')[1]),
+    };
+  });
+}
+
 // ---------------------------------------------------------------------------
 // Anthropic with tools
 // ---------------------------------------------------------------------------
@@ -705,6 +1170,7 @@ async function _openAIWithTools(
     bodyObj.tools = tools;
     if (!isReasoningModel) bodyObj.tool_choice = 'auto';
   }
+  if (options?._responseFormat) bodyObj.response_format = options._responseFormat;
 
   let fullText       = '';
   const toolCallsAcc = {}; // index → { id, name, argumentsJson }
@@ -782,7 +1248,7 @@ async function _ollamaWithTools(
   const baseUrl = endpoint || MODEL_CATALOG.ollama.endpoint;
   const url = new URL('/api/chat', baseUrl);
 
-  const ollamaMessages = _internalToOpenAIMessages(messages);
+  const ollamaMessages = _openAIToOllamaMessages(_internalToOpenAIMessages(messages));
   const allMessages = [
     { role: 'system', content: systemPrompt },
     ...ollamaMessages,
@@ -796,6 +1262,8 @@ async function _ollamaWithTools(
   };
 
   if (tools && tools.length > 0) bodyObj.tools = tools;
+  // A format grammar would keep the model from emitting tool calls, so only constrain tool-free calls
+  else if (options?.responseSchema) bodyObj.format = options.responseSchema;
 
   let fullText     = '';
   let finalMessage = null;
@@ -881,6 +1349,10 @@ async function _ollamaWithTools(
 // Google Gemini with tools
 // ---------------------------------------------------------------------------
 
+function _geminiImagePart(image) {
+  return { inline_data: { mime_type: image.mediaType, data: image.data } };
+}
+
 function _internalToGeminiContents(messages) {
   const result = [];
 
@@ -900,6 +1372,8 @@ function _internalToGeminiContents(messages) {
             });
           } else if (block.type === 'text') {
             parts.push({ text: block.text });
+          } else if (block.type === 'image') {
+            parts.push(_geminiImagePart(block));
           }
         }
         if (parts.length > 0) result.push({ role: 'user', parts });
@@ -927,6 +1401,9 @@ function _internalToGeminiContents(messages) {
           response: { result: r.content || (r.error ? `Error: ${r.error}` : '') },
         },
       }));
+      for (const r of msg.results || []) {
+        for (const image of r.images || []) parts.push(_geminiImagePart(image));
+      }
       if (parts.length > 0) result.push({ role: 'user', parts });
     }
   }
@@ -1029,7 +1506,7 @@ async function _geminiWithTools(
 // Simple (non-tool) provider implementations
 // ---------------------------------------------------------------------------
 
-async function _ollamaSimple(endpoint, model, systemPrompt, userMessage, temperature) {
+async function _ollamaSimple(endpoint, model, systemPrompt, userMessage, temperature, responseSchema) {
   const url = new URL('/api/generate', endpoint || MODEL_CATALOG.ollama.endpoint);
   const response = await httpRequest(url, {
     method: 'POST',
@@ -1040,12 +1517,13 @@ async function _ollamaSimple(endpoint, model, systemPrompt, userMessage, tempera
       prompt: userMessage,
       stream: false,
       options: { temperature },
+      ...(responseSchema ? { format: responseSchema } : {}),
     }),
   });
   return JSON.parse(response).response || '';
 }
 
-async function _openAISimple(endpoint, apiKey, model, systemPrompt, userMessage, temperature, maxTokens) {
+async function _openAISimple(endpoint, apiKey, model, systemPrompt, userMessage, temperature, maxTokens, responseFormat) {
   const url = new URL('/v1/chat/completions', endpoint || MODEL_CATALOG.openai.endpoint);
   const isReasoning = /^(o[0-9]|gpt-5)/.test(model);
   const bodyObj = {
@@ -1063,6 +1541,7 @@ async function _openAISimple(endpoint, apiKey, model, systemPrompt, userMessage,
   } else {
     bodyObj.max_tokens = maxTokens;
   }
+  if (responseFormat) bodyObj.response_format = responseFormat;
   const response = await httpRequest(url, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` },
@@ -1071,8 +1550,15 @@ async function _openAISimple(endpoint, apiKey, model, systemPrompt, userMessage,
   return JSON.parse(response).choices?.[0]?.message?.content || '';
 }
 
-async function _anthropicSimple(endpoint, apiKey, model, systemPrompt, userMessage, temperature, maxTokens, messagesPath) {
+async function _anthropicSimple(endpoint, apiKey, model, systemPrompt, userMessage, temperature, maxTokens, messagesPath, responseSchema) {
   const url = new URL(messagesPath || '/v1/messages', endpoint || MODEL_CATALOG.anthropic.endpoint);
+  // Structured output: force a single tool whose input is the response
+  const structured = responseSchema
+    ? {
+        tools: [{ name: 'respond', description: 'Return the response as structured data.', input_schema: _anthropicInputSchema(responseSchema) }],
+        tool_choice: { type: 'tool', name: 'respond' },
+      }
+    : {};
   const response = await httpRequest(url, {
     method: 'POST',
     headers: {
@@ -1086,13 +1572,24 @@ async function _anthropicSimple(endpoint, apiKey, model, systemPrompt, userMessa
       messages: [{ role: 'user', content: userMessage }],
       temperature,
       max_tokens: maxTokens,
+      ...structured,
     }),
   });
   const data = JSON.parse(response);
-  return data.content?.[0]?.text || '';
+  if (responseSchema) {
+    const toolUse = data.content?.find((b) => b.type === 'tool_use');
+    if (toolUse) return JSON.stringify(responseSchema.type === 'object' ? toolUse.input : toolUse.input?.value);
+  }
+  return data.content?.find((b) => b.type === 'text')?.text || '';
 }
 
-async function _geminiSimple(endpoint, apiKey, model, systemPrompt, userMessage, temperature, maxTokens) {
+/** Tool input must be an object — wrap non-object schemas as { value }. */
+function _anthropicInputSchema(schema) {
+  if (schema.type === 'object') return schema;
+  return { type: 'object', properties: { value: schema }, required: ['value'] };
+}
+
+async function _geminiSimple(endpoint, apiKey, model, systemPrompt, userMessage, temperature, maxTokens, responseSchema) {
   const baseUrl = endpoint || MODEL_CATALOG.google.endpoint;
   const url = new URL(`/v1beta/models/${model}:generateContent?key=${apiKey}`, baseUrl);
   const response = await httpRequest(url, {
@@ -1101,7 +1598,11 @@ async function _geminiSimple(endpoint, apiKey, model, systemPrompt, userMessage,
     body: JSON.stringify({
       system_instruction: { parts: [{ text: systemPrompt }] },
       contents: [{ parts: [{ text: userMessage }] }],
-      generationConfig: { temperature, maxOutputTokens: maxTokens },
+      generationConfig: {
+        temperature,
+        maxOutputTokens: maxTokens,
+        ...(responseSchema ? { responseMimeType: 'application/json', responseSchema: toGeminiSchema(responseSchema) } : {}),
+      },
     }),
   });
   return JSON.parse(response).candidates?.[0]?.content?.parts?.[0]?.text || '';
@@ -1217,6 +1718,59 @@ async function askAboutPDF(filePath, question, options = {}) {
   );
 }
 
+// ---------------------------------------------------------------------------
+// Embeddings (semantic memory search)
+// ---------------------------------------------------------------------------
+
+const DEFAULT_EMBEDDING_MODELS = {
+  ollama:   'nomic-embed-text',
+  openai:   'text-embedding-3-small',
+  mistral:  'mistral-embed',
+  together: 'BAAI/bge-base-en-v1.5',
+};
+
+/**
+ * Embed a batch of texts with a local Ollama model or any OpenAI-compatible
+ * /v1/embeddings endpoint. PII is redacted from texts sent to providers that
+ * chat requests are redacted for (memory records and search queries alike).
+ *
+ * @param {string[]} texts
+ * @param {object}   options  { provider, model, endpoint, apiKey }
+ * @returns {Promise<number[][]>}  One vector per input text
+ */
+async function embed(texts, options = {}) {
+  const provider = options.provider || 'ollama';
+  const model    = options.model || DEFAULT_EMBEDDING_MODELS[provider] || DEFAULT_EMBEDDING_MODELS.openai;
+  if (!texts.length) return [];
+
+  const redactor = _redactorFor(provider, options);
+  if (redactor) texts = texts.map((text) => redactor.redactText(text));
+
+  if (provider === 'ollama') {
+    const url = new URL('/api/embed', options.endpoint || MODEL_CATALOG.ollama.endpoint);
+    const response = await httpRequest(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model, input: texts }),
+    });
+    return JSON.parse(response).embeddings || [];
+  }
+
+  const endpoint = options.endpoint || MODEL_CATALOG[provider]?.endpoint || MODEL_CATALOG.openai.endpoint;
+  const apiKey   = resolveApiKey(provider, options.apiKey);
+  const url = new URL(endpoint.replace(/\/$/, '') + '/v1/embeddings');
+  const response = await httpRequest(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+    },
+    body: JSON.stringify({ model, input: texts }),
+  });
+  const data = JSON.parse(response).data || [];
+  return data.sort((a, b) => a.index - b.index).map((d) => d.embedding);
+}
+
 // ---------------------------------------------------------------------------
 // HTTP helper
 // ---------------------------------------------------------------------------
@@ -1333,13 +1887,18 @@ module.exports = {
   callLLM,
   callWithTools,
   askAboutPDF,
+  embed,
+  DEFAULT_EMBEDDING_MODELS,
   configure,
   setKeyStore,
   getModelCatalog,
   listOllamaModels,
   getCurrentProvider,
   getCurrentModel,
+  getContextWindow,
+  supportsVision,
   resolveApiKey,
   TOKEN_COSTS,
   estimateCost,
+  resetFixtures,
 };
@@ -19,9 +19,44 @@
 
 const { v4: uuidv4 } = require('uuid');
 const { TOOL_SCHEMAS } = require('./tools/tool-schemas');
+const { SpendBudget } = require('./budget');
+const { IMAGE_TOKEN_ESTIMATE } = require('./images');
+
+// How approval prompts are answered for a run:
+//   wait                   — wait for a human (Electron dialog or API), deny on timeout
+//   auto_deny              — deny every prompt immediately
+//   auto_approve_safe      — approve prompts for tools classified 'safe', wait for the rest
+//   auto_approve_sensitive — approve prompts for 'safe' and 'sensitive' tools, wait for the rest
+const APPROVAL_POLICIES = ['wait', 'auto_deny', 'auto_approve_safe', 'auto_approve_sensitive'];
+const DEFAULT_APPROVAL_TIMEOUT_MS = 60_000;
+
+const FILE_WRITE_TOOLS = new Set(['fs_write', 'fs_edit', 'fs_delete', 'fs_move', 'fs_mkdir', 'fs_organize']);
+
+// ── Context management ──
+// Fraction of the model's context window the conversation may fill
+// (the rest is headroom for the completion and estimation error).
+const CONTEXT_FILL_RATIO = 0.7;
+// When compacting, recent turns up to this fraction of the budget stay verbatim
+const COMPACTION_KEEP_RATIO = 0.4;
+// Budget used when the llm adapter can't report a context window
+const FALLBACK_CONVERSATION_TOKENS = 80000;
+const PROGRESS_MARKER = '[PROGRESS SO FAR — earlier turns were compacted]';
+
+// Tool output kept per result in a checkpoint's pending turn (the rest is condensed anyway)
+const CHECKPOINT_RESULT_CHARS = 20000;
+
+const COMPACTION_PROMPT = `You compact the history of an AI agent's task so it can keep working with less context.
+Write a concise progress report in exactly these markdown sections:
+## Goal
+## Completed steps
+## Files touched
+## Key findings (facts, numbers, paths, IDs the agent will need again)
+## Decisions
+## Open questions / next steps
+Preserve exact file paths, names, values and the user's most recent request. Omit chit-chat. Use "None" for empty sections.`;
 
 class AgentLoop {
-  constructor({ toolRegistry, llm, permissions, emit, summarizer, memory, piiDetector, policyEngine }) {
+  constructor({ toolRegistry, llm, permissions, emit, summarizer, memory, piiDetector, policyEngine, budget, changeJournal }) {
     this.toolRegistry = toolRegistry;
     this.llm = llm;
     this.permissions = permissions;
@@ -30,11 +65,20 @@ class AgentLoop {
     this.memory       = memory       || null;
     this.piiDetector  = piiDetector  || null;
     this.policyEngine = policyEngine || null;
+    this.budget       = budget       || null;  // SpendBudget — checked before every LLM call
+    this.changeJournal = changeJournal || null; // snapshots files before tools write them
     this.cancelled = false;
     this.pendingApprovals = new Map();
     this._sessionId = null; // Set by caller if available
     this._toolDefsCache = new Map(); // provider → { version, defs }
     this._toolDefsVersion = 0;
+    this._approvalPolicy    = 'wait';
+    this._approvalTimeoutMs = DEFAULT_APPROVAL_TIMEOUT_MS;
+    this._plannedActions    = null; // dry run: calls recorded instead of executed
+    this._toolProfile       = null; // persona ToolProfile for the current run
+    this._requester         = null; // external caller named in approval prompts (executeToolCall)
+    // One PII redactor per loop (session), so placeholders stay stable across turns
+    this._piiRedactor = this.piiDetector?.createRedactor ? this.piiDetector.createRedactor() : null;
   }
 
   cancel() {
@@ -53,13 +97,26 @@ class AgentLoop {
    * @param {Array}  opts.messages          - Full conversation history (internal format)
    * @param {string} opts.systemPrompt      - System prompt for the LLM
    * @param {string} opts.taskId            - For event correlation
-   * @param {object} opts.options           - maxTurns, etc.
+   * @param {object} opts.options           - maxTurns, approvalPolicy, approvalTimeoutMs,
+   *                                          contextStrategy ('compact' | 'truncate'),
+   *                                          checkpoint (save the conversation to memory
+   *                                          after every turn), turnOffset (turns already
+   *                                          run before a resume), dryRun (record sensitive
+   *                                          and dangerous calls instead of running them),
+   *                                          toolProfile (persona ToolProfile: denied tools,
+   *                                          permission overrides, default approvalPolicy),
+   *                                          provider / model / temperature (override the
+   *                                          global LLM settings), etc.
    * @param {Map}    opts.pendingApprovals  - Shared approval map from core
-   * @returns {{ text: string, messages: Array, turns: number }}
+   * @returns {{ text: string, messages: Array, turns: number, plannedActions: Array|null }}
    */
   async run({ messages, systemPrompt, taskId, options = {}, pendingApprovals, _noTools }) {
     const maxTurns = options.maxTurns || 50;
     this.cancelled = false;
+    this._toolProfile       = options.toolProfile || null;
+    const approvalPolicy    = options.approvalPolicy || this._toolProfile?.approvalPolicy;
+    this._approvalPolicy    = APPROVAL_POLICIES.includes(approvalPolicy) ? approvalPolicy : 'wait';
+    this._approvalTimeoutMs = options.approvalTimeoutMs > 0 ? options.approvalTimeoutMs : DEFAULT_APPROVAL_TIMEOUT_MS;
 
     if (pendingApprovals) {
       this.pendingApprovals = pendingApprovals;
@@ -74,7 +131,11 @@ class AgentLoop {
     // Task state tracking
     const taskState = { filesModified: [], toolOutputsSummary: [], completedSteps: [] };
     const consecutiveFailures = new Map();
-    const FILE_WRITE_TOOLS = new Set(['fs_write', 'fs_edit', 'fs_delete', 'fs_move', 'fs_mkdir', 'fs_organize']);
+    const budgetWarned = new Set();
+    const turnOffset   = options.turnOffset || 0;
+    const checkpoint   = options.checkpoint ? (fields) => this._checkpoint(taskId, fields) : null;
+    const plannedActions = options.dryRun ? [] : null;
+    this._plannedActions = plannedActions;
 
     while (turns < maxTurns && !this.cancelled) {
       turns++;
@@ -84,24 +145,29 @@ class AgentLoop {
       // Get tool definitions — skip entirely for fast-path (no-tools) calls
       const effectiveProvider = options.provider || this.llm.getCurrentProvider();
       const effectiveModel = options.model || (this.llm.getCurrentModel ? this.llm.getCurrentModel() : '');
-      let toolDefs;
-      if (_noTools) {
-        toolDefs = [];
-      } else {
-        const regVersion = this.toolRegistry._toolDefsVersion || 0;
-        const cacheKey = `${effectiveProvider}:${effectiveModel}`;
-        const cached = this._toolDefsCache.get(cacheKey);
-        if (!cached || cached.version !== regVersion) {
-          this._toolDefsCache.set(cacheKey, {
-            version: regVersion,
-            defs: this.toolRegistry.getToolDefinitions(effectiveProvider, effectiveModel),
-          });
-        }
-        toolDefs = this._toolDefsCache.get(cacheKey).defs;
+      const toolDefsFor = (provider, model) => (_noTools ? [] : this._toolDefinitions(provider, model));
+      const toolDefs = toolDefsFor(effectiveProvider, effectiveModel);
+
+      // Stop before spending past a budget (compaction below is an LLM call too); warn once per scope as it runs low
+      let budget = this._checkBudget(taskId, effectiveProvider, budgetWarned);
+      if (budget) {
+        return { text: budget.message, messages: conversation, turns, budgetExceeded: budget.exceeded, taskState, plannedActions };
       }
 
-      // Truncate conversation if it's getting too large for the model's context
-      this._truncateConversation(conversation, systemPrompt);
+      // Compact (or truncate) the conversation if it's getting too large for the model's context
+      const compacted = await this._fitConversation(conversation, systemPrompt, toolDefs, {
+        provider: effectiveProvider,
+        model:    effectiveModel,
+        strategy: options.contextStrategy,
+        taskId,
+        turn:     turns,
+      });
+
+      // The compaction call may have used up what was left
+      budget = compacted ? this._checkBudget(taskId, effectiveProvider, budgetWarned) : null;
+      if (budget) {
+        return { text: budget.message, messages: conversation, turns, budgetExceeded: budget.exceeded, taskState, plannedActions };
+      }
 
       // Call LLM — returns { text, toolCalls, rawContent, stopReason, usage }
       let response;
@@ -111,33 +177,32 @@ class AgentLoop {
             accumulatedText += token;
             this.emit('agent:token', { taskId, token });
           },
+          // Fallback models need their own provider-specific tool definitions
+          toolsFor: toolDefsFor,
+          onFailover: ({ from, to, error }) => {
+            this.emit('agent:step-update', {
+              taskId,
+              phase:   'model-fallback',
+              message: `${from.provider}/${from.model} unavailable — switching to ${to.provider}/${to.model}`,
+              from, to, error,
+            });
+          },
           ...(options.provider ? { provider: options.provider } : {}),
           ...(options.model    ? { model:    options.model    } : {}),
+          ...(options.temperature != null ? { temperature: options.temperature } : {}),
+          ...(this._piiRedactor ? { redactor: this._piiRedactor } : {}),
         });
       } catch (err) {
         // Surface LLM errors clearly
         throw new Error(`LLM call failed (turn ${turns}): ${err.message}`);
       }
 
-      // Log token usage and cost
-      if (response.usage && this.memory) {
-        try {
-          const { estimateCost } = require('./llm');
-          const provider = this.llm.getCurrentProvider();
-          const model    = options.model || '';
-          const cost     = estimateCost(model, response.usage);
-          this.memory.logUsage({
-            taskId,
-            sessionId:        this._sessionId,
-            provider,
-            model,
-            inputTokens:      response.usage.inputTokens,
-            outputTokens:     response.usage.outputTokens,
-            estimatedCostUsd: cost,
-            turn:             turns,
-          });
-        } catch { /* non-critical */ }
-      }
+      // Log token usage and cost — servedBy names the model that actually answered (may be a fallback)
+      this._logUsage(taskId, response.usage, {
+        provider: response.servedBy?.provider || effectiveProvider,
+        model:    response.servedBy?.model    || effectiveModel,
+        turn:     turns,
+      });
 
       // Append assistant turn to conversation history
       // rawContent preserves the full Anthropic-style content array
@@ -150,7 +215,7 @@ class AgentLoop {
       if (!response.toolCalls || response.toolCalls.length === 0) {
         const finalText = response.text || accumulatedText;
         this.emit('agent:text-complete', { taskId, text: finalText });
-        return { text: finalText, messages: conversation, turns, taskState };
+        return { text: finalText, messages: conversation, turns, taskState, plannedActions };
       }
 
       // Emit tool calls so the UI can render them before execution
@@ -164,10 +229,19 @@ class AgentLoop {
         })),
       });
 
+      // Checkpoint the pending turn; each finished tool is recorded so a resume
+      // never runs a tool call twice
+      const pending = { toolCalls: response.toolCalls, results: [] };
+      checkpoint?.({ messages: conversation, turns: turnOffset + turns, pending });
+
       // Execute all tool calls — parallel by default, serial for dangerous ones
       const toolResults = await this._executeToolCalls(
         response.toolCalls,
-        taskId
+        taskId,
+        checkpoint && ((r) => {
+          pending.results.push({ ...r, content: String(r.content ?? '').slice(0, CHECKPOINT_RESULT_CHARS) });
+          checkpoint({ pending });
+        })
       );
 
       // Condense large tool results before appending to conversation
@@ -178,6 +252,7 @@ class AgentLoop {
         role: 'tool_results',
         results: trimmedResults,
       });
+      checkpoint?.({ messages: conversation, turns: turnOffset + turns, pending: null });
 
       // Update taskState from results
       for (const r of toolResults) {
@@ -223,7 +298,7 @@ class AgentLoop {
     }
 
     if (this.cancelled) {
-      return { text: accumulatedText, messages: conversation, turns, cancelled: true, taskState };
+      return { text: accumulatedText, messages: conversation, turns, cancelled: true, taskState, plannedActions };
     }
 
     throw new Error(
@@ -231,6 +306,58 @@ class AgentLoop {
     );
   }
 
+  // --------------------------------------------------------------------------
+  // Spend budgets
+  // --------------------------------------------------------------------------
+
+  /**
+   * Returns { exceeded, message } when a budget is used up, otherwise null.
+   * Scopes past the warning ratio emit agent:budget-warning once per run.
+   */
+  _checkBudget(taskId, provider, warned) {
+    if (!this.budget) return null;
+    let status;
+    try {
+      status = this.budget.status({ taskId, provider });
+    } catch (err) {
+      console.warn('[AgentLoop] Budget check failed:', err.message);
+      return null;
+    }
+
+    for (const w of status.warnings) {
+      const key = `${w.scope}:${w.provider || '*'}`;
+      if (warned.has(key)) continue;
+      warned.add(key);
+      this.emit('agent:budget-warning', { taskId, ...w });
+    }
+
+    if (!status.exceeded) return null;
+    const { exceeded } = status;
+    const name = SpendBudget.describe(exceeded);
+    return {
+      exceeded,
+      message: `Stopped: the ${name} of $${exceeded.limitUsd.toFixed(2)} has been reached `
+        + `($${exceeded.spentUsd.toFixed(4)} spent). Raise it in Settings → Usage & Audit to continue.`,
+    };
+  }
+
+  // --------------------------------------------------------------------------
+  // Tool definitions (cached per provider/model until the registry changes)
+  // --------------------------------------------------------------------------
+
+  _toolDefinitions(provider, model) {
+    const regVersion = this.toolRegistry._toolDefsVersion || 0;
+    const cacheKey = `${provider}:${model}:${this._toolProfile?.key || ''}`;
+    const cached = this._toolDefsCache.get(cacheKey);
+    if (!cached || cached.version !== regVersion) {
+      this._toolDefsCache.set(cacheKey, {
+        version: regVersion,
+        defs: this.toolRegistry.getToolDefinitions(provider, model, this._toolProfile),
+      });
+    }
+    return this._toolDefsCache.get(cacheKey).defs;
+  }
+
   // --------------------------------------------------------------------------
   // Concurrency limiter
   // --------------------------------------------------------------------------
@@ -281,11 +408,28 @@ class AgentLoop {
     } catch { return '(raw storage unavailable)'; }
   }
 
+  // --------------------------------------------------------------------------
+  // Checkpoints
+  // --------------------------------------------------------------------------
+
+  /** Persist part of the task checkpoint; a failed write never stops the run. */
+  _checkpoint(taskId, fields) {
+    if (!this.memory?.updateCheckpoint) return;
+    try {
+      this.memory.updateCheckpoint(taskId, fields);
+    } catch (err) {
+      console.warn('[AgentLoop] Checkpoint failed:', err.message);
+    }
+  }
+
   // --------------------------------------------------------------------------
   // Tool execution
   // --------------------------------------------------------------------------
 
-  async _executeToolCalls(toolCalls, taskId) {
+  /**
+   * @param {Function} [onResult] - Called with each result as soon as its tool finishes
+   */
+  async _executeToolCalls(toolCalls, taskId, onResult) {
     // Separate into safe/sensitive vs dangerous for approval gating
     const safe = [];
     const dangerous = [];
@@ -296,8 +440,16 @@ class AgentLoop {
         safe.push({ ...tc, _missing: true });
         continue;
       }
-      const level = this.permissions.classify(tc.name, tc.input);
-      if (level === 'dangerous') {
+      const access = this._toolProfile?.check(tool);
+      if (access && !access.allowed) {
+        safe.push({ ...tc, _denied: access.reason });
+        continue;
+      }
+      const level = this._classify(tc.name, tc.input);
+      if (this._plannedActions && level !== 'safe') {
+        // Dry run: recorded with a simulated result, so nothing to approve yet
+        safe.push({ ...tc, _level: level, _planned: true });
+      } else if (level === 'dangerous') {
         dangerous.push({ ...tc, _level: level });
       } else {
         safe.push({ ...tc, _level: level });
@@ -324,7 +476,11 @@ class AgentLoop {
     const toExecute = [...safe, ...approvedDangerous];
     const results = await this._parallelWithLimit(
       toExecute,
-      (tc) => this._executeSingleTool(tc, taskId),
+      async (tc) => {
+        const result = await this._executeSingleTool(tc, taskId);
+        onResult?.(result);
+        return result;
+      },
       6
     );
 
@@ -351,6 +507,16 @@ class AgentLoop {
       };
     }
 
+    // Not available to the persona
+    if (tc._denied) {
+      return {
+        id: tc.id,
+        name: tc.name,
+        content: `Tool not available: ${tc._denied}. Use a permitted tool or tell the user what is needed.`,
+        error: 'persona_denied',
+      };
+    }
+
     // Skipped (user denied approval)
     if (tc._skipped) {
       return {
@@ -366,6 +532,8 @@ class AgentLoop {
     // Normalize inputs: Ollama may send JSON strings for array/object params
     const normalizedInput = this._normalizeToolInput(tc.name, tc.input);
 
+    if (tc._planned) return this._planToolCall(tc, tool, normalizedInput, taskId);
+
     // ── Policy engine check ────────────────────────────────────────────────
     if (this.policyEngine) {
       try {
@@ -393,7 +561,8 @@ class AgentLoop {
     if (this.piiDetector) {
       try {
         const { WRITE_TOOLS } = this.piiDetector;
-        if (WRITE_TOOLS && WRITE_TOOLS.has(tc.name)) {
+        const approveWrites = this.piiDetector.getConfig ? this.piiDetector.getConfig().approveWrites : true;
+        if (approveWrites && WRITE_TOOLS && WRITE_TOOLS.has(tc.name)) {
           const scan = this.piiDetector.scan(JSON.stringify(normalizedInput));
           if (scan.found) {
             const summary = this.piiDetector.summarizeFindings(scan.findings);
@@ -409,6 +578,23 @@ class AgentLoop {
       } catch { /* pii check is non-critical */ }
     }
 
+    // The call will run — count it against policy rate limits
+    if (this.policyEngine) {
+      try { this.policyEngine.recordCall(tc.name, normalizedInput); } catch { /* non-critical */ }
+    }
+
+    // ── Change journal: snapshot files the tool declares it will write ─────
+    if (this.changeJournal && typeof tool.writes === 'function') {
+      try {
+        const paths = (tool.writes(normalizedInput) || []).filter(Boolean);
+        if (paths.length) {
+          await this.changeJournal.capture(taskId, { tool: tc.name, paths, sessionId: this._sessionId });
+        }
+      } catch (err) {
+        console.warn(`[AgentLoop] Change journal failed for ${tc.name}:`, err.message);
+      }
+    }
+
     this.emit('agent:tool-start', {
       taskId,
       id: tc.id,
@@ -431,15 +617,18 @@ class AgentLoop {
     let lastErr = null;
 
     for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+      let timer = null;
       try {
         const output = await Promise.race([
           tool.execute(normalizedInput),
-          new Promise((_, reject) =>
-            setTimeout(() => reject(new Error(`Tool "${tc.name}" timed out after ${timeoutMs / 1000}s`)), timeoutMs)
-          ),
-        ]);
-
-        const content = output === undefined || output === null ? '' : String(output);
+          new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`Tool "${tc.name}" timed out after ${timeoutMs / 1000}s`)), timeoutMs);
+          }),
+        ]).finally(() => clearTimeout(timer));
+
+        // Tools may return { text, images } to hand images (e.g. screenshots) to the model
+        const images  = Array.isArray(output?.images) && output.images.length ? output.images : null;
+        const content = images ? String(output.text ?? '') : output === undefined || output === null ? '' : String(output);
         const durationMs = Date.now() - startTime;
 
         this.emit('agent:tool-end', {
@@ -453,7 +642,7 @@ class AgentLoop {
         // Audit log
         if (this.memory) {
           try {
-            const permLevel = this.permissions?.classify ? this.permissions.classify(tc.name, normalizedInput) : null;
+            const permLevel = this.permissions?.classify ? this._classify(tc.name, normalizedInput) : null;
             this.memory.logToolCall({
               taskId, sessionId: this._sessionId,
               toolName: tc.name, toolInput: normalizedInput,
@@ -463,7 +652,7 @@ class AgentLoop {
           } catch { /* non-critical */ }
         }
 
-        return { id: tc.id, name: tc.name, content };
+        return { id: tc.id, name: tc.name, content, ...(images ? { images } : {}) };
       } catch (err) {
         lastErr = err;
         // Only retry on transient errors, and not on the last attempt (exponential backoff)
@@ -507,7 +696,7 @@ class AgentLoop {
   }
 
   // --------------------------------------------------------------------------
-  // Conversation truncation to stay within context limits
+  // Context management — keep the conversation within the model's window
   // --------------------------------------------------------------------------
 
   _estimateTokens(text) {
@@ -516,21 +705,187 @@ class AgentLoop {
     return Math.ceil(JSON.stringify(text).length / 3.5);
   }
 
-  _truncateConversation(conversation, systemPrompt) {
-    // Rough token budget: reserve tokens for system prompt, tools, and completion
-    const MAX_CONVERSATION_TOKENS = 80000;
-    const systemTokens = this._estimateTokens(systemPrompt);
-    const budget = MAX_CONVERSATION_TOKENS - systemTokens;
+  _messageTokens(msg) {
+    let t = this._estimateTokens(msg.content);
+    if (Array.isArray(msg.content)) {
+      t += msg.content.filter((b) => b.type === 'image').length * IMAGE_TOKEN_ESTIMATE;
+    }
+    if (msg.results) {
+      for (const r of msg.results) t += this._estimateTokens(r.content) + (r.images?.length || 0) * IMAGE_TOKEN_ESTIMATE;
+    }
+    return t;
+  }
 
-    // Single-pass token estimation — O(n) instead of O(n²)
-    const tokenCounts = conversation.map((msg) => {
-      let t = this._estimateTokens(msg.content);
-      if (msg.results) {
-        for (const r of msg.results) t += this._estimateTokens(r.content);
+  /** Record an LLM call's token usage and estimated cost in the usage log (which budgets sum). */
+  _logUsage(taskId, usage, { provider, model, turn }) {
+    if (!usage || !this.memory) return;
+    try {
+      const { estimateCost } = require('./llm');
+      this.memory.logUsage({
+        taskId,
+        sessionId:        this._sessionId,
+        provider,
+        model,
+        inputTokens:      usage.inputTokens,
+        outputTokens:     usage.outputTokens,
+        estimatedCostUsd: estimateCost(model, usage),
+        turn,
+      });
+    } catch { /* non-critical */ }
+  }
+
+  /**
+   * Token budget for the conversation: a share of the model's context window
+   * (from MODEL_CATALOG) minus the system prompt and tool definitions.
+   */
+  _conversationBudget(systemPrompt, toolDefs, provider, model) {
+    const fixed = this._estimateTokens(systemPrompt) + this._estimateTokens(toolDefs);
+    if (!this.llm.getContextWindow) return FALLBACK_CONVERSATION_TOKENS - fixed;
+    const ctx = this.llm.getContextWindow(provider, model);
+    return Math.max(Math.floor(ctx * CONTEXT_FILL_RATIO) - fixed, 2000);
+  }
+
+  /**
+   * Shrink the conversation in place when it exceeds the budget. Compaction
+   * summarizes older turns with the LLM; truncation (or a failed compaction)
+   * drops them. Returns true when a compaction call was made.
+   */
+  async _fitConversation(conversation, systemPrompt, toolDefs, { provider, model, strategy, taskId, turn }) {
+    const budget = this._conversationBudget(systemPrompt, toolDefs, provider, model);
+    const tokenCounts = conversation.map((m) => this._messageTokens(m));
+    const total = tokenCounts.reduce((a, b) => a + b, 0);
+    if (total <= budget) return false;
+
+    let called = false;
+    if (strategy !== 'truncate' && this.llm.callLLM) {
+      try {
+        const compacted = await this._compactConversation(conversation, tokenCounts, budget, {
+          provider, model, taskId, turn, onCall: () => { called = true; },
+        });
+        if (compacted && this._messageTokens({ content: conversation }) <= budget) return true;
+      } catch (err) {
+        console.warn('[AgentLoop] Compaction failed, truncating instead:', err.message);
+      }
+    }
+    this._truncateConversation(conversation, budget);
+    return called;
+  }
+
+  /**
+   * Replace older turns with an LLM-written "progress so far" report.
+   * The first user message is kept (it carries the original goal) and recent
+   * turns stay verbatim. Returns false when there is nothing worth compacting.
+   */
+  async _compactConversation(conversation, tokenCounts, budget, { provider, model, taskId, turn, onCall }) {
+    // Walk back from the end, keeping recent turns within the keep budget
+    const keepBudget = budget * COMPACTION_KEEP_RATIO;
+    let keepFrom = conversation.length;
+    let kept = 0;
+    while (keepFrom > 2 && kept + tokenCounts[keepFrom - 1] <= keepBudget) {
+      keepFrom--;
+      kept += tokenCounts[keepFrom];
+    }
+    // The kept tail must open on a user or assistant turn — never on tool
+    // results separated from the tool calls that produced them.
+    while (keepFrom < conversation.length && conversation[keepFrom].role === 'tool_results') keepFrom++;
+    if (keepFrom >= conversation.length) {
+      keepFrom = conversation.length - 1;
+      while (keepFrom > 1 && conversation[keepFrom].role === 'tool_results') keepFrom--;
+    }
+    if (keepFrom <= 1) return false;
+
+    this.emit('agent:step-update', { taskId, phase: 'compacting', message: 'Compacting earlier conversation...' });
+
+    const first = conversation[0];
+    const { original, previousSummary } = this._splitProgress(first.content);
+    const older = conversation.slice(1, keepFrom);
+
+    const filesTouched = new Set();
+    for (const m of older) {
+      if (m.role !== 'assistant' || !Array.isArray(m.content)) continue;
+      for (const b of m.content) {
+        const p = b.type === 'tool_use' && FILE_WRITE_TOOLS.has(b.name) && (b.input?.path || b.input?.destination);
+        if (p) filesTouched.add(p);
       }
-      return t;
+    }
+
+    // Leave room for the summarizer's own prompt and answer
+    const maxChars = Math.max(Math.floor(budget * 0.6 * 3.5), 8000);
+    let transcript = this._renderForCompaction(older);
+    if (transcript.length > maxChars) transcript = '…' + transcript.slice(-maxChars);
+
+    const prompt = [
+      `Original request:\n${typeof original === 'string' ? original : JSON.stringify(original)}`,
+      previousSummary ? `Earlier progress report:\n${previousSummary}` : '',
+      filesTouched.size ? `Files written by tool calls: ${[...filesTouched].join(', ')}` : '',
+      `Conversation to compact:\n${transcript}`,
+    ].filter(Boolean).join('\n\n');
+    onCall?.();
+    const report = await this.llm.callLLM(COMPACTION_PROMPT, prompt, {
+      provider,
+      model,
+      ...(this._piiRedactor ? { redactor: this._piiRedactor } : {}),
     });
 
+    const summary = String(report || '').trim();
+    // callLLM doesn't report usage, so log an estimate — budgets count compaction too
+    this._logUsage(taskId, {
+      inputTokens:  this._estimateTokens(COMPACTION_PROMPT) + this._estimateTokens(prompt),
+      outputTokens: this._estimateTokens(summary),
+    }, { provider, model, turn });
+    if (!summary) return false;
+
+    const progressText = `${PROGRESS_MARKER}\n${summary}`;
+    if (conversation[keepFrom].role === 'assistant') {
+      // Tail starts with an assistant turn — fold the report into the first user message
+      conversation.splice(0, keepFrom, { ...first, content: this._withProgress(original, progressText) });
+    } else {
+      // Tail starts with a user turn — the report becomes the assistant turn between them
+      conversation.splice(0, keepFrom, { ...first, content: original }, { role: 'assistant', content: progressText });
+    }
+    console.log(`[AgentLoop] Compacted ${older.length} messages into a progress report`);
+    return true;
+  }
+
+  /** Separate an earlier progress report from the first user message. */
+  _splitProgress(content) {
+    const text = typeof content === 'string'
+      ? content
+      : Array.isArray(content) ? content.find((b) => b.type === 'text' && b.text.includes(PROGRESS_MARKER))?.text : null;
+    if (!text || !text.includes(PROGRESS_MARKER)) return { original: content, previousSummary: null };
+
+    const [before, after] = text.split(PROGRESS_MARKER);
+    const previousSummary = after.trim();
+    if (typeof content === 'string') return { original: before.trimEnd(), previousSummary };
+    return { original: content.filter((b) => !(b.type === 'text' && b.text === text)), previousSummary };
+  }
+
+  _withProgress(original, progressText) {
+    if (Array.isArray(original)) return [...original, { type: 'text', text: progressText }];
+    return `${original}\n\n${progressText}`;
+  }
+
+  _renderForCompaction(messages) {
+    return messages.map((m) => {
+      if (m.role === 'tool_results') {
+        return (m.results || [])
+          .map((r) => `[tool result: ${r.name}${r.error ? ' (error)' : ''}] ${String(r.content || '').slice(0, 1500)}`)
+          .join('\n');
+      }
+      if (typeof m.content === 'string') return `[${m.role}] ${m.content}`;
+      return (m.content || []).map((b) => {
+        if (b.type === 'text') return `[${m.role}] ${b.text}`;
+        if (b.type === 'tool_use') return `[tool call: ${b.name}] ${JSON.stringify(b.input || {}).slice(0, 500)}`;
+        if (b.type === 'image')    return `[${m.role} image] ${b.path || ''}`;
+        return '';
+      }).filter(Boolean).join('\n');
+    }).join('\n\n');
+  }
+
+  _truncateConversation(conversation, budget) {
+    // Single-pass token estimation — O(n) instead of O(n²)
+    const tokenCounts = conversation.map((msg) => this._messageTokens(msg));
+
     let totalTokens = tokenCounts.reduce((a, b) => a + b, 0);
     if (totalTokens <= budget) return;
 
@@ -583,12 +938,154 @@ class AgentLoop {
     return normalized;
   }
 
+  // --------------------------------------------------------------------------
+  // Dry run
+  // --------------------------------------------------------------------------
+
+  /**
+   * Record a sensitive or dangerous call instead of running it, and answer
+   * the model with what it would have done. Policy blocks still apply; a
+   * policy that requires approval is noted on the action and asked when the
+   * plan is executed.
+   */
+  async _planToolCall(tc, tool, input, taskId) {
+    let policy = null;
+    if (this.policyEngine) {
+      try { policy = this.policyEngine.evaluate(tc.name, input); } catch { /* non-critical */ }
+    }
+    if (policy && !policy.allowed && policy.action === 'block') {
+      return { id: tc.id, name: tc.name, content: `[Policy Block] ${policy.message}`, error: 'policy_block' };
+    }
+
+    // Added before the preview resolves so the plan keeps the model's call order
+    const action = {
+      id:      tc.id,
+      tool:    tc.name,
+      input,
+      level:   tc._level,
+      preview: '',
+      ...(policy?.action === 'require_approval' ? { policy: policy.message } : {}),
+    };
+    this._plannedActions.push(action);
+    this.emit('agent:tool-start', { taskId, id: tc.id, name: tc.name, input, dryRun: true });
+
+    try {
+      action.preview = String(await this._previewToolCall(tool, input));
+    } catch (err) {
+      action.preview = `would run ${tc.name} (no preview: ${err.message})`;
+    }
+
+    this.emit('agent:tool-end', {
+      taskId, id: tc.id, name: tc.name, success: true, outputPreview: action.preview.slice(0, 300), dryRun: true,
+    });
+    return { id: tc.id, name: tc.name, content: `[DRY RUN — not executed] ${action.preview}` };
+  }
+
+  /** What a call would do: the tool's own preview(), else the paths it declares it writes. */
+  _previewToolCall(tool, input) {
+    if (typeof tool.preview === 'function') return tool.preview(input);
+    const paths = typeof tool.writes === 'function' ? (tool.writes(input) || []).filter(Boolean) : [];
+    if (paths.length) return `would run ${tool.name}, writing ${paths.join(', ')}`;
+    return `would run ${tool.name} with ${JSON.stringify(input).slice(0, 200)}`;
+  }
+
+  /**
+   * Run the actions a dry run recorded, in order. The user approved the list
+   * as a whole, so the dangerous-tool prompt is not repeated; policy and PII
+   * checks still apply. After a failure the remaining actions are skipped
+   * unless options.stopOnError is false.
+   *
+   * @param {object} opts
+   * @param {Array}  opts.actions          - plannedActions from a dry run (or a subset)
+   * @param {string} opts.taskId           - Task the execution runs (and is journaled) under
+   * @param {object} opts.options          - approvalPolicy, approvalTimeoutMs, stopOnError, toolProfile
+   * @param {Map}    opts.pendingApprovals - Shared approval map from core
+   * @returns {Promise<Array<{ id, tool, status: 'done'|'failed'|'skipped', output?, error? }>>}
+   */
+  async executePlannedActions({ actions, taskId, options = {}, pendingApprovals }) {
+    this.cancelled = false;
+    this._plannedActions    = null;
+    this._toolProfile       = options.toolProfile || null;
+    const approvalPolicy    = options.approvalPolicy || this._toolProfile?.approvalPolicy;
+    this._approvalPolicy    = APPROVAL_POLICIES.includes(approvalPolicy) ? approvalPolicy : 'wait';
+    this._approvalTimeoutMs = options.approvalTimeoutMs > 0 ? options.approvalTimeoutMs : DEFAULT_APPROVAL_TIMEOUT_MS;
+    if (pendingApprovals) this.pendingApprovals = pendingApprovals;
+
+    const results = [];
+    let stopped = false;
+    for (const action of actions) {
+      if (stopped || this.cancelled) {
+        results.push({ id: action.id, tool: action.tool, status: 'skipped' });
+        continue;
+      }
+      const tc = { id: action.id, name: action.tool, input: action.input };
+      const tool = this.toolRegistry.get(action.tool);
+      const access = this._toolProfile?.check(tool);
+      if (!tool) tc._missing = true;
+      else if (access && !access.allowed) tc._denied = access.reason;
+      const r = await this._executeSingleTool(tc, taskId);
+      if (r.error) {
+        results.push({ id: action.id, tool: action.tool, status: 'failed', output: r.content, error: r.error });
+        stopped = options.stopOnError !== false;
+      } else {
+        results.push({ id: action.id, tool: action.tool, status: 'done', output: r.content });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Run one tool call that didn't come from the model (OpenDesktop's MCP server),
+   * gated like a model's call: persona profile, permission level (dangerous calls
+   * wait for approval), policy rules, PII checks and the change journal.
+   * Sets the loop's per-run state (profile, approval policy, requester), so use a
+   * loop that isn't running anything else — AgentCore.executeTool makes one per call.
+   * @param {object} opts
+   * @param {string} opts.name
+   * @param {object} opts.input
+   * @param {string} opts.taskId
+   * @param {object} [opts.options] - approvalPolicy, approvalTimeoutMs, toolProfile,
+   *                                  requester (shown in approval prompts)
+   * @param {Map}    [opts.pendingApprovals]
+   * @returns {{ id, name, content: string, images?: Array, error?: string }}
+   */
+  async executeToolCall({ name, input, taskId, options = {}, pendingApprovals }) {
+    this.cancelled = false;
+    this._plannedActions    = null;
+    this._toolProfile       = options.toolProfile || null;
+    const approvalPolicy    = options.approvalPolicy || this._toolProfile?.approvalPolicy;
+    this._approvalPolicy    = APPROVAL_POLICIES.includes(approvalPolicy) ? approvalPolicy : 'wait';
+    this._approvalTimeoutMs = options.approvalTimeoutMs > 0 ? options.approvalTimeoutMs : DEFAULT_APPROVAL_TIMEOUT_MS;
+    this._requester         = options.requester || null;
+    if (pendingApprovals) this.pendingApprovals = pendingApprovals;
+
+    const tc = { id: uuidv4(), name, input: input || {} };
+    const [result] = await this._executeToolCalls([tc], taskId);
+    return result || { id: tc.id, name, content: 'Tool call was cancelled.', error: 'cancelled' };
+  }
+
   // --------------------------------------------------------------------------
   // Approval flow
   // --------------------------------------------------------------------------
 
+  /** Permission level for a call, starting from the persona's override when it has one. */
+  _classify(toolName, params) {
+    return this.permissions.classify(toolName, params, this._toolProfile?.permissionFor(toolName) || undefined);
+  }
+
   async _requestApproval(action, taskId) {
     const requestId = uuidv4();
+    if (this._requester && !action.description) {
+      action = { ...action, description: `Requested by ${this._requester}` };
+    }
+
+    const autoDecision = this._autoApprovalDecision(action);
+    if (autoDecision !== null) {
+      this.emit('agent:approval-resolved', {
+        requestId, taskId, action, approved: autoDecision, auto: true, policy: this._approvalPolicy,
+      });
+      return autoDecision;
+    }
 
     this.emit('agent:approval-request', {
       requestId,
@@ -598,17 +1095,39 @@ class AgentLoop {
     });
 
     return new Promise((resolve) => {
-      this.pendingApprovals.set(requestId, ({ approved }) => resolve(approved));
-
-      // Auto-timeout after 1 minute
-      setTimeout(() => {
+      // Auto-deny on timeout (1 minute unless the run says otherwise)
+      const timer = setTimeout(() => {
         if (this.pendingApprovals.has(requestId)) {
           this.pendingApprovals.delete(requestId);
+          this.emit('agent:approval-resolved', { requestId, taskId, approved: false, timedOut: true });
           resolve(false);
         }
-      }, 60_000);
+      }, this._approvalTimeoutMs);
+
+      this.pendingApprovals.set(requestId, ({ approved }) => {
+        clearTimeout(timer);
+        resolve(approved);
+      });
     });
   }
+
+  /**
+   * Decide an approval prompt without asking, according to the run's approval policy.
+   * Only tool-level prompts are auto-approved: a policy `require_approval` rule or a
+   * PII finding always goes to a human (or is refused under auto_deny).
+   * @returns {boolean|null} true/false when decided, null to wait for a human
+   */
+  _autoApprovalDecision(action) {
+    const policy = this._approvalPolicy;
+    if (policy === 'auto_deny') return false;
+    if (policy !== 'auto_approve_safe' && policy !== 'auto_approve_sensitive') return null;
+    if (action.riskLevel === 'policy' || action.riskLevel === 'pii') return null;
+
+    const level = this.permissions?.classify ? this._classify(action.tool, action.params) : 'dangerous';
+    if (level === 'safe') return true;
+    if (level === 'sensitive' && policy === 'auto_approve_sensitive') return true;
+    return null;
+  }
 }
 
-module.exports = { AgentLoop };
+module.exports = { AgentLoop, APPROVAL_POLICIES };
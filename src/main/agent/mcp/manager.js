@@ -3,7 +3,28 @@
  *
  * Supports:
  *  - stdio transport  (local process, e.g. "npx @modelcontextprotocol/server-filesystem /path")
- *  - SSE transport    (HTTP endpoint, e.g. "http://localhost:3001/sse")
+ *  - http transport   (Streamable HTTP endpoint, e.g. "https://mcp.example.com/mcp")
+ *  - SSE transport    (legacy HTTP+SSE endpoint, e.g. "http://localhost:3001/sse")
+ * HTTP and SSE servers take optional `headers` (e.g. { Authorization: 'Bearer …' })
+ * sent with every request.
+ *
+ * Besides tools, servers can expose resources (readable data, surfaced as
+ * mcp_{slug}_list_resources / mcp_{slug}_read_resource tools and as chat
+ * attachments) and prompts (surfaced as workflow templates). When a server sends
+ * a tools/resources/prompts list_changed notification the list is refetched and
+ * `onChange` is called so main.js can re-run ToolRegistry.registerMCPTools().
+ *
+ * Supervision: connected servers are pinged every 30s. A server whose process
+ * exits or that misses two pings in a row is marked 'error' and reconnected
+ * with exponential backoff (2s, 4s, 8s … capped at 5 min) until it comes back
+ * or is removed. Each server keeps a log of its stderr output (stdio) and of
+ * connection events, shown in Settings → MCP.
+ *
+ * Per-server tool settings (persisted with the config, applied by
+ * ToolRegistry.registerMCPTools()):
+ *   allowTools:      ['read_file'],   // only these server tools (omit/empty = all)
+ *   denyTools:       ['delete_file'], // never these; wins over allowTools
+ *   permissionLevel: 'dangerous',     // safe | sensitive | dangerous for every server tool
  *
  * Server configs are persisted to mcp-servers.json in the Electron userData dir so they
  * survive app restarts. On startup, initialize() reconnects all saved servers.
@@ -15,12 +36,35 @@ const path = require('path');
 const { Client }             = require('@modelcontextprotocol/sdk/client');
 const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
 const { SSEClientTransport }   = require('@modelcontextprotocol/sdk/client/sse.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { LEVELS } = require('../tool-profile');
+
+// Attachment reference for a resource: mcp-resource:{serverSlug}:{uri} (parsed in core.js)
+const RESOURCE_REF_PREFIX = 'mcp-resource:';
+
+const HEALTH_INTERVAL_MS = 30_000;
+const PING_TIMEOUT_MS    = 10_000;
+const MAX_PING_FAILURES  = 2;
+const RECONNECT_BASE_MS  = 2_000;
+const RECONNECT_MAX_MS   = 5 * 60_000;
+const LOG_LIMIT          = 500;   // lines kept per server
 
 class MCPManager {
-  constructor(userDataPath) {
+  /**
+   * @param {string} userDataPath
+   * @param {object} [options]
+   * @param {function} [options.onChange] - Called with (serverId, kind) after a server's
+   *                                        tools, resources or prompts list changes, and
+   *                                        with kind 'status' when it disconnects or reconnects
+   */
+  constructor(userDataPath, { onChange } = {}) {
     this._configPath  = path.join(userDataPath, 'mcp-servers.json');
-    // Map of serverId → { config, client, tools, status, error }
+    this._onChange    = onChange || null;
+    // Map of serverId → { config, client, tools, resources, resourceTemplates, prompts, status, error, health }
     this._connections = new Map();
+    this._retries     = new Map(); // serverId → { attempt, timer, nextRetryAt }
+    this._logs        = new Map(); // serverId → [{ time, stream, text }]
+    this._healthTimer = null;
   }
 
   // ── Persistence ──────────────────────────────────────────────────────────────
@@ -52,17 +96,12 @@ class MCPManager {
     const configs = this._loadConfigs();
     for (const config of configs) {
       try {
-        await this._connect(config);
+        this._connections.set(config.id, await this._connect(config));
         console.log(`[MCP] Connected: ${config.name}`);
       } catch (err) {
         console.error(`[MCP] Failed to connect to ${config.name}: ${err.message}`);
-        this._connections.set(config.id, {
-          config,
-          client: null,
-          tools:  [],
-          status: 'error',
-          error:  err.message,
-        });
+        this._setError(config, err.message);
+        this._scheduleReconnect(config.id);
       }
     }
   }
@@ -74,16 +113,18 @@ class MCPManager {
     }
     config._nameSlug = _slugify(config.name);
 
-    await this._connect(config);
+    this._connections.set(config.id, await this._connect(config));
     this._saveConfigs();
 
     const conn = this._connections.get(config.id);
     return {
-      id:        config.id,
-      name:      config.name,
-      status:    conn.status,
-      toolCount: conn.tools.length,
-      tools:     conn.tools.map((t) => t.name),
+      id:            config.id,
+      name:          config.name,
+      status:        conn.status,
+      toolCount:     conn.tools.length,
+      tools:         conn.tools.map((t) => t.name),
+      resourceCount: conn.resources.length,
+      promptCount:   conn.prompts.length,
     };
   }
 
@@ -92,21 +133,33 @@ class MCPManager {
     const conn = this._connections.get(serverId);
     if (!conn) throw new Error(`MCP server '${serverId}' not found`);
 
-    try { if (conn.client) await conn.client.close(); } catch (_) {}
+    this._cancelReconnect(serverId);
     this._connections.delete(serverId);
+    this._logs.delete(serverId);
+    await this._closeClient(conn);
     this._saveConfigs();
     return { ok: true };
   }
 
-  /** Retry connecting a server that's in an error state. */
+  /**
+   * Reconnect a server now (the Retry button). Resets the backoff; if the
+   * attempt fails the server stays listed and automatic retries continue.
+   */
   async reconnectServer(serverId) {
     const conn = this._connections.get(serverId);
     if (!conn) throw new Error(`MCP server '${serverId}' not found`);
 
-    try { if (conn.client) await conn.client.close(); } catch (_) {}
-    this._connections.delete(serverId);
+    this._cancelReconnect(serverId);
+    await this._closeClient(conn);
 
-    await this._connect(conn.config);
+    try {
+      this._connections.set(serverId, await this._connect(conn.config));
+    } catch (err) {
+      this._setError(conn.config, err.message);
+      if (this._onChange) this._onChange(serverId, 'status');
+      this._scheduleReconnect(serverId);
+      throw err;
+    }
     this._saveConfigs();
 
     const updated = this._connections.get(serverId);
@@ -118,8 +171,54 @@ class MCPManager {
     };
   }
 
+  /**
+   * Change a server's tool settings. Call ToolRegistry.registerMCPTools() afterwards.
+   * @param {object} patch - Any of allowTools, denyTools (arrays of server tool
+   *                         names), permissionLevel (safe | sensitive | dangerous | null)
+   */
+  updateServer(serverId, patch = {}) {
+    const conn = this._connections.get(serverId);
+    if (!conn) throw new Error(`MCP server '${serverId}' not found`);
+
+    const config = { ...conn.config };
+    for (const key of ['allowTools', 'denyTools']) {
+      if (patch[key] === undefined) continue;
+      if (!Array.isArray(patch[key]) || patch[key].some((n) => typeof n !== 'string')) {
+        throw new Error(`${key} must be an array of tool names`);
+      }
+      config[key] = [...new Set(patch[key].map((n) => n.trim()).filter(Boolean))];
+    }
+    if (patch.permissionLevel !== undefined) {
+      if (patch.permissionLevel && !LEVELS.includes(patch.permissionLevel)) {
+        throw new Error(`permissionLevel must be one of: ${LEVELS.join(', ')}`);
+      }
+      config.permissionLevel = patch.permissionLevel || null;
+    }
+
+    conn.config = config;
+    this._saveConfigs();
+    return this.listServers().find((s) => s.id === serverId);
+  }
+
+  /** Whether a server's tool passes its allow/deny lists (unprefixed tool name). */
+  isToolAllowed(serverId, toolName) {
+    const config = this._connections.get(serverId)?.config;
+    if (!config) return false;
+    if (config.denyTools?.includes(toolName)) return false;
+    return !config.allowTools?.length || config.allowTools.includes(toolName);
+  }
+
+  /** The permission level set for a server's tools, or null for the default. */
+  permissionLevelFor(serverId) {
+    return this._connections.get(serverId)?.config.permissionLevel || null;
+  }
+
   // ── Internal connection ───────────────────────────────────────────────────────
 
+  /**
+   * Connect a server and list what it offers.
+   * @returns {Promise<object>} The connection entry; the caller stores it in _connections
+   */
   async _connect(config) {
     let transport;
 
@@ -128,39 +227,252 @@ class MCPManager {
         command: config.command,
         args:    config.args || [],
         env:     { ...process.env, ...(config.env || {}) },
+        stderr:  'pipe',
+      });
+      // The stream exists before the process starts, so early output is kept too
+      transport.stderr.on('data', (chunk) => {
+        for (const line of chunk.toString().split(/\r?\n/)) {
+          if (line.trim()) this._log(config.id, 'stderr', line);
+        }
+      });
+    } else if (config.transport === 'http') {
+      transport = new StreamableHTTPClientTransport(new URL(config.url), {
+        requestInit: { headers: config.headers || {} },
       });
     } else if (config.transport === 'sse') {
-      transport = new SSEClientTransport(new URL(config.url));
+      transport = new SSEClientTransport(new URL(config.url), {
+        requestInit: { headers: config.headers || {} },
+      });
     } else {
       throw new Error(`Unknown MCP transport type: '${config.transport}'`);
     }
 
+    // The SDK refetches a list when the server announces it changed (it only
+    // subscribes to the kinds the server advertises listChanged for)
+    const onChanged = (kind) => (err, items) => {
+      const conn = this._connections.get(config.id);
+      if (!conn || conn.client !== client) return;
+      if (err) {
+        console.error(`[MCP] Failed to refresh ${kind} for ${config.name}: ${err.message}`);
+        return;
+      }
+      conn[kind] = items || [];
+      console.log(`[MCP] ${config.name}: ${kind} list changed (${conn[kind].length})`);
+      if (this._onChange) this._onChange(config.id, kind);
+    };
+
     const client = new Client(
       { name: 'opendesktop', version: '1.0.0' },
-      { capabilities: {} }
+      {
+        capabilities: {},
+        listChanged: {
+          tools:     { onChanged: onChanged('tools'),     debounceMs: 300 },
+          resources: { onChanged: onChanged('resources'), debounceMs: 300 },
+          prompts:   { onChanged: onChanged('prompts'),   debounceMs: 300 },
+        },
+      }
     );
 
-    await client.connect(transport);
+    this._log(config.id, 'event', `Connecting (${config.transport})`);
+    let tools;
+    let resources = [];
+    let resourceTemplates = [];
+    let prompts = [];
+    try {
+      await client.connect(transport);
+
+      const capabilities = client.getServerCapabilities() || {};
+      const listResult = await client.listTools();
+      tools = listResult.tools || [];
+
+      // Resources and prompts are optional capabilities; a server that fails to
+      // list them still connects with its tools
+      if (capabilities.resources) {
+        resources = await client.listResources()
+          .then((r) => r.resources || [])
+          .catch((err) => { console.warn(`[MCP] ${config.name}: listResources failed: ${err.message}`); return []; });
+        resourceTemplates = await client.listResourceTemplates()
+          .then((r) => r.resourceTemplates || [])
+          .catch(() => []);
+      }
+      if (capabilities.prompts) {
+        prompts = await client.listPrompts()
+          .then((r) => r.prompts || [])
+          .catch((err) => { console.warn(`[MCP] ${config.name}: listPrompts failed: ${err.message}`); return []; });
+      }
+    } catch (err) {
+      this._log(config.id, 'event', `Connection failed: ${err.message}`);
+      // Don't leave a half-started server process behind
+      try { await client.close(); } catch (_) {}
+      throw err;
+    }
 
-    const listResult = await client.listTools();
-    const tools = listResult.tools || [];
+    // A stdio server exiting closes the transport; HTTP failures surface through pings
+    client.onclose = () => {
+      const conn = this._connections.get(config.id);
+      if (conn?.client === client) this._markDown(config.id, 'Connection closed (server exited?)');
+    };
 
-    this._connections.set(config.id, {
+    this._log(config.id, 'event', `Connected: ${tools.length} tools`);
+    this._startHealthChecks();
+    return {
       config,
       client,
       tools,
+      resources,
+      resourceTemplates,
+      prompts,
       status: 'connected',
       error:  null,
+      health: { lastPingAt: null, latencyMs: null, failures: 0 },
+    };
+  }
+
+  /** Record a server that couldn't connect, keeping its config listed. */
+  _setError(config, message) {
+    this._connections.set(config.id, {
+      config,
+      client:            null,
+      tools:             [],
+      resources:         [],
+      resourceTemplates: [],
+      prompts:           [],
+      status:            'error',
+      error:             message,
+      health:            null,
     });
   }
 
-  // ── Tool execution ────────────────────────────────────────────────────────────
+  /** Close a connection's client; clearing it first marks the close as intentional. */
+  async _closeClient(conn) {
+    const client = conn.client;
+    conn.client = null;
+    try { if (client) await client.close(); } catch (_) {}
+  }
 
-  async callTool(serverId, toolName, args) {
+  // ── Supervision ───────────────────────────────────────────────────────────────
+
+  _startHealthChecks() {
+    if (this._healthTimer) return;
+    this._healthTimer = setInterval(() => this._checkHealth(), HEALTH_INTERVAL_MS);
+    this._healthTimer.unref?.();
+  }
+
+  async _checkHealth() {
+    const connected = Array.from(this._connections.values()).filter((c) => c.status === 'connected' && c.client && !c.pinging);
+    await Promise.all(connected.map(async (conn) => {
+      const { client } = conn;
+      const started = Date.now();
+      conn.pinging = true;
+      try {
+        await client.ping({ timeout: PING_TIMEOUT_MS });
+        conn.health = { lastPingAt: Date.now(), latencyMs: Date.now() - started, failures: 0 };
+      } catch (err) {
+        if (conn.client !== client) return;
+        conn.health = { ...conn.health, failures: conn.health.failures + 1 };
+        this._log(conn.config.id, 'event', `Health check failed (${conn.health.failures}/${MAX_PING_FAILURES}): ${err.message}`);
+        if (conn.health.failures >= MAX_PING_FAILURES) {
+          this._markDown(conn.config.id, `Not responding: ${err.message}`);
+        }
+      } finally {
+        conn.pinging = false;
+      }
+    }));
+  }
+
+  /** A connected server was lost: drop its tools and start reconnecting. */
+  _markDown(serverId, reason) {
+    const conn = this._connections.get(serverId);
+    if (!conn || conn.status !== 'connected') return;
+
+    console.warn(`[MCP] ${conn.config.name}: ${reason}`);
+    this._log(serverId, 'event', reason);
+    this._closeClient(conn);
+    this._setError(conn.config, reason);
+    if (this._onChange) this._onChange(serverId, 'status');
+    this._scheduleReconnect(serverId);
+  }
+
+  _scheduleReconnect(serverId) {
+    const retry = this._retries.get(serverId) || { attempt: 0, timer: null, nextRetryAt: null };
+    if (retry.timer) return;
+
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** retry.attempt, RECONNECT_MAX_MS);
+    retry.attempt += 1;
+    retry.nextRetryAt = Date.now() + delay;
+    retry.timer = setTimeout(() => this._retryConnect(serverId), delay);
+    retry.timer.unref?.();
+    this._retries.set(serverId, retry);
+    this._log(serverId, 'event', `Reconnecting in ${Math.round(delay / 1000)}s (attempt ${retry.attempt})`);
+  }
+
+  async _retryConnect(serverId) {
+    const retry = this._retries.get(serverId);
+    const conn  = this._connections.get(serverId);
+    if (!retry || !conn) return;
+    retry.timer = null;
+
+    // Removed or reconnected by hand while this attempt was running
+    const superseded = () => this._retries.get(serverId) !== retry;
+    let entry;
+    try {
+      entry = await this._connect(conn.config);
+    } catch (err) {
+      if (superseded()) return;
+      this._setError(conn.config, err.message);
+      this._scheduleReconnect(serverId);
+      return;
+    }
+    if (superseded()) {
+      await this._closeClient(entry);
+      return;
+    }
+    this._connections.set(serverId, { ...entry, config: this._connections.get(serverId).config });
+    this._retries.delete(serverId);
+    console.log(`[MCP] Reconnected: ${conn.config.name}`);
+    if (this._onChange) this._onChange(serverId, 'status');
+  }
+
+  _cancelReconnect(serverId) {
+    const retry = this._retries.get(serverId);
+    if (retry?.timer) clearTimeout(retry.timer);
+    this._retries.delete(serverId);
+  }
+
+  // ── Logs ──────────────────────────────────────────────────────────────────────
+
+  _log(serverId, stream, text) {
+    if (!this._logs.has(serverId)) this._logs.set(serverId, []);
+    const lines = this._logs.get(serverId);
+    lines.push({ time: Date.now(), stream, text });
+    if (lines.length > LOG_LIMIT) lines.splice(0, lines.length - LOG_LIMIT);
+  }
+
+  /**
+   * A server's recent stderr output and connection events, oldest first.
+   * @returns {{ time: number, stream: 'stderr'|'event', text: string }[]}
+   */
+  getLogs(serverId) {
+    return [...(this._logs.get(serverId) || [])];
+  }
+
+  clearLogs(serverId) {
+    this._logs.delete(serverId);
+    return { ok: true };
+  }
+
+  _connected(serverId) {
     const conn = this._connections.get(serverId);
     if (!conn || !conn.client) {
       throw new Error(`MCP server '${serverId}' is not connected`);
     }
+    return conn;
+  }
+
+  // ── Tool execution ────────────────────────────────────────────────────────────
+
+  async callTool(serverId, toolName, args) {
+    const conn = this._connected(serverId);
 
     const result = await conn.client.callTool({ name: toolName, arguments: args });
 
@@ -177,20 +489,149 @@ class MCPManager {
       .join('\n');
   }
 
+  // ── Resources ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Read a resource's contents as text. Binary (blob) contents are described,
+   * not inlined.
+   */
+  async readResource(serverId, uri) {
+    if (!uri) throw new Error('uri is required');
+    const conn = this._connected(serverId);
+
+    const result = await conn.client.readResource({ uri });
+    const contents = result.contents || [];
+    if (contents.length === 0) return '(empty resource)';
+
+    return contents
+      .map((c) => {
+        if (typeof c.text === 'string') return c.text;
+        const bytes = c.blob ? Math.floor((c.blob.length * 3) / 4) : 0;
+        return `[Binary resource ${c.uri}: ${c.mimeType || 'unknown type'}, ~${bytes} bytes]`;
+      })
+      .join('\n');
+  }
+
+  /** Resources of all connected servers, with the reference used to attach them to a message. */
+  listResources() {
+    const resources = [];
+    for (const conn of this._connections.values()) {
+      if (conn.status !== 'connected') continue;
+      const slug = conn.config._nameSlug || _slugify(conn.config.name);
+      for (const r of conn.resources) {
+        resources.push({
+          serverId:    conn.config.id,
+          server:      conn.config.name,
+          uri:         r.uri,
+          name:        r.name || r.uri,
+          description: r.description || '',
+          mimeType:    r.mimeType || null,
+          ref:         `${RESOURCE_REF_PREFIX}${slug}:${r.uri}`,
+        });
+      }
+    }
+    return resources;
+  }
+
+  // ── Prompts ───────────────────────────────────────────────────────────────────
+
+  /** Prompt templates of all connected servers. */
+  listPrompts() {
+    const prompts = [];
+    for (const conn of this._connections.values()) {
+      if (conn.status !== 'connected') continue;
+      for (const p of conn.prompts) {
+        prompts.push({
+          serverId:    conn.config.id,
+          server:      conn.config.name,
+          name:        p.name,
+          description: p.description || '',
+          arguments:   (p.arguments || []).map((a) => ({
+            name: a.name, description: a.description || '', required: !!a.required,
+          })),
+        });
+      }
+    }
+    return prompts;
+  }
+
+  /**
+   * Render a prompt with the given arguments.
+   * @returns {Promise<{ description: string, text: string }>} Messages flattened to text
+   */
+  async getPrompt(serverId, name, args = {}) {
+    const conn = this._connected(serverId);
+
+    const result   = await conn.client.getPrompt({ name, arguments: args });
+    const messages = result.messages || [];
+    const multiRole = new Set(messages.map((m) => m.role)).size > 1;
+
+    const text = messages
+      .map((m) => {
+        const c = m.content || {};
+        let body;
+        if (c.type === 'text')          body = c.text;
+        else if (c.type === 'resource') body = c.resource?.text ?? `[Resource: ${c.resource?.uri}]`;
+        else if (c.type === 'image')    body = `[Image: ${c.mimeType}]`;
+        else                            body = JSON.stringify(c);
+        return multiRole ? `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${body}` : body;
+      })
+      .join('\n\n');
+
+    return { description: result.description || '', text };
+  }
+
+  /**
+   * A prompt as a workflow template: each argument is rendered as a {{variable}}
+   * placeholder so the result can be saved with WorkflowService.
+   */
+  async getPromptTemplate(serverId, name) {
+    const conn   = this._connected(serverId);
+    const prompt = conn.prompts.find((p) => p.name === name);
+    if (!prompt) throw new Error(`MCP server '${conn.config.name}' has no prompt '${name}'`);
+
+    const args = Object.fromEntries(
+      (prompt.arguments || []).map((a) => [a.name, `{{${a.name.replace(/\W+/g, '_')}}}`])
+    );
+    const { text } = await this.getPrompt(serverId, name, args);
+    return {
+      name:        `${_slugify(conn.config.name)}-${name}`,
+      description: prompt.description || `MCP prompt from ${conn.config.name}`,
+      prompt:      text,
+      tags:        ['mcp'],
+    };
+  }
+
   // ── Status queries ────────────────────────────────────────────────────────────
 
   listServers() {
-    return Array.from(this._connections.values()).map((conn) => ({
-      id:        conn.config.id,
-      name:      conn.config.name,
-      transport: conn.config.transport,
-      command:   conn.config.command || null,
-      url:       conn.config.url     || null,
-      status:    conn.status,
-      error:     conn.error  || null,
-      toolCount: conn.tools.length,
-      tools:     conn.tools.map((t) => ({ name: t.name, description: t.description })),
-    }));
+    return Array.from(this._connections.values()).map((conn) => {
+      const id    = conn.config.id;
+      const retry = this._retries.get(id);
+      return {
+        id,
+        name:            conn.config.name,
+        transport:       conn.config.transport,
+        command:         conn.config.command || null,
+        url:             conn.config.url     || null,
+        // Header values may hold credentials — only names leave the main process
+        headers:         Object.keys(conn.config.headers || {}),
+        status:          conn.status,
+        error:           conn.error  || null,
+        toolCount:       conn.tools.length,
+        tools:           conn.tools.map((t) => ({
+          name: t.name, description: t.description, enabled: this.isToolAllowed(id, t.name),
+        })),
+        resourceCount:   conn.resources.length,
+        promptCount:     conn.prompts.length,
+        allowTools:      conn.config.allowTools || [],
+        denyTools:       conn.config.denyTools  || [],
+        permissionLevel: conn.config.permissionLevel || null,
+        health:          conn.health || null,
+        retry:           retry ? { attempt: retry.attempt, nextRetryAt: retry.nextRetryAt } : null,
+        logCount:        this._logs.get(id)?.length || 0,
+      };
+    });
   }
 
   /**
@@ -220,6 +661,9 @@ class MCPManager {
           description:    `[MCP:${conn.config.name}] ${mcpTool.description || mcpTool.name}`,
           permissionLevel:'sensitive',
           params:         Object.keys(inputSchema.properties || {}),
+          // For the per-server allow/deny lists and permission level (registry.js)
+          mcpServerId:    serverId,
+          mcpTool:        toolName,
           // Inline schema for the registry's provider-format methods
           _schema: {
             description: `[MCP:${conn.config.name}] ${mcpTool.description || mcpTool.name}`,
@@ -231,15 +675,72 @@ class MCPManager {
           },
         });
       }
+
+      if (conn.resources.length || conn.resourceTemplates.length) {
+        registryTools.push(...this._resourceTools(conn, slug));
+      }
     }
 
     return registryTools;
   }
 
-  async close() {
-    for (const conn of this._connections.values()) {
-      try { if (conn.client) await conn.client.close(); } catch (_) {}
+  /** list_resources / read_resource tools for one server (skipped if the server has tools of those names). */
+  _resourceTools(conn, slug) {
+    const serverId   = conn.config.id;
+    const serverName = conn.config.name;
+    const taken      = new Set(conn.tools.map((t) => t.name));
+    const tools      = [];
+
+    if (!taken.has('list_resources')) {
+      const description = `[MCP:${serverName}] List the resources (files, records, documents) this server exposes, with their URIs.`;
+      tools.push({
+        name:           `mcp_${slug}_list_resources`,
+        category:       'mcp',
+        description,
+        permissionLevel:'safe',
+        readOnly:       true,
+        params:         [],
+        _schema: { description, properties: {}, required: [] },
+        execute: async () => {
+          const conn = this._connected(serverId);
+          return JSON.stringify({
+            resources: conn.resources.map((r) => ({
+              uri: r.uri, name: r.name, description: r.description, mimeType: r.mimeType,
+            })),
+            templates: conn.resourceTemplates.map((t) => ({
+              uriTemplate: t.uriTemplate, name: t.name, description: t.description,
+            })),
+          });
+        },
+      });
+    }
+
+    if (!taken.has('read_resource')) {
+      const description = `[MCP:${serverName}] Read a resource by URI (from list_resources, a resource template, or an attached resource).`;
+      tools.push({
+        name:           `mcp_${slug}_read_resource`,
+        category:       'mcp',
+        description,
+        permissionLevel:'safe',
+        readOnly:       true,
+        params:         ['uri'],
+        _schema: {
+          description,
+          properties: { uri: { type: 'string', description: 'Resource URI' } },
+          required:   ['uri'],
+        },
+        execute: async ({ uri }) => this.readResource(serverId, uri),
+      });
     }
+
+    return tools;
+  }
+
+  async close() {
+    clearInterval(this._healthTimer);
+    this._healthTimer = null;
+    for (const serverId of this._retries.keys()) this._cancelReconnect(serverId);
+    for (const conn of this._connections.values()) await this._closeClient(conn);
     this._connections.clear();
   }
 }
@@ -254,4 +755,4 @@ function _slugify(name) {
     .slice(0, 32);
 }
 
-module.exports = { MCPManager };
+module.exports = { MCPManager, RESOURCE_REF_PREFIX };
@@ -5,9 +5,12 @@
  * Falls back to JSON file if SQLite fails (e.g., native module not built).
  *
  * Tables:
- *   sessions     — conversation sessions (id, title, created_at, updated_at)
+ *   sessions     — conversation sessions (id, title, source, created_at, updated_at)
+ *   session_messages — full per-session transcripts (internal LLM message format)
  *   long_term    — persistent task records and summaries
  *   long_term_fts — FTS5 virtual table for full-text search on long_term
+ *   long_term_vectors — embedding vectors for long_term (semantic search)
+ *   facts        — user facts and preferences the agent should always know
  *
  * In-memory:
  *   shortTerm[]  — rolling window of the current session's messages
@@ -16,6 +19,19 @@
 const path = require('path');
 const fs   = require('fs');
 
+// Hybrid search: weight of cosine similarity vs normalized BM25
+const VECTOR_WEIGHT = 0.6;
+// Vector-only matches below this similarity are ignored
+const MIN_VECTOR_SIMILARITY = 0.3;
+// After an embedding failure (e.g. Ollama not running), wait before retrying
+const EMBED_RETRY_MS = 5 * 60 * 1000;
+const EMBED_BATCH_SIZE = 16;
+
+const FACT_CATEGORIES = ['preference', 'personal', 'work', 'project', 'contact', 'general'];
+
+// Resumable task checkpoints are dropped after two weeks
+const CHECKPOINT_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
 // Try to load better-sqlite3; fall back gracefully if native module not built
 let Database;
 try {
@@ -35,7 +51,13 @@ class MemorySystem {
 
     this.shortTerm     = [];
     this.longTerm      = [];   // used in JSON fallback
+    this.sessions      = [];   // used in JSON fallback: { id, title, source, created_at, updated_at, messages }
+    this.facts         = [];   // used in JSON fallback
+    this.checkpoints   = [];   // used in JSON fallback (same shape as getCheckpoint())
     this.maxShortTerm  = 100;
+
+    this._embedder       = null;  // { model, embed(texts) → Promise<number[][]> }
+    this._embedFailedAt  = 0;
   }
 
   // ---------------------------------------------------------------------------
@@ -46,6 +68,7 @@ class MemorySystem {
     if (this.useSQLite) {
       try {
         await this._initSQLite();
+        this._recoverCheckpoints();
         return;
       } catch (err) {
         console.error('[Memory] SQLite init failed, falling back to JSON:', err.message);
@@ -53,6 +76,7 @@ class MemorySystem {
       }
     }
     this._initJSON();
+    this._recoverCheckpoints();
   }
 
   async _initSQLite() {
@@ -71,6 +95,14 @@ class MemorySystem {
         updated_at  INTEGER NOT NULL
       );
 
+      CREATE TABLE IF NOT EXISTS session_messages (
+        session_id  TEXT NOT NULL,
+        seq         INTEGER NOT NULL,
+        role        TEXT NOT NULL,
+        content     TEXT NOT NULL,
+        PRIMARY KEY (session_id, seq)
+      );
+
       CREATE TABLE IF NOT EXISTS long_term (
         id          TEXT PRIMARY KEY,
         type        TEXT NOT NULL,
@@ -96,6 +128,27 @@ class MemorySystem {
           VALUES ('delete', old.rowid, old.id, old.query, old.summary);
       END;
 
+      CREATE TABLE IF NOT EXISTS long_term_vectors (
+        id      TEXT PRIMARY KEY,
+        model   TEXT NOT NULL,
+        dim     INTEGER NOT NULL,
+        vector  BLOB NOT NULL
+      );
+
+      CREATE TRIGGER IF NOT EXISTS lt_vec_ad AFTER DELETE ON long_term BEGIN
+        DELETE FROM long_term_vectors WHERE id = old.id;
+      END;
+
+      CREATE TABLE IF NOT EXISTS facts (
+        id          TEXT PRIMARY KEY,
+        content     TEXT NOT NULL,
+        category    TEXT NOT NULL DEFAULT 'general',
+        source      TEXT,
+        created_at  INTEGER NOT NULL,
+        updated_at  INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_facts_category ON facts(category);
+
       CREATE TABLE IF NOT EXISTS task_state (
         id              TEXT PRIMARY KEY,
         session_id      TEXT NOT NULL,
@@ -112,6 +165,23 @@ class MemorySystem {
         completed_at    INTEGER
       );
 
+      CREATE TABLE IF NOT EXISTS task_checkpoints (
+        task_id       TEXT PRIMARY KEY,
+        session_id    TEXT,
+        query         TEXT,
+        persona       TEXT,
+        system_prompt TEXT,
+        options       TEXT,
+        messages      TEXT NOT NULL,
+        turns         INTEGER DEFAULT 0,
+        pending       TEXT,
+        status        TEXT DEFAULT 'running',
+        error         TEXT,
+        created_at    INTEGER NOT NULL,
+        updated_at    INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_checkpoints_updated ON task_checkpoints(updated_at);
+
       CREATE TABLE IF NOT EXISTS reminders (
         id         TEXT PRIMARY KEY,
         message    TEXT NOT NULL,
@@ -155,6 +225,9 @@ class MemorySystem {
       CREATE INDEX IF NOT EXISTS idx_usage_ts ON usage_log(timestamp);
     `);
 
+    // Columns added after the initial schema
+    this._ensureColumn('sessions', 'source', 'TEXT');
+
     // Migrate old JSON data if it exists and DB is fresh
     const count = this.db.prepare('SELECT COUNT(*) AS n FROM long_term').get().n;
     if (count === 0 && fs.existsSync(this.jsonFallback)) {
@@ -164,6 +237,13 @@ class MemorySystem {
     console.log('[Memory] SQLite initialized');
   }
 
+  _ensureColumn(table, column, type) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some((c) => c.name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    }
+  }
+
   _migrateFromJSON() {
     try {
       const raw  = fs.readFileSync(this.jsonFallback, 'utf-8');
@@ -202,6 +282,9 @@ class MemorySystem {
         const raw  = fs.readFileSync(this.jsonFallback, 'utf-8');
         const data = JSON.parse(raw);
         this.longTerm = data.longTerm || [];
+        this.sessions = data.sessions || [];
+        this.facts    = data.facts    || [];
+        this.checkpoints = data.checkpoints || [];
       }
     } catch (err) {
       console.error('[Memory] JSON load failed:', err.message);
@@ -252,45 +335,125 @@ class MemorySystem {
         session_id: record.sessionId  || null,
         timestamp:  record.timestamp  || Date.now(),
       });
+      // Embed in the background — never delay the caller on the embedding model
+      this._indexEmbeddings([{ id, text: this._embeddingText(record) }])
+        .catch((err) => console.warn('[Memory] Embedding failed:', err.message));
     } else {
       this.longTerm.push(record);
       this._persistJSON();
     }
   }
 
+  // ---------------------------------------------------------------------------
+  // Embeddings (semantic search)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Enable semantic search. Pass null to disable.
+   * @param {{ model: string, embed: (texts: string[]) => Promise<number[][]> } | null} embedder
+   */
+  setEmbedder(embedder) {
+    this._embedder      = embedder;
+    this._embedFailedAt = 0;
+  }
+
+  _embeddingsAvailable() {
+    return !!(this._embedder && this.useSQLite && this.db)
+      && Date.now() - this._embedFailedAt > EMBED_RETRY_MS;
+  }
+
+  _embeddingText(record) {
+    return [record.query, record.summary].filter(Boolean).join('\n').slice(0, 4000);
+  }
+
+  async _embed(texts) {
+    try {
+      return await this._embedder.embed(texts);
+    } catch (err) {
+      this._embedFailedAt = Date.now();
+      throw err;
+    }
+  }
+
+  async _indexEmbeddings(items) {
+    if (!this._embeddingsAvailable() || !items.length) return 0;
+    const { model } = this._embedder;
+    const upsert = this.db.prepare(`
+      INSERT OR REPLACE INTO long_term_vectors (id, model, dim, vector) VALUES (?, ?, ?, ?)
+    `);
+    let indexed = 0;
+    for (let i = 0; i < items.length; i += EMBED_BATCH_SIZE) {
+      const batch   = items.slice(i, i + EMBED_BATCH_SIZE);
+      const vectors = await this._embed(batch.map((it) => it.text));
+      this.db.transaction(() => {
+        batch.forEach((it, j) => {
+          const v = vectors[j];
+          if (!v?.length) return;
+          upsert.run(it.id, model, v.length, Buffer.from(new Float32Array(v).buffer));
+          indexed++;
+        });
+      })();
+    }
+    return indexed;
+  }
+
+  /**
+   * Embed long-term records that have no vector for the current model
+   * (records saved before embeddings were enabled, or under another model).
+   */
+  async reindexEmbeddings(limit = 500) {
+    if (!this._embeddingsAvailable()) return 0;
+    const rows = this.db.prepare(`
+      SELECT l.id, l.query, l.summary FROM long_term l
+      LEFT JOIN long_term_vectors v ON v.id = l.id AND v.model = ?
+      WHERE v.id IS NULL
+      ORDER BY l.timestamp DESC
+      LIMIT ?
+    `).all(this._embedder.model, limit);
+    const count = await this._indexEmbeddings(rows.map((r) => ({ id: r.id, text: this._embeddingText(r) })));
+    if (count) console.log(`[Memory] Embedded ${count} long-term records`);
+    return count;
+  }
+
   // ---------------------------------------------------------------------------
   // Search
   // ---------------------------------------------------------------------------
 
   /**
-   * Full-text search using FTS5 (SQLite) or keyword overlap (JSON fallback).
+   * Search long-term memory.
+   *
+   * SQLite: hybrid ranking — FTS5 BM25 scores (normalized to 0..1) blended with
+   * cosine similarity of embedding vectors when an embedder is configured, so
+   * paraphrased queries still find their records. Each row gets a `score`.
+   * JSON fallback: keyword overlap.
+   *
    * @param {string} query
    * @param {number} limit
-   * @returns {Array}
+   * @returns {Promise<Array>}
    */
-  search(query, limit = 5) {
+  async search(query, limit = 5) {
     if (!query) return [];
 
     if (this.useSQLite && this.db) {
-      try {
-        // Escape special FTS5 characters
-        const safeTerm = query.replace(/["*^()]/g, ' ').trim();
-        if (!safeTerm) return [];
-
-        const rows = this.db.prepare(`
-          SELECT l.*
-          FROM long_term l
-          JOIN long_term_fts f ON l.id = f.id
-          WHERE long_term_fts MATCH ?
-          ORDER BY rank
-          LIMIT ?
-        `).all(safeTerm, limit);
-
-        return rows;
-      } catch (err) {
-        // FTS query error — fall back to recency
-        return this._getRecentSQL(limit);
+      const keyword  = this._keywordScores(query, limit * 4);
+      const semantic = await this._semanticScores(query).catch((err) => {
+        console.warn('[Memory] Semantic search unavailable:', err.message);
+        return null;
+      });
+
+      if (!keyword && !semantic) return this._getRecentSQL(limit);
+      if (!semantic) return this._rowsByIds([...keyword.keys()].slice(0, limit), keyword);
+
+      const combined = new Map();
+      for (const [id, bm25] of keyword || []) {
+        combined.set(id, (1 - VECTOR_WEIGHT) * bm25 + VECTOR_WEIGHT * (semantic.get(id) || 0));
       }
+      for (const [id, cos] of semantic) {
+        if (combined.has(id) || cos < MIN_VECTOR_SIMILARITY) continue;
+        combined.set(id, VECTOR_WEIGHT * cos);
+      }
+      const ranked = [...combined.entries()].sort((x, y) => y[1] - x[1]).slice(0, limit);
+      return this._rowsByIds(ranked.map(([id]) => id), new Map(ranked));
     }
 
     // JSON fallback: keyword overlap scoring
@@ -307,6 +470,61 @@ class MemorySystem {
       .map((s) => s.e);
   }
 
+  /**
+   * FTS5 matches → Map(id → BM25 normalized to 0..1, best first), or null on FTS error.
+   */
+  _keywordScores(query, limit) {
+    // Escape special FTS5 characters; OR the terms so partial matches still rank
+    const terms = query.replace(/["*^():]/g, ' ').split(/\s+/).filter(Boolean);
+    if (!terms.length) return new Map();
+    try {
+      const rows = this.db.prepare(`
+        SELECT id, bm25(long_term_fts) AS score
+        FROM long_term_fts
+        WHERE long_term_fts MATCH ?
+        ORDER BY score
+        LIMIT ?
+      `).all(terms.map((t) => `"${t}"`).join(' OR '), limit);
+      // bm25() is negative — lower is better
+      const best  = rows.length ? -rows[0].score : 0;
+      const worst = rows.length ? -rows[rows.length - 1].score : 0;
+      const range = best - worst;
+      return new Map(rows.map((r) => [r.id, range > 0 ? (-r.score - worst) / range : 1]));
+    } catch {
+      return null;
+    }
+  }
+
+  /** Map(id → cosine similarity) over all vectors for the current model, or null. */
+  async _semanticScores(query) {
+    if (!this._embeddingsAvailable()) return null;
+    const [queryVec] = await this._embed([query]);
+    if (!queryVec?.length) return null;
+
+    const q = Float32Array.from(queryVec);
+    const qNorm = Math.hypot(...q);
+    const scores = new Map();
+    const rows = this.db
+      .prepare('SELECT id, vector FROM long_term_vectors WHERE model = ? AND dim = ?')
+      .all(this._embedder.model, q.length);
+    for (const row of rows) {
+      const v = new Float32Array(row.vector.buffer, row.vector.byteOffset, row.vector.byteLength / 4);
+      let dot = 0, vNorm = 0;
+      for (let i = 0; i < v.length; i++) { dot += q[i] * v[i]; vNorm += v[i] * v[i]; }
+      scores.set(row.id, dot / (qNorm * Math.sqrt(vNorm) || 1));
+    }
+    return scores;
+  }
+
+  _rowsByIds(ids, scores) {
+    if (!ids.length) return [];
+    const rows = this.db
+      .prepare(`SELECT * FROM long_term WHERE id IN (${ids.map(() => '?').join(',')})`)
+      .all(...ids);
+    const byId = new Map(rows.map((r) => [r.id, r]));
+    return ids.filter((id) => byId.has(id)).map((id) => ({ ...byId.get(id), score: scores.get(id) }));
+  }
+
   _getRecentSQL(limit) {
     return this.db
       .prepare(`SELECT * FROM long_term ORDER BY timestamp DESC LIMIT ?`)
@@ -329,6 +547,238 @@ class MemorySystem {
       .slice(0, limit);
   }
 
+  // ---------------------------------------------------------------------------
+  // Facts (user-managed knowledge and preferences)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Remember a fact. Re-adding an existing fact (same text, case-insensitive)
+   * updates its category and timestamp instead of creating a duplicate.
+   * @param {{ content: string, category?: string, source?: string }} fact
+   * @returns {object} The stored fact
+   */
+  addFact({ content, category, source = 'user' }) {
+    const text = String(content || '').trim();
+    if (!text) throw new Error('Fact content is required');
+    const cat = this._factCategory(category);
+    const now = Date.now();
+
+    const existing = this.listFacts().find((f) => f.content.toLowerCase() === text.toLowerCase());
+    if (existing) return this.updateFact(existing.id, { category: category ? cat : existing.category });
+
+    const fact = {
+      id:         `fact_${now}_${Math.random().toString(36).slice(2, 8)}`,
+      content:    text,
+      category:   cat,
+      source,
+      created_at: now,
+      updated_at: now,
+    };
+    if (this.useSQLite && this.db) {
+      this.db.prepare(`
+        INSERT INTO facts (id, content, category, source, created_at, updated_at)
+        VALUES (@id, @content, @category, @source, @created_at, @updated_at)
+      `).run(fact);
+    } else {
+      this.facts.push(fact);
+      this._persistJSON();
+    }
+    return fact;
+  }
+
+  /** Update a fact's content and/or category. Returns the fact, or null if not found. */
+  updateFact(id, { content, category } = {}) {
+    const fact = this.getFact(id);
+    if (!fact) return null;
+    if (content !== undefined) {
+      fact.content = String(content).trim();
+      if (!fact.content) throw new Error('Fact content is required');
+    }
+    if (category !== undefined) fact.category = this._factCategory(category);
+    fact.updated_at = Date.now();
+
+    if (this.useSQLite && this.db) {
+      this.db
+        .prepare('UPDATE facts SET content = ?, category = ?, updated_at = ? WHERE id = ?')
+        .run(fact.content, fact.category, fact.updated_at, id);
+    } else {
+      Object.assign(this.facts.find((f) => f.id === id), fact);
+      this._persistJSON();
+    }
+    return fact;
+  }
+
+  deleteFact(id) {
+    if (this.useSQLite && this.db) {
+      return this.db.prepare('DELETE FROM facts WHERE id = ?').run(id).changes > 0;
+    }
+    const before = this.facts.length;
+    this.facts = this.facts.filter((f) => f.id !== id);
+    this._persistJSON();
+    return this.facts.length < before;
+  }
+
+  getFact(id) {
+    if (this.useSQLite && this.db) {
+      return this.db.prepare('SELECT * FROM facts WHERE id = ?').get(id) || null;
+    }
+    const fact = this.facts.find((f) => f.id === id);
+    return fact ? { ...fact } : null;
+  }
+
+  /**
+   * Facts, most recently updated first.
+   * @param {{ category?: string, query?: string }} [filter] - query is a case-insensitive substring
+   */
+  listFacts({ category, query } = {}) {
+    let facts;
+    if (this.useSQLite && this.db) {
+      facts = this.db.prepare('SELECT * FROM facts ORDER BY updated_at DESC').all();
+    } else {
+      facts = this.facts.slice().sort((a, b) => b.updated_at - a.updated_at);
+    }
+    if (category) facts = facts.filter((f) => f.category === category);
+    if (query) {
+      const q = query.toLowerCase();
+      facts = facts.filter((f) => f.content.toLowerCase().includes(q));
+    }
+    return facts;
+  }
+
+  /**
+   * Facts to inject into the system prompt. All of them while they fit under
+   * `limit`; beyond that, the ones sharing the most words with the message
+   * (most recently updated first on ties).
+   */
+  getRelevantFacts(message, limit = 30) {
+    const facts = this.listFacts();
+    if (facts.length <= limit) return facts;
+
+    const tokens = new Set(String(message || '').toLowerCase().split(/\W+/).filter((t) => t.length > 2));
+    return facts
+      .map((f, i) => ({
+        f, i,
+        score: f.content.toLowerCase().split(/\W+/).filter((t) => tokens.has(t)).length,
+      }))
+      .sort((a, b) => b.score - a.score || a.i - b.i)
+      .slice(0, limit)
+      .map((s) => s.f);
+  }
+
+  _factCategory(category) {
+    const cat = String(category || '').toLowerCase().trim();
+    return FACT_CATEGORIES.includes(cat) ? cat : 'general';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Session transcripts
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Create or update a session and replace its stored transcript.
+   * An existing title is kept unless a new one is given.
+   * @param {{ id: string, title?: string, source?: string, messages: Array }} session
+   */
+  saveSession({ id, title, source, messages = [] }) {
+    const now = Date.now();
+
+    if (this.useSQLite && this.db) {
+      try {
+        const upsert = this.db.prepare(`
+          INSERT INTO sessions (id, title, source, created_at, updated_at)
+          VALUES (@id, @title, @source, @now, @now)
+          ON CONFLICT(id) DO UPDATE SET
+            title      = COALESCE(sessions.title, excluded.title),
+            source     = COALESCE(excluded.source, sessions.source),
+            updated_at = excluded.updated_at
+        `);
+        const clear  = this.db.prepare('DELETE FROM session_messages WHERE session_id = ?');
+        const insert = this.db.prepare(`
+          INSERT INTO session_messages (session_id, seq, role, content) VALUES (?, ?, ?, ?)
+        `);
+        this.db.transaction(() => {
+          upsert.run({ id, title: title || null, source: source || null, now });
+          clear.run(id);
+          messages.forEach((m, i) => insert.run(id, i, m.role, JSON.stringify(m)));
+        })();
+      } catch (err) {
+        console.warn('[Memory] saveSession failed:', err.message);
+      }
+      return;
+    }
+
+    const existing = this.sessions.find((s) => s.id === id);
+    if (existing) {
+      existing.title      = existing.title || title || null;
+      existing.source     = source || existing.source;
+      existing.updated_at = now;
+      existing.messages   = messages;
+    } else {
+      this.sessions.push({ id, title: title || null, source: source || null, created_at: now, updated_at: now, messages });
+    }
+    this._persistJSON();
+  }
+
+  /**
+   * Most recently updated sessions, without transcripts.
+   * @returns {Array<{ id, title, source, created_at, updated_at, message_count }>}
+   */
+  listSessions(limit = 50) {
+    if (this.useSQLite && this.db) {
+      return this.db.prepare(`
+        SELECT s.*, (SELECT COUNT(*) FROM session_messages m WHERE m.session_id = s.id) AS message_count
+        FROM sessions s
+        ORDER BY s.updated_at DESC
+        LIMIT ?
+      `).all(limit);
+    }
+    return this.sessions
+      .slice()
+      .sort((a, b) => b.updated_at - a.updated_at)
+      .slice(0, limit)
+      .map(({ messages, ...rest }) => ({ ...rest, message_count: messages.length }));
+  }
+
+  /** A session with its full transcript, or null. */
+  getSession(id) {
+    if (this.useSQLite && this.db) {
+      const row = this.db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
+      if (!row) return null;
+      const messages = this.db
+        .prepare('SELECT content FROM session_messages WHERE session_id = ? ORDER BY seq')
+        .all(id)
+        .map((m) => JSON.parse(m.content));
+      return { ...row, messages };
+    }
+    const session = this.sessions.find((s) => s.id === id);
+    return session ? { ...session, messages: [...session.messages] } : null;
+  }
+
+  renameSession(id, title) {
+    if (this.useSQLite && this.db) {
+      return this.db.prepare('UPDATE sessions SET title = ? WHERE id = ?').run(title, id).changes > 0;
+    }
+    const session = this.sessions.find((s) => s.id === id);
+    if (!session) return false;
+    session.title = title;
+    this._persistJSON();
+    return true;
+  }
+
+  deleteSession(id) {
+    if (this.useSQLite && this.db) {
+      const result = this.db.transaction(() => {
+        this.db.prepare('DELETE FROM session_messages WHERE session_id = ?').run(id);
+        return this.db.prepare('DELETE FROM sessions WHERE id = ?').run(id);
+      })();
+      return result.changes > 0;
+    }
+    const before = this.sessions.length;
+    this.sessions = this.sessions.filter((s) => s.id !== id);
+    this._persistJSON();
+    return this.sessions.length < before;
+  }
+
   // ---------------------------------------------------------------------------
   // Task state persistence
   // ---------------------------------------------------------------------------
@@ -378,6 +828,165 @@ class MemorySystem {
       .all(limit);
   }
 
+  // ---------------------------------------------------------------------------
+  // Task checkpoints — the AgentLoop conversation of a task, saved every turn
+  // so an interrupted task can be resumed
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Create (or replace) the checkpoint of a task.
+   * @param {{ taskId, sessionId, query, persona, systemPrompt, options, messages, turns?, status? }} cp
+   */
+  saveCheckpoint({ taskId, sessionId, query, persona, systemPrompt, options = {}, messages = [], turns = 0, status = 'running' }) {
+    const now = Date.now();
+    const cp = {
+      taskId, sessionId: sessionId || null, query: query || null, persona: persona || null,
+      systemPrompt: systemPrompt || null, options, messages, turns, pending: null,
+      status, error: null, createdAt: now, updatedAt: now,
+    };
+
+    if (this.useSQLite && this.db) {
+      try {
+        this.db.prepare(`
+          INSERT OR REPLACE INTO task_checkpoints
+            (task_id, session_id, query, persona, system_prompt, options, messages, turns, pending, status, error, created_at, updated_at)
+          VALUES
+            (@taskId, @sessionId, @query, @persona, @systemPrompt, @options, @messages, @turns, NULL, @status, NULL, @createdAt, @updatedAt)
+        `).run({ ...cp, options: JSON.stringify(options), messages: JSON.stringify(messages) });
+      } catch (err) {
+        console.warn('[Memory] saveCheckpoint failed:', err.message);
+      }
+      return;
+    }
+
+    this.checkpoints = this.checkpoints.filter((c) => c.taskId !== taskId);
+    this.checkpoints.push(cp);
+    this._persistJSON();
+  }
+
+  /**
+   * Update part of a checkpoint.
+   * @param {string} taskId
+   * @param {{ messages?, turns?, pending?, status?, error? }} fields
+   *   pending: { toolCalls, results } while a turn's tool calls are executing, null once
+   *   their results are part of messages
+   */
+  updateCheckpoint(taskId, fields) {
+    const now = Date.now();
+
+    if (this.useSQLite && this.db) {
+      const columns = { messages: 'messages', turns: 'turns', pending: 'pending', status: 'status', error: 'error' };
+      const sets = ['updated_at = @updatedAt'];
+      const params = { taskId, updatedAt: now };
+      for (const [key, column] of Object.entries(columns)) {
+        if (!(key in fields)) continue;
+        sets.push(`${column} = @${key}`);
+        const v = fields[key];
+        params[key] = (key === 'messages' || key === 'pending') && v != null ? JSON.stringify(v) : v ?? null;
+      }
+      try {
+        return this.db.prepare(`UPDATE task_checkpoints SET ${sets.join(', ')} WHERE task_id = @taskId`).run(params).changes > 0;
+      } catch (err) {
+        console.warn('[Memory] updateCheckpoint failed:', err.message);
+        return false;
+      }
+    }
+
+    const cp = this.checkpoints.find((c) => c.taskId === taskId);
+    if (!cp) return false;
+    for (const key of ['messages', 'turns', 'pending', 'status', 'error']) {
+      // Clone: the loop keeps mutating its conversation and pending turn
+      if (key in fields) cp[key] = fields[key] == null ? null : JSON.parse(JSON.stringify(fields[key]));
+    }
+    cp.updatedAt = now;
+    this._persistJSON();
+    return true;
+  }
+
+  /** Full checkpoint including the conversation, or null. */
+  getCheckpoint(taskId) {
+    if (this.useSQLite && this.db) {
+      const row = this.db.prepare('SELECT * FROM task_checkpoints WHERE task_id = ?').get(taskId);
+      return row ? this._checkpointFromRow(row) : null;
+    }
+    const cp = this.checkpoints.find((c) => c.taskId === taskId);
+    return cp ? JSON.parse(JSON.stringify(cp)) : null;
+  }
+
+  /**
+   * Checkpoints without their conversations, newest first.
+   * @param {{ sessionId?: string, statuses?: string[], limit?: number }} [filter]
+   */
+  listCheckpoints({ sessionId, statuses, limit = 20 } = {}) {
+    let rows;
+    if (this.useSQLite && this.db) {
+      let sql = 'SELECT * FROM task_checkpoints WHERE 1=1';
+      const params = [];
+      if (sessionId)        { sql += ' AND session_id = ?'; params.push(sessionId); }
+      if (statuses?.length) { sql += ` AND status IN (${statuses.map(() => '?').join(', ')})`; params.push(...statuses); }
+      sql += ' ORDER BY updated_at DESC LIMIT ?';
+      params.push(limit);
+      rows = this.db.prepare(sql).all(...params).map((r) => this._checkpointFromRow(r));
+    } else {
+      rows = this.checkpoints
+        .filter((c) => (!sessionId || c.sessionId === sessionId) && (!statuses?.length || statuses.includes(c.status)))
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .slice(0, limit);
+    }
+    return rows.map(({ messages, systemPrompt, pending, ...rest }) => ({ ...rest, messageCount: messages.length }));
+  }
+
+  deleteCheckpoint(taskId) {
+    if (this.useSQLite && this.db) {
+      return this.db.prepare('DELETE FROM task_checkpoints WHERE task_id = ?').run(taskId).changes > 0;
+    }
+    const before = this.checkpoints.length;
+    this.checkpoints = this.checkpoints.filter((c) => c.taskId !== taskId);
+    this._persistJSON();
+    return this.checkpoints.length < before;
+  }
+
+  _checkpointFromRow(row) {
+    return {
+      taskId:       row.task_id,
+      sessionId:    row.session_id,
+      query:        row.query,
+      persona:      row.persona,
+      systemPrompt: row.system_prompt,
+      options:      row.options ? JSON.parse(row.options) : {},
+      messages:     JSON.parse(row.messages),
+      turns:        row.turns || 0,
+      pending:      row.pending ? JSON.parse(row.pending) : null,
+      status:       row.status,
+      error:        row.error,
+      createdAt:    row.created_at,
+      updatedAt:    row.updated_at,
+    };
+  }
+
+  /**
+   * On startup: checkpoints still 'running' belong to a process that quit or
+   * crashed mid-task — mark them interrupted. Drops checkpoints older than
+   * CHECKPOINT_MAX_AGE_MS.
+   */
+  _recoverCheckpoints() {
+    const cutoff = Date.now() - CHECKPOINT_MAX_AGE_MS;
+    try {
+      if (this.useSQLite && this.db) {
+        this.db.prepare('DELETE FROM task_checkpoints WHERE updated_at < ?').run(cutoff);
+        const n = this.db.prepare("UPDATE task_checkpoints SET status = 'interrupted' WHERE status = 'running'").run().changes;
+        if (n) console.log(`[Memory] ${n} interrupted task(s) can be resumed`);
+        return;
+      }
+      const before = JSON.stringify(this.checkpoints);
+      this.checkpoints = this.checkpoints.filter((c) => c.updatedAt >= cutoff);
+      for (const c of this.checkpoints) if (c.status === 'running') c.status = 'interrupted';
+      if (JSON.stringify(this.checkpoints) !== before) this._persistJSON();
+    } catch (err) {
+      console.warn('[Memory] Checkpoint recovery failed:', err.message);
+    }
+  }
+
   // ---------------------------------------------------------------------------
   // Reminders
   // ---------------------------------------------------------------------------
@@ -511,6 +1120,25 @@ class MemorySystem {
     }
   }
 
+  /**
+   * Total estimated cost (USD) of logged LLM calls matching the filter.
+   * @param {{ since?: number, taskId?: string, provider?: string }} filter
+   */
+  getSpend({ since, taskId, provider } = {}) {
+    if (!this.useSQLite || !this.db) return 0;
+    try {
+      let sql = 'SELECT COALESCE(SUM(estimated_cost_usd), 0) AS spent FROM usage_log WHERE 1=1';
+      const params = [];
+      if (since)    { sql += ' AND timestamp >= ?'; params.push(since); }
+      if (taskId)   { sql += ' AND task_id = ?';    params.push(taskId); }
+      if (provider) { sql += ' AND provider = ?';   params.push(provider); }
+      return this.db.prepare(sql).get(...params).spent;
+    } catch (err) {
+      console.warn('[Memory] getSpend failed:', err.message);
+      return 0;
+    }
+  }
+
   getUsageSummary(days = 30) {
     if (!this.useSQLite || !this.db) return {};
     try {
@@ -557,7 +1185,7 @@ class MemorySystem {
       if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
       fs.writeFileSync(
         this.jsonFallback,
-        JSON.stringify({ longTerm: this.longTerm }, null, 2),
+        JSON.stringify({ longTerm: this.longTerm, sessions: this.sessions, facts: this.facts, checkpoints: this.checkpoints }, null, 2),
         'utf-8'
       );
     } catch (err) {
@@ -578,4 +1206,4 @@ class MemorySystem {
   }
 }
 
-module.exports = { MemorySystem };
+module.exports = { MemorySystem, FACT_CATEGORIES };
@@ -82,13 +82,19 @@ class PermissionManager {
     this.auditLog = [];
   }
 
-  classify(toolName, params) {
+  /**
+   * @param {string} toolName
+   * @param {object} params
+   * @param {string} [baseLevel] - Start from this level instead of the built-in map
+   *                               (a persona's override); dangerous patterns still escalate it
+   */
+  classify(toolName, params, baseLevel) {
     // Check overrides first
     if (this.overrides.has(toolName)) {
       return this.overrides.get(toolName);
     }
 
-    let level = TOOL_PERMISSION_MAP[toolName] || 'sensitive';
+    let level = baseLevel || TOOL_PERMISSION_MAP[toolName] || 'sensitive';
 
     // Check for dangerous patterns that escalate permission level
     const patterns = DANGEROUS_PATTERNS[toolName];
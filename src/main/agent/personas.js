@@ -1,3 +1,14 @@
+const fs   = require('fs');
+const path = require('path');
+const { ToolProfile, LEVELS } = require('./tool-profile');
+const { APPROVAL_POLICIES } = require('./loop');
+
+// Icons the renderer knows how to draw for user personas (lucide names)
+const PERSONA_ICONS = ['brain', 'zap', 'search', 'settings', 'bot', 'code', 'pen', 'book', 'briefcase', 'chart', 'globe', 'terminal', 'sparkles', 'heart'];
+const VERBOSITY     = ['low', 'medium', 'high'];
+const RISK          = ['low', 'medium', 'high'];
+
+// Each persona's `tools` field is its tool permission profile — see tool-profile.js
 const PERSONAS = {
   planner: {
     name: 'planner',
@@ -12,6 +23,7 @@ const PERSONAS = {
       riskTolerance: 'low',
       preferredTools: ['fs_read', 'fs_list', 'web_search', 'llm_query'],
     },
+    tools: {},
   },
 
   executor: {
@@ -27,6 +39,9 @@ const PERSONAS = {
       riskTolerance: 'medium',
       preferredTools: ['system_exec', 'fs_write', 'fs_edit', 'app_open'],
     },
+    tools: {
+      approvalPolicy: 'auto_approve_sensitive',
+    },
   },
 
   researcher: {
@@ -42,6 +57,10 @@ const PERSONAS = {
       riskTolerance: 'low',
       preferredTools: ['web_search', 'web_fetch', 'fs_read', 'fs_search', 'llm_query'],
     },
+    tools: {
+      readOnly: true,
+      denyCategories: ['messaging', 'social-media'],
+    },
   },
 
   custom: {
@@ -57,33 +76,277 @@ const PERSONAS = {
       riskTolerance: 'low',
       preferredTools: [],
     },
+    tools: {},
   },
 };
 
+/**
+ * PersonaManager — the built-in personas plus the ones users create in Settings.
+ *
+ * User personas are kept in {userData}/personas.json and have the same shape as
+ * the built-ins, plus optional fields:
+ *   provider, model, temperature  — override the global LLM settings for runs with this persona
+ *   keywords: string[]            — words or phrases that make auto-selection pick it
+ *   examples: string[]            — prompts the persona is meant for (auto-selection compares wording)
+ * Built-ins can't be edited or deleted; clone one to customize it. A saved
+ * entry that fails validation is skipped on load and kept in the file.
+ */
 class PersonaManager {
   constructor() {
     this.personas = { ...PERSONAS };
+    this._file    = null;
+    this._invalid = []; // saved entries that failed to load — written back untouched by _save()
+  }
+
+  init(userDataPath) {
+    this._file = path.join(userDataPath, 'personas.json');
+    try {
+      if (!fs.existsSync(this._file)) return;
+      const saved = JSON.parse(fs.readFileSync(this._file, 'utf-8'));
+      for (const spec of Array.isArray(saved) ? saved : []) {
+        if (!spec?.name || PERSONAS[spec.name]) continue;
+        try {
+          this.personas[spec.name] = { ...this._normalize(spec), name: spec.name, createdAt: spec.createdAt };
+        } catch (err) {
+          console.warn(`[PersonaManager] Skipping persona "${spec.name}": ${err.message}`);
+          this._invalid.push(spec);
+        }
+      }
+    } catch (err) {
+      console.warn('[PersonaManager] Failed to load personas:', err.message);
+    }
   }
 
   get(name) {
     return this.personas[name] || this.personas.planner;
   }
 
+  has(name) {
+    return !!this.personas[name];
+  }
+
+  isBuiltIn(name) {
+    return !!PERSONAS[name];
+  }
+
   list() {
-    return Object.values(this.personas).map(({ name, label, icon, color, description }) => ({
+    return Object.values(this.personas).map(({
+      name, label, icon, color, description, tools, systemPrompt, traits,
+      provider, model, temperature, keywords, examples,
+    }) => ({
       name,
       label,
       icon,
       color,
       description,
+      tools:        tools || {},
+      builtIn:      this.isBuiltIn(name),
+      systemPrompt,
+      traits,
+      provider:     provider || null,
+      model:        model || null,
+      temperature:  temperature ?? null,
+      keywords:     keywords || [],
+      examples:     examples || [],
     }));
   }
 
+  /** The persona's tool permission profile. */
+  toolProfile(name) {
+    const persona = this.get(name);
+    return new ToolProfile(persona.tools || {}, persona.name);
+  }
+
+  /** Loop options for the persona's own provider/model/temperature (empty when it uses the global settings). */
+  modelOptions(name) {
+    const { provider, model, temperature } = this.get(name);
+    return {
+      ...(provider ? { provider } : {}),
+      ...(provider && model ? { model } : {}),
+      ...(temperature != null ? { temperature } : {}),
+    };
+  }
+
   update(name, overrides) {
     if (this.personas[name]) {
       this.personas[name] = { ...this.personas[name], ...overrides };
     }
   }
+
+  // ---------------------------------------------------------------------------
+  // User personas
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Create a user persona, or update one when `spec.name` names an existing user persona.
+   * @returns {object} The saved persona
+   * @throws on invalid fields or when `spec.name` is a built-in
+   */
+  save(spec = {}) {
+    if (spec.name && this.isBuiltIn(spec.name)) {
+      throw new Error(`"${spec.name}" is a built-in persona — clone it to make changes`);
+    }
+    const existing = spec.name ? this.personas[spec.name] : null;
+    const persona  = {
+      ...this._normalize({ ...existing, ...spec }),
+      name:      existing ? existing.name : this._uniqueName(spec.label),
+      createdAt: existing?.createdAt || Date.now(),
+    };
+    this.personas[persona.name] = persona;
+    this._save();
+    return persona;
+  }
+
+  /** Copy any persona (built-in or user) into a new, editable user persona. */
+  clone(name, overrides = {}) {
+    const source = this.personas[name];
+    if (!source) throw new Error(`Unknown persona: ${name}`);
+    const { name: _name, createdAt: _createdAt, ...fields } = source;
+    return this.save({ ...fields, label: `${source.label} (copy)`, ...overrides });
+  }
+
+  delete(name) {
+    if (this.isBuiltIn(name)) throw new Error(`"${name}" is a built-in persona and can't be deleted`);
+    if (!this.personas[name]) return false;
+    delete this.personas[name];
+    this._save();
+    return true;
+  }
+
+  /**
+   * Auto-selection scores for user personas, on the same scale as the built-in
+   * signals in AgentCore._autoSelectPersona (a strong match is worth 3).
+   * A keyword match counts as strong; an example prompt scores up to 6 by how
+   * many of its words the message shares.
+   * @returns {Object<string, number>} Only personas that scored
+   */
+  autoSelectScores(message) {
+    const msg    = String(message || '').toLowerCase();
+    const words  = new Set(_words(msg));
+    const scores = {};
+    for (const persona of Object.values(this.personas)) {
+      if (this.isBuiltIn(persona.name)) continue;
+      let score = 0;
+      for (const keyword of persona.keywords || []) {
+        const pattern = new RegExp(`(^|[^a-z0-9])${_escapeRegExp(keyword.toLowerCase())}(?![a-z0-9])`);
+        if (pattern.test(msg)) score += 3;
+      }
+      let bestExample = 0;
+      for (const example of persona.examples || []) {
+        const exampleWords = [...new Set(_words(example.toLowerCase()))];
+        if (!exampleWords.length) continue;
+        const overlap = exampleWords.filter((w) => words.has(w)).length / exampleWords.length;
+        if (overlap >= 0.5) bestExample = Math.max(bestExample, Math.round(overlap * 6));
+      }
+      score += bestExample;
+      if (score > 0) scores[persona.name] = score;
+    }
+    return scores;
+  }
+
+  _normalize(spec) {
+    const label        = String(spec.label || '').trim();
+    const systemPrompt = String(spec.systemPrompt || '').trim();
+    if (!label) throw new Error('label is required');
+    if (!systemPrompt) throw new Error('systemPrompt is required');
+
+    let temperature = spec.temperature;
+    if (temperature === '' || temperature === undefined) temperature = null;
+    if (temperature !== null) {
+      temperature = Number(temperature);
+      if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+        throw new Error('temperature must be between 0 and 2');
+      }
+    }
+
+    const traits = spec.traits || {};
+    return {
+      label,
+      icon:         PERSONA_ICONS.includes(spec.icon) ? spec.icon : 'bot',
+      color:        /^#[0-9a-f]{6}$/i.test(spec.color || '') ? spec.color : '#71717a',
+      description:  String(spec.description || '').trim(),
+      systemPrompt,
+      traits: {
+        planFirst:      traits.planFirst !== false,
+        verbosity:      VERBOSITY.includes(traits.verbosity) ? traits.verbosity : 'medium',
+        riskTolerance:  RISK.includes(traits.riskTolerance) ? traits.riskTolerance : 'low',
+        preferredTools: _list(traits.preferredTools),
+      },
+      tools:        _toolsSpec(spec.tools),
+      provider:     spec.provider || null,
+      model:        spec.provider && spec.model ? String(spec.model).trim() : null,
+      temperature,
+      keywords:     _list(spec.keywords),
+      examples:     _list(spec.examples, /\n/),
+    };
+  }
+
+  /** Slug for a new persona's label, suffixed until it's free ("auto" is reserved). */
+  _uniqueName(label) {
+    const base = String(label).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'persona';
+    let name = base;
+    for (let n = 2; this.personas[name] || name === 'auto'; n++) name = `${base}-${n}`;
+    return name;
+  }
+
+  _save() {
+    if (!this._file) return;
+    try {
+      const user = Object.values(this.personas).filter((p) => !this.isBuiltIn(p.name));
+      user.push(...this._invalid.filter((spec) => !this.personas[spec.name]));
+      fs.mkdirSync(path.dirname(this._file), { recursive: true });
+      fs.writeFileSync(this._file, JSON.stringify(user, null, 2), 'utf-8');
+    } catch (err) {
+      console.warn('[PersonaManager] Failed to save personas:', err.message);
+    }
+  }
+}
+
+// Words too common to say anything about which persona a prompt is for
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'about', 'please', 'can', 'you', 'my', 'me', 'a', 'an', 'to', 'of', 'in', 'on', 'it', 'is', 'are', 'be', 'i']);
+
+function _words(text) {
+  return (text.match(/[a-z0-9][a-z0-9'-]*/g) || []).filter((w) => w.length > 1 && !STOP_WORDS.has(w));
+}
+
+/**
+ * A persona's `tools` profile (see tool-profile.js) with lists trimmed and
+ * permission levels / approval policy checked; empty fields are dropped.
+ */
+function _toolsSpec(tools) {
+  if (!tools || typeof tools !== 'object') return {};
+  const spec = {};
+  for (const key of ['allowCategories', 'denyCategories', 'allowTools', 'denyTools']) {
+    const list = _list(tools[key]);
+    if (list.length) spec[key] = list;
+  }
+  if (tools.readOnly) spec.readOnly = true;
+
+  const permissions = {};
+  for (const [tool, level] of Object.entries(tools.permissions || {})) {
+    if (!String(tool).trim()) continue;
+    if (!LEVELS.includes(level)) throw new Error(`permission for ${tool} must be one of ${LEVELS.join(', ')}`);
+    permissions[String(tool).trim()] = level;
+  }
+  if (Object.keys(permissions).length) spec.permissions = permissions;
+
+  if (tools.approvalPolicy) {
+    if (!APPROVAL_POLICIES.includes(tools.approvalPolicy)) {
+      throw new Error(`approvalPolicy must be one of ${APPROVAL_POLICIES.join(', ')}`);
+    }
+    spec.approvalPolicy = tools.approvalPolicy;
+  }
+  return spec;
+}
+
+/** Trimmed, non-empty strings from an array or a comma-separated (or `separator`-separated) string. */
+function _list(value, separator = ',') {
+  const items = Array.isArray(value) ? value : String(value || '').split(separator);
+  return items.map((v) => String(v).trim()).filter(Boolean);
+}
+
+function _escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-module.exports = { PersonaManager, PERSONAS };
+module.exports = { PersonaManager, PERSONAS, PERSONA_ICONS };
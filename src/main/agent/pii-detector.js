@@ -1,48 +1,239 @@
 /**
  * PII Detector — scans text for Personally Identifiable Information.
- * Used by loop.js before writing tools to gate sensitive data through approvals.
+ *
+ * Two protections, configured in Settings → Permissions and stored in
+ * {userData}/pii.json:
+ *   approveWrites — loop.js asks for approval before a write tool sends PII
+ *   redact        — llm.js replaces PII with stable placeholders ([PII_EMAIL_1])
+ *                   before a request goes to a provider, and restores them in the
+ *                   response, so tool inputs run locally with the real values.
+ *                   `providers` turns it on or off per provider; local providers
+ *                   (Ollama) are off unless enabled.
+ *
+ * Matches are checked by validators where the format has one (Luhn for cards,
+ * mod-97 for IBANs, SSN area rules, JWT headers, IP ranges), and every type has
+ * a confidence score; types below `minConfidence` are ignored by both.
+ *
+ * customTypes add regex types ({ type, pattern, flags?, description?,
+ * confidence? }) to both. A pattern with a named group `value` only replaces
+ * that group, keeping labels like "password:" readable for the model.
  */
 
+const fs   = require('fs');
+const net  = require('net');
+const path = require('path');
+
+// ---------------------------------------------------------------------------
+// Validators — reject regex matches that can't be the real thing
+// ---------------------------------------------------------------------------
+
+/** Luhn checksum, used by payment card numbers. */
+function luhn(number) {
+  const digits = String(number).replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return digits.length > 0 && sum % 10 === 0;
+}
+
+// Issuer prefixes and the card lengths each one issues
+const CARD_ISSUERS = [
+  { prefix: /^4/,                      lengths: [13, 16, 19] }, // Visa
+  { prefix: /^(?:5[1-5]|2[2-7])/,      lengths: [16] },         // Mastercard
+  { prefix: /^3[47]/,                  lengths: [15] },         // Amex
+  { prefix: /^3(?:0[0-5]|[689])/,      lengths: [14, 15, 16, 17, 18, 19] }, // Diners
+  { prefix: /^35/,                     lengths: [16, 17, 18, 19] }, // JCB
+  { prefix: /^6(?:011|5|4[4-9]|22)/,   lengths: [16, 17, 18, 19] }, // Discover, UnionPay
+];
+
+/** A card number: a known issuer prefix, a length that issuer uses and a valid Luhn checksum. */
+function validCardNumber(value) {
+  const digits = String(value).replace(/[\s-]/g, '');
+  if (!/^\d{13,19}$/.test(digits)) return false;
+  const issuer = CARD_ISSUERS.find((i) => i.prefix.test(digits));
+  if (!issuer || !issuer.lengths.includes(digits.length)) return false;
+  return luhn(digits);
+}
+
+/** IBAN: country code, check digits, 11–30 characters and the ISO 7064 mod-97 checksum. */
+function validIBAN(value) {
+  const iban = String(value).replace(/\s+/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+  const numeric = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, (c) => String(c.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const ch of numeric) remainder = (remainder * 10 + Number(ch)) % 97;
+  return remainder === 1;
+}
+
+// Published in advertising and never issued
+const INVALID_SSNS = new Set(['078-05-1120', '219-09-9999']);
+
+/** US SSN area/group/serial rules: no 000, 666 or 9xx area, no 00 group, no 0000 serial. */
+function validSSN(value) {
+  const m = /^(\d{3})-(\d{2})-(\d{4})$/.exec(String(value));
+  if (!m) return false;
+  const [, area, group, serial] = m;
+  if (area === '000' || area === '666' || area[0] === '9') return false;
+  if (group === '00' || serial === '0000') return false;
+  return !INVALID_SSNS.has(value);
+}
+
+/** A JWT whose header decodes to JSON naming an algorithm. */
+function validJWT(value) {
+  try {
+    const header = JSON.parse(Buffer.from(String(value).split('.')[0], 'base64url').toString('utf-8'));
+    return !!header && typeof header.alg === 'string';
+  } catch {
+    return false;
+  }
+}
+
+/** An IPv4 address other than unspecified, loopback or broadcast; private ranges still count (they map internal networks). */
+function validIPv4(value) {
+  return net.isIPv4(value) && !/^(?:0\.0\.0\.0|127\.|255\.255\.255\.255)/.test(value);
+}
+
+/** An IPv6 address other than loopback and unspecified. */
+function validIPv6(value) {
+  return net.isIPv6(value) && value !== '::1' && value !== '::';
+}
+
+/** 10–15 digits: a full national or international (E.164) number. */
+function validPhone(value) {
+  const digits = String(value).replace(/\D/g, '');
+  return digits.length >= 10 && digits.length <= 15;
+}
+
+// ---------------------------------------------------------------------------
+// Built-in types
+// ---------------------------------------------------------------------------
+
+// Each type: pattern (global regex), description, confidence (0–1, how likely a
+// match is real PII) and an optional validate(value) that rejects false matches.
+// Order matters for redaction: earlier types claim overlapping text first.
 const PII_PATTERNS = [
+  {
+    type: 'PrivateKey',
+    pattern: /-----BEGIN (?:RSA |EC |OPENSSH )?PRIVATE KEY-----(?:[\s\S]*?-----END (?:RSA |EC |OPENSSH )?PRIVATE KEY-----)?/g,
+    description: 'Private Key',
+    confidence: 0.99,
+  },
+  {
+    type: 'JWT',
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]*/g,
+    description: 'JSON Web Token',
+    confidence: 0.95,
+    validate: validJWT,
+  },
+  {
+    type: 'GitHubToken',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g,
+    description: 'GitHub Token',
+    confidence: 0.95,
+  },
+  {
+    type: 'SlackToken',
+    pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g,
+    description: 'Slack Token',
+    confidence: 0.95,
+  },
+  {
+    type: 'OpenAIKey',
+    pattern: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}\b/g,
+    description: 'OpenAI-style Secret Key',
+    confidence: 0.9,
+  },
+  {
+    type: 'AWSKey',
+    pattern: /\bAKIA[0-9A-Z]{16}\b/g,
+    description: 'AWS Access Key ID',
+    confidence: 0.9,
+  },
+  {
+    type: 'APIKey',
+    pattern: /\b(?:api[_\-]?key|apikey|access[_\-]?token|secret[_\-]?key)["'\s:=]+(?<value>[A-Za-z0-9\-_]{20,})\b/gi,
+    description: 'API Key or Token',
+    confidence: 0.8,
+  },
+  {
+    type: 'Password',
+    pattern: /\b(?:password|passwd|pwd)["'\s:=]+(?<value>\S{6,})\b/gi,
+    description: 'Password',
+    confidence: 0.7,
+  },
+  {
+    type: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    description: 'International Bank Account Number',
+    confidence: 0.99,
+    validate: validIBAN,
+  },
+  {
+    type: 'CreditCard',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    description: 'Credit Card Number',
+    confidence: 0.95,
+    validate: validCardNumber,
+  },
   {
     type: 'SSN',
     pattern: /\b\d{3}-\d{2}-\d{4}\b/g,
     description: 'Social Security Number',
+    confidence: 0.8,
+    validate: validSSN,
   },
   {
-    type: 'CreditCard',
-    pattern: /\b(?:4[0-9]{12}(?:[0-9]{3})?|5[1-5][0-9]{14}|3[47][0-9]{13}|3(?:0[0-5]|[68][0-9])[0-9]{11}|6(?:011|5[0-9]{2})[0-9]{12})\b/g,
-    description: 'Credit Card Number',
+    type: 'NINO',
+    pattern: /\b(?!BG|GB|KN|NK|NT|TN|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g,
+    description: 'UK National Insurance Number',
+    confidence: 0.8,
+  },
+  {
+    type: 'Passport',
+    pattern: /\bpassport(?:\s*(?:no\.?|number|num|#))?["'\s:=#]+(?<value>[A-Z0-9]{6,9})\b/gi,
+    description: 'Passport Number',
+    confidence: 0.7,
+    validate: (value) => /\d/.test(value),
   },
   {
     type: 'Email',
     pattern: /\b[A-Za-z0-9._%+\-]+@[A-Za-z0-9.\-]+\.[A-Za-z]{2,}\b/g,
     description: 'Email Address',
+    confidence: 0.9,
   },
   {
     type: 'Phone',
-    pattern: /\b(?:\+?1[-.\s]?)?\(?[0-9]{3}\)?[-.\s][0-9]{3}[-.\s][0-9]{4}\b/g,
+    pattern: /(?:\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)|\d{1,4})(?:[\s.-]?\d{2,4}){2,4}|(?:\b1[-.\s]?)?(?:\(\d{3}\)[-.\s]?|\b\d{3}[-.\s])\d{3}[-.\s]\d{4})\b/g,
     description: 'Phone Number',
+    confidence: 0.6,
+    validate: validPhone,
   },
   {
-    type: 'APIKey',
-    pattern: /\b(?:api[_\-]?key|apikey|access[_\-]?token|secret[_\-]?key)["'\s:=]+[A-Za-z0-9\-_]{20,}\b/gi,
-    description: 'API Key or Token',
+    type: 'IPv6',
+    pattern: /(?<![\w:])(?:[0-9A-Fa-f]{0,4}:){2,7}[0-9A-Fa-f]{0,4}(?![\w:])/g,
+    description: 'IPv6 Address',
+    confidence: 0.6,
+    validate: validIPv6,
   },
   {
-    type: 'AWSKey',
-    pattern: /\bAKIA[0-9A-Z]{16}\b/g,
-    description: 'AWS Access Key ID',
+    type: 'IPv4',
+    // Not part of a longer dotted number, and not a version ("version 1.2.3.4", "build 10.0.19041.1")
+    pattern: /(?<!\d\.|\b(?:v|ver|version|release|build|rev)\.?\s?)\b(?:\d{1,3}\.){3}\d{1,3}\b(?!\.\d)/gi,
+    description: 'IPv4 Address',
+    confidence: 0.5,
+    validate: validIPv4,
   },
   {
-    type: 'PrivateKey',
-    pattern: /-----BEGIN (?:RSA |EC )?PRIVATE KEY-----/g,
-    description: 'Private Key',
-  },
-  {
-    type: 'Password',
-    pattern: /\b(?:password|passwd|pwd)["'\s:=]+\S{6,}\b/gi,
-    description: 'Password',
+    type: 'Address',
+    pattern: /\b\d{1,6}\s+(?:[A-Z][a-z]+\s+){1,4}(?:(?:Street|Avenue|Road|Boulevard|Lane|Drive|Court|Way|Place|Terrace|Parkway)\b|(?:St|Ave|Rd|Blvd|Ln|Dr|Ct|Pl|Pkwy)\b\.?)|(?<![\wÄÖÜäöüß])[A-ZÄÖÜ][a-zäöüß]+(?:straße|strasse|str\.|weg|platz|gasse|allee)\s+\d{1,4}[a-z]?\b/g,
+    description: 'Street Address',
+    confidence: 0.5,
   },
 ];
 
@@ -68,26 +259,189 @@ const WRITE_TOOLS = new Set([
   'notion_append_block',
 ]);
 
+// Providers that run on this machine — not redacted unless turned on per provider
+const LOCAL_PROVIDERS = new Set(['ollama', 'replay']);
+
+const DEFAULT_CONFIG = { approveWrites: true, redact: false, providers: {}, customTypes: [], minConfidence: 0.5 };
+const DEFAULT_CUSTOM_CONFIDENCE = 0.8;
+
+// [PII_EMAIL_1]; a token that may still grow into one while streaming
+const PLACEHOLDER         = /\[PII_([A-Z0-9]+)_(\d+)\]/g;
+const PARTIAL_PLACEHOLDER = /^\[(?:P(?:I(?:I(?:_[A-Z0-9_]*)?)?)?)?$/;
+
+let _configPath  = null;
+let _config      = { ...DEFAULT_CONFIG };
+let _customTypes = []; // compiled { type, pattern, description, confidence }
+
+// ---------------------------------------------------------------------------
+// Configuration
+// ---------------------------------------------------------------------------
+
+function init(userDataPath) {
+  _configPath = path.join(userDataPath, 'pii.json');
+  try {
+    const saved = JSON.parse(fs.readFileSync(_configPath, 'utf-8'));
+    _apply({ ...DEFAULT_CONFIG, ...saved });
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('[PII] Could not load pii.json:', err.message);
+  }
+}
+
+/** Current settings plus the built-in types and local providers, for the Settings UI. */
+function getConfig() {
+  return {
+    ..._config,
+    providers:      { ..._config.providers },
+    customTypes:    _config.customTypes.map((t) => ({ ...t })),
+    builtInTypes:   PII_PATTERNS.map(({ type, description, confidence }) => ({ type, description, confidence })),
+    localProviders: [...LOCAL_PROVIDERS],
+  };
+}
+
+/**
+ * Update and save the settings. Custom types are validated as a whole, so a
+ * bad pattern leaves the previous configuration in place.
+ * @param {{ approveWrites?, redact?, providers?, customTypes?, minConfidence? }} patch
+ */
+function setConfig(patch = {}) {
+  const next = { ..._config };
+  if (patch.approveWrites !== undefined) next.approveWrites = !!patch.approveWrites;
+  if (patch.redact        !== undefined) next.redact        = !!patch.redact;
+  if (patch.providers     !== undefined) {
+    next.providers = Object.fromEntries(
+      Object.entries(patch.providers || {}).filter(([, on]) => typeof on === 'boolean')
+    );
+  }
+  if (patch.customTypes !== undefined) next.customTypes = patch.customTypes || [];
+  if (patch.minConfidence !== undefined) next.minConfidence = patch.minConfidence;
+  _apply(next);
+  if (_configPath) fs.writeFileSync(_configPath, JSON.stringify(_config, null, 2), 'utf-8');
+  return getConfig();
+}
+
+function _apply(config) {
+  const builtIn  = new Set(PII_PATTERNS.map((p) => p.type.toUpperCase()));
+  const seen     = new Set();
+  const compiled = [];
+  const stored   = [];
+  for (const spec of Array.isArray(config.customTypes) ? config.customTypes : []) {
+    const type = String(spec?.type || '').trim();
+    if (!/^[A-Za-z][A-Za-z0-9]{0,31}$/.test(type)) {
+      throw new Error(`Custom PII type "${type}" must be a letter followed by up to 31 letters or digits`);
+    }
+    if (builtIn.has(type.toUpperCase()) || seen.has(type.toUpperCase())) {
+      throw new Error(`PII type "${type}" already exists`);
+    }
+    seen.add(type.toUpperCase());
+
+    const flags = [...new Set(`${String(spec.flags || '').replace(/[^imsu]/g, '')}g`)].join('');
+    let pattern;
+    try {
+      pattern = new RegExp(String(spec.pattern || ''), flags);
+    } catch (err) {
+      throw new Error(`Invalid pattern for ${type}: ${err.message}`);
+    }
+    if (!spec.pattern || pattern.test('')) throw new Error(`Pattern for ${type} must not match empty text`);
+    pattern.lastIndex = 0;
+
+    const confidence = spec.confidence ?? DEFAULT_CUSTOM_CONFIDENCE;
+    if (typeof confidence !== 'number' || confidence < 0 || confidence > 1) {
+      throw new Error(`Confidence for ${type} must be a number from 0 to 1`);
+    }
+
+    const description = String(spec.description || '').trim() || type;
+    compiled.push({ type, pattern, description, confidence });
+    stored.push({ type, pattern: pattern.source, flags: flags.replace('g', ''), description, confidence });
+  }
+
+  const minConfidence = config.minConfidence ?? DEFAULT_CONFIG.minConfidence;
+  if (typeof minConfidence !== 'number' || minConfidence < 0 || minConfidence > 1) {
+    throw new Error('minConfidence must be a number from 0 to 1');
+  }
+
+  _config = {
+    approveWrites: config.approveWrites !== false,
+    redact:        !!config.redact,
+    providers:     config.providers && typeof config.providers === 'object' ? config.providers : {},
+    customTypes:   stored,
+    minConfidence,
+  };
+  _customTypes = compiled;
+}
+
+/** Built-in and custom patterns, built-ins first. */
+function _patterns() {
+  return [...PII_PATTERNS, ..._customTypes];
+}
+
+/** Whether requests to a provider are redacted. */
+function shouldRedact(provider) {
+  if (!_config.redact || !provider) return false;
+  return _config.providers[provider] ?? !LOCAL_PROVIDERS.has(provider);
+}
+
+// ---------------------------------------------------------------------------
+// Detection
+// ---------------------------------------------------------------------------
+
+/**
+ * Every PII value in a text, in order. Types are tried in PII_PATTERNS order
+ * and a match never overlaps an earlier one (or an existing placeholder), so
+ * e.g. an IBAN's digits are not also reported as a card number.
+ * @returns {Array<{ type, description, confidence, value, start, end }>}
+ */
+function _detect(text, minConfidence = _config.minConfidence) {
+  const found   = [];
+  const claimed = [...text.matchAll(PLACEHOLDER)].map((m) => [m.index, m.index + m[0].length]);
+  const overlaps = (start, end) => claimed.some(([a, b]) => start < b && end > a);
+
+  for (const { type, pattern, description, confidence, validate } of _patterns()) {
+    if (confidence < minConfidence) continue;
+    for (const m of text.matchAll(pattern)) {
+      // A named group `value` narrows the match to the part that is PII
+      const value = m.groups?.value || m[0];
+      if (!value) continue;
+      const start = m.index + (m.groups?.value ? m[0].lastIndexOf(value) : 0);
+      const end   = start + value.length;
+      if (overlaps(start, end) || (validate && !validate(value))) continue;
+      claimed.push([start, end]);
+      found.push({ type, description, confidence, value, start, end });
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Every PII value in a text with its position and confidence (what redaction replaces).
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {number} [opts.minConfidence] - Ignore types scored below this (default: the configured value)
+ * @returns {Array<{ type, description, confidence, value, start, end }>}
+ */
+function detect(text, { minConfidence } = {}) {
+  if (!text || typeof text !== 'string') return [];
+  return _detect(text, minConfidence);
+}
+
 /**
  * Scan text for PII patterns.
  * @param {string} text
- * @returns {{ found: boolean, findings: Array<{type: string, count: number, description: string}> }}
+ * @param {object} [opts]
+ * @param {number} [opts.minConfidence] - Ignore types scored below this (default: the configured value)
+ * @returns {{ found: boolean, findings: Array<{type: string, count: number, description: string, confidence: number}> }}
  */
-function scan(text) {
+function scan(text, { minConfidence } = {}) {
   if (!text || typeof text !== 'string') {
     return { found: false, findings: [] };
   }
 
-  const findings = [];
-
-  for (const { type, pattern, description } of PII_PATTERNS) {
-    pattern.lastIndex = 0;
-    const matches = text.match(pattern);
-    if (matches && matches.length > 0) {
-      findings.push({ type, count: matches.length, description });
-    }
-    pattern.lastIndex = 0;
+  const byType = new Map();
+  for (const { type, description, confidence } of _detect(text, minConfidence)) {
+    const finding = byType.get(type) || { type, count: 0, description, confidence };
+    finding.count++;
+    byType.set(type, finding);
   }
+  const findings = [...byType.values()];
 
   return {
     found: findings.length > 0,
@@ -107,4 +461,143 @@ function summarizeFindings(findings) {
     .join(', ');
 }
 
-module.exports = { scan, summarizeFindings, WRITE_TOOLS, PII_PATTERNS };
+// ---------------------------------------------------------------------------
+// Redaction
+// ---------------------------------------------------------------------------
+
+/**
+ * Maps PII values to placeholders and back. The same value always gets the
+ * same placeholder, so one redactor per session keeps the conversation the
+ * model sees consistent from turn to turn.
+ */
+class PIIRedactor {
+  constructor() {
+    this._placeholders = new Map(); // value → placeholder
+    this._values       = new Map(); // placeholder → value
+    this._counts       = new Map(); // TYPE → last number used
+  }
+
+  appliesTo(provider) {
+    return shouldRedact(provider);
+  }
+
+  /** Number of distinct values redacted so far. */
+  get size() {
+    return this._values.size;
+  }
+
+  /** Replace every PII value in a string with its placeholder. */
+  redactText(text) {
+    if (!text || typeof text !== 'string') return text;
+    let out = '';
+    let pos = 0;
+    for (const { type, value, start, end } of _detect(text)) {
+      out += text.slice(pos, start) + this._placeholder(type, value);
+      pos  = end;
+    }
+    return out + text.slice(pos);
+  }
+
+  /**
+   * Redact a conversation in llm.js's internal message format. Returns new
+   * message objects; images and ids are left alone.
+   */
+  redactMessages(messages) {
+    return messages.map((m) => {
+      if (m.role === 'tool_results') {
+        return { ...m, results: m.results.map((r) => ({ ...r, content: this.redactText(r.content) })) };
+      }
+      if (!Array.isArray(m.content)) return { ...m, content: this.redactText(m.content) };
+      return {
+        ...m,
+        content: m.content.map((b) => {
+          if (b.type === 'text')        return { ...b, text: this.redactText(b.text) };
+          if (b.type === 'tool_use')    return { ...b, input: this._redactValue(b.input) };
+          if (b.type === 'tool_result') return { ...b, content: this._redactValue(b.content) };
+          return b;
+        }),
+      };
+    });
+  }
+
+  /** Put the real values back into a string, or every string in an object/array. */
+  restore(value) {
+    if (typeof value === 'string') {
+      if (!value.includes('[PII_')) return value;
+      return value.replace(PLACEHOLDER, (ph) => (this._values.has(ph) ? this._values.get(ph) : ph));
+    }
+    if (Array.isArray(value)) return value.map((v) => this.restore(v));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this.restore(v)]));
+    }
+    return value;
+  }
+
+  /**
+   * Wrap a streaming token callback so placeholders split across tokens are
+   * restored whole. Call flush() when the response ends.
+   * @returns {{ push: (token: string) => void, flush: () => void }}
+   */
+  restoreStream(onToken) {
+    let pending = '';
+    const emit = (text) => { if (text) onToken(this.restore(text)); };
+    return {
+      push: (token) => {
+        pending += token;
+        const open = pending.lastIndexOf('[');
+        if (open !== -1 && PARTIAL_PLACEHOLDER.test(pending.slice(open))) {
+          emit(pending.slice(0, open));
+          pending = pending.slice(open);
+        } else {
+          emit(pending);
+          pending = '';
+        }
+      },
+      flush: () => {
+        emit(pending);
+        pending = '';
+      },
+    };
+  }
+
+  _redactValue(value) {
+    if (typeof value === 'string') return this.redactText(value);
+    if (Array.isArray(value)) return value.map((v) => this._redactValue(v));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this._redactValue(v)]));
+    }
+    return value;
+  }
+
+  _placeholder(type, value) {
+    let ph = this._placeholders.get(value);
+    if (!ph) {
+      const key = type.toUpperCase();
+      const n   = (this._counts.get(key) || 0) + 1;
+      this._counts.set(key, n);
+      ph = `[PII_${key}_${n}]`;
+      this._placeholders.set(value, ph);
+      this._values.set(ph, value);
+    }
+    return ph;
+  }
+}
+
+function createRedactor() {
+  return new PIIRedactor();
+}
+
+module.exports = {
+  scan,
+  detect,
+  summarizeFindings,
+  init,
+  getConfig,
+  setConfig,
+  shouldRedact,
+  createRedactor,
+  PIIRedactor,
+  validators: { luhn, validCardNumber, validIBAN, validSSN, validJWT, validIPv4, validIPv6, validPhone },
+  WRITE_TOOLS,
+  PII_PATTERNS,
+};
@@ -1,6 +1,28 @@
 const { callLLM } = require('./llm');
 const os = require('os');
 
+const PLAN_SCHEMA = {
+  type: 'object',
+  required: ['goal', 'steps'],
+  properties: {
+    goal:  { type: 'string' },
+    steps: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'tool', 'params'],
+        properties: {
+          id:          { type: 'integer' },
+          description: { type: 'string' },
+          tool:        { type: 'string' },
+          params:      { type: 'object' },
+          dependsOn:   { type: 'array', items: { type: 'integer' } },
+        },
+      },
+    },
+  },
+};
+
 class TaskPlanner {
   async decompose(userMessage, { persona, context, memories, availableTools, conversationHistory }) {
     const toolDescriptions = availableTools
@@ -63,9 +85,7 @@ CRITICAL RULES:
 14. For reading binary files (PDF, DOCX, XLSX, PPTX), use fs_read — the system handles extraction automatically.`;
 
     try {
-      const response = await callLLM(systemPrompt, userMessage);
-      const parsed = this.parseJSON(response);
-      return parsed || this.fallbackPlan(userMessage);
+      return await callLLM(systemPrompt, userMessage, { responseSchema: PLAN_SCHEMA });
     } catch (err) {
       console.error('[Planner] decompose error:', err.message);
       return this.fallbackPlan(userMessage);
@@ -91,8 +111,7 @@ ${priorSummary}
 Create a revised plan that works around this failure. Only include the REMAINING steps (from step ${failedStepIndex + 1} onward). Use concrete params based on prior results. Respond with the same JSON format.`;
 
     try {
-      const response = await callLLM(persona.systemPrompt, prompt);
-      return this.parseJSON(response);
+      return await callLLM(persona.systemPrompt, prompt, { responseSchema: PLAN_SCHEMA });
     } catch {
       return null;
     }
@@ -164,23 +183,6 @@ Summarize these results in a clear, helpful response to the user. Include releva
     return summary;
   }
 
-  parseJSON(text) {
-    // Extract JSON from potentially markdown-wrapped response
-    const jsonMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/) || text.match(/(\{[\s\S]*\})/);
-    if (jsonMatch) {
-      try {
-        return JSON.parse(jsonMatch[1].trim());
-      } catch {
-        // Fall through
-      }
-    }
-    try {
-      return JSON.parse(text);
-    } catch {
-      return null;
-    }
-  }
-
   fallbackPlan(message) {
     const homeDir = os.homedir();
     const lowerMsg = message.toLowerCase();
@@ -3,12 +3,62 @@
  *
  * Rules can block, require approval, or warn before tool execution.
  * Loaded from {userData}/policies.json + built-in default rules.
+ *
+ * Rule:
+ *   { id, name, description, tool: 'fs_write' | ['fs_write', 'fs_edit'] | '*',
+ *     condition, action: 'block' | 'require_approval' | 'warn',
+ *     rate_limit?: { max: 5, per: 'minute' | 'hour' | 'day' | <ms> } }
+ *
+ * Condition — every key must hold:
+ *   <param>: { matches, not_matches, eq, ne, contains,     // strings (matches = case-insensitive regex)
+ *              gt, gte, lt, lte,                          // numbers
+ *              in: [..], not_in: [..],                    // arrays: every element in / none in
+ *              exists: bool,
+ *              length: { <checks> },                      // string / array length
+ *              file_size: { <checks> } }                  // size in bytes of the file at that path
+ *   $all: [condition, ...]   every one holds
+ *   $any: [condition, ...]   at least one holds
+ *   $not: condition          it doesn't hold
+ *   $time: { after: '22:00', before: '06:00', days: ['sat', 'sun'] }   local time (windows may wrap midnight)
+ * Params may be dotted paths (options.limit). A check on a param the call
+ * doesn't have fails, unless it is { exists: false }.
+ *
+ * A rule with a rate_limit fires only once `max` calls it covers (tool and
+ * condition) have run within `per`. AgentLoop reports each call that runs
+ * through recordCall(); counts are kept in memory.
+ *
+ * Managed rules come from a team policy bundle at a configured path, signed
+ * with the team's private key and verified with its public key:
+ *   { version: 1, name, issuedAt, rules: [...], signature: base64 }
+ * The signature covers the canonical JSON of everything but `signature`
+ * (see signBundle / scripts/sign-policies.js). Managed rules are evaluated
+ * after the built-ins and before user rules, and can't be edited, removed or
+ * shadowed by imports. The last bundle that verified is kept in
+ * {userData}/managed-policies.json and stays in force if the file later goes
+ * missing or fails verification, so editing it can't quietly drop rules.
+ * OPENDESKTOP_MANAGED_POLICY / OPENDESKTOP_MANAGED_POLICY_KEY (PEM text or a
+ * path to it) set the source for a whole machine and lock it in the UI.
+ *
+ * A source set in the UI locks once it has verified: the cache records it, and
+ * from then on neither the UI nor an edited policies.json can clear it or swap
+ * the bundle or key. Only an administrator can, through the machine-level
+ * config (see machineConfigFile()), which is outside userData:
+ *   { "path": "...", "publicKey": "..." }  — set the source machine-wide (locked)
+ *   { "allowUserChanges": true }           — let users change or remove it again
  */
 
-const fs   = require('fs');
-const path = require('path');
+const crypto = require('crypto');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
 const { v4: uuidv4 } = require('uuid');
 
+const ACTIONS      = ['block', 'require_approval', 'warn']; // strictest first
+const OPERATORS    = ['matches', 'not_matches', 'eq', 'ne', 'contains', 'gt', 'gte', 'lt', 'lte', 'in', 'not_in', 'exists', 'length', 'file_size'];
+const DAYS         = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const RATE_WINDOWS = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+const BUNDLE_VERSION = 1;
+
 // Default built-in rules (always applied)
 const DEFAULT_RULES = [
   {
@@ -53,6 +103,10 @@ class PolicyEngine {
     this._userDataPath = null;
     this._policiesFile = null;
     this._userRules    = [];
+    this._calls        = new Map(); // ruleId → timestamps of calls counted against its rate_limit
+    this._managedFrom  = null;      // { path, publicKey } configured in the UI (policies.json)
+    this._managedRules = [];
+    this._managed      = { status: 'none', error: null, name: null, issuedAt: null, verifiedAt: null };
   }
 
   // ---------------------------------------------------------------------------
@@ -63,7 +117,8 @@ class PolicyEngine {
     this._userDataPath = userDataPath;
     this._policiesFile = path.join(userDataPath, 'policies.json');
     this._load();
-    console.log(`[PolicyEngine] ${DEFAULT_RULES.length} built-in + ${this._userRules.length} user rules`);
+    this.reloadManaged();
+    console.log(`[PolicyEngine] ${DEFAULT_RULES.length} built-in + ${this._managedRules.length} managed + ${this._userRules.length} user rules`);
   }
 
   _load() {
@@ -71,7 +126,8 @@ class PolicyEngine {
       if (fs.existsSync(this._policiesFile)) {
         const raw  = fs.readFileSync(this._policiesFile, 'utf-8');
         const data = JSON.parse(raw);
-        this._userRules = Array.isArray(data.rules) ? data.rules : [];
+        this._userRules   = Array.isArray(data.rules) ? data.rules : [];
+        this._managedFrom = data.managed?.path ? data.managed : null;
       }
     } catch (err) {
       console.warn('[PolicyEngine] Failed to load policies.json:', err.message);
@@ -83,7 +139,7 @@ class PolicyEngine {
     try {
       fs.writeFileSync(
         this._policiesFile,
-        JSON.stringify({ rules: this._userRules }, null, 2),
+        JSON.stringify({ rules: this._userRules, ...(this._managedFrom ? { managed: this._managedFrom } : {}) }, null, 2),
         'utf-8'
       );
     } catch (err) {
@@ -96,45 +152,98 @@ class PolicyEngine {
   // ---------------------------------------------------------------------------
 
   /**
-   * Evaluate all rules for a given tool call.
+   * Evaluate all rules for a given tool call. The strictest matching rule
+   * decides (block > require_approval > warn); among equals, the first one —
+   * so a built-in warning never hides a managed or user block.
+   * @param {string} toolName
+   * @param {object} input
+   * @param {{ now?: Date }} [opts] - Evaluate as if at this time (time windows, rate limits)
+   * @returns {{ allowed: boolean, action: string, message: string, ruleId: string|null, ruleName?: string, reason?: string }}
+   */
+  evaluate(toolName, input, { now = new Date() } = {}) {
+    return this._evaluate(toolName, input, now, null);
+  }
+
+  /**
+   * Evaluate a hypothetical tool call without counting it, and explain the
+   * outcome: the deciding rule, why it matched, and why each other rule for
+   * the tool did or didn't.
    * @param {string} toolName
    * @param {object} input
-   * @returns {{ allowed: boolean, action: string, message: string, ruleId: string|null }}
+   * @param {{ at?: string|number }} [opts] - Time to evaluate at (default now)
+   * @returns {{ allowed, action, message, ruleId, ruleName?, reason?, trace: Array<{ ruleId, name, action, builtin, matched, reason }> }}
    */
-  evaluate(toolName, input) {
-    const allRules = [...DEFAULT_RULES, ...this._userRules];
+  test(toolName, input, { at } = {}) {
+    const now = at ? new Date(at) : new Date();
+    if (Number.isNaN(now.getTime())) throw new Error(`Invalid time: ${at}`);
+    const trace = [];
+    return { ...this._evaluate(toolName, input || {}, now, trace), trace };
+  }
+
+  /** Count a call that is about to run against the rate limits of the rules covering it. */
+  recordCall(toolName, input, now = new Date()) {
+    for (const rule of this._allRules()) {
+      if (!rule.rate_limit || !this._toolMatches(rule.tool, toolName)) continue;
+      if (!this._conditionMatches(rule.condition, input, now).ok) continue;
+      const windowMs = _rateWindow(rule.rate_limit.per);
+      const calls    = (this._calls.get(rule.id) || []).filter((t) => t > now.getTime() - windowMs);
+      calls.push(now.getTime());
+      this._calls.set(rule.id, calls);
+    }
+  }
 
-    for (const rule of allRules) {
+  _evaluate(toolName, input, now, trace) {
+    let decider = null;
+    for (const rule of this._allRules()) {
       if (!this._toolMatches(rule.tool, toolName)) continue;
-      if (!this._conditionMatches(rule.condition, input)) continue;
-
-      if (rule.action === 'block') {
-        return {
-          allowed: false,
-          action: 'block',
-          message: `Blocked by policy "${rule.name}": ${rule.description || ''}`,
-          ruleId: rule.id,
-        };
-      }
-      if (rule.action === 'require_approval') {
-        return {
-          allowed: true,
-          action: 'require_approval',
-          message: `Policy "${rule.name}" requires approval: ${rule.description || ''}`,
-          ruleId: rule.id,
-        };
-      }
-      if (rule.action === 'warn') {
-        return {
-          allowed: true,
-          action: 'warn',
-          message: `Policy warning from "${rule.name}": ${rule.description || ''}`,
-          ruleId: rule.id,
-        };
+      const match = this._conditionMatches(rule.condition, input, now);
+      let reason  = match.reason;
+      let matched = match.ok;
+      if (matched && rule.rate_limit) {
+        const { max, per } = rule.rate_limit;
+        const used = this._recentCalls(rule.id, _rateWindow(per), now);
+        matched = used >= max;
+        reason  = `${reason}; ${used} of ${max} calls per ${per} used`;
       }
+      trace?.push({ ruleId: rule.id, name: rule.name, action: rule.action, builtin: !!rule.builtin, matched, reason });
+      if (!matched || !ACTIONS.includes(rule.action)) continue;
+      if (!decider || ACTIONS.indexOf(rule.action) < ACTIONS.indexOf(decider.rule.action)) decider = { rule, reason };
+    }
+    if (!decider) return { allowed: true, action: 'allow', message: '', ruleId: null };
+
+    const { rule, reason } = decider;
+    const limit  = rule.rate_limit ? ` (limit: ${rule.rate_limit.max} per ${rule.rate_limit.per})` : '';
+    const fired  = { ruleId: rule.id, ruleName: rule.name, reason };
+    if (rule.action === 'block') {
+      return {
+        allowed: false,
+        action: 'block',
+        message: `Blocked by policy "${rule.name}": ${rule.description || ''}${limit}`,
+        ...fired,
+      };
     }
+    if (rule.action === 'require_approval') {
+      return {
+        allowed: true,
+        action: 'require_approval',
+        message: `Policy "${rule.name}" requires approval: ${rule.description || ''}${limit}`,
+        ...fired,
+      };
+    }
+    return {
+      allowed: true,
+      action: 'warn',
+      message: `Policy warning from "${rule.name}": ${rule.description || ''}${limit}`,
+      ...fired,
+    };
+  }
+
+  _allRules() {
+    return [...DEFAULT_RULES, ...this._managedRules, ...this._userRules];
+  }
 
-    return { allowed: true, action: 'allow', message: '', ruleId: null };
+  _recentCalls(ruleId, windowMs, now) {
+    return (this._calls.get(ruleId) || []).filter((t) => t > now.getTime() - windowMs && t <= now.getTime()).length;
   }
 
   _toolMatches(ruleTools, toolName) {
@@ -144,28 +253,61 @@ class PolicyEngine {
     return false;
   }
 
-  _conditionMatches(condition, input) {
-    if (!condition || Object.keys(condition).length === 0) return true;
-    if (!input) return false;
+  /** @returns {{ ok: boolean, reason: string }} reason says why it held, or the first part that didn't */
+  _conditionMatches(condition, input, now = new Date()) {
+    if (!condition || Object.keys(condition).length === 0) return { ok: true, reason: 'always applies' };
 
-    for (const [field, checks] of Object.entries(condition)) {
-      const value  = input[field];
-      if (value === undefined || value === null) continue;
-      const strVal = String(value);
+    const reasons = [];
+    for (const [key, spec] of Object.entries(condition)) {
+      const result = this._clause(key, spec, input || {}, now);
+      if (!result.ok) return result;
+      reasons.push(result.reason);
+    }
+    return { ok: true, reason: reasons.join(' and ') };
+  }
 
-      if (checks.matches) {
-        try {
-          if (!new RegExp(checks.matches, 'i').test(strVal)) return false;
-        } catch { return false; }
+  _clause(key, spec, input, now) {
+    switch (key) {
+      case '$all': {
+        const reasons = [];
+        for (const condition of spec) {
+          const result = this._conditionMatches(condition, input, now);
+          if (!result.ok) return result;
+          reasons.push(result.reason);
+        }
+        return { ok: true, reason: `(${reasons.join(' and ')})` };
+      }
+      case '$any': {
+        const misses = [];
+        for (const condition of spec) {
+          const result = this._conditionMatches(condition, input, now);
+          if (result.ok) return result;
+          misses.push(result.reason);
+        }
+        return { ok: false, reason: `none of: ${misses.join('; ')}` };
       }
-      if (checks.eq !== undefined) {
-        if (strVal !== String(checks.eq)) return false;
+      case '$not': {
+        const result = this._conditionMatches(spec, input, now);
+        return { ok: !result.ok, reason: result.ok ? `excluded because ${result.reason}` : `not (${result.reason})` };
       }
-      if (checks.contains !== undefined) {
-        if (!strVal.toLowerCase().includes(String(checks.contains).toLowerCase())) return false;
+      case '$time':
+        return _timeWindow(spec, now);
+      default:
+        return _fieldCheck(key, _get(input, key), spec);
+    }
+  }
+
+  /** Throws when a rule's action, condition or rate_limit is malformed. */
+  _validate(rule) {
+    if (!ACTIONS.includes(rule.action)) throw new Error(`Unknown action "${rule.action}" (use ${ACTIONS.join(', ')})`);
+    _validateCondition(rule.condition || {});
+    if (rule.rate_limit) {
+      const { max, per } = rule.rate_limit;
+      if (!Number.isInteger(max) || max < 1) throw new Error('rate_limit.max must be a positive integer');
+      if (!RATE_WINDOWS[per] && !(Number.isFinite(per) && per > 0)) {
+        throw new Error(`rate_limit.per must be ${Object.keys(RATE_WINDOWS).join(', ')} or milliseconds`);
       }
     }
-    return true;
   }
 
   // ---------------------------------------------------------------------------
@@ -175,11 +317,18 @@ class PolicyEngine {
   listRules() {
     return [
       ...DEFAULT_RULES.map((r) => ({ ...r, builtin: true })),
+      ...this._managedRules.map((r) => ({ ...r, builtin: false, managed: true })),
       ...this._userRules.map((r) => ({ ...r, builtin: false })),
     ];
   }
 
+  /** True for rule IDs users can't change (built-in and managed rules). */
+  _locked(id) {
+    return DEFAULT_RULES.some((r) => r.id === id) || this._managedRules.some((r) => r.id === id);
+  }
+
   addRule(rule) {
+    if (rule.id && this._locked(rule.id)) throw new Error(`Rule ${rule.id} is locked`);
     const newRule = {
       id:          rule.id || `rule_${uuidv4().slice(0, 8)}`,
       name:        rule.name        || 'Custom Rule',
@@ -187,8 +336,10 @@ class PolicyEngine {
       tool:        rule.tool        || '*',
       condition:   rule.condition   || {},
       action:      rule.action      || 'warn',
+      ...(rule.rate_limit ? { rate_limit: rule.rate_limit } : {}),
       builtin:     false,
     };
+    this._validate(newRule);
     this._userRules.push(newRule);
     this._save();
     return newRule;
@@ -197,6 +348,7 @@ class PolicyEngine {
   removeRule(id) {
     const before = this._userRules.length;
     this._userRules = this._userRules.filter((r) => r.id !== id);
+    this._calls.delete(id);
     if (this._userRules.length < before) {
       this._save();
       return true;
@@ -207,12 +359,437 @@ class PolicyEngine {
   updateRule(id, updates) {
     const idx = this._userRules.findIndex((r) => r.id === id);
     if (idx === -1) return null;
-    this._userRules[idx] = { ...this._userRules[idx], ...updates };
+    const updated = { ...this._userRules[idx], ...updates };
+    this._validate(updated);
+    this._userRules[idx] = updated;
+    this._calls.delete(id);
     this._save();
     return this._userRules[idx];
   }
+
+  // ---------------------------------------------------------------------------
+  // Import / Export
+  // ---------------------------------------------------------------------------
+
+  /** User rules as a portable bundle (built-in and managed rules are left out). */
+  exportRules() {
+    return {
+      version:    BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      rules:      this._userRules.map(({ builtin: _builtin, ...rule }) => rule),
+    };
+  }
+
+  /**
+   * Add rules from an exported bundle (or a plain array of rules). A rule whose
+   * id matches a user rule replaces it; one that would shadow a built-in or
+   * managed rule gets a new id. Invalid rules are skipped.
+   * @param {object|Array} bundle
+   * @param {{ replace?: boolean }} [opts] - Drop all existing user rules first
+   * @returns {{ added: number, updated: number, skipped: Array<{ name: string, error: string }> }}
+   */
+  importRules(bundle, { replace = false } = {}) {
+    const rules = Array.isArray(bundle) ? bundle : bundle?.rules;
+    if (!Array.isArray(rules)) throw new Error('Not a policy export: expected { rules: [...] }');
+
+    const next    = replace ? [] : [...this._userRules];
+    const result  = { added: 0, updated: 0, skipped: [] };
+    for (const raw of rules) {
+      const rule = {
+        id:          raw?.id && !this._locked(raw.id) ? String(raw.id) : `rule_${uuidv4().slice(0, 8)}`,
+        name:        raw?.name        || 'Imported Rule',
+        description: raw?.description || '',
+        tool:        raw?.tool        || '*',
+        condition:   raw?.condition   || {},
+        action:      raw?.action      || 'warn',
+        ...(raw?.rate_limit ? { rate_limit: raw.rate_limit } : {}),
+        builtin:     false,
+      };
+      try {
+        this._validate(rule);
+      } catch (err) {
+        result.skipped.push({ name: rule.name, error: err.message });
+        continue;
+      }
+      const idx = next.findIndex((r) => r.id === rule.id);
+      if (idx === -1) {
+        next.push(rule);
+        result.added++;
+      } else {
+        next[idx] = rule;
+        result.updated++;
+      }
+      this._calls.delete(rule.id);
+    }
+
+    this._userRules = next;
+    this._save();
+    return result;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Managed (team) policy
+  // ---------------------------------------------------------------------------
+
+  /** Admin-only settings file for the managed policy (not writable by normal users). */
+  machineConfigFile() {
+    if (process.platform === 'darwin') return '/Library/Application Support/OpenDesktop/managed-policy.json';
+    if (process.platform === 'win32') {
+      return path.join(process.env.ProgramData || 'C:\\ProgramData', 'OpenDesktop', 'managed-policy.json');
+    }
+    return '/etc/opendesktop/managed-policy.json';
+  }
+
+  _machineConfig() {
+    try {
+      return JSON.parse(fs.readFileSync(this.machineConfigFile(), 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Where the managed bundle comes from: the environment, then the machine
+   * config, then the source that last verified (locked), then the UI setting.
+   * `lockedBy` says why users can't change it: 'env' | 'machine' | 'verified' | null.
+   */
+  _managedSource() {
+    if (process.env.OPENDESKTOP_MANAGED_POLICY) {
+      return {
+        path:      process.env.OPENDESKTOP_MANAGED_POLICY,
+        publicKey: process.env.OPENDESKTOP_MANAGED_POLICY_KEY || '',
+        fromEnv:   true,
+        lockedBy:  'env',
+      };
+    }
+    const machine = this._machineConfig();
+    if (machine?.path) {
+      return { path: machine.path, publicKey: machine.publicKey || '', fromEnv: false, lockedBy: 'machine' };
+    }
+    const verified = this._readManagedCache()?.source;
+    if (verified?.path && !machine?.allowUserChanges) {
+      return { ...verified, fromEnv: false, lockedBy: 'verified' };
+    }
+    return this._managedFrom ? { ...this._managedFrom, fromEnv: false, lockedBy: null } : null;
+  }
+
+  /**
+   * Point at a managed policy bundle and its verification key, or clear it
+   * (no path). Refused once a source is locked (see _managedSource), so a
+   * user can't drop or replace verified team rules.
+   * @returns {object} The new managed status
+   */
+  setManagedSource({ path: bundlePath, publicKey } = {}) {
+    const current = this._managedSource();
+    if (current?.lockedBy === 'env') {
+      throw new Error('The managed policy is set by OPENDESKTOP_MANAGED_POLICY and can\'t be changed here');
+    }
+    if (current?.lockedBy) {
+      throw new Error(`The managed policy is locked; an administrator can change it in ${this.machineConfigFile()}`);
+    }
+    if (bundlePath && !publicKey) throw new Error('A public key is required to verify the managed policy');
+    if (publicKey) _publicKey(publicKey); // throws on a malformed key
+    this._managedFrom = bundlePath ? { path: bundlePath, publicKey } : null;
+    this._save();
+    // Reached without a lock only when nothing verified yet or an admin allowed changes
+    this._clearManagedCache();
+    this.reloadManaged();
+    return this.getManagedStatus();
+  }
+
+  /**
+   * Load and verify the managed bundle. When it is missing or fails
+   * verification, the last verified copy stays in force.
+   */
+  reloadManaged() {
+    const source = this._managedSource();
+    if (!source) {
+      this._managedRules = [];
+      this._managed      = { status: 'none', error: null, name: null, issuedAt: null, verifiedAt: null };
+      return this.getManagedStatus();
+    }
+
+    try {
+      const bundle = JSON.parse(fs.readFileSync(source.path, 'utf-8'));
+      this._verifyBundle(bundle, source.publicKey);
+      this._useManaged(bundle, { status: 'verified', error: null, verifiedAt: Date.now() });
+      this._writeManagedCache(bundle, source);
+    } catch (err) {
+      const cached = this._readManagedCache();
+      let fallback = null;
+      try {
+        if (cached) {
+          this._verifyBundle(cached.bundle, source.publicKey);
+          fallback = cached;
+        }
+      } catch { /* cache doesn't verify with this key either */ }
+
+      if (fallback) {
+        this._useManaged(fallback.bundle, { status: 'stale', error: err.message, verifiedAt: fallback.verifiedAt });
+        console.warn(`[PolicyEngine] Managed policy not verified (${err.message}) — keeping the last verified copy`);
+      } else {
+        this._managedRules = [];
+        this._managed      = { status: 'invalid', error: err.message, name: null, issuedAt: null, verifiedAt: null };
+        console.warn(`[PolicyEngine] Managed policy not loaded: ${err.message}`);
+      }
+    }
+    return this.getManagedStatus();
+  }
+
+  /**
+   * @returns {{ status: 'none'|'verified'|'stale'|'invalid', error, name, issuedAt, verifiedAt,
+   *             path, fromEnv, locked, lockedBy, machineConfig, rules: number }}
+   *   stale — the file is missing or fails verification; the last verified copy is enforced
+   */
+  getManagedStatus() {
+    const source = this._managedSource();
+    return {
+      ...this._managed,
+      path:          source?.path || null,
+      fromEnv:       !!source?.fromEnv,
+      locked:        !!source?.lockedBy,
+      lockedBy:      source?.lockedBy || null,
+      machineConfig: this.machineConfigFile(),
+      rules:         this._managedRules.length,
+    };
+  }
+
+  _verifyBundle(bundle, publicKey) {
+    if (!publicKey) throw new Error('No public key configured for the managed policy');
+    if (!bundle || !Array.isArray(bundle.rules)) throw new Error('Not a policy bundle: expected { rules: [...] }');
+    if (!bundle.signature) throw new Error('Policy bundle is not signed');
+    const { signature, ...content } = bundle;
+    const key = _publicKey(publicKey);
+    const ok  = crypto.verify(_digestFor(key), Buffer.from(_canonicalJSON(content)), key, Buffer.from(signature, 'base64'));
+    if (!ok) throw new Error('Policy bundle signature does not match — the file was changed or signed with another key');
+    bundle.rules.forEach((rule, i) => {
+      if (!rule?.id) throw new Error(`Managed rule ${i} has no id`);
+      this._validate(rule);
+    });
+  }
+
+  _useManaged(bundle, state) {
+    this._managedRules = bundle.rules.map((r) => ({ ...r, builtin: false, managed: true }));
+    this._managed      = { name: bundle.name || null, issuedAt: bundle.issuedAt || null, ...state };
+  }
+
+  _managedCacheFile() {
+    return this._userDataPath ? path.join(this._userDataPath, 'managed-policies.json') : null;
+  }
+
+  _readManagedCache() {
+    try {
+      return JSON.parse(fs.readFileSync(this._managedCacheFile(), 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /** The cache also records the source, which locks it (see _managedSource). */
+  _writeManagedCache(bundle, source) {
+    const file = this._managedCacheFile();
+    if (!file) return;
+    try {
+      const { path: bundlePath, publicKey } = source;
+      fs.writeFileSync(file, JSON.stringify({ verifiedAt: Date.now(), source: { path: bundlePath, publicKey }, bundle }, null, 2), 'utf-8');
+    } catch (err) {
+      console.warn('[PolicyEngine] Failed to cache managed policy:', err.message);
+    }
+  }
+
+  _clearManagedCache() {
+    const file = this._managedCacheFile();
+    if (file) fs.rmSync(file, { force: true });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Condition helpers
+// ---------------------------------------------------------------------------
+
+/** Value at a dotted param path (options.limit), or undefined. */
+function _get(input, key) {
+  return key.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), input);
+}
+
+function _show(value) {
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+function _fieldCheck(field, value, checks = {}) {
+  const present = value !== undefined && value !== null;
+  if (checks.exists !== undefined && present !== !!checks.exists) {
+    return { ok: false, reason: `${field} is ${present ? 'present' : 'missing'}` };
+  }
+  if (!present) {
+    return { ok: checks.exists === false, reason: `${field} is missing` };
+  }
+
+  const reasons = [];
+  for (const [op, expected] of Object.entries(checks)) {
+    if (op === 'exists') continue;
+    const result = _operator(field, value, op, expected);
+    if (!result.ok) return result;
+    reasons.push(result.reason);
+  }
+  return { ok: true, reason: reasons.join(' and ') || `${field} is present` };
+}
+
+function _operator(field, value, op, expected) {
+  const str    = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  const result = (ok, text) => ({ ok, reason: `${field} (${_show(value)}) ${text}${ok ? '' : ' is false'}` });
+
+  switch (op) {
+    case 'matches':
+    case 'not_matches': {
+      let hit;
+      try { hit = new RegExp(expected, 'i').test(str); } catch { return { ok: false, reason: `invalid pattern /${expected}/` }; }
+      return op === 'matches' ? result(hit, `matches /${expected}/`) : result(!hit, `doesn't match /${expected}/`);
+    }
+    case 'eq':       return result(str === String(expected), `= ${_show(expected)}`);
+    case 'ne':       return result(str !== String(expected), `≠ ${_show(expected)}`);
+    case 'contains': return result(str.toLowerCase().includes(String(expected).toLowerCase()), `contains ${_show(expected)}`);
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte': {
+      const n = Number(value);
+      if (typeof value === 'boolean' || Number.isNaN(n)) return { ok: false, reason: `${field} (${_show(value)}) is not a number` };
+      const symbol = { gt: '>', gte: '≥', lt: '<', lte: '≤' }[op];
+      const hit = { gt: n > expected, gte: n >= expected, lt: n < expected, lte: n <= expected }[op];
+      return result(hit, `${symbol} ${expected}`);
+    }
+    case 'in':
+    case 'not_in': {
+      const list   = [].concat(expected).map(String);
+      const values = Array.isArray(value) ? value.map(String) : [str];
+      return op === 'in'
+        ? result(values.every((v) => list.includes(v)), `in [${list.join(', ')}]`)
+        : result(values.every((v) => !list.includes(v)), `not in [${list.join(', ')}]`);
+    }
+    case 'length':
+      return _fieldCheck(`${field}.length`, Array.isArray(value) ? value.length : str.length, expected);
+    case 'file_size': {
+      const filePath = str.replace(/^~(?=$|\/)/, os.homedir());
+      let size;
+      try { size = fs.statSync(filePath).size; } catch { return { ok: false, reason: `${field}: no file at ${_show(str)}` }; }
+      return _fieldCheck(`${field} file size`, size, expected);
+    }
+    default:
+      return { ok: false, reason: `unknown check "${op}"` };
+  }
+}
+
+function _minutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function _timeWindow({ after, before, days } = {}, now) {
+  const day  = DAYS[now.getDay()];
+  const time = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+  if (days?.length && !days.map((d) => d.toLowerCase().slice(0, 3)).includes(day)) {
+    return { ok: false, reason: `${day} is not one of ${days.join(', ')}` };
+  }
+  if (!after && !before) return { ok: true, reason: `it is ${day}` };
+
+  const start  = after ? _minutes(after) : 0;
+  const end    = before ? _minutes(before) : 24 * 60;
+  const mins   = now.getHours() * 60 + now.getMinutes();
+  const inside = start <= end ? mins >= start && mins < end : mins >= start || mins < end; // wraps midnight
+  const window = `${after || '00:00'}–${before || '24:00'}`;
+  return { ok: inside, reason: `${day} ${time} is ${inside ? 'within' : 'outside'} ${window}` };
+}
+
+function _rateWindow(per) {
+  return RATE_WINDOWS[per] || Number(per);
+}
+
+function _validateCondition(condition, where = 'condition') {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    throw new Error(`${where} must be an object`);
+  }
+  for (const [key, spec] of Object.entries(condition)) {
+    if (key === '$all' || key === '$any') {
+      if (!Array.isArray(spec)) throw new Error(`${where}.${key} must be an array of conditions`);
+      spec.forEach((c, i) => _validateCondition(c, `${where}.${key}[${i}]`));
+    } else if (key === '$not') {
+      _validateCondition(spec, `${where}.$not`);
+    } else if (key === '$time') {
+      for (const bound of ['after', 'before']) {
+        if (spec?.[bound] !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(spec[bound])) {
+          throw new Error(`${where}.$time.${bound} must be HH:MM`);
+        }
+      }
+      const bad = (spec?.days || []).filter((d) => !DAYS.includes(String(d).toLowerCase().slice(0, 3)));
+      if (bad.length) throw new Error(`${where}.$time.days has unknown day(s): ${bad.join(', ')}`);
+    } else if (key.startsWith('$')) {
+      throw new Error(`Unknown combinator ${key} in ${where} (use $all, $any, $not, $time)`);
+    } else {
+      _validateChecks(spec, `${where}.${key}`);
+    }
+  }
+}
+
+function _validateChecks(checks, where) {
+  if (!checks || typeof checks !== 'object' || Array.isArray(checks)) throw new Error(`${where} must be an object of checks`);
+  for (const [op, expected] of Object.entries(checks)) {
+    if (!OPERATORS.includes(op)) throw new Error(`Unknown check "${op}" in ${where} (use ${OPERATORS.join(', ')})`);
+    if (['gt', 'gte', 'lt', 'lte'].includes(op) && typeof expected !== 'number') throw new Error(`${where}.${op} must be a number`);
+    if (['in', 'not_in'].includes(op) && !Array.isArray(expected)) throw new Error(`${where}.${op} must be an array`);
+    if (['length', 'file_size'].includes(op)) _validateChecks(expected, `${where}.${op}`);
+    if (['matches', 'not_matches'].includes(op)) {
+      try { new RegExp(expected, 'i'); } catch (err) { throw new Error(`${where}.${op}: ${err.message}`); }
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Signing
+// ---------------------------------------------------------------------------
+
+/** JSON with object keys sorted, so a bundle signs the same however it was written. */
+function _canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(_canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${_canonicalJSON(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/** KeyObject from PEM text, or from the path of a PEM file. */
+function _publicKey(pemOrPath) {
+  let pem = pemOrPath;
+  if (!/-----BEGIN/.test(pem)) {
+    try { pem = fs.readFileSync(pemOrPath, 'utf-8'); } catch {
+      throw new Error('The public key must be PEM text (-----BEGIN PUBLIC KEY-----) or the path of a PEM file');
+    }
+  }
+  return crypto.createPublicKey(pem);
+}
+
+// Ed25519/Ed448 sign the message itself; RSA and EC keys sign a SHA-256 digest
+function _digestFor(key) {
+  return ['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256';
+}
+
+/**
+ * Sign a policy bundle for distribution as a managed policy.
+ * @param {{ name?: string, rules: object[] }} bundle
+ * @param {string} privateKeyPem
+ * @returns {object} The bundle with version, issuedAt and signature
+ */
+function signBundle(bundle, privateKeyPem) {
+  const { signature: _old, ...content } = bundle;
+  const signed = { version: BUNDLE_VERSION, ...content, issuedAt: new Date().toISOString() };
+  const key    = crypto.createPrivateKey(privateKeyPem);
+  return { ...signed, signature: crypto.sign(_digestFor(key), Buffer.from(_canonicalJSON(signed)), key).toString('base64') };
 }
 
 // Singleton
 const policyEngine = new PolicyEngine();
 module.exports = policyEngine;
+module.exports.signBundle = signBundle;
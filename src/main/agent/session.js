@@ -0,0 +1,69 @@
+/**
+ * AgentSession — One independent conversation with the agent.
+ *
+ * Each session owns its own history, AgentLoop (and with it the cancellation
+ * flag and pending approvals) and last task state, so the interactive chat,
+ * REST API callers, scheduled tasks and workflows can run side by side
+ * without corrupting each other's conversation.
+ */
+
+class AgentSession {
+  /**
+   * @param {object} opts
+   * @param {string} opts.id
+   * @param {import('./loop').AgentLoop} opts.loop - Dedicated loop for this session
+   * @param {string} [opts.source]                 - 'chat' | 'api' | 'scheduler' | 'workflow'
+   * @param {string} [opts.title]
+   */
+  constructor({ id, loop, source = 'chat', title = null }) {
+    this.id     = id;
+    this.loop   = loop;
+    this.source = source;
+    this.title  = title;
+
+    this.messages      = [];    // Conversation history (internal LLM format)
+    this.currentTaskId = null;
+    this.running       = false;
+    this.cancelled     = false;
+    this.retryAttempt  = false;
+    this.taskState     = null;  // taskState of the last completed run
+    this.toolLoops     = new Set(); // Short-lived loops of in-flight single tool calls
+
+    this.createdAt = Date.now();
+    this.updatedAt = this.createdAt;
+  }
+
+  get pendingApprovals() {
+    return this.loop.pendingApprovals;
+  }
+
+  /** Running a task, a single tool call, or waiting on an approval. */
+  get busy() {
+    return this.running || this.toolLoops.size > 0 || this.pendingApprovals.size > 0;
+  }
+
+  cancel() {
+    this.cancelled = true;
+    this.loop.cancel();
+    for (const loop of this.toolLoops) loop.cancel();
+  }
+
+  touch() {
+    this.updatedAt = Date.now();
+  }
+
+  summary() {
+    return {
+      id:            this.id,
+      source:        this.source,
+      title:         this.title,
+      running:       this.running,
+      currentTaskId: this.currentTaskId,
+      messageCount:  this.messages.length,
+      createdAt:     this.createdAt,
+      updatedAt:     this.updatedAt,
+    };
+  }
+}
+
+module.exports = { AgentSession };
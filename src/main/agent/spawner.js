@@ -8,11 +8,12 @@
 const { AgentLoop } = require('./loop');
 
 class AgentSpawner {
-  constructor({ toolRegistry, llm, permissions, emit }) {
+  constructor({ toolRegistry, llm, permissions, emit, changeJournal }) {
     this.toolRegistry = toolRegistry;
     this.llm          = llm;
     this.permissions  = permissions;
     this.emit         = emit || (() => {});
+    this.changeJournal = changeJournal || null;
   }
 
   /**
@@ -46,6 +47,7 @@ class AgentSpawner {
       llm:          this.llm,
       permissions:  this.permissions,
       emit:         emitFn,
+      changeJournal: this.changeJournal,
     });
 
     const sysPrompt = systemPrompt || [
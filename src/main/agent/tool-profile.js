@@ -0,0 +1,106 @@
+/**
+ * ToolProfile — Which tools a persona may use, and how risky they count as.
+ *
+ * A persona's `tools` field declares it (every key optional):
+ *   {
+ *     allowCategories: ['filesystem', 'search'],  // only these categories (omit = all)
+ *     denyCategories:  ['messaging'],              // never these categories
+ *     allowTools:      ['system_info'],            // allowed even outside allowCategories
+ *     denyTools:       ['system_exec'],            // never these tools
+ *     readOnly:        true,                       // deny tools that declare writes(), and MCP tools
+ *     permissions:     { fs_write: 'dangerous' },  // per-tool level: safe | sensitive | dangerous
+ *     approvalPolicy:  'auto_approve_sensitive',   // default for runs that don't set one (loop.js)
+ *   }
+ *
+ * MCP server tools can't declare what they write, so a read-only profile denies
+ * them too, except ones marked `readOnly` (the resource list/read tools).
+ *
+ * Deny rules win over allow rules. ToolRegistry leaves denied tools out of the
+ * definitions sent to the model, and AgentLoop refuses calls to them.
+ */
+
+const LEVELS = ['safe', 'sensitive', 'dangerous'];
+
+class ToolProfile {
+  /**
+   * @param {object} [spec]  - The persona's `tools` field
+   * @param {string} [owner] - Persona name, for messages
+   */
+  constructor(spec = {}, owner = 'persona') {
+    this.owner           = owner;
+    this.allowCategories = spec.allowCategories?.length ? new Set(spec.allowCategories) : null;
+    this.denyCategories  = new Set(spec.denyCategories || []);
+    this.allowTools      = new Set(spec.allowTools || []);
+    this.denyTools       = new Set(spec.denyTools || []);
+    this.readOnly        = !!spec.readOnly;
+    this.permissions     = Object.fromEntries(
+      Object.entries(spec.permissions || {}).filter(([, level]) => LEVELS.includes(level))
+    );
+    this.approvalPolicy  = spec.approvalPolicy || null;
+    // Identifies the profile in tool-definition caches
+    this.key = JSON.stringify([owner, spec]);
+  }
+
+  /** True when the profile changes nothing (no need to filter or annotate). */
+  get unrestricted() {
+    return !this.allowCategories && !this.denyCategories.size && !this.denyTools.size && !this.readOnly;
+  }
+
+  /**
+   * Whether the persona may call a tool.
+   * @param {object} tool - Registered tool (needs name, category, and writes()/readOnly for readOnly)
+   * @returns {{ allowed: boolean, reason?: string }}
+   */
+  check(tool) {
+    if (!tool) return { allowed: true };
+    if (this.denyTools.has(tool.name)) {
+      return { allowed: false, reason: `${tool.name} is denied for the ${this.owner} persona` };
+    }
+    if (this.denyCategories.has(tool.category)) {
+      return { allowed: false, reason: `${tool.category} tools are denied for the ${this.owner} persona` };
+    }
+    if (this.readOnly && typeof tool.writes === 'function') {
+      return { allowed: false, reason: `the ${this.owner} persona is read-only and ${tool.name} writes files` };
+    }
+    if (this.readOnly && tool.category === 'mcp' && !tool.readOnly) {
+      return { allowed: false, reason: `the ${this.owner} persona is read-only and ${tool.name} is an MCP tool that may change data` };
+    }
+    if (this.allowCategories && !this.allowCategories.has(tool.category) && !this.allowTools.has(tool.name)) {
+      return { allowed: false, reason: `${tool.category} tools are not allowed for the ${this.owner} persona` };
+    }
+    return { allowed: true };
+  }
+
+  allows(tool) {
+    return this.check(tool).allowed;
+  }
+
+  /** The persona's permission level for a tool, or null to use the global classification. */
+  permissionFor(toolName) {
+    return this.permissions[toolName] || null;
+  }
+
+  /**
+   * Short prompt section telling the model what it can't use.
+   * @param {object[]} tools - All registered tools
+   * @returns {string} '' when nothing is denied
+   */
+  describe(tools) {
+    if (this.unrestricted) return '';
+    const denied = tools.filter((t) => !this.allows(t)).map((t) => t.name);
+    if (!denied.length) return '';
+
+    const rules = [];
+    if (this.allowCategories) rules.push(`only ${[...this.allowCategories].join(', ')} tools`);
+    if (this.denyCategories.size) rules.push(`no ${[...this.denyCategories].join(', ')} tools`);
+    if (this.readOnly) rules.push('no tools that write files or MCP server tools');
+    const shown = denied.slice(0, 40).join(', ') + (denied.length > 40 ? `, +${denied.length - 40} more` : '');
+    return `\n\n## Tool restrictions (${this.owner} persona)\n`
+      + `This persona may use ${rules.length ? rules.join('; ') : 'a restricted tool set'}. `
+      + `Unavailable tools: ${shown}.\n`
+      + 'Do not try to work around these limits (e.g. writing files through system_exec). If the task needs an '
+      + 'unavailable tool, do what you can and tell the user which persona can finish it.';
+  }
+}
+
+module.exports = { ToolProfile, LEVELS };
@@ -2,6 +2,7 @@ const { exec } = require('child_process');
 const os = require('os');
 const fs = require('fs');
 const path = require('path');
+const { imageMediaType } = require('../images');
 
 /**
  * Fuzzy match score: how similar two strings are (0-1).
@@ -264,12 +265,13 @@ const AppControlTools = [
   {
     name: 'app_screenshot',
     category: 'app-control',
-    description: 'Capture a screenshot of the full screen or a specific window. Saves to outputPath (defaults to /tmp/screenshot_<timestamp>.png).',
-    params: ['outputPath', 'window'],
+    description: 'Capture a screenshot of the full screen or a specific window. Saves to outputPath (defaults to /tmp/screenshot_<timestamp>.png) and shows the image to vision-capable models.',
+    params: ['outputPath', 'window', 'attach'],
     permissionLevel: 'safe',
-    async execute({ outputPath, window }) {
+    writes: ({ outputPath }) => (outputPath ? [resolvePath(outputPath)] : []),
+    async execute({ outputPath, window, attach = true }) {
       const platform = process.platform;
-      const outPath = outputPath || `/tmp/screenshot_${Date.now()}.png`;
+      const outPath = resolvePath(outputPath) || `/tmp/screenshot_${Date.now()}.png`;
 
       if (platform === 'darwin') {
         const cmd = window
@@ -287,11 +289,36 @@ const AppControlTools = [
         );
       }
 
-      return `Screenshot saved to: ${outPath}`;
+      const text = `Screenshot saved to: ${outPath}`;
+      if (!attach || !fs.existsSync(outPath)) return text;
+      const imagePath = await screenshotPreview(outPath);
+      return { text, images: [{ mediaType: imageMediaType(imagePath) || 'image/png', path: imagePath }] };
     },
   },
 ];
 
+/**
+ * Image to send to the model for a screenshot. On macOS a downscaled JPEG
+ * (longest side 1568px, what vision models work at anyway) keeps Retina
+ * captures under provider size limits; elsewhere the capture itself is used.
+ */
+async function screenshotPreview(outPath) {
+  if (process.platform !== 'darwin') return outPath;
+  const preview = path.join(os.tmpdir(), `opendesktop_preview_${Date.now()}.jpg`);
+  try {
+    await runShell(`sips -Z 1568 -s format jpeg "${outPath}" --out "${preview}"`);
+    return fs.existsSync(preview) ? preview : outPath;
+  } catch {
+    return outPath;
+  }
+}
+
+function resolvePath(p) {
+  if (!p) return p;
+  if (p.startsWith('~')) p = path.join(os.homedir(), p.slice(1));
+  return path.resolve(p);
+}
+
 function runShell(cmd) {
   return new Promise((resolve, reject) => {
     exec(cmd, { timeout: 15000, maxBuffer: 1024 * 1024 }, (err, stdout, stderr) => {
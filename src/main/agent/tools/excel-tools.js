@@ -29,6 +29,7 @@
 const path = require('path');
 const os = require('os');
 const fsp = require('fs/promises');
+const fs = require('fs');
 const { exec } = require('child_process');
 const { getPythonPath } = require('../../python-runtime');
 
@@ -338,6 +339,7 @@ write_result({
     description: 'Auto-build a full Excel dashboard from CSV/XLSX data. Uses LLM to select template, theme, KPIs, and charts. Returns a session ID for further editing.',
     params: ['path', 'output_path', 'template', 'theme'],
     permissionLevel: 'sensitive',
+    writes: ({ path: p, output_path }) => (output_path ? [resolvePath(output_path)] : p ? [path.join(path.dirname(resolvePath(p)), `${path.basename(p, path.extname(p))}_dashboard.xlsx`)] : []),
     async execute({ path: filePath, output_path, template, theme }) {
       if (!filePath) throw new Error('path is required');
       const resolved = resolvePath(filePath);
@@ -415,6 +417,7 @@ write_result({
     description: 'Add a chart to the Excel dashboard. Supports bar, line, pie, doughnut, area, scatter, bar_horizontal, and combo types.',
     params: ['session_id', 'type', 'x_column', 'y_columns', 'title', 'aggregation', 'width', 'side', 'top_n', 'show_data_labels', 'sheet', 'position'],
     permissionLevel: 'sensitive',
+    writes: _sessionWrites,
     async execute(args) {
       return _runSessionToolAndSave('add_chart', args);
     },
@@ -427,6 +430,7 @@ write_result({
     description: 'Modify any existing dashboard object by its ID. Pass only the fields you want to change.',
     params: ['session_id', 'object_id', 'changes', 'sheet'],
     permissionLevel: 'sensitive',
+    writes: _sessionWrites,
     async execute(args) {
       return _runSessionToolAndSave('modify_object', args);
     },
@@ -439,6 +443,7 @@ write_result({
     description: 'Remove an object from the dashboard by its ID.',
     params: ['session_id', 'object_id', 'sheet'],
     permissionLevel: 'sensitive',
+    writes: _sessionWrites,
     async execute(args) {
       return _runSessionToolAndSave('remove_object', args);
     },
@@ -451,6 +456,7 @@ write_result({
     description: 'Add a row of KPI metric tiles to the dashboard.',
     params: ['session_id', 'kpis', 'sheet', 'position'],
     permissionLevel: 'sensitive',
+    writes: _sessionWrites,
     async execute(args) {
       return _runSessionToolAndSave('add_kpi_row', args);
     },
@@ -463,6 +469,7 @@ write_result({
     description: 'Add a data table or pivot table to the dashboard.',
     params: ['session_id', 'table_type', 'columns', 'max_rows', 'show_conditional', 'index_col', 'value_col', 'columns_col', 'agg', 'sheet', 'position'],
     permissionLevel: 'sensitive',
+    writes: _sessionWrites,
     async execute(args) {
       return _runSessionToolAndSave('add_table', args);
     },
@@ -475,6 +482,7 @@ write_result({
     description: 'Add a title bar, section header, or text block to the dashboard.',
     params: ['session_id', 'content_type', 'text', 'subtitle', 'style', 'color', 'sheet', 'position'],
     permissionLevel: 'sensitive',
+    writes: _sessionWrites,
     async execute(args) {
       return _runSessionToolAndSave('add_content', args);
     },
@@ -487,6 +495,7 @@ write_result({
     description: 'Write values, formulas, and formatting to individual cells.',
     params: ['session_id', 'writes', 'sheet'],
     permissionLevel: 'sensitive',
+    writes: _sessionWrites,
     async execute(args) {
       return _runSessionToolAndSave('write_cells', args);
     },
@@ -499,6 +508,7 @@ write_result({
     description: 'Apply formatting to a range of cells (bold, colors, borders, number format).',
     params: ['session_id', 'range', 'bold', 'italic', 'font_size', 'font_color', 'bg_color', 'num_format', 'align', 'valign', 'border', 'text_wrap', 'sheet'],
     permissionLevel: 'sensitive',
+    writes: _sessionWrites,
     async execute(args) {
       return _runSessionToolAndSave('format_range', args);
     },
@@ -511,6 +521,7 @@ write_result({
     description: 'Create, rename, delete, reorder sheets. Set tab color, hide/show.',
     params: ['session_id', 'operation', 'sheet', 'new_name', 'position', 'tab_color'],
     permissionLevel: 'sensitive',
+    writes: _sessionWrites,
     async execute(args) {
       return _runSessionToolAndSave('sheet_operation', args);
     },
@@ -523,6 +534,7 @@ write_result({
     description: 'Resize or hide/show rows and columns.',
     params: ['session_id', 'target', 'operation', 'index', 'end_index', 'size', 'sheet'],
     permissionLevel: 'sensitive',
+    writes: _sessionWrites,
     async execute(args) {
       return _runSessionToolAndSave('row_col_operation', args);
     },
@@ -535,6 +547,7 @@ write_result({
     description: 'Add Excel features: conditional formatting, data validation, freeze panes, zoom, merge cells, hyperlinks, comments, images.',
     params: ['session_id', 'feature', 'range', 'cell', 'rule_type', 'criteria', 'value', 'min_color', 'mid_color', 'max_color', 'bar_color', 'validate', 'source', 'freeze_row', 'freeze_col', 'zoom_level', 'merge_value', 'format', 'url', 'display_text', 'comment_text', 'author', 'image_path', 'x_scale', 'y_scale', 'sheet'],
     permissionLevel: 'sensitive',
+    writes: _sessionWrites,
     async execute(args) {
       return _runSessionToolAndSave('add_excel_feature', args);
     },
@@ -547,6 +560,7 @@ write_result({
     description: 'Change the workbook color theme.',
     params: ['session_id', 'theme'],
     permissionLevel: 'sensitive',
+    writes: _sessionWrites,
     async execute(args) {
       return _runSessionToolAndSave('change_theme', args);
     },
@@ -588,6 +602,7 @@ write_result({'ok': True, 'result': result})
     description: 'Undo the last action in the Excel dashboard session.',
     params: ['session_id'],
     permissionLevel: 'sensitive',
+    writes: _sessionWrites,
     async execute({ session_id }) {
       const sessionPath = _getSessionPath(session_id);
 
@@ -625,6 +640,7 @@ write_result(_undo_result)
     description: 'Redo the last undone action in the Excel dashboard session.',
     params: ['session_id'],
     permissionLevel: 'sensitive',
+    writes: _sessionWrites,
     async execute({ session_id }) {
       const sessionPath = _getSessionPath(session_id);
 
@@ -661,6 +677,7 @@ write_result(_redo_result)
     description: 'Render and save the current Excel dashboard session to XLSX.',
     params: ['session_id', 'output_path'],
     permissionLevel: 'sensitive',
+    writes: ({ session_id, output_path }) => [output_path ? resolvePath(output_path) : _sessionOutputPath(session_id)].filter(Boolean),
     async execute({ session_id, output_path }) {
       const sessionPath = _getSessionPath(session_id);
       const outResolved = output_path ? resolvePath(output_path) : null;
@@ -696,6 +713,21 @@ function _getSessionPath(sessionId) {
   return candidate;
 }
 
+/** Dashboard file a session saves to (read from its state file), or null. */
+function _sessionOutputPath(sessionId) {
+  try {
+    return JSON.parse(fs.readFileSync(_getSessionPath(sessionId), 'utf-8')).output_path || null;
+  } catch {
+    return null;
+  }
+}
+
+/** `writes` for session tools — they re-save the dashboard after every change. */
+function _sessionWrites({ session_id }) {
+  const out = _sessionOutputPath(session_id);
+  return out ? [out] : [];
+}
+
 /**
  * Shared helper for all session-mutating tools.
  * Extracts session_id, runs the tool, saves state, and returns formatted result.
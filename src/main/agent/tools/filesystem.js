@@ -427,6 +427,14 @@ const FilesystemTools = [
     description: 'Write content to a file, creating parent directories if needed',
     params: ['path', 'content', 'append'],
     permissionLevel: 'sensitive',
+    writes: ({ path: p }) => (p ? [resolvePath(p)] : []),
+    async preview({ path: filePath, content = '', append = false }) {
+      const resolved = resolvePath(filePath);
+      const size     = formatSize(Buffer.byteLength(String(content)));
+      const existing = await fsp.stat(resolved).catch(() => null);
+      if (append) return `would append ${size} to ${resolved}`;
+      return `would write ${size} to ${resolved}${existing ? ` (replacing ${formatSize(existing.size)})` : ' (new file)'}`;
+    },
     async execute({ path: filePath, content, append = false }) {
       if (!filePath) throw new Error('path is required');
       if (content === undefined) throw new Error('content is required');
@@ -452,6 +460,15 @@ const FilesystemTools = [
     description: 'Find and replace text in a file',
     params: ['path', 'find', 'replace', 'all'],
     permissionLevel: 'sensitive',
+    writes: ({ path: p }) => (p ? [resolvePath(p)] : []),
+    async preview({ path: filePath, find, all = false }) {
+      const resolved = resolvePath(filePath);
+      const content  = await fsp.readFile(resolved, 'utf-8').catch(() => null);
+      if (content === null) return `would fail: ${resolved} cannot be read`;
+      const count = find ? content.split(find).length - 1 : 0;
+      if (!count) return `would fail: text not found in ${resolved}`;
+      return `would replace ${all ? count : 1} of ${count} occurrence(s) in ${resolved}`;
+    },
     async execute({ path: filePath, find, replace, all = false }) {
       if (!filePath || !find) throw new Error('path and find are required');
       const resolved = resolvePath(filePath);
@@ -581,6 +598,16 @@ const FilesystemTools = [
     description: 'Delete a file or directory (requires approval)',
     params: ['path', 'recursive'],
     permissionLevel: 'dangerous',
+    writes: ({ path: p }) => (p ? [resolvePath(p)] : []),
+    async preview({ path: targetPath, recursive = false }) {
+      const resolved = resolvePath(targetPath);
+      const stat     = await fsp.stat(resolved).catch(() => null);
+      if (!stat) return `would fail: ${resolved} does not exist`;
+      if (!stat.isDirectory()) return `would delete ${resolved} (${formatSize(stat.size)})`;
+      if (!recursive) return `would fail: ${resolved} is a directory (recursive not set)`;
+      const { files, bytes } = await countFiles(resolved);
+      return `would delete ${files} files (${formatSize(bytes)}) in ${resolved}`;
+    },
     async execute({ path: targetPath, recursive = false }) {
       if (!targetPath) throw new Error('path is required');
       const resolved = resolvePath(targetPath);
@@ -605,6 +632,22 @@ const FilesystemTools = [
     description: 'Move or rename files/directories. Supports glob patterns like "*.jpg" or "**/*.png" in the source path to move multiple files at once. If destination is an existing directory, files are moved INTO it. Use absolute paths.',
     params: ['source', 'destination'],
     permissionLevel: 'dangerous',
+    writes: ({ source, destination }) => [source, destination].filter(Boolean).map(resolvePath),
+    async preview({ source, destination }) {
+      const resolvedDst = resolvePath(destination);
+      if (/[*?{}\[\]]/.test(source)) {
+        const globPattern = source.startsWith('~') ? resolvePath(source) : source;
+        const matches = await glob(path.basename(globPattern), { cwd: resolvePath(path.dirname(globPattern)), dot: false });
+        return matches.length
+          ? `would move ${matches.length} files matching ${source} to ${resolvedDst}`
+          : `would fail: no files match ${source}`;
+      }
+      const resolvedSrc = resolvePath(source);
+      if (!(await fsp.stat(resolvedSrc).catch(() => null))) return `would fail: ${resolvedSrc} does not exist`;
+      const dstStat = await fsp.stat(resolvedDst).catch(() => null);
+      const finalDst = dstStat?.isDirectory() ? path.join(resolvedDst, path.basename(resolvedSrc)) : resolvedDst;
+      return `would move ${resolvedSrc} → ${finalDst}${dstStat && !dstStat.isDirectory() ? ' (overwriting it)' : ''}`;
+    },
     async execute({ source, destination }) {
       if (!source || !destination) throw new Error('source and destination are required');
       const resolvedDst = resolvePath(destination);
@@ -702,6 +745,13 @@ const FilesystemTools = [
     description: 'Create a directory (with parents if needed). Use absolute paths.',
     params: ['path'],
     permissionLevel: 'sensitive',
+    writes: ({ path: p }) => (p ? [resolvePath(p)] : []),
+    async preview({ path: dirPath }) {
+      const resolved = resolvePath(dirPath);
+      return (await fsp.stat(resolved).catch(() => null))
+        ? `${resolved} already exists — no change`
+        : `would create directory ${resolved}`;
+    },
     async execute({ path: dirPath }) {
       if (!dirPath) throw new Error('path is required');
       const resolved = resolvePath(dirPath);
@@ -810,6 +860,10 @@ const FilesystemTools = [
     description: 'Intelligently organize files in a directory by type. Classifies files by extension, creates category folders (Images, Videos, Documents, Spreadsheets, Presentations, Code, Archives, Audio, Applications, Fonts), and moves ONLY files (never existing subdirectories) to their destinations. Use dryRun=true first to preview. Use customRules to override default categories.',
     params: ['path', 'dryRun', 'customRules', 'othersFolder'],
     permissionLevel: 'dangerous',
+    writes: ({ path: p, dryRun }) => (p && !dryRun ? [resolvePath(p)] : []),
+    preview(params) {
+      return this.execute({ ...params, dryRun: true });
+    },
     async execute({ path: dirPath, dryRun = false, customRules, othersFolder = 'Others' }) {
       if (!dirPath) throw new Error('path is required');
       const resolved = resolvePath(dirPath);
@@ -915,6 +969,7 @@ const FilesystemTools = [
     name: 'fs_undo',
     category: 'filesystem',
     permissionLevel: 'sensitive',
+    writes: ({ path: p }) => (p ? [resolvePath(p)] : []),
     description: 'Restore a file to its pre-modification state from this session. Uses the snapshot taken automatically before the last fs_write, fs_edit, or fs_delete.',
     params: ['path'],
     async execute({ path: filePath }) {
@@ -960,6 +1015,23 @@ function formatSize(bytes) {
   return `${val.toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
 }
 
+/** Number and total size of the files under a directory. */
+async function countFiles(dir) {
+  let files = 0;
+  let bytes = 0;
+  const stack = [dir];
+  while (stack.length) {
+    const current = stack.pop();
+    const entries = await fsp.readdir(current, { withFileTypes: true }).catch(() => []);
+    for (const e of entries) {
+      const p = path.join(current, e.name);
+      if (e.isDirectory()) stack.push(p);
+      else { files++; bytes += (await fsp.lstat(p).catch(() => ({ size: 0 }))).size; }
+    }
+  }
+  return { files, bytes };
+}
+
 function resolvePath(p) {
   if (p.startsWith('~')) {
     return path.join(require('os').homedir(), p.slice(1));
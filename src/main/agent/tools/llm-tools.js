@@ -48,11 +48,17 @@ const LLMTools = [
     async execute({ text, schema, instructions }) {
       if (!text) throw new Error('text is required');
 
-      const schemaDesc = schema
-        ? `\nExtract data matching this schema: ${JSON.stringify(schema)}`
-        : '';
+      if (typeof schema === 'string') {
+        try { schema = JSON.parse(schema); } catch { throw new Error('schema must be a JSON Schema object'); }
+      }
+
+      const system = `You are a data extraction expert. Extract structured data from the given text and return valid JSON.${instructions ? `\n${instructions}` : ''}`;
 
-      const system = `You are a data extraction expert. Extract structured data from the given text and return valid JSON.${schemaDesc}${instructions ? `\n${instructions}` : ''}`;
+      // With a schema: native structured output, validated against the schema (retried on mismatch)
+      if (schema) {
+        const data = await callLLM(system, text, { responseSchema: schema });
+        return JSON.stringify(data, null, 2);
+      }
 
       const result = await callLLM(system, text);
 
@@ -0,0 +1,59 @@
+/**
+ * MemoryTools — Let the agent remember, list and forget user facts.
+ * Uses the MemorySystem facts store (also editable in Settings → Memory).
+ */
+
+let _memory = null;
+function setMemory(m) { _memory = m; }
+function getMemory() {
+  if (!_memory) throw new Error('MemorySystem not initialized');
+  return _memory;
+}
+
+function formatFact(f) {
+  return { id: f.id, content: f.content, category: f.category, source: f.source, updatedAt: new Date(f.updated_at).toISOString() };
+}
+
+const MEMORY_TOOLS = [
+  {
+    name: 'memory_remember', description: 'Remember a durable fact or preference about the user (e.g. "Team Jira project key is OPS"). Remembered facts are included in every future conversation.',
+    category: 'memory', permissionLevel: 'safe', params: ['content', 'category'],
+    execute: async ({ content, category }) => {
+      if (!content) throw new Error('content is required');
+      const fact = getMemory().addFact({ content, category, source: 'agent' });
+      return JSON.stringify({ ok: true, fact: formatFact(fact) });
+    },
+  },
+  {
+    name: 'memory_list', description: 'List remembered facts, optionally filtered by category or text.',
+    category: 'memory', permissionLevel: 'safe', params: ['category', 'query'],
+    execute: async ({ category, query } = {}) => {
+      const facts = getMemory().listFacts({ category, query });
+      return JSON.stringify({ count: facts.length, facts: facts.map(formatFact) });
+    },
+  },
+  {
+    name: 'memory_forget', description: 'Forget a remembered fact by id, or by text when exactly one fact matches.',
+    category: 'memory', permissionLevel: 'sensitive', params: ['id', 'query'],
+    execute: async ({ id, query }) => {
+      if (!id && !query) throw new Error('id or query is required');
+      const memory = getMemory();
+      if (!id) {
+        const matches = memory.listFacts({ query });
+        if (matches.length !== 1) {
+          return JSON.stringify({
+            ok: false,
+            message: matches.length ? `${matches.length} facts match — call again with one of these ids` : 'No fact matches',
+            facts: matches.map(formatFact),
+          });
+        }
+        id = matches[0].id;
+      }
+      const fact = memory.getFact(id);
+      const deleted = memory.deleteFact(id);
+      return JSON.stringify({ ok: deleted, message: deleted ? `Forgot: ${fact.content}` : 'Fact not found' });
+    },
+  },
+];
+
+module.exports = { MEMORY_TOOLS, setMemory };
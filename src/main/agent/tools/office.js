@@ -1366,6 +1366,7 @@ const OfficeTools = [
     description: 'Create a Word document (.docx) from markdown-like content. Supports: # H1, ## H2, ### H3 (headings), - or * (bullet lists), 1. (numbered lists), **bold**, *italic*, ***bold+italic***, __underline__, `code` (inline formatting), | col | col | (markdown tables — first row = header), --- alone on a line (page break). Paragraph text becomes Normal style.',
     params: ['path', 'content', 'title'],
     permissionLevel: 'sensitive',
+    writes: ({ path: p }) => (p ? [resolvePath(p)] : []),
     async execute({ path: filePath, content, title }) {
       if (!filePath || !content) throw new Error('path and content are required');
       const resolved = resolvePath(filePath);
@@ -1626,6 +1627,7 @@ const OfficeTools = [
     description: 'EXCEL SPREADSHEETS ONLY — NOT for PowerPoint or presentations (use office_write_pptx for those). Creates or modifies .xlsx workbooks with full formatting. Use sheetData for bulk data, operations for fine-grained control: set_cell (values/formulas/financial coloring), format_range, freeze_panes, set_column_width, merge_cells, create_table, auto_fit_columns. ALWAYS use Excel formulas instead of hardcoded values.',
     params: ['path', 'sheetData', 'operations', 'autoFormat'],
     permissionLevel: 'sensitive',
+    writes: ({ path: p }) => (p ? [resolvePath(p)] : []),
     async execute({ path: filePath, operations, sheetData, autoFormat = false }) {
       if (!filePath) throw new Error('path is required');
       const resolved = resolvePath(filePath);
@@ -1913,6 +1915,7 @@ const OfficeTools = [
     description: 'Create real Excel chart objects (bar, column, line, pie, area, scatter) embedded in a workbook. Supports multiple charts per call, custom titles, axis labels, and auto-positioning. Use office_analyze_xlsx first to understand the data layout, then call this with the correct dataRange.',
     params: ['path', 'charts'],
     permissionLevel: 'sensitive',
+    writes: ({ path: p }) => (p ? [resolvePath(p)] : []),
     async execute({ path: filePath, charts = [] }) {
       if (!filePath) throw new Error('path is required');
       if (!charts.length) throw new Error('charts array is required. Each item: {type, dataSheet, dataRange, title, targetSheet?, anchor?, xTitle?, yTitle?, width?, height?}');
@@ -2057,6 +2060,7 @@ except Exception as e:
     description: 'Create a professional Excel dashboard sheet with KPI metric cards, embedded charts (up to 4), and auto-formatting. Writes a "Dashboard" sheet (or custom name) into an existing or new workbook. Use after office_analyze_xlsx to understand the data, then call this to produce an executive-ready visualization.',
     params: ['path', 'title', 'kpis', 'charts', 'outputSheet', 'summaryText'],
     permissionLevel: 'sensitive',
+    writes: ({ path: p }) => (p ? [resolvePath(p)] : []),
     async execute({ path: filePath, title = 'Dashboard', kpis = [], charts = [], outputSheet = 'Dashboard', summaryText = '' }) {
       if (!filePath) throw new Error('path is required');
       const resolved = resolvePath(filePath);
@@ -2285,6 +2289,7 @@ except Exception as e:
     description: 'Build a professionally styled Excel dashboard (.xlsx) from any Excel or CSV data file. The framework auto-initializes wb (Workbook), df (DataFrame), and the Data sheet — your pythonScript should ONLY create analysis sheets, call build_dashboard_shell(), add kpi_card()s and charts, then wb.save(OUTPUT) + write_result({ok:True, sheets:wb.sheetnames, summary:"..."}). Never recreate wb, df, or call build_data_sheet() — they are pre-done. Use build_analysis_sheet(wb, name, grouped_df) for quick styled analysis sheets.',
     params: ['path', 'pythonScript', 'outputPath'],
     permissionLevel: 'sensitive',
+    writes: ({ path: p, outputPath }) => (outputPath ? [resolvePath(outputPath)] : p ? [resolvePath(p).replace(/\.(xlsx?|csv)$/i, '_Dashboard.xlsx')] : []),
     async execute({ path: filePath, pythonScript: userScript, outputPath }) {
       if (!filePath)   throw new Error('path is required');
       if (!userScript) throw new Error('pythonScript is required');
@@ -2797,6 +2802,7 @@ print()
     description: 'Run a named VBA macro in an existing Excel workbook (.xlsm) without re-injecting any code. Use this to refresh a dashboard after data updates, or to re-run any existing macro by name.',
     params: ['path', 'macroName'],
     permissionLevel: 'sensitive',
+    writes: ({ path: p }) => (p ? [resolvePath(p)] : []),
     async execute({ path: filePath, macroName }) {
       if (!filePath)  throw new Error('path is required');
       if (!macroName) throw new Error('macroName is required');
@@ -3169,6 +3175,7 @@ sleep 3
     description: 'POWERPOINT PRESENTATIONS ONLY — NOT for Excel/spreadsheets (use office_write_xlsx for those). Creates a styled .pptx using pptxgenjs with built-in themes or a user template. QUALITY REQUIREMENTS: (1) Every slide title must be a TALKING HEADER — a complete sentence conveying the key insight, e.g. "Enterprise AI Adoption Tripled in 2025" not just "AI Adoption". (2) Content slides need 4–6 substantive bullet points minimum. (3) Always generate the exact number of slides requested. (4) Required structure: first slide = title layout, last slide = title layout (closing/thank you), middle slides = content/section/two-column/table. (5) Use section slides as visual dividers between topic groups.',
     params: ['path', 'title', 'slides', 'templatePath', 'theme', 'author'],
     permissionLevel: 'write',
+    writes: ({ path: p }) => (p ? [resolvePath(p)] : []),
     async execute({ path: filePath, title = 'Presentation', slides = [], templatePath, theme = 'professional', author = '' }) {
       if (!filePath) throw new Error('path is required');
       const resolved = resolvePath(filePath);
@@ -3666,6 +3673,7 @@ sleep 3
     description: 'Write data to a CSV file. Pass rows as a 2D array (first row is headers). Use append=true to add rows to an existing file. Supports custom delimiter.',
     params: ['path', 'rows', 'delimiter', 'append'],
     permissionLevel: 'sensitive',
+    writes: ({ path: p }) => (p ? [resolvePath(p)] : []),
     async execute({ path: filePath, rows, delimiter = ',', append = false }) {
       if (!filePath || !rows) throw new Error('path and rows are required');
       if (!Array.isArray(rows)) throw new Error('rows must be a 2D array');
@@ -3694,6 +3702,7 @@ sleep 3
     description: 'Convert an entire CSV file to an Excel (.xlsx) workbook. Reads ALL rows directly — no LLM context limit. Use this instead of office_read_csv + office_write_xlsx when the CSV has more than a few hundred rows. Applies smart type coercion (numbers stay numeric) and optional header formatting.',
     params: ['source', 'output', 'sheetName', 'autoFormat', 'delimiter'],
     permissionLevel: 'sensitive',
+    writes: ({ output }) => (output ? [resolvePath(output)] : []),
     async execute({ source, output, sheetName = 'Data', autoFormat = true, delimiter }) {
       if (!source) throw new Error('source (CSV path) is required');
       if (!output) throw new Error('output (XLSX path) is required');
@@ -23,6 +23,7 @@
 
 const path = require('path');
 const os = require('os');
+const fs = require('fs');
 const fsp = require('fs/promises');
 const { exec } = require('child_process');
 const { getPythonPath } = require('../../python-runtime');
@@ -509,6 +510,7 @@ write_result({'ok': True, 'content': result})
     description: 'Build a professional PPTX file from content JSON using PPT Master (32 slide types, 14 themes, 144 icons). The content_json must follow the schema from pptx_list_slide_types.',
     params: ['content_json', 'theme_key', 'company_name', 'output_path'],
     permissionLevel: 'write',
+    writes: ({ output_path }) => [resolvePath(output_path) || path.join(os.homedir(), 'Desktop', 'presentation.pptx')],
     async execute({ content_json, theme_key, company_name, output_path }) {
       if (!content_json) throw new Error('content_json is required');
 
@@ -632,6 +634,7 @@ write_result({
       + 'Use this for comprehensive presentations. Requires an LLM API key in .env.',
     params: ['topic', 'company_name', 'theme_key', 'industry', 'audience', 'additional_context', 'output_path'],
     permissionLevel: 'write',
+    writes: ({ output_path }) => [resolvePath(output_path) || path.join(os.homedir(), 'Desktop', 'presentation.pptx')],
     async execute({ topic, company_name, theme_key, industry, audience, additional_context, output_path }) {
       if (!topic) throw new Error('topic is required — describe what the presentation is about.');
 
@@ -734,6 +737,21 @@ write_result({
 
 // ── Edit Script Helper ──────────────────────────────────────────────
 
+/**
+ * `writes` for the pptx_edit_* tools — they rewrite the session file and, on
+ * rebuild, the presentation it points at (read from the session's state).
+ */
+function editSessionWrites({ session_path }) {
+  const sessionPath = resolvePath(session_path);
+  if (!sessionPath) return [];
+  try {
+    const { output_path } = JSON.parse(fs.readFileSync(sessionPath, 'utf-8'));
+    return output_path ? [resolvePath(output_path), sessionPath] : [sessionPath];
+  } catch {
+    return [sessionPath];
+  }
+}
+
 /**
  * Run a Python edit script against a session file.
  * Reads session JSON → creates PresentationSession → runs mutation → rebuilds if dirty → saves state.
@@ -866,6 +884,7 @@ const EditTools = [
     description: 'Add a new slide to the presentation. LLM generates content for it. Use pptx_list_slide_types to see available types.',
     params: ['session_path', 'slide_type', 'after', 'section_title', 'instruction'],
     permissionLevel: 'write',
+    writes: editSessionWrites,
     async execute({ session_path, slide_type, after, section_title, instruction }) {
       if (!slide_type) throw new Error('slide_type is required — e.g. "swot_matrix", "bar_chart"');
       const mutation = `_edit_msg = session.add_slide(
@@ -886,6 +905,7 @@ const EditTools = [
     description: 'Remove a slide type from the presentation.',
     params: ['session_path', 'slide_type'],
     permissionLevel: 'write',
+    writes: editSessionWrites,
     async execute({ session_path, slide_type }) {
       if (!slide_type) throw new Error('slide_type is required');
       const mutation = `_edit_msg = session.remove_slide(${JSON.stringify(slide_type)})`;
@@ -901,6 +921,7 @@ const EditTools = [
     description: 'Move a slide to a different position. Specify after=null to move to front.',
     params: ['session_path', 'slide_type', 'after'],
     permissionLevel: 'write',
+    writes: editSessionWrites,
     async execute({ session_path, slide_type, after }) {
       if (!slide_type) throw new Error('slide_type is required');
       const mutation = `_edit_msg = session.move_slide(${JSON.stringify(slide_type)}, after=${after ? JSON.stringify(after) : 'None'})`;
@@ -916,6 +937,7 @@ const EditTools = [
     description: 'Update specific content fields for a slide. Pass a JSON object of key-value pairs to update.',
     params: ['session_path', 'slide_type', 'updates'],
     permissionLevel: 'write',
+    writes: editSessionWrites,
     async execute({ session_path, slide_type, updates }) {
       if (!slide_type) throw new Error('slide_type is required');
       if (!updates) throw new Error('updates is required — JSON object with content keys to update');
@@ -941,6 +963,7 @@ _edit_msg = session.update_content(${JSON.stringify(slide_type)}, _updates)`;
     description: 'Regenerate content for a specific slide using LLM. Optionally pass an instruction to guide the regeneration.',
     params: ['session_path', 'slide_type', 'instruction'],
     permissionLevel: 'write',
+    writes: editSessionWrites,
     async execute({ session_path, slide_type, instruction }) {
       if (!slide_type) throw new Error('slide_type is required');
       const mutation = `_edit_msg = session.regenerate_slide(${JSON.stringify(slide_type)}, instruction=${JSON.stringify(instruction || '')})`;
@@ -956,6 +979,7 @@ _edit_msg = session.update_content(${JSON.stringify(slide_type)}, _updates)`;
     description: 'Change the visual theme of the presentation. Use pptx_list_themes to see available themes.',
     params: ['session_path', 'theme_key'],
     permissionLevel: 'write',
+    writes: editSessionWrites,
     async execute({ session_path, theme_key }) {
       if (!theme_key) throw new Error('theme_key is required — e.g. "technology", "finance"');
       const mutation = `_edit_msg = session.set_theme(${JSON.stringify(theme_key)})`;
@@ -971,6 +995,7 @@ _edit_msg = session.update_content(${JSON.stringify(slide_type)}, _updates)`;
     description: 'Force rebuild the presentation PPTX from current session state without any mutations.',
     params: ['session_path'],
     permissionLevel: 'write',
+    writes: editSessionWrites,
     async execute({ session_path }) {
       const mutation = `
 session._dirty = True
@@ -987,6 +1012,7 @@ _edit_msg = 'Presentation rebuilt from current state.'`;
     description: 'Rename a section in the presentation.',
     params: ['session_path', 'old_title', 'new_title'],
     permissionLevel: 'write',
+    writes: editSessionWrites,
     async execute({ session_path, old_title, new_title }) {
       if (!old_title || !new_title) throw new Error('old_title and new_title are required');
       const mutation = `_edit_msg = session.rename_section(${JSON.stringify(old_title)}, ${JSON.stringify(new_title)})`;
@@ -1002,6 +1028,7 @@ _edit_msg = 'Presentation rebuilt from current state.'`;
     description: 'Add a new empty section to the presentation.',
     params: ['session_path', 'title', 'subtitle'],
     permissionLevel: 'write',
+    writes: editSessionWrites,
     async execute({ session_path, title, subtitle }) {
       if (!title) throw new Error('title is required');
       const mutation = `_edit_msg = session.add_section(${JSON.stringify(title)}, subtitle=${JSON.stringify(subtitle || '')})`;
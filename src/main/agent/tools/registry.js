@@ -20,7 +20,9 @@ const { PresentationTools } = require('./presentation-tools');
 const { ExcelTools } = require('./excel-tools');
 const { SOCIAL_MEDIA_TOOLS } = require('./social-media-tools');
 const { SKILL_TOOLS } = require('./skill-tools');
+const { MEMORY_TOOLS } = require('./memory-tools');
 const { TOOL_SCHEMAS } = require('./tool-schemas');
+const { TOOL_PERMISSION_MAP } = require('../permissions');
 
 class ToolRegistry {
   constructor(permissions) {
@@ -52,15 +54,29 @@ class ToolRegistry {
   /**
    * Register (or refresh) tools from all connected MCP servers.
    * Removes any previously registered MCP tools first, then re-adds them.
-   * Call this after adding/removing an MCP server.
+   * Call this after adding/removing an MCP server or changing its tool settings.
+   *
+   * Each server's allowTools/denyTools lists decide which of its tools are
+   * registered; its permissionLevel becomes a PermissionManager override for
+   * them (so it also applies under personas with their own levels).
    */
   registerMCPTools(mcpManager) {
-    // Remove existing MCP tools
+    // Remove existing MCP tools and their permission overrides
     for (const name of this.tools.keys()) {
-      if (name.startsWith('mcp_')) this.tools.delete(name);
+      if (!name.startsWith('mcp_')) continue;
+      this.tools.delete(name);
+      this.permissions?.removeOverride(name);
     }
-    // Register fresh set
+    // Register fresh set; the resource tools built by the manager have no mcpTool and aren't filtered
     for (const tool of mcpManager.getRegistryTools()) {
+      if (tool.mcpTool) {
+        if (!mcpManager.isToolAllowed(tool.mcpServerId, tool.mcpTool)) continue;
+        const level = mcpManager.permissionLevelFor(tool.mcpServerId);
+        if (level) {
+          tool.permissionLevel = level;
+          this.permissions?.setOverride(tool.name, level);
+        }
+      }
       this.register(tool);
     }
     // Invalidate cached tool definitions so the loop picks up the new tools
@@ -92,6 +108,7 @@ class ToolRegistry {
     for (const tool of ExcelTools)          this.register(tool);
     for (const tool of SOCIAL_MEDIA_TOOLS)  this.register(tool);
     for (const tool of SKILL_TOOLS)         this.register(tool);
+    for (const tool of MEMORY_TOOLS)        this.register(tool);
 
     // Wire spawner into orchestration tools if provided
     if (spawner && ORCHESTRATION_TOOLS._setSpawner) {
@@ -128,10 +145,13 @@ class ToolRegistry {
    * Used by the AgentLoop for native tool/function calling.
    *
    * @param {'anthropic'|'openai'|'ollama'|'google'|'deepseek'} provider
+   * @param {string} [model]
+   * @param {ToolProfile} [profile] - Persona tool profile; denied tools are left out
    * @returns {Array} Provider-specific tool definition array
    */
-  getToolDefinitions(provider = 'anthropic', model = '') {
+  getToolDefinitions(provider = 'anthropic', model = '', profile = null) {
     let tools = Array.from(this.tools.values());
+    if (profile) tools = tools.filter((t) => profile.allows(t));
 
     // Provider-specific tool limits
     const OPENAI_TOOL_LIMIT = 128;
@@ -171,6 +191,34 @@ class ToolRegistry {
     }
   }
 
+  /**
+   * Tool definitions in MCP `tools/list` format, for OpenDesktop's own MCP server.
+   * Tools imported from other MCP servers (mcp_*) are not re-published.
+   * @param {ToolProfile} [profile] - Persona tool profile; denied tools are left out
+   */
+  getMCPToolDefinitions(profile = null) {
+    let tools = Array.from(this.tools.values()).filter((t) => !t.name.startsWith('mcp_'));
+    if (profile) tools = tools.filter((t) => profile.allows(t));
+
+    return tools.map((t) => {
+      const schema = TOOL_SCHEMAS[t.name] || t._schema;
+      const level  = TOOL_PERMISSION_MAP[t.name] || 'sensitive';
+      return {
+        name: t.name,
+        description: schema?.description || t.description,
+        inputSchema: {
+          type: 'object',
+          properties: schema?.properties || this._inferProperties(t),
+          required: schema?.required || [],
+        },
+        annotations: {
+          readOnlyHint:    level === 'safe',
+          destructiveHint: level === 'dangerous',
+        },
+      };
+    });
+  }
+
   /**
    * Trim tools to a max count by dropping lower-priority tools.
    * Priority: core tools first, then enterprise/niche tools dropped from the end.
@@ -210,6 +258,8 @@ class ToolRegistry {
       'office_search_docx', 'office_search_docxs',
       // Skill management
       'skill_update', 'skill_rollback', 'skill_history',
+      // Memory management
+      'memory_list', 'memory_forget',
     ]);
 
     const core = [];
@@ -1,6 +1,8 @@
 const http = require('http');
 const https = require('https');
 const { exec } = require('child_process');
+const os = require('os');
+const path = require('path');
 
 const SearchFetchTools = [
   {
@@ -116,16 +118,18 @@ const SearchFetchTools = [
     description: 'Download a file from a URL and save it to a local path. Use for downloading images, documents, packages, etc.',
     params: ['url', 'outputPath'],
     permissionLevel: 'sensitive',
+    writes: ({ outputPath }) => (outputPath ? [resolvePath(outputPath)] : []),
     async execute({ url, outputPath }) {
       if (!url || !outputPath) throw new Error('url and outputPath are required');
+      const outPath = resolvePath(outputPath);
 
       return new Promise((resolve, reject) => {
         exec(
-          `curl -sL -o "${outputPath}" "${url}"`,
+          `curl -sL -o "${outPath}" "${url}"`,
           { timeout: 60000 },
           (err, stdout, stderr) => {
             if (err) reject(new Error(`Download failed: ${err.message}`));
-            else resolve(`Downloaded: ${url} → ${outputPath}`);
+            else resolve(`Downloaded: ${url} → ${outPath}`);
           }
         );
       });
@@ -133,6 +137,14 @@ const SearchFetchTools = [
   },
 ];
 
+// ── Helpers ────────────────────────────────────────────────────────────
+
+function resolvePath(p) {
+  if (!p) return p;
+  if (p.startsWith('~')) p = path.join(os.homedir(), p.slice(1));
+  return path.resolve(p);
+}
+
 function httpGet(url, headers = {}) {
   return httpRequest(url, { method: 'GET', headers });
 }
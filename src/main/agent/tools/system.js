@@ -1,5 +1,42 @@
 const { exec, spawn } = require('child_process');
 const os = require('os');
+const path = require('path');
+
+// A shell word: "double quoted", 'single quoted' or bare
+const SHELL_WORD = `("[^"]*"|'[^']*'|[^\\s;&|<>()]+)`;
+
+/**
+ * Files a shell command will (over)write, as far as they can be read off the
+ * command line: output redirections, tee, -o/--output flags and the
+ * destination of cp/mv. Used for the change journal — best effort, so files a
+ * script writes internally are not covered.
+ */
+function commandWritePaths(command, cwd) {
+  const text  = String(command || '');
+  const words = [];
+  const patterns = [
+    new RegExp(`(?:^|[^<>&\\d])(?:\\d|&)?>>?\\|?\\s*${SHELL_WORD}`, 'g'),  // > file, >> file, 2> file, &> file
+    new RegExp(`\\btee\\s+(?:-a\\s+)?${SHELL_WORD}`, 'g'),
+    new RegExp(`(?:^|\\s)(?:-o|-O|--output(?:-document)?)(?:\\s+|=)${SHELL_WORD}`, 'g'),
+  ];
+  for (const re of patterns) {
+    for (const m of text.matchAll(re)) words.push(m[1]);
+  }
+  // cp writes its destination; mv also removes its sources
+  for (const m of text.matchAll(/\b(cp|mv)\s+([^;&|<>()]+)/g)) {
+    const args = [...m[2].matchAll(new RegExp(SHELL_WORD, 'g'))].map((a) => a[1]).filter((a) => !a.startsWith('-'));
+    if (args.length >= 2) words.push(...(m[1] === 'mv' ? args : args.slice(-1)));
+  }
+
+  const found = [];
+  for (const raw of words) {
+    const word = raw.replace(/^(["'])(.*)\1$/, '$2');
+    if (!word || word.startsWith('&') || word.startsWith('/dev/') || /[$*?`]/.test(word)) continue;
+    const expanded = word.startsWith('~') ? path.join(os.homedir(), word.slice(1)) : word;
+    found.push(path.resolve(cwd || process.cwd(), expanded));
+  }
+  return [...new Set(found)];
+}
 
 const SystemTools = [
   {
@@ -8,6 +45,12 @@ const SystemTools = [
     description: 'Execute any shell command (bash/powershell) and return stdout+stderr. Use for: listing files with ls/find, checking disk usage with du/df, running git commands, installing packages, etc. Provide the full command string.',
     params: ['command', 'cwd', 'timeout', 'env'],
     permissionLevel: 'sensitive',
+    writes: ({ command, cwd }) => commandWritePaths(command, cwd),
+    preview({ command, cwd }) {
+      const paths = commandWritePaths(command, cwd);
+      return `would run \`${command}\` in ${cwd || process.cwd()}`
+        + (paths.length ? ` (writes ${paths.join(', ')})` : '');
+    },
     async execute({ command, cwd, timeout = 30000, env = {} }) {
       if (!command) throw new Error('command is required');
 
@@ -232,4 +275,4 @@ function formatUptime(seconds) {
   return `${days}d ${hours}h ${mins}m`;
 }
 
-module.exports = { SystemTools };
+module.exports = { SystemTools, commandWritePaths };
@@ -378,6 +378,11 @@ const TOOL_SCHEMAS = {
         description: 'If true, capture a specific window interactively.',
         default: false,
       },
+      attach: {
+        type: 'boolean',
+        description: 'Show the screenshot to the model (vision-capable models only). Set false to just save the file.',
+        default: true,
+      },
     },
     required: [],
   },
@@ -618,7 +623,7 @@ const TOOL_SCHEMAS = {
       },
       schema: {
         type: 'object',
-        description: 'Optional JSON schema describing the data structure to extract.',
+        description: 'Optional JSON Schema the result must match (e.g. {"type":"object","properties":{"name":{"type":"string"}},"required":["name"]}). Enforced with the provider\'s structured output and validated.',
         additionalProperties: true,
       },
       instructions: {
@@ -2859,6 +2864,37 @@ Each slide type has specific content keys — call pptx_list_slide_types for the
     },
     required: [],
   },
+
+  // ---------------------------------------------------------------------------
+  // Memory (user facts)
+  // ---------------------------------------------------------------------------
+
+  memory_remember: {
+    description: 'Remember a durable fact or preference about the user so it is known in every future conversation. Use when the user says "remember…", states a lasting preference, or shares a stable detail (team names, project keys, contacts). Do NOT store secrets or one-off task details.',
+    properties: {
+      content:  { type: 'string', description: 'The fact as a short standalone sentence (e.g. "The team\'s Jira project key is OPS").' },
+      category: { type: 'string', enum: ['preference', 'personal', 'work', 'project', 'contact', 'general'], description: 'Fact category. Default: general.' },
+    },
+    required: ['content'],
+  },
+
+  memory_list: {
+    description: 'List remembered facts about the user.',
+    properties: {
+      category: { type: 'string', enum: ['preference', 'personal', 'work', 'project', 'contact', 'general'], description: 'Only facts in this category.' },
+      query:    { type: 'string', description: 'Only facts containing this text.' },
+    },
+    required: [],
+  },
+
+  memory_forget: {
+    description: 'Forget a remembered fact. Pass the fact id (from memory_list or the system prompt), or a query that matches exactly one fact.',
+    properties: {
+      id:    { type: 'string', description: 'Fact ID.' },
+      query: { type: 'string', description: 'Text contained in the fact to forget.' },
+    },
+    required: [],
+  },
 };
 
 module.exports = { TOOL_SCHEMAS };
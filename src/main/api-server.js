@@ -6,6 +6,28 @@
  */
 
 const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { APPROVAL_POLICIES } = require('./agent/loop');
+
+// Agent events relayed to SSE subscribers of a run (channel → SSE event name)
+const RUN_EVENT_CHANNELS = {
+  'agent:task-start':       'task-start',
+  'agent:thinking':         'thinking',
+  'agent:token':            'token',
+  'agent:step-update':      'step-update',
+  'agent:tool-calls':       'tool-calls',
+  'agent:tool-start':       'tool-start',
+  'agent:tool-end':         'tool-end',
+  'agent:tool-results':     'tool-results',
+  'agent:approval-request': 'approval-request',
+  'agent:approval-resolved': 'approval-resolved',
+  'agent:budget-warning':   'budget-warning',
+  'agent:complete':         'complete',
+  'agent:error':            'error',
+};
+
+const MAX_FINISHED_RUNS = 50;
+const SSE_KEEPALIVE_MS  = 15000;
 
 class APIServer {
   constructor() {
@@ -17,6 +39,8 @@ class APIServer {
     this._apiKey       = null;
     this._port         = 57000;
     this._running      = false;
+    this._runs         = new Map(); // runId (= taskId) → { status, events, clients, result, ... }
+    this._unsubscribe  = null;
   }
 
   async start(agentCore, toolRegistry, memory, port = 57000, apiKey = null) {
@@ -34,7 +58,7 @@ class APIServer {
     // CORS for local tools
     this._app.use((req, res, next) => {
       res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+      res.header('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, Last-Event-ID');
       res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
       if (req.method === 'OPTIONS') return res.sendStatus(200);
       next();
@@ -54,6 +78,10 @@ class APIServer {
 
     this._registerRoutes();
 
+    if (this._agentCore?.addEventListener) {
+      this._unsubscribe = this._agentCore.addEventListener((channel, data) => this._relayEvent(channel, data));
+    }
+
     return new Promise((resolve, reject) => {
       this._server = this._app.listen(this._port, '127.0.0.1', (err) => {
         if (err) { this._running = false; return reject(err); }
@@ -67,6 +95,12 @@ class APIServer {
 
   async stop() {
     if (!this._running || !this._server) return { ok: true };
+    if (this._unsubscribe) { this._unsubscribe(); this._unsubscribe = null; }
+    for (const run of this._runs.values()) {
+      for (const client of run.clients) client.end();
+      run.clients.clear();
+    }
+    this._runs.clear();
     return new Promise((resolve) => {
       this._server.close(() => {
         this._running = false;
@@ -95,24 +129,247 @@ class APIServer {
     this._app.post('/v1/agent/run', async (req, res) => {
       const { message, persona, attachments } = req.body;
       if (!message) return res.status(400).json({ error: 'message is required' });
+      const approval = this._parseApprovalOptions(req.body);
+      if (approval.error) return res.status(400).json({ error: approval.error });
       try {
         const result = await this._agentCore.handleUserMessage(
-          message, persona || 'auto', attachments || []
+          message, persona || 'auto', attachments || [],
+          { ...approval.options, sessionId: this._resolveSessionId(req.body), source: 'api', dryRun: !!req.body.dryRun }
         );
         res.json(result);
       } catch (err) { res.status(500).json({ error: err.message }); }
     });
 
+    // ── Streaming runs ──
+    // POST starts a run without waiting for it; the returned runId is the taskId
+    // carried by every agent event, and GET …/events streams them as SSE.
+
+    this._app.post('/v1/agent/runs', (req, res) => {
+      const { message, persona, attachments } = req.body;
+      if (!message) return res.status(400).json({ error: 'message is required' });
+      const approval = this._parseApprovalOptions(req.body);
+      if (approval.error) return res.status(400).json({ error: approval.error });
+
+      const runId = uuidv4();
+      const run   = this._createRun(runId);
+
+      const sessionId = this._resolveSessionId(req.body);
+      run.sessionId   = sessionId;
+
+      this._agentCore.handleUserMessage(
+        message, persona || 'auto', attachments || [],
+        { ...approval.options, sessionId, source: 'api', taskId: runId, dryRun: !!req.body.dryRun }
+      )
+        .then((result) => {
+          run.result = result;
+          if (run.status !== 'running') return;
+          if (result.error) {
+            this._pushRunEvent(run, 'error', { taskId: runId, sessionId, error: result.error });
+            this._finishRun(run, 'error');
+          } else {
+            this._finishRun(run, 'completed');
+          }
+        })
+        .catch((err) => {
+          run.result = { taskId: runId, error: err.message };
+          this._pushRunEvent(run, 'error', { taskId: runId, error: err.message });
+          this._finishRun(run, 'error');
+        });
+
+      res.status(202).json({ runId, taskId: runId, sessionId, status: run.status, eventsUrl: `/v1/agent/runs/${runId}/events` });
+    });
+
+    // ── Resuming interrupted runs ──
+    // Every run is checkpointed after each turn; one that stopped early (app quit,
+    // cancel, error, budget) resumes under the same runId without re-running tools.
+
+    this._app.get('/v1/agent/resumable', (req, res) => {
+      try {
+        const tasks = this._agentCore.listResumableTasks({
+          sessionId: req.query.sessionId,
+          limit:     Number(req.query.limit) || 20,
+        });
+        res.json({ tasks, count: tasks.length });
+      } catch (err) { res.status(500).json({ error: err.message }); }
+    });
+
+    this._app.post('/v1/agent/runs/:id/resume', (req, res) => {
+      const runId = req.params.id;
+      const approval = this._parseApprovalOptions(req.body || {});
+      if (approval.error) return res.status(400).json({ error: approval.error });
+      if (this._runs.get(runId)?.status === 'running') return res.status(409).json({ error: 'Run is still running' });
+
+      const checkpoint = this._memory.getCheckpoint(runId);
+      if (!checkpoint) return res.status(404).json({ error: 'No checkpoint for this run' });
+
+      const run = this._createRun(runId);
+      run.sessionId = checkpoint.sessionId;
+
+      this._agentCore.resumeTask(runId, approval.options)
+        .then((result) => {
+          run.result    = result;
+          run.sessionId = result.sessionId || run.sessionId;
+          if (run.status !== 'running') return;
+          if (result.error) {
+            this._pushRunEvent(run, 'error', { taskId: runId, sessionId: run.sessionId, error: result.error });
+            this._finishRun(run, 'error');
+          } else {
+            this._finishRun(run, 'completed');
+          }
+        })
+        .catch((err) => {
+          run.result = { taskId: runId, error: err.message };
+          this._pushRunEvent(run, 'error', { taskId: runId, error: err.message });
+          this._finishRun(run, 'error');
+        });
+
+      res.status(202).json({ runId, taskId: runId, status: run.status, resumedFromTurn: checkpoint.turns, eventsUrl: `/v1/agent/runs/${runId}/events` });
+    });
+
+    this._app.get('/v1/agent/runs/:id', (req, res) => {
+      const run = this._runs.get(req.params.id);
+      if (!run) return res.status(404).json({ error: 'Run not found' });
+      res.json({
+        runId: run.id, sessionId: run.sessionId, status: run.status, createdAt: run.createdAt,
+        finishedAt: run.finishedAt, result: run.result,
+      });
+    });
+
+    // ── Change journal ──
+    // Files a run wrote are snapshotted first; revert restores them all.
+
+    this._app.get('/v1/agent/runs/:id/changes', (req, res) => {
+      try {
+        const changes = this._agentCore.changeJournal?.summary(req.params.id);
+        if (!changes) return res.status(404).json({ error: 'No recorded changes for this run' });
+        res.json(changes);
+      } catch (err) { res.status(500).json({ error: err.message }); }
+    });
+
+    this._app.post('/v1/agent/runs/:id/revert', async (req, res) => {
+      try {
+        const result = await this._agentCore.revertTask(req.params.id);
+        if (result.error) return res.status(409).json(result);
+        res.json(result);
+      } catch (err) { res.status(500).json({ error: err.message }); }
+    });
+
+    // ── Dry runs ──
+    // A run started with dryRun: true records its changes as a plan instead of
+    // making them; executing the plan starts a new run that performs them.
+
+    this._app.get('/v1/agent/runs/:id/plan', (req, res) => {
+      const plan = this._agentCore.getPlan(req.params.id);
+      if (!plan) return res.status(404).json({ error: 'No dry-run plan for this run' });
+      res.json(plan);
+    });
+
+    this._app.post('/v1/agent/runs/:id/execute', (req, res) => {
+      const { actionIds, stopOnError } = req.body || {};
+      const approval = this._parseApprovalOptions(req.body || {});
+      if (approval.error) return res.status(400).json({ error: approval.error });
+      if (actionIds !== undefined && !Array.isArray(actionIds)) return res.status(400).json({ error: 'actionIds must be an array' });
+
+      const plan = this._agentCore.getPlan(req.params.id);
+      if (!plan) return res.status(404).json({ error: 'No dry-run plan for this run' });
+      if (plan.executedAt) return res.status(409).json({ error: 'Plan was already executed', runId: plan.executionTaskId });
+
+      const runId = uuidv4();
+      const run   = this._createRun(runId);
+      run.sessionId = plan.sessionId;
+
+      this._agentCore.executePlan(plan.taskId, {
+        ...approval.options, actionIds, taskId: runId, ...(stopOnError !== undefined ? { stopOnError: !!stopOnError } : {}),
+      })
+        .then((result) => {
+          run.result = result;
+          if (run.status !== 'running') return;
+          if (result.error) {
+            this._pushRunEvent(run, 'error', { taskId: runId, sessionId: run.sessionId, error: result.error });
+            this._finishRun(run, 'error');
+          } else {
+            this._finishRun(run, 'completed');
+          }
+        })
+        .catch((err) => {
+          run.result = { taskId: runId, error: err.message };
+          this._pushRunEvent(run, 'error', { taskId: runId, error: err.message });
+          this._finishRun(run, 'error');
+        });
+
+      res.status(202).json({ runId, taskId: runId, planRunId: plan.taskId, status: run.status, eventsUrl: `/v1/agent/runs/${runId}/events` });
+    });
+
+    this._app.get('/v1/agent/runs/:id/events', (req, res) => {
+      const run = this._runs.get(req.params.id);
+      if (!run) return res.status(404).json({ error: 'Run not found' });
+
+      res.status(200);
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.flushHeaders();
+
+      // Replay everything the client hasn't seen (supports reconnect via Last-Event-ID)
+      const lastId = Number(req.headers['last-event-id']);
+      const from   = Number.isFinite(lastId) ? lastId + 1 : 0;
+      for (const evt of run.events.slice(from)) this._writeSSE(res, evt);
+
+      if (run.status !== 'running') return res.end();
+
+      run.clients.add(res);
+      const keepalive = setInterval(() => res.write(': keepalive\n\n'), SSE_KEEPALIVE_MS);
+      req.on('close', () => {
+        clearInterval(keepalive);
+        run.clients.delete(res);
+      });
+    });
+
+    // ── Approvals ──
+    // Headless callers answer the same prompts the Electron ApprovalDialog shows.
+
+    this._app.get('/v1/approvals', (req, res) => {
+      try {
+        const approvals = this._agentCore.listPendingApprovals(req.query.taskId);
+        res.json({ approvals, count: approvals.length });
+      } catch (err) { res.status(500).json({ error: err.message }); }
+    });
+
+    this._app.post('/v1/approvals/:requestId', (req, res) => {
+      const { approved, note } = req.body;
+      if (typeof approved !== 'boolean') return res.status(400).json({ error: 'approved (boolean) is required' });
+      try {
+        const ok = this._agentCore.resolveApproval(req.params.requestId, approved, note);
+        if (!ok) return res.status(404).json({ error: 'Approval request not found or already resolved' });
+        res.json({ ok: true, requestId: req.params.requestId, approved });
+      } catch (err) { res.status(500).json({ error: err.message }); }
+    });
+
     this._app.post('/v1/agent/cancel', (req, res) => {
-      try { this._agentCore.cancel(); res.json({ ok: true }); }
-      catch (err) { res.status(500).json({ error: err.message }); }
+      const { sessionId, taskId } = req.body || {};
+      if (!sessionId && !taskId) return res.status(400).json({ error: 'sessionId or taskId is required' });
+      try {
+        const session = sessionId
+          ? this._agentCore.getSession(sessionId)
+          : this._agentCore.findSessionByTask(taskId);
+        if (!session) return res.status(404).json({ error: 'Session not found' });
+        this._agentCore.cancel(session.id);
+        res.json({ ok: true, sessionId: session.id });
+      } catch (err) { res.status(500).json({ error: err.message }); }
+    });
+
+    this._app.get('/v1/sessions', (req, res) => {
+      try {
+        const sessions = this._agentCore.listSessions();
+        res.json({ sessions, count: sessions.length });
+      } catch (err) { res.status(500).json({ error: err.message }); }
     });
 
     this._app.get('/v1/memory/search', async (req, res) => {
       const { query, limit = 10 } = req.query;
       if (!query) return res.status(400).json({ error: 'query parameter required' });
       try {
-        const results = this._memory.search(query, Number(limit));
+        const results = await this._memory.search(query, Number(limit));
         res.json({ results, count: results.length });
       } catch (err) { res.status(500).json({ error: err.message }); }
     });
@@ -125,6 +382,11 @@ class APIServer {
       } catch (err) { res.status(500).json({ error: err.message }); }
     });
 
+    this._app.get('/v1/usage/budget', (req, res) => {
+      try { res.json(this._agentCore.getBudgetStatus()); }
+      catch (err) { res.status(500).json({ error: err.message }); }
+    });
+
     this._app.get('/v1/audit/log', async (req, res) => {
       try {
         const { limit = 50, offset = 0, taskId, toolName } = req.query;
@@ -135,6 +397,88 @@ class APIServer {
       } catch (err) { res.status(500).json({ error: err.message }); }
     });
   }
+
+  /**
+   * API callers continue a conversation by passing its sessionId; without one
+   * each request gets a fresh session so it never shares the desktop chat's history.
+   */
+  _resolveSessionId({ sessionId }) {
+    if (sessionId) return String(sessionId);
+    return this._agentCore.createSession({ source: 'api' }).id;
+  }
+
+  /**
+   * Validate per-request approval options from a run request body.
+   * @returns {{ options: object } | { error: string }}
+   */
+  _parseApprovalOptions({ approvalPolicy, approvalTimeoutMs }) {
+    const options = {};
+    if (approvalPolicy !== undefined) {
+      if (!APPROVAL_POLICIES.includes(approvalPolicy)) {
+        return { error: `approvalPolicy must be one of: ${APPROVAL_POLICIES.join(', ')}` };
+      }
+      options.approvalPolicy = approvalPolicy;
+    }
+    if (approvalTimeoutMs !== undefined) {
+      const ms = Number(approvalTimeoutMs);
+      if (!Number.isFinite(ms) || ms <= 0) return { error: 'approvalTimeoutMs must be a positive number' };
+      options.approvalTimeoutMs = ms;
+    }
+    return { options };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Run event relay (SSE)
+  // ---------------------------------------------------------------------------
+
+  _createRun(runId) {
+    const run = {
+      id: runId,
+      status: 'running',
+      events: [],
+      clients: new Set(),
+      result: null,
+      createdAt: Date.now(),
+      finishedAt: null,
+    };
+    this._runs.set(runId, run);
+    this._pruneRuns();
+    return run;
+  }
+
+  _relayEvent(channel, data) {
+    const event = RUN_EVENT_CHANNELS[channel];
+    if (!event || !data?.taskId) return;
+    const run = this._runs.get(data.taskId);
+    if (!run || run.status !== 'running') return;
+
+    this._pushRunEvent(run, event, data);
+    if (event === 'complete') this._finishRun(run, data.status || 'completed');
+    else if (event === 'error') this._finishRun(run, 'error');
+  }
+
+  _pushRunEvent(run, event, data) {
+    const evt = { id: run.events.length, event, data };
+    run.events.push(evt);
+    for (const client of run.clients) this._writeSSE(client, evt);
+  }
+
+  _finishRun(run, status) {
+    run.status     = status;
+    run.finishedAt = Date.now();
+    for (const client of run.clients) client.end();
+    run.clients.clear();
+  }
+
+  _writeSSE(res, { id, event, data }) {
+    res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  _pruneRuns() {
+    const finished = [...this._runs.values()].filter((r) => r.status !== 'running');
+    const excess   = finished.length - MAX_FINISHED_RUNS;
+    for (let i = 0; i < excess; i++) this._runs.delete(finished[i].id);
+  }
 }
 
 const apiServer = new APIServer();
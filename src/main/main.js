@@ -1,23 +1,25 @@
 // Load .env from project root in development only
 try { require('dotenv').config({ path: require('path').join(__dirname, '../../.env') }); } catch (_) {}
 
-const { app, BrowserWindow, ipcMain, screen, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, screen, dialog, safeStorage } = require('electron');
 const path = require('path');
 const { AgentCore }        = require('./agent/core');
 const { ToolRegistry }     = require('./agent/tools/registry');
-const { MemorySystem }     = require('./agent/memory');
+const { MemorySystem, FACT_CATEGORIES } = require('./agent/memory');
 const { PermissionManager } = require('./agent/permissions');
 const { ContextAwareness } = require('./agent/context');
 const { KeyStore }         = require('./agent/keystore');
 const { MCPManager }       = require('./agent/mcp/manager');
 const { AgentSpawner }     = require('./agent/spawner');
-const { getModelCatalog, listOllamaModels, callLLM, callWithTools, getCurrentProvider, getCurrentModel } = require('./agent/llm');
+const { getModelCatalog, listOllamaModels, callLLM, callWithTools, getCurrentProvider, getCurrentModel, getContextWindow } = require('./agent/llm');
 const piiDetector     = require('./agent/pii-detector');
 const policyEngine    = require('./agent/policy-engine');
+const changeJournal   = require('./agent/change-journal');
 const schedulerService = require('./scheduler-service');
 const workflowService  = require('./workflow-service');
 const workService      = require('./work-service');
 const apiServer        = require('./api-server');
+const mcpServer        = require('./mcp-server');
 const google          = require('./connectors/google');
 const reminderService = require('./reminder-service');
 
@@ -30,6 +32,7 @@ const { setKeyStore: setConnectorSDKKeyStore } = require('./agent/connector-sdk'
 const { initSocialMedia }                     = require('./agent/tools/social-media-tools');
 const { setWorkflowService, setAgentCore: setWorkflowAgentCore } = require('./agent/tools/workflow-tools');
 const { setSchedulerService }                  = require('./agent/tools/scheduler-tools');
+const { setMemory: setMemoryToolsMemory }      = require('./agent/tools/memory-tools');
 
 let mainWindow   = null;
 let agentCore    = null;
@@ -83,14 +86,23 @@ async function initializeAgent() {
   const permissions  = new PermissionManager();
   const context      = new ContextAwareness();
   toolRegistry       = new ToolRegistry(permissions);
-  const keyStore     = new KeyStore(userDataPath);
-  mcpManager         = new MCPManager(userDataPath);
+  const keyStore     = new KeyStore(userDataPath, { safeStorage });
+  // Servers announce tool/resource list changes, and drop out / come back under
+  // supervision; re-register so the loop sees them and refresh the UI
+  mcpManager         = new MCPManager(userDataPath, {
+    onChange: (serverId, kind) => {
+      toolRegistry.registerMCPTools(mcpManager);
+      emitFn('mcp:servers-changed', { serverId, kind });
+    },
+  });
 
   // Set OPENDESKTOP_DATA env var so database-tools.js can find db-connections.json
   process.env.OPENDESKTOP_DATA = userDataPath;
 
-  // Initialize policy engine
+  // Initialize policy engine, change journal and PII settings
   policyEngine.init(userDataPath);
+  changeJournal.init(userDataPath);
+  piiDetector.init(userDataPath);
 
   agentCore = new AgentCore({
     memory,
@@ -100,11 +112,17 @@ async function initializeAgent() {
     keyStore,
     piiDetector,
     policyEngine,
+    changeJournal,
     emit: emitFn,
   });
 
   await memory.initialize();
   await keyStore.initialize();
+  agentCore.personaManager.init(userDataPath);
+
+  // Embed long-term records saved before semantic search was available (background)
+  memory.reindexEmbeddings()
+    .catch((err) => console.warn('[Main] Embedding reindex failed:', err.message));
 
   // Inject keyStore into integration tools
   setGitHubKeyStore(keyStore);
@@ -122,9 +140,10 @@ async function initializeAgent() {
   // Create spawner for multi-agent orchestration
   spawner = new AgentSpawner({
     toolRegistry,
-    llm: { callWithTools, getCurrentProvider },
+    llm: { callWithTools, callLLM, getCurrentProvider, getCurrentModel, getContextWindow },
     permissions,
     emit: emitFn,
+    changeJournal,
   });
 
   // Wire spawner into AgentCore for automatic parallel execution
@@ -138,6 +157,9 @@ async function initializeAgent() {
   setWorkflowService(workflowService);
   setWorkflowAgentCore(agentCore);
 
+  // Wire the facts store into memory tools
+  setMemoryToolsMemory(memory);
+
   // Wire scheduler service into scheduler tools
   schedulerService.init(userDataPath, agentCore, emitFn);
   setSchedulerService(schedulerService);
@@ -149,24 +171,29 @@ async function initializeAgent() {
   await mcpManager.initialize();
   toolRegistry.registerMCPTools(mcpManager);
 
+  // Publish our own tools to other MCP clients if the user turned it on
+  mcpServer.init(userDataPath, agentCore);
+  if (mcpServer.getConfig().enabled) {
+    await mcpServer.start().catch((err) => console.error('[Main] MCP server failed to start:', err.message));
+  }
+
   console.log('[OpenDesktop] Agent initialized');
 }
 
 function setupIPC() {
   // ── Agent ──────────────────────────────────────────────────────────────────
 
-  ipcMain.handle('agent:send-message', async (_event, { message, persona, attachments }) => {
+  ipcMain.handle('agent:send-message', async (_event, { message, persona, attachments, sessionId, dryRun }) => {
     try {
-      return await agentCore.handleUserMessage(message, persona, attachments);
+      return await agentCore.handleUserMessage(message, persona, attachments, { sessionId, source: 'chat', dryRun: !!dryRun });
     } catch (err) {
       console.error('[IPC] agent:send-message error:', err);
       return { error: err.message };
     }
   });
 
-  ipcMain.handle('agent:cancel', async () => {
-    agentCore.cancel();
-    return { ok: true };
+  ipcMain.handle('agent:cancel', async (_event, { sessionId } = {}) => {
+    return { ok: agentCore.cancel(sessionId) };
   });
 
   ipcMain.handle('agent:approval-response', async (_event, { requestId, approved, note }) => {
@@ -174,11 +201,78 @@ function setupIPC() {
     return { ok: true };
   });
 
+  // Interrupted tasks (checkpointed every turn)
+  ipcMain.handle('agent:list-resumable', async (_event, { sessionId } = {}) => {
+    try { return agentCore.listResumableTasks({ sessionId }); }
+    catch (err) { return { error: err.message }; }
+  });
+
+  ipcMain.handle('agent:resume-task', async (_event, { taskId }) => {
+    try {
+      return await agentCore.resumeTask(taskId);
+    } catch (err) {
+      console.error('[IPC] agent:resume-task error:', err);
+      return { error: err.message };
+    }
+  });
+
+  ipcMain.handle('agent:discard-task', async (_event, { taskId }) => {
+    try { return agentCore.discardTask(taskId); }
+    catch (err) { return { error: err.message }; }
+  });
+
+  // Change journal — files each task wrote, and reverting them
+  ipcMain.handle('agent:list-changes', async (_event, { sessionId, limit } = {}) => {
+    try { return agentCore.listTaskChanges({ sessionId, limit }); }
+    catch (err) { return { error: err.message }; }
+  });
+
+  ipcMain.handle('agent:revert-task', async (_event, { taskId }) => {
+    try { return await agentCore.revertTask(taskId); }
+    catch (err) { return { error: err.message }; }
+  });
+
+  // Dry runs — execute the reviewed plan for real
+  ipcMain.handle('agent:execute-plan', async (_event, { taskId, actionIds }) => {
+    try {
+      return await agentCore.executePlan(taskId, { actionIds });
+    } catch (err) {
+      console.error('[IPC] agent:execute-plan error:', err);
+      return { error: err.message };
+    }
+  });
+
   // New session (clear conversation history)
   ipcMain.handle('agent:new-session', async () => {
     return agentCore.newSession();
   });
 
+  ipcMain.handle('agent:get-session', async () => {
+    return agentCore.sessionId;
+  });
+
+  // ── Saved sessions ─────────────────────────────────────────────────────────
+
+  ipcMain.handle('session:list', async (_event, { limit } = {}) => {
+    try { return agentCore.listSavedSessions(limit || 50); }
+    catch (err) { return { error: err.message }; }
+  });
+
+  ipcMain.handle('session:resume', async (_event, { id }) => {
+    try { return agentCore.resumeSession(id); }
+    catch (err) { return { error: err.message }; }
+  });
+
+  ipcMain.handle('session:rename', async (_event, { id, title }) => {
+    try { return { ok: agentCore.renameSession(id, title) }; }
+    catch (err) { return { error: err.message }; }
+  });
+
+  ipcMain.handle('session:delete', async (_event, { id }) => {
+    try { return { ok: agentCore.deleteSession(id), sessionId: agentCore.sessionId }; }
+    catch (err) { return { error: err.message }; }
+  });
+
   // ── Memory ─────────────────────────────────────────────────────────────────
 
   ipcMain.handle('memory:search', async (_event, { query, limit }) => {
@@ -189,6 +283,47 @@ function setupIPC() {
     return agentCore.memory.getRecentHistory(limit);
   });
 
+  ipcMain.handle('memory:list-facts', async (_event, filter = {}) => {
+    return { facts: agentCore.memory.listFacts(filter), categories: FACT_CATEGORIES };
+  });
+
+  ipcMain.handle('memory:add-fact', async (_event, { content, category }) => {
+    try { return { ok: true, fact: agentCore.memory.addFact({ content, category, source: 'user' }) }; }
+    catch (err) { return { error: err.message }; }
+  });
+
+  ipcMain.handle('memory:update-fact', async (_event, { id, content, category }) => {
+    try {
+      const fact = agentCore.memory.updateFact(id, { content, category });
+      return fact ? { ok: true, fact } : { error: 'Fact not found' };
+    } catch (err) { return { error: err.message }; }
+  });
+
+  ipcMain.handle('memory:delete-fact', async (_event, { id }) => {
+    return { ok: agentCore.memory.deleteFact(id) };
+  });
+
+  // ── Personas ───────────────────────────────────────────────────────────────
+
+  ipcMain.handle('personas:list', async () => {
+    return agentCore.personaManager.list();
+  });
+
+  ipcMain.handle('personas:save', async (_event, persona) => {
+    try { return { ok: true, persona: agentCore.personaManager.save(persona) }; }
+    catch (err) { return { error: err.message }; }
+  });
+
+  ipcMain.handle('personas:clone', async (_event, { name }) => {
+    try { return { ok: true, persona: agentCore.personaManager.clone(name) }; }
+    catch (err) { return { error: err.message }; }
+  });
+
+  ipcMain.handle('personas:delete', async (_event, { name }) => {
+    try { return { ok: agentCore.personaManager.delete(name) }; }
+    catch (err) { return { error: err.message }; }
+  });
+
   // ── Context ────────────────────────────────────────────────────────────────
 
   ipcMain.handle('context:get-active', async () => {
@@ -244,13 +379,17 @@ function setupIPC() {
   // ── API Keys (encrypted) ───────────────────────────────────────────────────
 
   ipcMain.handle('keys:set', async (_event, { provider, apiKey }) => {
-    await agentCore.keyStore.setKey(provider, apiKey);
-    return { ok: true };
+    try {
+      await agentCore.keyStore.setKey(provider, apiKey);
+      return { ok: true };
+    } catch (err) { return { error: err.message }; }
   });
 
   ipcMain.handle('keys:remove', async (_event, { provider }) => {
-    await agentCore.keyStore.removeKey(provider);
-    return { ok: true };
+    try {
+      await agentCore.keyStore.removeKey(provider);
+      return { ok: true };
+    } catch (err) { return { error: err.message }; }
   });
 
   ipcMain.handle('keys:list', async () => {
@@ -261,6 +400,58 @@ function setupIPC() {
     return agentCore.keyStore.hasKey(provider);
   });
 
+  // Keystore protection: machine-bound, OS keychain (safeStorage) or master password
+  ipcMain.handle('keys:status', async () => {
+    return agentCore.keyStore.getStatus();
+  });
+
+  ipcMain.handle('keys:unlock', async (_event, { password }) => {
+    try { return await agentCore.keyStore.unlock(password); }
+    catch (err) { return { error: err.message }; }
+  });
+
+  ipcMain.handle('keys:set-mode', async (_event, { mode, password, currentPassword }) => {
+    try { return await agentCore.keyStore.setMode(mode, { password, currentPassword }); }
+    catch (err) { return { error: err.message }; }
+  });
+
+  ipcMain.handle('keys:rotate', async (_event, { currentPassword, password } = {}) => {
+    try { return await agentCore.keyStore.rotate({ currentPassword, password }); }
+    catch (err) { return { error: err.message }; }
+  });
+
+  ipcMain.handle('keys:reset', async () => {
+    try { return await agentCore.keyStore.reset(); }
+    catch (err) { return { error: err.message }; }
+  });
+
+  ipcMain.handle('keys:export', async (_event, { passphrase }) => {
+    try {
+      const bundle = await agentCore.keyStore.exportKeys(passphrase);
+      const result = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export API Keys',
+        defaultPath: 'opendesktop-keys.json',
+        filters: [{ name: 'JSON', extensions: ['json'] }],
+      });
+      if (result.canceled || !result.filePath) return { canceled: true };
+      await fsp.writeFile(result.filePath, JSON.stringify(bundle, null, 2), { encoding: 'utf-8', mode: 0o600 });
+      return { ok: true, path: result.filePath, keys: bundle.keys };
+    } catch (err) { return { error: err.message }; }
+  });
+
+  ipcMain.handle('keys:import', async (_event, { passphrase, replace } = {}) => {
+    try {
+      const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Import API Keys',
+        properties: ['openFile'],
+        filters: [{ name: 'JSON', extensions: ['json'] }],
+      });
+      if (result.canceled || !result.filePaths.length) return { canceled: true };
+      const bundle = JSON.parse(await fsp.readFile(result.filePaths[0], 'utf-8'));
+      return { ok: true, ...(await agentCore.keyStore.importKeys(bundle, passphrase, { replace: !!replace })) };
+    } catch (err) { return { error: err.message }; }
+  });
+
   // ── MCP Servers ────────────────────────────────────────────────────────────
 
   ipcMain.handle('mcp:list-servers', async () => {
@@ -300,6 +491,40 @@ function setupIPC() {
     }
   });
 
+  ipcMain.handle('mcp:configure-server', async (_event, { id, ...patch }) => {
+    try {
+      const result = mcpManager.updateServer(id, patch);
+      toolRegistry.registerMCPTools(mcpManager);
+      return result;
+    } catch (err) {
+      return { error: err.message };
+    }
+  });
+
+  ipcMain.handle('mcp:server-logs', async (_event, { id }) => {
+    return mcpManager.getLogs(id);
+  });
+
+  ipcMain.handle('mcp:clear-server-logs', async (_event, { id }) => {
+    return mcpManager.clearLogs(id);
+  });
+
+  ipcMain.handle('mcp:list-resources', async () => {
+    return mcpManager.listResources();
+  });
+
+  ipcMain.handle('mcp:list-prompts', async () => {
+    return mcpManager.listPrompts();
+  });
+
+  ipcMain.handle('mcp:prompt-template', async (_event, { serverId, name }) => {
+    try {
+      return await mcpManager.getPromptTemplate(serverId, name);
+    } catch (err) {
+      return { error: err.message };
+    }
+  });
+
   // ── Dialog ─────────────────────────────────────────────────────────────────
 
   ipcMain.handle('dialog:select-directory', async () => {
@@ -356,20 +581,88 @@ function setupIPC() {
     return agentCore.memory.getUsageSummary(days || 30);
   });
 
+  ipcMain.handle('usage:budget', async () => {
+    return agentCore.getBudgetStatus();
+  });
+
   // ── Policy Engine ─────────────────────────────────────────────────────────
 
   ipcMain.handle('policy:list', async () => {
-    return policyEngine.listRules();
+    return { rules: policyEngine.listRules() };
   });
 
   ipcMain.handle('policy:add', async (_event, rule) => {
-    return policyEngine.addRule(rule);
+    try { return policyEngine.addRule(rule); }
+    catch (err) { return { error: err.message }; }
   });
 
   ipcMain.handle('policy:remove', async (_event, { id }) => {
     return policyEngine.removeRule(id);
   });
 
+  ipcMain.handle('policy:export', async () => {
+    try {
+      const result = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export Policy Rules',
+        defaultPath: 'opendesktop-policies.json',
+        filters: [{ name: 'JSON', extensions: ['json'] }],
+      });
+      if (result.canceled || !result.filePath) return { canceled: true };
+      const bundle = policyEngine.exportRules();
+      await fsp.writeFile(result.filePath, JSON.stringify(bundle, null, 2), 'utf-8');
+      return { ok: true, path: result.filePath, rules: bundle.rules.length };
+    } catch (err) { return { error: err.message }; }
+  });
+
+  ipcMain.handle('policy:import', async (_event, { replace } = {}) => {
+    try {
+      const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Import Policy Rules',
+        properties: ['openFile'],
+        filters: [{ name: 'JSON', extensions: ['json'] }],
+      });
+      if (result.canceled || !result.filePaths.length) return { canceled: true };
+      const bundle = JSON.parse(await fsp.readFile(result.filePaths[0], 'utf-8'));
+      return { ok: true, ...policyEngine.importRules(bundle, { replace: !!replace }) };
+    } catch (err) { return { error: err.message }; }
+  });
+
+  ipcMain.handle('policy:managed-status', async () => {
+    return policyEngine.getManagedStatus();
+  });
+
+  ipcMain.handle('policy:set-managed', async (_event, { path: bundlePath, publicKey }) => {
+    try { return policyEngine.setManagedSource({ path: bundlePath, publicKey }); }
+    catch (err) { return { error: err.message }; }
+  });
+
+  ipcMain.handle('policy:reload-managed', async () => {
+    return policyEngine.reloadManaged();
+  });
+
+  // Evaluate a hypothetical tool call: which rule fires and why (nothing runs or is counted)
+  ipcMain.handle('policy:test', async (_event, { tool, input, at }) => {
+    try { return policyEngine.test(tool, input, { at }); }
+    catch (err) { return { error: err.message }; }
+  });
+
+  // ── PII protection ────────────────────────────────────────────────────────
+
+  ipcMain.handle('pii:get-config', async () => {
+    return piiDetector.getConfig();
+  });
+
+  ipcMain.handle('pii:set-config', async (_event, patch) => {
+    try { return piiDetector.setConfig(patch || {}); }
+    catch (err) { return { error: err.message }; }
+  });
+
+  // Preview what a cloud provider would see for some sample text
+  ipcMain.handle('pii:test', async (_event, { text }) => {
+    const redacted = piiDetector.createRedactor().redactText(String(text || ''));
+    return { redacted, findings: piiDetector.scan(String(text || '')).findings };
+  });
+
   // ── Workflows ─────────────────────────────────────────────────────────────
 
   ipcMain.handle('workflow:list', async (_event, filter) => {
@@ -428,6 +721,43 @@ function setupIPC() {
     }
   });
 
+  // ── OpenDesktop as an MCP server ──────────────────────────────────────────
+
+  ipcMain.handle('mcp-server:status', async () => {
+    const status = mcpServer.getStatus();
+    // How stdio-only clients launch the bridge to this app
+    const stdio = {
+      command: process.execPath,
+      args:    [path.join(app.getAppPath(), 'src', 'main', 'mcp-stdio.js')],
+      env:     { ELECTRON_RUN_AS_NODE: '1', OPENDESKTOP_MCP_URL: status.url, OPENDESKTOP_MCP_TOKEN: status.token || '' },
+    };
+    return { ...status, stdio };
+  });
+
+  ipcMain.handle('mcp-server:toggle', async (_event, { enabled }) => {
+    try {
+      return enabled ? await mcpServer.start() : await mcpServer.stop({ disable: true });
+    } catch (err) {
+      return { error: err.message };
+    }
+  });
+
+  ipcMain.handle('mcp-server:set-config', async (_event, patch) => {
+    try {
+      return await mcpServer.setConfig(patch || {});
+    } catch (err) {
+      return { error: err.message };
+    }
+  });
+
+  ipcMain.handle('mcp-server:regenerate-token', async () => {
+    try {
+      return { token: await mcpServer.regenerateToken() };
+    } catch (err) {
+      return { error: err.message };
+    }
+  });
+
   // ── Database connections ──────────────────────────────────────────────────
 
   const fsp = require('fs').promises;
@@ -453,7 +783,7 @@ function setupIPC() {
     const id = uuidv4();
     const { password, ...rest } = form;
     const conn = { id, ...rest, createdAt: Date.now() };
-    if (password) keyStore.setKey(`db_${id}`, password);
+    if (password) await keyStore.setKey(`db_${id}`, password);
     conns.push(conn);
     await writeDbConnections(conns);
     return conn;
@@ -572,9 +902,8 @@ function setupIPC() {
         // workflow rules, and OS context — so it can auto-select tools without hints.
         const stepPrompt    = buildStepPrompt(item, step);
         const activeContext = await agentCore.context.getActiveContext().catch(() => ({}));
-        // memory.search() is synchronous (better-sqlite3) — must NOT use .catch() on it
         let memories = [];
-        try { memories = agentCore.memory.search(stepPrompt, 3); } catch {}
+        try { memories = await agentCore.memory.search(stepPrompt, 3); } catch {}
         // Use 'executor' persona (action-oriented); fall back gracefully if not found
         const persona       = agentCore.personaManager?.get('executor')
                            || agentCore.personaManager?.get('auto')
@@ -644,6 +973,7 @@ app.on('before-quit', async () => {
   reminderService.stop();
   schedulerService.stop();
   await apiServer.stop();
+  await mcpServer.stop();
   if (agentCore) {
     agentCore.memory.close();
     agentCore.keyStore.close();
@@ -0,0 +1,294 @@
+/**
+ * MCPServer — Publishes OpenDesktop's tools to other MCP clients (IDEs, CLI agents).
+ *
+ * Serves the Streamable HTTP transport on http://127.0.0.1:{port}/mcp; every
+ * request needs `Authorization: Bearer {token}`. stdio clients launch
+ * mcp-stdio.js, which bridges stdio to this endpoint, so all calls are handled
+ * by the running app.
+ *
+ * tools/list returns the ToolRegistry tools with their TOOL_SCHEMAS (optionally
+ * limited to a persona's tool profile). tools/call runs through
+ * AgentCore.executeTool(), i.e. the same permission levels, policy rules and
+ * approval prompts as the agent's own calls — dangerous calls wait for the user
+ * to approve them in the app.
+ *
+ * Settings are persisted to {userData}/mcp-server.json:
+ *   { enabled, port, token, persona, approvalPolicy }
+ */
+
+const crypto  = require('crypto');
+const fs      = require('fs');
+const path    = require('path');
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { ListToolsRequestSchema, CallToolRequestSchema, isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+const { APPROVAL_POLICIES } = require('./agent/loop');
+const { loadImageData } = require('./agent/images');
+
+const DEFAULT_PORT = 57100;
+
+const DEFAULT_CONFIG = {
+  enabled:        false,
+  port:           DEFAULT_PORT,
+  token:          null,
+  persona:        null,   // limit published tools to this persona's tool profile
+  approvalPolicy: 'wait', // as for agent runs; 'wait' asks the user in the app
+};
+
+class MCPServer {
+  constructor() {
+    this._configFile = null;
+    this._config     = { ...DEFAULT_CONFIG };
+    this._agentCore  = null;
+    this._server     = null;
+    this._running    = false;
+    this._sessions   = new Map(); // MCP session id → { transport, server, client }
+  }
+
+  init(userDataPath, agentCore) {
+    this._agentCore  = agentCore;
+    this._configFile = path.join(userDataPath, 'mcp-server.json');
+    try {
+      if (fs.existsSync(this._configFile)) {
+        this._config = { ...DEFAULT_CONFIG, ...JSON.parse(fs.readFileSync(this._configFile, 'utf-8')) };
+      }
+    } catch (err) {
+      console.warn('[MCPServer] Failed to load config:', err.message);
+    }
+  }
+
+  _save() {
+    try {
+      fs.writeFileSync(this._configFile, JSON.stringify(this._config, null, 2), { mode: 0o600 });
+    } catch (err) {
+      console.warn('[MCPServer] Failed to save config:', err.message);
+    }
+  }
+
+  getConfig() {
+    return { ...this._config };
+  }
+
+  /**
+   * Update settings. Restarts the server when it is running and the port changed.
+   * @param {object} patch - Any of port, persona, approvalPolicy
+   */
+  async setConfig(patch = {}) {
+    const next = { ...this._config };
+    if (patch.port !== undefined) {
+      const port = Number(patch.port);
+      if (!Number.isInteger(port) || port < 1024 || port > 65535) throw new Error('port must be between 1024 and 65535');
+      next.port = port;
+    }
+    if (patch.persona !== undefined) {
+      if (patch.persona && !this._agentCore.personaManager.has(patch.persona)) {
+        throw new Error(`Unknown persona: ${patch.persona}`);
+      }
+      next.persona = patch.persona || null;
+    }
+    if (patch.approvalPolicy !== undefined) {
+      if (!APPROVAL_POLICIES.includes(patch.approvalPolicy)) {
+        throw new Error(`approvalPolicy must be one of: ${APPROVAL_POLICIES.join(', ')}`);
+      }
+      next.approvalPolicy = patch.approvalPolicy;
+    }
+
+    const restart = this._running && next.port !== this._config.port;
+    this._config = next;
+    this._save();
+    if (restart) {
+      await this.stop();
+      await this.start();
+    }
+    return this.getConfig();
+  }
+
+  /** Replace the bearer token; connected clients must reconnect with the new one. */
+  async regenerateToken() {
+    this._config.token = crypto.randomBytes(24).toString('hex');
+    this._save();
+    await this._closeSessions();
+    return this._config.token;
+  }
+
+  // ── Lifecycle ────────────────────────────────────────────────────────────────
+
+  async start() {
+    if (this._running) return { ok: true, port: this._config.port, message: 'Already running' };
+    if (!this._config.token) this._config.token = crypto.randomBytes(24).toString('hex');
+    this._config.enabled = true;
+    this._save();
+
+    const port = this._config.port;
+    const app  = express();
+
+    // Authenticate before parsing, so unauthenticated clients can't make us buffer large bodies
+    app.use((req, res, next) => {
+      if (!this._authorized(req.headers.authorization)) {
+        return res.status(401).json({ jsonrpc: '2.0', error: { code: -32001, message: 'Invalid or missing bearer token' }, id: null });
+      }
+      next();
+    });
+    app.use(express.json({ limit: '10mb' }));
+
+    app.post('/mcp', async (req, res) => {
+      try {
+        const sessionId = req.headers['mcp-session-id'];
+        let session = sessionId && this._sessions.get(sessionId);
+        if (!session) {
+          if (sessionId || !isInitializeRequest(req.body)) {
+            return res.status(400).json({ jsonrpc: '2.0', error: { code: -32000, message: 'Unknown or missing MCP session' }, id: null });
+          }
+          session = await this._createSession(port);
+        }
+        await session.transport.handleRequest(req, res, req.body);
+      } catch (err) {
+        console.error('[MCPServer] Request failed:', err);
+        if (!res.headersSent) {
+          res.status(500).json({ jsonrpc: '2.0', error: { code: -32603, message: err.message }, id: null });
+        }
+      }
+    });
+
+    // Server-to-client stream (GET) and session termination (DELETE)
+    const existingSession = async (req, res) => {
+      const session = this._sessions.get(req.headers['mcp-session-id']);
+      if (!session) return res.status(400).json({ jsonrpc: '2.0', error: { code: -32000, message: 'Unknown or missing MCP session' }, id: null });
+      await session.transport.handleRequest(req, res);
+    };
+    app.get('/mcp', existingSession);
+    app.delete('/mcp', existingSession);
+
+    return new Promise((resolve, reject) => {
+      this._server = app.listen(port, '127.0.0.1', (err) => {
+        if (err) { this._running = false; return reject(err); }
+        this._running = true;
+        console.log(`[MCPServer] Listening on http://127.0.0.1:${port}/mcp`);
+        resolve({ ok: true, port });
+      });
+      this._server.on('error', (err) => { this._running = false; reject(err); });
+    });
+  }
+
+  async stop({ disable = false } = {}) {
+    if (disable) {
+      this._config.enabled = false;
+      this._save();
+    }
+    if (!this._running || !this._server) return { ok: true };
+    await this._closeSessions();
+    return new Promise((resolve) => {
+      this._server.close(() => {
+        this._running = false;
+        this._server  = null;
+        console.log('[MCPServer] Stopped');
+        resolve({ ok: true });
+      });
+      // Drop idle keep-alive and streaming connections so close() can finish
+      this._server.closeAllConnections?.();
+    });
+  }
+
+  getStatus() {
+    const url = `http://127.0.0.1:${this._config.port}/mcp`;
+    return {
+      running:        this._running,
+      enabled:        this._config.enabled,
+      port:           this._config.port,
+      url,
+      token:          this._config.token,
+      persona:        this._config.persona,
+      approvalPolicy: this._config.approvalPolicy,
+      clients:        Array.from(this._sessions.values()).map((s) => s.client).filter(Boolean),
+    };
+  }
+
+  // ── Internals ────────────────────────────────────────────────────────────────
+
+  _authorized(header) {
+    const token = this._config.token;
+    const match = /^Bearer\s+(.+)$/i.exec(header || '');
+    if (!token || !match) return false;
+    const given    = Buffer.from(match[1].trim());
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  async _createSession(port) {
+    const server = this._createMCPServer();
+    const entry  = { transport: null, server, client: null };
+    entry.transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator:           () => uuidv4(),
+      onsessioninitialized:         (id) => { this._sessions.set(id, entry); },
+      // Reject requests whose Host isn't this machine (DNS rebinding)
+      enableDnsRebindingProtection: true,
+      allowedHosts:                 [`127.0.0.1:${port}`, `localhost:${port}`],
+    });
+    entry.transport.onclose = () => {
+      if (entry.transport.sessionId) this._sessions.delete(entry.transport.sessionId);
+    };
+    server.oninitialized = () => {
+      const info = server.getClientVersion();
+      entry.client = info ? `${info.name}${info.version ? ` ${info.version}` : ''}` : 'MCP client';
+      console.log(`[MCPServer] Client connected: ${entry.client}`);
+    };
+    await server.connect(entry.transport);
+    return entry;
+  }
+
+  _createMCPServer() {
+    const server = new Server(
+      { name: 'opendesktop', version: '1.0.0' },
+      { capabilities: { tools: {} } }
+    );
+
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: this._agentCore.toolRegistry.getMCPToolDefinitions(this._profile()),
+    }));
+
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      if (name.startsWith('mcp_')) {
+        return { content: [{ type: 'text', text: `Tool "${name}" is not published by OpenDesktop` }], isError: true };
+      }
+      const info = server.getClientVersion();
+      const result = await this._agentCore.executeTool(name, args || {}, {
+        persona:        this._config.persona || undefined,
+        approvalPolicy: this._config.approvalPolicy,
+        requester:      `MCP client ${info?.name || 'unknown'}`,
+      });
+
+      const content = [{ type: 'text', text: result.content }];
+      for (const image of result.images || []) {
+        try {
+          const { mediaType, data } = loadImageData(image);
+          content.push({ type: 'image', mimeType: mediaType, data });
+        } catch (err) {
+          content.push({ type: 'text', text: `[Image not included: ${err.message}]` });
+        }
+      }
+      return { content, isError: !!result.error };
+    });
+
+    return server;
+  }
+
+  _profile() {
+    const persona = this._config.persona;
+    return persona ? this._agentCore.personaManager.toolProfile(persona) : null;
+  }
+
+  async _closeSessions() {
+    const sessions = Array.from(this._sessions.values());
+    this._sessions.clear();
+    for (const s of sessions) {
+      try { await s.transport.close(); } catch (_) {}
+    }
+  }
+}
+
+const mcpServer = new MCPServer();
+module.exports = mcpServer;
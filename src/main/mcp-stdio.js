@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * mcp-stdio.js
+ *
+ * stdio transport for OpenDesktop's MCP server (see mcp-server.js). MCP clients
+ * that only launch servers as processes run this script; it relays messages
+ * between stdin/stdout and the running app's Streamable HTTP endpoint, so tool
+ * calls still use the app's permissions, policies and approval prompts.
+ *
+ * Usage (OpenDesktop must be running with the MCP server enabled):
+ *   OPENDESKTOP_MCP_TOKEN=<token> node src/main/mcp-stdio.js
+ *   OPENDESKTOP_MCP_URL defaults to http://127.0.0.1:57100/mcp
+ * In a packaged app, run the app binary with ELECTRON_RUN_AS_NODE=1 and this
+ * file's path inside app.asar (Settings → MCP shows the exact command).
+ */
+
+'use strict';
+
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+
+const url   = process.env.OPENDESKTOP_MCP_URL || 'http://127.0.0.1:57100/mcp';
+const token = process.env.OPENDESKTOP_MCP_TOKEN;
+
+if (!token) {
+  console.error('[mcp-stdio] Set OPENDESKTOP_MCP_TOKEN to the token shown in Settings → MCP → OpenDesktop as an MCP server');
+  process.exit(1);
+}
+
+const local  = new StdioServerTransport();
+const remote = new StreamableHTTPClientTransport(new URL(url), {
+  requestInit: { headers: { Authorization: `Bearer ${token}` } },
+});
+
+// The HTTP transport sends the negotiated protocol version on every request;
+// it is learned from the response to the client's initialize request.
+let initializeId = null;
+
+local.onmessage = (message) => {
+  if (message.method === 'initialize') initializeId = message.id;
+  remote.send(message).catch((err) => {
+    console.error(`[mcp-stdio] ${err.message}`);
+    // Answer requests so the client doesn't wait forever
+    if (message.id !== undefined && message.method) {
+      local.send({
+        jsonrpc: '2.0',
+        id:      message.id,
+        error:   { code: -32603, message: `OpenDesktop MCP server unreachable at ${url}: ${err.message}` },
+      }).catch(() => {});
+    }
+  });
+};
+
+remote.onmessage = (message) => {
+  if (initializeId !== null && message.id === initializeId && message.result?.protocolVersion) {
+    remote.setProtocolVersion(message.result.protocolVersion);
+    initializeId = null;
+  }
+  local.send(message).catch((err) => console.error(`[mcp-stdio] ${err.message}`));
+};
+
+remote.onerror = (err) => console.error(`[mcp-stdio] ${err.message}`);
+
+let closing = false;
+const shutdown = async () => {
+  if (closing) return;
+  closing = true;
+  try { await remote.terminateSession(); } catch (_) {}
+  try { await remote.close(); } catch (_) {}
+  process.exit(0);
+};
+
+local.onclose = shutdown;
+process.stdin.on('end', shutdown);
+
+(async () => {
+  await remote.start();
+  await local.start();
+})().catch((err) => {
+  console.error(`[mcp-stdio] ${err.message}`);
+  process.exit(1);
+});
@@ -2,14 +2,34 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('api', {
   // ── Agent ──────────────────────────────────────────────────────────────────
-  sendMessage: (message, persona, attachments) =>
-    ipcRenderer.invoke('agent:send-message', { message, persona, attachments }),
-  cancelTask: () =>
-    ipcRenderer.invoke('agent:cancel'),
+  sendMessage: (message, persona, attachments, sessionId, { dryRun } = {}) =>
+    ipcRenderer.invoke('agent:send-message', { message, persona, attachments, sessionId, dryRun }),
+  cancelTask: (sessionId) =>
+    ipcRenderer.invoke('agent:cancel', { sessionId }),
   approvalResponse: (requestId, approved, note) =>
     ipcRenderer.invoke('agent:approval-response', { requestId, approved, note }),
   newSession: () =>
     ipcRenderer.invoke('agent:new-session'),
+  getSessionId: () =>
+    ipcRenderer.invoke('agent:get-session'),
+  listResumableTasks: (sessionId) =>
+    ipcRenderer.invoke('agent:list-resumable', { sessionId }),
+  resumeTask: (taskId) =>
+    ipcRenderer.invoke('agent:resume-task', { taskId }),
+  discardTask: (taskId) =>
+    ipcRenderer.invoke('agent:discard-task', { taskId }),
+  listTaskChanges: (sessionId) =>
+    ipcRenderer.invoke('agent:list-changes', { sessionId }),
+  revertTask: (taskId) =>
+    ipcRenderer.invoke('agent:revert-task', { taskId }),
+  executePlan: (taskId, actionIds) =>
+    ipcRenderer.invoke('agent:execute-plan', { taskId, actionIds }),
+
+  // ── Saved sessions ─────────────────────────────────────────────────────────
+  listSessions:  (limit)     => ipcRenderer.invoke('session:list',   { limit }),
+  resumeSession: (id)        => ipcRenderer.invoke('session:resume', { id }),
+  renameSession: (id, title) => ipcRenderer.invoke('session:rename', { id, title }),
+  deleteSession: (id)        => ipcRenderer.invoke('session:delete', { id }),
 
   // ── Streaming / event callbacks ────────────────────────────────────────────
 
@@ -76,6 +96,27 @@ contextBridge.exposeInMainWorld('api', {
     return () => ipcRenderer.removeListener('agent:approval-request', handler);
   },
 
+  // Approval answered (by the user, the REST API, an auto policy, or timeout)
+  onApprovalResolved: (cb) => {
+    const handler = (_e, d) => cb(d);
+    ipcRenderer.on('agent:approval-resolved', handler);
+    return () => ipcRenderer.removeListener('agent:approval-resolved', handler);
+  },
+
+  // A spend budget passed its warning threshold during a task
+  onBudgetWarning: (cb) => {
+    const handler = (_e, d) => cb(d);
+    ipcRenderer.on('agent:budget-warning', handler);
+    return () => ipcRenderer.removeListener('agent:budget-warning', handler);
+  },
+
+  // An MCP server disconnected, reconnected or changed its tool list
+  onMCPServersChanged: (cb) => {
+    const handler = (_e, d) => cb(d);
+    ipcRenderer.on('mcp:servers-changed', handler);
+    return () => ipcRenderer.removeListener('mcp:servers-changed', handler);
+  },
+
   // Error
   onAgentError: (cb) => {
     const handler = (_e, d) => cb(d);
@@ -102,6 +143,20 @@ contextBridge.exposeInMainWorld('api', {
     ipcRenderer.invoke('memory:search', { query, limit }),
   getHistory: (limit) =>
     ipcRenderer.invoke('memory:get-history', { limit }),
+  listFacts: (filter) =>
+    ipcRenderer.invoke('memory:list-facts', filter),
+  addFact: (content, category) =>
+    ipcRenderer.invoke('memory:add-fact', { content, category }),
+  updateFact: (id, { content, category }) =>
+    ipcRenderer.invoke('memory:update-fact', { id, content, category }),
+  deleteFact: (id) =>
+    ipcRenderer.invoke('memory:delete-fact', { id }),
+
+  // ── Personas ───────────────────────────────────────────────────────────────
+  listPersonas:  ()        => ipcRenderer.invoke('personas:list'),
+  savePersona:   (persona) => ipcRenderer.invoke('personas:save', persona),
+  clonePersona:  (name)    => ipcRenderer.invoke('personas:clone', { name }),
+  deletePersona: (name)    => ipcRenderer.invoke('personas:delete', { name }),
 
   // ── Context ────────────────────────────────────────────────────────────────
   getActiveContext: () => ipcRenderer.invoke('context:get-active'),
@@ -123,6 +178,13 @@ contextBridge.exposeInMainWorld('api', {
   removeApiKey: (provider)         => ipcRenderer.invoke('keys:remove', { provider }),
   listApiKeys:  ()                 => ipcRenderer.invoke('keys:list'),
   hasApiKey:    (provider)         => ipcRenderer.invoke('keys:has',    { provider }),
+  getKeyStoreStatus:  ()                                => ipcRenderer.invoke('keys:status'),
+  unlockKeyStore:     (password)                        => ipcRenderer.invoke('keys:unlock',   { password }),
+  setKeyStoreMode:    (mode, password, currentPassword) => ipcRenderer.invoke('keys:set-mode', { mode, password, currentPassword }),
+  rotateKeyStore:     (currentPassword, password)       => ipcRenderer.invoke('keys:rotate',   { currentPassword, password }),
+  resetKeyStore:      ()                                => ipcRenderer.invoke('keys:reset'),
+  exportKeyStore:     (passphrase)                      => ipcRenderer.invoke('keys:export',   { passphrase }),
+  importKeyStore:     (passphrase, replace)             => ipcRenderer.invoke('keys:import',   { passphrase, replace }),
 
   // ── Dialogs ────────────────────────────────────────────────────────────────
   selectDirectory: () => ipcRenderer.invoke('dialog:select-directory'),
@@ -138,6 +200,18 @@ contextBridge.exposeInMainWorld('api', {
   addMCPServer:       (config) => ipcRenderer.invoke('mcp:add-server', config),
   removeMCPServer:    (id)     => ipcRenderer.invoke('mcp:remove-server', { id }),
   reconnectMCPServer: (id)     => ipcRenderer.invoke('mcp:reconnect-server', { id }),
+  configureMCPServer: (id, patch) => ipcRenderer.invoke('mcp:configure-server', { id, ...patch }),
+  getMCPServerLogs:   (id)     => ipcRenderer.invoke('mcp:server-logs', { id }),
+  clearMCPServerLogs: (id)     => ipcRenderer.invoke('mcp:clear-server-logs', { id }),
+  listMCPResources:   ()       => ipcRenderer.invoke('mcp:list-resources'),
+  listMCPPrompts:     ()       => ipcRenderer.invoke('mcp:list-prompts'),
+  getMCPTemplate:     (serverId, name) => ipcRenderer.invoke('mcp:prompt-template', { serverId, name }),
+
+  // ── OpenDesktop as an MCP server ───────────────────────────────────────────
+  getMCPServerStatus: ()        => ipcRenderer.invoke('mcp-server:status'),
+  toggleMCPServer:    (enabled) => ipcRenderer.invoke('mcp-server:toggle', { enabled }),
+  setMCPServerConfig: (patch)   => ipcRenderer.invoke('mcp-server:set-config', patch),
+  regenerateMCPToken: ()        => ipcRenderer.invoke('mcp-server:regenerate-token'),
 
   // ── Reminders ──────────────────────────────────────────────────────────────
   onReminderFired: (cb) => {
@@ -152,11 +226,23 @@ contextBridge.exposeInMainWorld('api', {
 
   // ── Usage / Cost ───────────────────────────────────────────────────────────
   getUsageSummary: (days) => ipcRenderer.invoke('usage:summary', { days }),
+  getBudgetStatus: ()     => ipcRenderer.invoke('usage:budget'),
 
   // ── Policy Engine ──────────────────────────────────────────────────────────
   listPolicies:  ()       => ipcRenderer.invoke('policy:list'),
   addPolicy:     (rule)   => ipcRenderer.invoke('policy:add', rule),
   removePolicy:  (id)     => ipcRenderer.invoke('policy:remove', { id }),
+  testPolicy:    (tool, input, at) => ipcRenderer.invoke('policy:test', { tool, input, at }),
+  exportPolicies:      ()                   => ipcRenderer.invoke('policy:export'),
+  importPolicies:      (replace)            => ipcRenderer.invoke('policy:import', { replace }),
+  getManagedPolicy:    ()                   => ipcRenderer.invoke('policy:managed-status'),
+  setManagedPolicy:    (path, publicKey)    => ipcRenderer.invoke('policy:set-managed', { path, publicKey }),
+  reloadManagedPolicy: ()                   => ipcRenderer.invoke('policy:reload-managed'),
+
+  // ── PII protection ─────────────────────────────────────────────────────────
+  getPIIConfig: ()      => ipcRenderer.invoke('pii:get-config'),
+  setPIIConfig: (patch) => ipcRenderer.invoke('pii:set-config', patch),
+  testPII:      (text)  => ipcRenderer.invoke('pii:test', { text }),
 
   // ── Workflows ──────────────────────────────────────────────────────────────
   listWorkflows:   (filter)      => ipcRenderer.invoke('workflow:list', filter),
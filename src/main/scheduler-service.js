@@ -102,7 +102,9 @@ class SchedulerService {
 
     try {
       if (!this._agentCoreRef) throw new Error('Agent core not available');
-      const result = await this._agentCoreRef.handleUserMessage(task.prompt, 'auto', []);
+      // Each run gets its own session so it never mixes with the interactive chat
+      const { id: sessionId } = this._agentCoreRef.createSession({ source: 'scheduler' });
+      const result = await this._agentCoreRef.handleUserMessage(task.prompt, 'auto', [], { sessionId });
 
       this._emitFn?.('scheduler:task-completed', {
         id:       task.id,
@@ -115,7 +115,8 @@ class WorkflowService {
     workflow.lastRunAt = Date.now();
     this._save();
 
-    const result = await agentCoreRef.handleUserMessage(resolvedPrompt, 'auto', []);
+    const { id: sessionId } = agentCoreRef.createSession({ source: 'workflow' });
+    const result = await agentCoreRef.handleUserMessage(resolvedPrompt, 'auto', [], { sessionId });
     return { workflow: workflow.name, prompt: resolvedPrompt, result };
   }
 
@@ -7,12 +7,57 @@ import ApprovalDialog  from './components/ApprovalDialog';
 import SettingsModal   from './components/SettingsModal';
 import WorkMode        from './components/WorkMode';
 import JiraImportModal from './components/JiraImportModal';
+import UnlockKeyStoreModal from './components/UnlockKeyStoreModal';
 
 const api = window.api;
 
 // Unique ID helper
 const uid = () => `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
 
+// Routing / attachment hints the agent appends to user messages — hidden when replaying
+const AGENT_HINT_RE = /\n\n\[(ROUTING|Attached files):[\s\S]*$/;
+
+// Convert a stored session transcript (internal LLM format) into chat messages
+function transcriptToMessages(transcript) {
+  const out = [];
+  for (const m of transcript || []) {
+    if (m.role === 'user') {
+      if (typeof m.content === 'string') {
+        out.push({ role: 'user', content: m.content.replace(AGENT_HINT_RE, ''), timestamp: Date.now() });
+      } else if (Array.isArray(m.content) && m.content.some((b) => b.type === 'image')) {
+        // Message sent with image attachments (tool_result arrays are skipped)
+        const text = m.content.filter((b) => b.type === 'text').map((b) => b.text).join('\n');
+        out.push({
+          role: 'user', content: text.replace(AGENT_HINT_RE, ''), timestamp: Date.now(),
+          attachments: m.content.filter((b) => b.type === 'image' && b.path).map((b) => b.path),
+        });
+      }
+    } else if (m.role === 'assistant') {
+      const text = typeof m.content === 'string'
+        ? m.content
+        : (m.content || []).filter((b) => b.type === 'text').map((b) => b.text).join('\n');
+      const prev = out[out.length - 1];
+      // Consecutive assistant turns (tool round-trips) collapse into one bubble
+      if (prev?.role === 'assistant') {
+        if (text) prev.content = text;
+        continue;
+      }
+      out.push({
+        role: 'assistant', content: text, taskId: uid(), timestamp: Date.now(),
+        completed: true, status: 'completed', phase: 'complete',
+        steps: [], toolHistory: [], activeCalls: [], streamText: '',
+      });
+    } else if (m.role === 'tool_results') {
+      const prev = out[out.length - 1];
+      if (prev?.role !== 'assistant') continue;
+      prev.toolHistory.push(...(m.results || []).map((r) => ({
+        id: r.id, name: r.name, success: !r.error, content: r.content, error: r.error,
+      })));
+    }
+  }
+  return out;
+}
+
 // Apply theme to the document root (persisted in localStorage)
 function applyTheme(theme) {
   document.documentElement.setAttribute('data-theme', theme);
@@ -30,8 +75,13 @@ export default function App() {
   const [showContext,       setShowContext]        = useState(true);
   const [history,           setHistory]           = useState([]);
   const [tools,             setTools]             = useState([]);
+  const [personas,          setPersonas]          = useState([]);
   const [settings,          setSettings]          = useState(null);
+  const [budget,            setBudget]            = useState(null);
+  const [resumableTasks,    setResumableTasks]    = useState([]);
   const [selectedHistoryId, setSelectedHistoryId] = useState(null);
+  const [sessions,          setSessions]          = useState([]);
+  const [activeSessionId,   setActiveSessionId]   = useState(null);
   const [mcpServers,        setMCPServers]        = useState([]);
   const [theme,             setTheme]             = useState(() => localStorage.getItem('od-theme') || 'dark');
 
@@ -39,9 +89,12 @@ export default function App() {
   const [workItems,      setWorkItems]      = useState([]);
   const [activeWorkItem, setActiveWorkItem] = useState(null);
   const [showJiraImport, setShowJiraImport] = useState(false);
+  const [showUnlockKeys, setShowUnlockKeys] = useState(false);
 
   // activeTaskId — the ID of the currently running task (for event correlation)
   const activeTaskIdRef = useRef(null);
+  // sessionId — the agent session backing this chat (other sessions' events are ignored)
+  const sessionIdRef = useRef(null);
 
   // Apply theme on mount and whenever it changes
   useEffect(() => { applyTheme(theme); }, [theme]);
@@ -49,16 +102,37 @@ export default function App() {
   const handleThemeChange = useCallback((t) => { setTheme(t); }, []);
 
   const loadSettings = () => api?.getSettings().then(setSettings).catch(console.error);
+  const loadBudget   = () => api?.getBudgetStatus?.().then(setBudget).catch(console.error);
+  const loadResumable = () => api?.listResumableTasks?.()
+    .then((tasks) => { if (Array.isArray(tasks)) setResumableTasks(tasks); })
+    .catch(console.error);
   const refreshMCP   = () => api?.listMCPServers().then(setMCPServers).catch(console.error);
+  const loadPersonas = () => api?.listPersonas?.()
+    .then((list) => {
+      if (!Array.isArray(list)) return;
+      setPersonas(list);
+      // The active persona may have been deleted in Settings
+      setActivePersona((current) => (current === 'auto' || list.some((p) => p.name === current) ? current : 'auto'));
+    })
+    .catch(console.error);
 
   // ── Initial data load ───────────────────────────────────────────────────────
   useEffect(() => {
+    api?.getSessionId().then((id) => { sessionIdRef.current = id; setActiveSessionId(id); }).catch(console.error);
+    api?.listSessions(50).then(setSessions).catch(console.error);
     api?.listTools().then(setTools).catch(console.error);
     api?.getHistory(20).then(setHistory).catch(console.error);
     api?.getActiveContext().then(setContextData).catch(console.error);
     api?.listMCPServers().then(setMCPServers).catch(console.error);
     api?.listWorkItems?.().then(setWorkItems).catch(console.error);
     loadSettings();
+    loadBudget();
+    loadResumable();
+    loadPersonas();
+    // Master-password keystores start locked
+    api?.getKeyStoreStatus?.()
+      .then((s) => { if (s?.locked && s.mode === 'password') setShowUnlockKeys(true); })
+      .catch(console.error);
 
     const interval = setInterval(() => {
       api?.getActiveContext().then(setContextData).catch(() => {});
@@ -83,11 +157,20 @@ export default function App() {
       });
     };
 
+    // Events from API / scheduler / workflow sessions don't belong in this chat
+    const isOtherSession = (sessionId) =>
+      !!sessionId && !!sessionIdRef.current && sessionId !== sessionIdRef.current;
+
     const cleanups = [
 
       // Server assigns the real taskId — patch the latest placeholder to adopt it
-      api.onAgentTaskStart(({ taskId: serverTaskId, _workStep }) => {
+      api.onAgentTaskStart(({ taskId: serverTaskId, sessionId, resumed, _workStep }) => {
         if (_workStep) return; // WorkMode handles work step events
+        // A task resumed from this chat may continue in a new session — follow it
+        if (resumed && serverTaskId === activeTaskIdRef.current && sessionId !== sessionIdRef.current) {
+          adoptSession(sessionId);
+        }
+        if (isOtherSession(sessionId)) return;
         activeTaskIdRef.current = serverTaskId;
         setMessages((prev) => {
           // Find the last assistant placeholder that hasn't completed yet
@@ -137,8 +220,8 @@ export default function App() {
       }),
 
       // A single tool started
-      api.onAgentToolStart(({ taskId, id, name, input, _workStep }) => {
-        if (_workStep) return;
+      api.onAgentToolStart(({ taskId, sessionId, id, name, input, _workStep }) => {
+        if (_workStep || isOtherSession(sessionId)) return;
         patchLastAssistant(taskId, (m) => ({
           ...m,
           activeCalls: (m.activeCalls || []).map((c) =>
@@ -184,8 +267,8 @@ export default function App() {
       }),
 
       // Phase updates (context-gathering, etc.)
-      api.onAgentStepUpdate(({ taskId, phase, message: msg, _workStep }) => {
-        if (_workStep) return;
+      api.onAgentStepUpdate(({ taskId, sessionId, phase, message: msg, _workStep }) => {
+        if (_workStep || isOtherSession(sessionId)) return;
         setPhaseLabel(msg || phase || '');
         if (taskId) {
           patchLastAssistant(taskId, (m) => ({ ...m, phase }));
@@ -195,9 +278,27 @@ export default function App() {
       // Approval request
       api.onApprovalRequest((data) => setApprovalRequest(data)),
 
+      // Approval answered elsewhere (REST API, auto policy, timeout) — close the dialog
+      api.onApprovalResolved(({ requestId }) => {
+        setApprovalRequest((cur) => (cur?.requestId === requestId ? null : cur));
+      }),
+
+      // Spend budget running low
+      api.onBudgetWarning?.(({ sessionId, scope, provider, remainingUsd }) => {
+        loadBudget();
+        if (isOtherSession(sessionId)) return;
+        setPhaseLabel(`Budget warning: $${remainingUsd.toFixed(2)} left in the ${scope}${provider ? ` ${provider}` : ''} budget`);
+      }),
+
+      // MCP server dropped out, came back or changed its tools
+      api.onMCPServersChanged(() => {
+        refreshMCP();
+        api.listTools().then(setTools).catch(console.error);
+      }),
+
       // Error
-      api.onAgentError(({ taskId, error, _workStep }) => {
-        if (_workStep) return;
+      api.onAgentError(({ taskId, sessionId, error, _workStep }) => {
+        if (_workStep || isOtherSession(sessionId)) return;
         setIsProcessing(false);
         setPhaseLabel('');
         setMessages((prev) => {
@@ -208,11 +309,12 @@ export default function App() {
             { role: 'error', content: error, taskId, timestamp: Date.now() },
           ];
         });
+        loadResumable();
       }),
 
       // Task complete
-      api.onAgentComplete(({ taskId, status, summary, steps, _workStep }) => {
-        if (_workStep) return;
+      api.onAgentComplete(({ taskId, sessionId, status, summary, steps, filesChanged, plannedActions, _workStep }) => {
+        if (_workStep || isOtherSession(sessionId)) return;
         setIsProcessing(false);
         setPhaseLabel('');
         setMessages((prev) => {
@@ -225,6 +327,8 @@ export default function App() {
               streamText: '',
               steps:      steps || [],
               status,
+              filesChanged,
+              plannedActions,
               completed:  true,
               phase:      'complete',
             };
@@ -237,6 +341,8 @@ export default function App() {
               content:    summary,
               steps:      steps || [],
               status,
+              filesChanged,
+              plannedActions,
               taskId,
               timestamp:  Date.now(),
               completed:  true,
@@ -245,6 +351,9 @@ export default function App() {
           ];
         });
         api?.getHistory(20).then(setHistory).catch(() => {});
+        api?.listSessions(50).then(setSessions).catch(() => {});
+        loadBudget();
+        loadResumable();
       }),
     ];
 
@@ -300,7 +409,7 @@ export default function App() {
 
   // ── Send a message ───────────────────────────────────────────────────────────
   const handleSend = useCallback(
-    async (message, attachments) => {
+    async (message, attachments, { dryRun = false } = {}) => {
       if (!message.trim() || isProcessing) return;
 
       const taskId = uid();
@@ -310,6 +419,7 @@ export default function App() {
         role: 'user',
         content: message.trim(),
         attachments: attachments || [],
+        dryRun,
         timestamp: Date.now(),
       };
 
@@ -332,7 +442,7 @@ export default function App() {
       setPhaseLabel('Gathering context...');
 
       try {
-        const result = await api.sendMessage(message.trim(), activePersona, attachments || []);
+        const result = await api.sendMessage(message.trim(), activePersona, attachments || [], sessionIdRef.current, { dryRun });
         if (result?.error) {
           setIsProcessing(false);
           setPhaseLabel('');
@@ -353,8 +463,119 @@ export default function App() {
     [isProcessing, activePersona]
   );
 
+  // ── Resume a task from its last checkpoint ──────────────────────────────────
+  const handleResumeTask = useCallback(
+    async (task) => {
+      if (isProcessing) return;
+
+      // Interrupted tasks usually belong to an earlier session — reopen it first
+      if (task.sessionId && task.sessionId !== sessionIdRef.current) {
+        const r = await api.resumeSession(task.sessionId).catch(() => null);
+        if (r && !r.error) {
+          adoptSession(r.sessionId);
+          setSelectedHistoryId(null);
+          setActiveWorkItem(null);
+          setMessages(transcriptToMessages(r.messages));
+        }
+      }
+
+      activeTaskIdRef.current = task.taskId;
+      setResumableTasks((prev) => prev.filter((t) => t.taskId !== task.taskId));
+      setMessages((prev) => [
+        ...prev,
+        {
+          role:       'assistant',
+          content:    '',
+          streamText: '',
+          taskId:     task.taskId,
+          timestamp:  Date.now(),
+          completed:  false,
+          phase:      'context',
+          activeCalls: [],
+          toolHistory: [],
+          steps:      [],
+        },
+      ]);
+      setIsProcessing(true);
+      setPhaseLabel('Resuming task...');
+
+      const fail = (error) => {
+        setIsProcessing(false);
+        setPhaseLabel('');
+        setMessages((prev) => [
+          ...prev.filter((m) => !(m.role === 'assistant' && m.taskId === task.taskId && !m.completed)),
+          { role: 'error', content: error, timestamp: Date.now() },
+        ]);
+        loadResumable();
+      };
+      try {
+        const result = await api.resumeTask(task.taskId);
+        if (result?.error) fail(result.error);
+      } catch (err) {
+        fail(err.message);
+      }
+    },
+    [isProcessing]
+  );
+
+  // ── Revert every file a task wrote ──────────────────────────────────────────
+  const handleRevertTask = useCallback(async (taskId) => {
+    const result = await api?.revertTask(taskId).catch((err) => ({ error: err.message }));
+    setMessages((prev) => prev.map((m) =>
+      m.role === 'assistant' && m.taskId === taskId ? { ...m, revert: result || { error: 'Revert failed' } } : m
+    ));
+  }, []);
+
+  // ── Execute the actions a dry run planned ───────────────────────────────────
+  const handleExecutePlan = useCallback(
+    async (planTaskId, actionIds) => {
+      if (isProcessing) return;
+
+      const taskId = uid();
+      activeTaskIdRef.current = taskId;
+      const markPlan = (planExecution) => setMessages((prev) => prev.map((m) =>
+        m.role === 'assistant' && m.taskId === planTaskId ? { ...m, planExecution } : m
+      ));
+      markPlan({ pending: true });
+      setMessages((prev) => [
+        ...prev,
+        {
+          role:       'assistant',
+          content:    '',
+          streamText: '',
+          taskId,
+          timestamp:  Date.now(),
+          completed:  false,
+          phase:      'tool-calls',
+          activeCalls: [],
+          toolHistory: [],
+          steps:      [],
+        },
+      ]);
+      setIsProcessing(true);
+      setPhaseLabel(`Executing ${actionIds.length} planned action${actionIds.length !== 1 ? 's' : ''}...`);
+
+      const result = await api.executePlan(planTaskId, actionIds).catch((err) => ({ error: err.message }));
+      if (result?.error) {
+        setIsProcessing(false);
+        setPhaseLabel('');
+        setMessages((prev) => prev
+          .filter((m) => !(m.role === 'assistant' && !m.completed && m.taskId === (result.taskId || taskId)))
+          .map((m) => (m.role === 'assistant' && m.taskId === planTaskId ? { ...m, planExecution: { error: result.error } } : m)));
+        return;
+      }
+      markPlan({ taskId: result.taskId, status: result.status });
+    },
+    [isProcessing]
+  );
+
+  const handleDiscardTask = useCallback(async (task) => {
+    await api?.discardTask(task.taskId);
+    loadResumable();
+  }, []);
+
   const handleCancel = useCallback(() => {
-    api?.cancelTask();
+    api?.cancelTask(sessionIdRef.current);
     setIsProcessing(false);
     setPhaseLabel('');
   }, []);
@@ -395,6 +616,17 @@ export default function App() {
     setShowJiraImport(true);
   }, []);
 
+  const handleUnlockKeys = useCallback(async (password) => {
+    try {
+      const r = await api.unlockKeyStore(password);
+      if (r.error) return r.error;
+      setShowUnlockKeys(false);
+      return null;
+    } catch (err) {
+      return err.message;
+    }
+  }, []);
+
   const handleJiraImportSubmit = useCallback(async (key) => {
     try {
       const r = await api.importJiraTicket(key);
@@ -413,8 +645,13 @@ export default function App() {
     setApprovalRequest(null);
   }, []);
 
+  const adoptSession = (id) => {
+    sessionIdRef.current = id;
+    setActiveSessionId(id);
+  };
+
   const handleNewSession = useCallback(() => {
-    api?.newSession();
+    api?.newSession().then(adoptSession).catch(console.error);
     setMessages([]);
     setSelectedHistoryId(null);
   }, []);
@@ -423,7 +660,7 @@ export default function App() {
   const handleSelectHistory = useCallback((item) => {
     if (isProcessing) return;
     setSelectedHistoryId(item.id);
-    api?.newSession();
+    api?.newSession().then(adoptSession).catch(console.error);
 
     const restored = [
       {
@@ -449,6 +686,36 @@ export default function App() {
     setMessages(restored);
   }, [isProcessing]);
 
+  // Reopen a saved session — its full conversation is restored into the agent
+  const handleSelectSession = useCallback(async (session) => {
+    if (isProcessing) return;
+    try {
+      const r = await api.resumeSession(session.id);
+      if (r?.error) return console.error('Failed to resume session:', r.error);
+      adoptSession(r.sessionId);
+      setSelectedHistoryId(null);
+      setActiveWorkItem(null);
+      setMessages(transcriptToMessages(r.messages));
+    } catch (err) {
+      console.error('Failed to resume session:', err);
+    }
+  }, [isProcessing]);
+
+  const handleRenameSession = useCallback(async (id, title) => {
+    await api?.renameSession(id, title);
+    api?.listSessions(50).then(setSessions).catch(console.error);
+  }, []);
+
+  const handleDeleteSession = useCallback(async (id) => {
+    const r = await api?.deleteSession(id);
+    // Deleting the open session leaves the agent on a fresh one
+    if (id === sessionIdRef.current && r?.sessionId) {
+      adoptSession(r.sessionId);
+      setMessages([]);
+    }
+    api?.listSessions(50).then(setSessions).catch(console.error);
+  }, []);
+
   return (
     <div className="h-screen flex flex-col bg-surface-0">
       <TitleBar onSettings={() => setShowSettings(true)} />
@@ -457,9 +724,15 @@ export default function App() {
         <Sidebar
           activePersona={activePersona}
           onPersonaChange={setActivePersona}
+          personas={personas}
           history={history}
           selectedHistoryId={selectedHistoryId}
           onSelectHistory={handleSelectHistory}
+          sessions={sessions}
+          activeSessionId={activeSessionId}
+          onSelectSession={handleSelectSession}
+          onRenameSession={handleRenameSession}
+          onDeleteSession={handleDeleteSession}
           tools={tools}
           mcpServers={mcpServers}
           showContext={showContext}
@@ -487,8 +760,14 @@ export default function App() {
             onCancel={handleCancel}
             activePersona={activePersona}
             settings={settings}
+            budget={budget}
             isHistoryReplay={selectedHistoryId !== null}
             onSettingsChange={loadSettings}
+            resumableTasks={resumableTasks}
+            onResumeTask={handleResumeTask}
+            onDiscardTask={handleDiscardTask}
+            onRevertTask={handleRevertTask}
+            onExecutePlan={handleExecutePlan}
           />
         )}
 
@@ -505,7 +784,7 @@ export default function App() {
 
       {showSettings && (
         <SettingsModal
-          onClose={() => { setShowSettings(false); loadSettings(); refreshMCP(); }}
+          onClose={() => { setShowSettings(false); loadSettings(); loadBudget(); refreshMCP(); loadPersonas(); }}
           theme={theme}
           onThemeChange={handleThemeChange}
         />
@@ -517,6 +796,13 @@ export default function App() {
           onClose={() => setShowJiraImport(false)}
         />
       )}
+
+      {showUnlockKeys && (
+        <UnlockKeyStoreModal
+          onSubmit={handleUnlockKeys}
+          onClose={() => setShowUnlockKeys(false)}
+        />
+      )}
     </div>
   );
 }
@@ -5,7 +5,7 @@ import {
   ChevronDown, ChevronRight, Wrench, Bot, Sparkles,
   Terminal, Globe, FolderOpen, Cpu, RefreshCw, Eye,
   Paperclip, X as XIcon, Plug, HardDrive, Check,
-  Calendar, Mail, Layers, Bell, Clock,
+  Calendar, Mail, Layers, Bell, Clock, Image as ImageIcon, Play, Undo2, ListChecks, Database,
 } from 'lucide-react';
 
 const api = window.api;
@@ -19,6 +19,16 @@ const PERSONA_COLORS = {
   custom:     'from-zinc-500 to-zinc-600',
 };
 
+// Image attachments are sent to vision-capable models as images
+const isImageFile = (fp = '') => /\.(png|jpe?g|gif|webp)$/i.test(fp);
+
+// MCP resources are attached as mcp-resource:{serverSlug}:{uri}
+const isResourceRef = (fp = '') => fp.startsWith('mcp-resource:');
+const attachmentIcon = (fp) => (isResourceRef(fp) ? Database : isImageFile(fp) ? ImageIcon : Paperclip);
+const attachmentName = (fp) => (isResourceRef(fp)
+  ? fp.split(':').slice(2).join(':').split('/').filter(Boolean).pop()
+  : fp.split('/').pop());
+
 // Map tool categories to icons
 function toolIcon(name = '') {
   if (name.startsWith('fs_'))        return FolderOpen;
@@ -29,15 +39,21 @@ function toolIcon(name = '') {
   return Wrench;
 }
 
-export default function ChatPanel({ messages, isProcessing, phaseLabel, onSend, onCancel, activePersona, settings, isHistoryReplay, onSettingsChange }) {
+export default function ChatPanel({
+  messages, isProcessing, phaseLabel, onSend, onCancel, activePersona, settings, budget, isHistoryReplay, onSettingsChange,
+  resumableTasks = [], onResumeTask, onDiscardTask, onRevertTask, onExecutePlan,
+}) {
   const [input, setInput]           = useState('');
   const [attachments, setAttachments] = useState([]);
+  const [dryRun, setDryRun]         = useState(false);
   const [showModelPicker, setShowModelPicker] = useState(false);
   const [showConnectors, setShowConnectors]   = useState(false);
+  const [showResources, setShowResources]     = useState(false);
   const messagesEndRef = useRef(null);
   const inputRef       = useRef(null);
   const modelPickerRef = useRef(null);
   const connectorsRef  = useRef(null);
+  const resourcesRef   = useRef(null);
 
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -56,6 +72,9 @@ export default function ChatPanel({ messages, isProcessing, phaseLabel, onSend,
       if (connectorsRef.current && !connectorsRef.current.contains(e.target)) {
         setShowConnectors(false);
       }
+      if (resourcesRef.current && !resourcesRef.current.contains(e.target)) {
+        setShowResources(false);
+      }
     };
     document.addEventListener('mousedown', handler);
     return () => document.removeEventListener('mousedown', handler);
@@ -64,7 +83,7 @@ export default function ChatPanel({ messages, isProcessing, phaseLabel, onSend,
   // Close popovers on Escape
   useEffect(() => {
     const handler = (e) => {
-      if (e.key === 'Escape') { setShowModelPicker(false); setShowConnectors(false); }
+      if (e.key === 'Escape') { setShowModelPicker(false); setShowConnectors(false); setShowResources(false); }
     };
     document.addEventListener('keydown', handler);
     return () => document.removeEventListener('keydown', handler);
@@ -73,7 +92,7 @@ export default function ChatPanel({ messages, isProcessing, phaseLabel, onSend,
   const handleSubmit = (e) => {
     e.preventDefault();
     if (input.trim() && !isProcessing) {
-      onSend(input, attachments);
+      onSend(input, attachments, { dryRun });
       setInput('');
       setAttachments([]);
     }
@@ -97,6 +116,10 @@ export default function ChatPanel({ messages, isProcessing, phaseLabel, onSend,
     setAttachments((prev) => prev.filter((f) => f !== fp));
   };
 
+  const toggleResource = (ref) => {
+    setAttachments((prev) => (prev.includes(ref) ? prev.filter((f) => f !== ref) : [...prev, ref]));
+  };
+
   return (
     <div className="flex-1 flex flex-col min-w-0">
       {/* History replay banner */}
@@ -107,15 +130,46 @@ export default function ChatPanel({ messages, isProcessing, phaseLabel, onSend,
         </div>
       )}
 
+      {/* Tasks cut off when the app last quit */}
+      {resumableTasks.filter((t) => t.status === 'interrupted').slice(0, 3).map((task) => (
+        <div key={task.taskId} className="shrink-0 flex items-center gap-2 px-4 py-1.5 bg-sky-500/10 border-b border-sky-500/20 text-xs text-sky-300">
+          <AlertTriangle size={11} className="shrink-0" />
+          <span className="truncate flex-1">
+            Interrupted task: "{task.query || 'untitled'}" — stopped after {task.turns} turn{task.turns !== 1 ? 's' : ''}
+          </span>
+          <button
+            onClick={() => onResumeTask?.(task)}
+            disabled={isProcessing}
+            className="flex items-center gap-1 px-2 py-0.5 rounded bg-sky-500/20 hover:bg-sky-500/30 disabled:opacity-40 transition-colors"
+          >
+            <Play size={10} /> Resume
+          </button>
+          <button onClick={() => onDiscardTask?.(task)} className="text-sky-400/60 hover:text-sky-300 transition-colors" title="Dismiss">
+            <XIcon size={12} />
+          </button>
+        </div>
+      ))}
+
       {/* Messages */}
       <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
         {messages.length === 0 && (
           <WelcomeScreen activePersona={activePersona} onSend={onSend} />
         )}
 
-        {messages.map((msg, i) => (
-          <MessageBubble key={i} message={msg} activePersona={activePersona} />
-        ))}
+        {messages.map((msg, i) => {
+          // Cancelled / failed / over-budget tasks keep a checkpoint and can pick up where they stopped
+          const resumable = !isProcessing && msg.taskId && resumableTasks.find((t) => t.taskId === msg.taskId);
+          return (
+            <MessageBubble
+              key={i}
+              message={msg}
+              activePersona={activePersona}
+              onResume={resumable ? () => onResumeTask?.(resumable) : null}
+              onRevert={!isProcessing && msg.filesChanged > 0 && !msg.revert ? () => onRevertTask?.(msg.taskId) : null}
+              onExecutePlan={!isProcessing && !msg.planExecution ? (actionIds) => onExecutePlan?.(msg.taskId, actionIds) : null}
+            />
+          );
+        })}
 
         <div ref={messagesEndRef} />
       </div>
@@ -135,21 +189,24 @@ export default function ChatPanel({ messages, isProcessing, phaseLabel, onSend,
         {/* Attachment chips */}
         {attachments.length > 0 && (
           <div className="flex flex-wrap gap-1.5 mb-2">
-            {attachments.map((fp) => (
-              <div key={fp} className="flex items-center gap-1 bg-accent/10 border border-accent/20 rounded-lg px-2 py-0.5">
-                <Paperclip size={10} className="text-accent shrink-0" />
-                <span className="text-[10px] text-accent max-w-[180px] truncate" title={fp}>
-                  {fp.split('/').pop()}
-                </span>
-                <button
-                  type="button"
-                  onClick={() => removeAttachment(fp)}
-                  className="text-accent/60 hover:text-accent transition-colors ml-0.5"
-                >
-                  <XIcon size={10} />
-                </button>
-              </div>
-            ))}
+            {attachments.map((fp) => {
+              const AttachIcon = attachmentIcon(fp);
+              return (
+                <div key={fp} className="flex items-center gap-1 bg-accent/10 border border-accent/20 rounded-lg px-2 py-0.5">
+                  <AttachIcon size={10} className="text-accent shrink-0" />
+                  <span className="text-[10px] text-accent max-w-[180px] truncate" title={fp}>
+                    {attachmentName(fp)}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => removeAttachment(fp)}
+                    className="text-accent/60 hover:text-accent transition-colors ml-0.5"
+                  >
+                    <XIcon size={10} />
+                  </button>
+                </div>
+              );
+            })}
           </div>
         )}
 
@@ -165,6 +222,22 @@ export default function ChatPanel({ messages, isProcessing, phaseLabel, onSend,
             <Paperclip size={16} />
           </button>
 
+          {/* MCP resources button */}
+          <div className="relative shrink-0" ref={resourcesRef}>
+            <button
+              type="button"
+              onClick={() => { setShowResources(!showResources); setShowConnectors(false); setShowModelPicker(false); }}
+              disabled={isProcessing}
+              title="Attach MCP resources"
+              className={`p-2 rounded-lg transition-colors disabled:opacity-40 ${showResources ? 'text-accent bg-accent/10' : 'text-zinc-500 hover:text-zinc-300 hover:bg-surface-3'}`}
+            >
+              <Database size={16} />
+            </button>
+            {showResources && (
+              <ResourcesPopover selected={attachments} onToggle={toggleResource} />
+            )}
+          </div>
+
           {/* Connectors button */}
           <div className="relative shrink-0" ref={connectorsRef}>
             <button
@@ -180,13 +253,23 @@ export default function ChatPanel({ messages, isProcessing, phaseLabel, onSend,
             )}
           </div>
 
+          {/* Dry-run toggle */}
+          <button
+            type="button"
+            onClick={() => setDryRun(!dryRun)}
+            title="Dry run — plan file and system changes for review without making them"
+            className={`shrink-0 p-2 rounded-lg transition-colors ${dryRun ? 'text-amber-400 bg-amber-500/10' : 'text-zinc-500 hover:text-zinc-300 hover:bg-surface-3'}`}
+          >
+            <Eye size={16} />
+          </button>
+
           <div className="flex-1 relative">
             <textarea
               ref={inputRef}
               value={input}
               onChange={(e) => setInput(e.target.value)}
               onKeyDown={handleKeyDown}
-              placeholder={`Ask ${activePersona} to do something...`}
+              placeholder={dryRun ? `Dry run — ${activePersona} will plan changes without making them...` : `Ask ${activePersona} to do something...`}
               disabled={isProcessing}
               rows={1}
               className="w-full bg-surface-2 border border-surface-4 rounded-xl px-4 py-3 pr-12 text-sm text-zinc-200 placeholder-zinc-600 focus:outline-none focus:border-accent/50 focus:ring-1 focus:ring-accent/20 resize-none transition-all disabled:opacity-50"
@@ -220,8 +303,9 @@ export default function ChatPanel({ messages, isProcessing, phaseLabel, onSend,
         </form>
 
         <div className="flex items-center justify-between mt-2 px-1">
-          <span className="text-[10px] text-zinc-600">
+          <span className="text-[10px] text-zinc-600 flex items-center gap-2">
             Shift+Enter for new line · Enter to send
+            <BudgetChip budget={budget} />
           </span>
           {/* Inline model picker trigger */}
           <div className="relative" ref={modelPickerRef}>
@@ -255,6 +339,29 @@ export default function ChatPanel({ messages, isProcessing, phaseLabel, onSend,
   );
 }
 
+// ── Budget Chip ───────────────────────────────────────────────────────────────
+
+const BUDGET_PERIODS = { daily: 'today', monthly: 'this month' };
+
+/** Remaining spend of the tightest configured budget (none shown if no budgets are set). */
+function BudgetChip({ budget }) {
+  const scopes = (budget?.scopes || []).filter((s) => s.scope !== 'task');
+  if (scopes.length === 0) return null;
+  const tightest = scopes.reduce((a, b) => (b.ratio > a.ratio ? b : a));
+  const color = tightest.ratio >= 1 ? 'text-red-400'
+    : tightest.ratio >= budget.warnRatio ? 'text-amber-400'
+    : 'text-zinc-500';
+  const title = scopes
+    .map((s) => `${s.provider ? `${s.provider} ` : ''}${s.scope}: $${s.spentUsd.toFixed(2)} of $${s.limitUsd.toFixed(2)}`)
+    .join('\n');
+  return (
+    <span className={`font-mono ${color}`} title={title}>
+      ${tightest.remainingUsd.toFixed(2)} left {BUDGET_PERIODS[tightest.scope]}
+      {tightest.provider ? ` (${tightest.provider})` : ''}
+    </span>
+  );
+}
+
 // ── Model Picker Popover ──────────────────────────────────────────────────────
 
 function ModelPickerPopover({ settings, onApply, onClose }) {
@@ -476,6 +583,49 @@ function ConnectorsPopover({ onClose }) {
   );
 }
 
+// ── MCP Resources Popover ─────────────────────────────────────────────────────
+
+function ResourcesPopover({ selected, onToggle }) {
+  const [resources, setResources] = useState(null);
+
+  useEffect(() => {
+    api?.listMCPResources?.().then((r) => setResources(r || [])).catch(() => setResources([]));
+  }, []);
+
+  return (
+    <div className="absolute bottom-full left-0 mb-2 w-80 max-h-80 overflow-y-auto bg-surface-1 border border-surface-3 rounded-xl shadow-2xl animate-fade-in z-50 p-3 space-y-1">
+      <p className="text-xs font-medium text-zinc-300 mb-2">MCP Resources</p>
+      {resources === null && <Loader2 size={12} className="animate-spin text-zinc-500" />}
+      {resources?.length === 0 && (
+        <p className="text-[10px] text-zinc-600">
+          None of the connected MCP servers expose resources. Add servers in Settings → MCP.
+        </p>
+      )}
+      {resources?.map((r) => {
+        const checked = selected.includes(r.ref);
+        return (
+          <button
+            key={r.ref}
+            type="button"
+            onClick={() => onToggle(r.ref)}
+            title={r.uri}
+            className={`w-full flex items-start gap-2 px-2 py-1.5 rounded-lg text-left border transition-colors ${
+              checked ? 'bg-accent/10 border-accent/30' : 'border-transparent hover:bg-surface-2'
+            }`}
+          >
+            <Database size={11} className={`mt-0.5 shrink-0 ${checked ? 'text-accent' : 'text-zinc-500'}`} />
+            <div className="flex-1 min-w-0">
+              <p className="text-xs text-zinc-300 truncate">{r.name}</p>
+              <p className="text-[10px] text-zinc-600 truncate">{r.server} · {r.description || r.uri}</p>
+            </div>
+            {checked && <Check size={11} className="text-accent shrink-0 mt-0.5" />}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
 // ── Welcome screen ────────────────────────────────────────────────────────────
 
 function WelcomeScreen({ activePersona, onSend }) {
@@ -536,14 +686,32 @@ function WelcomeScreen({ activePersona, onSend }) {
 
 // ── Message bubble ─────────────────────────────────────────────────────────────
 
-function MessageBubble({ message, activePersona }) {
+function MessageBubble({ message, activePersona, onResume, onRevert, onExecutePlan }) {
   const [showTools, setShowTools] = useState(false);
 
   if (message.role === 'user') {
     return (
       <div className="flex justify-end animate-slide-up">
         <div className="max-w-[75%] bg-accent/15 border border-accent/20 rounded-2xl rounded-br-md px-4 py-2.5">
+          {message.dryRun && (
+            <span className="flex items-center gap-1 text-[10px] text-amber-400 mb-0.5">
+              <Eye size={9} /> Dry run
+            </span>
+          )}
           <p className="text-sm text-zinc-200 whitespace-pre-wrap">{message.content}</p>
+          {message.attachments?.length > 0 && (
+            <div className="flex flex-wrap gap-1 mt-1.5">
+              {message.attachments.map((fp) => {
+                const AttachIcon = attachmentIcon(fp);
+                return (
+                  <span key={fp} title={fp} className="flex items-center gap-1 text-[10px] text-accent/80 bg-accent/10 rounded px-1.5 py-0.5 max-w-[200px]">
+                    <AttachIcon size={9} className="shrink-0" />
+                    <span className="truncate">{attachmentName(fp)}</span>
+                  </span>
+                );
+              })}
+            </div>
+          )}
           <span className="text-[10px] text-zinc-600 mt-1 block text-right">
             {new Date(message.timestamp).toLocaleTimeString()}
           </span>
@@ -560,6 +728,7 @@ function MessageBubble({ message, activePersona }) {
         </div>
         <div className="max-w-[75%] bg-red-500/10 border border-red-500/20 rounded-2xl rounded-bl-md px-4 py-2.5">
           <p className="text-sm text-red-300">{message.content}</p>
+          {onResume && <ResumeButton onClick={onResume} />}
         </div>
       </div>
     );
@@ -662,6 +831,9 @@ function MessageBubble({ message, activePersona }) {
               {message.status === 'cancelled' && (
                 <XCircle size={11} className="text-zinc-500 ml-1" />
               )}
+              {message.status === 'budget_exceeded' && (
+                <AlertTriangle size={11} className="text-amber-500 ml-1" />
+              )}
             </button>
 
             {showTools && (
@@ -674,6 +846,13 @@ function MessageBubble({ message, activePersona }) {
           </div>
         )}
 
+        {message.plannedActions?.length > 0 && (
+          <PlanReview actions={message.plannedActions} execution={message.planExecution} onExecute={onExecutePlan} />
+        )}
+        {onResume && <ResumeButton onClick={onResume} />}
+        {onRevert && <RevertButton fileCount={message.filesChanged} onConfirm={onRevert} />}
+        {message.revert && <RevertSummary result={message.revert} />}
+
         <span className="text-[10px] text-zinc-600 block">
           {new Date(message.timestamp).toLocaleTimeString()}
         </span>
@@ -682,6 +861,127 @@ function MessageBubble({ message, activePersona }) {
   );
 }
 
+function ResumeButton({ onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      className="flex items-center gap-1 mt-1.5 text-xs text-accent hover:text-accent/80 transition-colors"
+      title="Continue this task from its last checkpoint — tools that already ran are not repeated"
+    >
+      <Play size={11} /> Resume task
+    </button>
+  );
+}
+
+// Two-step: the first click asks for confirmation
+function RevertButton({ fileCount, onConfirm }) {
+  const [confirming, setConfirming] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  if (confirming) {
+    return (
+      <div className="flex items-center gap-2 mt-1.5 text-xs">
+        <span className="text-amber-400">Restore {fileCount} file{fileCount !== 1 ? 's' : ''} to how they were before this task?</span>
+        <button
+          disabled={busy}
+          onClick={async () => { setBusy(true); await onConfirm(); }}
+          className="px-2 py-0.5 rounded bg-amber-500/20 text-amber-300 hover:bg-amber-500/30 disabled:opacity-40 transition-colors"
+        >
+          {busy ? 'Reverting…' : 'Revert'}
+        </button>
+        {!busy && (
+          <button onClick={() => setConfirming(false)} className="text-zinc-500 hover:text-zinc-300 transition-colors">Cancel</button>
+        )}
+      </div>
+    );
+  }
+  return (
+    <button
+      onClick={() => setConfirming(true)}
+      className="flex items-center gap-1 mt-1.5 text-xs text-muted hover:text-zinc-300 transition-colors"
+      title="Undo every file change this task made"
+    >
+      <Undo2 size={11} /> Revert {fileCount} file change{fileCount !== 1 ? 's' : ''}
+    </button>
+  );
+}
+
+function RevertSummary({ result }) {
+  if (result.error) {
+    return <p className="mt-1.5 text-xs text-red-400">Revert failed: {result.error}</p>;
+  }
+  const parts = [];
+  if (result.restored.length) parts.push(`${result.restored.length} restored`);
+  if (result.removed.length)  parts.push(`${result.removed.length} removed`);
+  return (
+    <div className="mt-1.5 text-xs">
+      <p className="flex items-center gap-1 text-emerald-400">
+        <Undo2 size={11} /> Task reverted{parts.length ? ` — ${parts.join(', ')}` : ''}
+      </p>
+      {result.failed.map((f) => (
+        <p key={f.path} className="text-red-400 truncate" title={f.path}>Could not restore {f.path}: {f.error}</p>
+      ))}
+    </div>
+  );
+}
+
+// ── Dry-run plan review ──────────────────────────────────────────────────────
+
+const LEVEL_STYLES = {
+  dangerous: 'text-red-400 bg-red-500/10',
+  sensitive: 'text-amber-400 bg-amber-500/10',
+};
+
+// Actions a dry run recorded; the checked ones are executed for real in one go
+function PlanReview({ actions, execution, onExecute }) {
+  const [selected, setSelected] = useState(() => new Set(actions.map((a) => a.id)));
+  const toggle = (id) => setSelected((prev) => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+
+  return (
+    <div className="bg-surface-1 border border-amber-500/20 rounded-xl px-3 py-2 text-xs space-y-1.5">
+      <p className="flex items-center gap-1.5 text-amber-400 font-medium">
+        <ListChecks size={12} /> Planned actions — nothing has been changed yet
+      </p>
+      {actions.map((a) => {
+        const Icon = toolIcon(a.tool);
+        return (
+          <label key={a.id} className="flex items-start gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={selected.has(a.id)}
+              onChange={() => toggle(a.id)}
+              disabled={!onExecute || !!execution}
+              className="mt-0.5 accent-amber-500"
+            />
+            <Icon size={11} className="text-zinc-500 mt-0.5 shrink-0" />
+            <span className="min-w-0 flex-1">
+              <span className="font-mono text-zinc-300">{a.tool}</span>
+              <span className={`ml-1.5 px-1 rounded text-[10px] ${LEVEL_STYLES[a.level] || 'text-zinc-400 bg-surface-3'}`}>{a.level}</span>
+              <span className="block text-zinc-500 break-words">{a.preview}</span>
+              {a.policy && <span className="block text-amber-500/80">Policy approval required: {a.policy}</span>}
+            </span>
+          </label>
+        );
+      })}
+      {execution?.error && <p className="text-red-400">Execution failed: {execution.error}</p>}
+      {execution?.taskId && <p className="flex items-center gap-1 text-emerald-400"><CheckCircle2 size={11} /> Plan executed</p>}
+      {onExecute && !execution && (
+        <button
+          onClick={() => onExecute([...selected])}
+          disabled={selected.size === 0}
+          className="flex items-center gap-1 px-2 py-0.5 rounded bg-amber-500/20 text-amber-300 hover:bg-amber-500/30 disabled:opacity-40 transition-colors"
+        >
+          <Play size={10} /> Execute {selected.size} action{selected.size !== 1 ? 's' : ''}
+        </button>
+      )}
+    </div>
+  );
+}
+
 // ── Live tool call (while running) ────────────────────────────────────────────
 
 function LiveToolCall({ call }) {
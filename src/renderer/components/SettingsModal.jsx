@@ -16,6 +16,7 @@ import {
   EyeOff,
   Lock,
   ChevronDown,
+  ChevronUp,
   ExternalLink,
   Cpu,
   Cloud,
@@ -45,10 +46,95 @@ import {
   GitMerge,
   ShieldCheck,
   BarChart3,
+  Lightbulb,
+  Pencil,
+  Users,
+  Copy,
+  Bot,
+  Code,
+  PenLine,
+  BookOpen,
+  Briefcase,
+  LineChart,
+  Heart,
+  Settings as SettingsIcon,
+  Download,
+  Upload,
 } from 'lucide-react';
 
 const api = window.api;
 
+// How the API keystore is protected (keystore.js MODES)
+const KEYSTORE_MODES = {
+  machine:     { label: 'Machine-bound',   hint: 'Encrypted with a key derived from your user and host names — anyone with the file and those names can decrypt it.' },
+  safeStorage: { label: 'OS keychain',     hint: 'Encrypted with a key kept in the system keychain (Keychain, Credential Manager, Secret Service).' },
+  password:    { label: 'Master password', hint: 'Encrypted with a key derived from your master password, asked for at startup.' },
+};
+
+// What happens when an MCP client's call needs approval (dangerous tools, policy rules, PII)
+const MCP_SERVER_APPROVALS = {
+  wait:      'Ask me in the app',
+  auto_deny: 'Deny without asking',
+};
+
+// Icons a user persona can pick (names stored by personas.js)
+const PERSONA_ICONS = {
+  brain: Brain, zap: Zap, search: Search, settings: SettingsIcon, bot: Bot, code: Code, pen: PenLine, book: BookOpen,
+  briefcase: Briefcase, chart: LineChart, globe: Globe, terminal: Terminal, sparkles: Sparkles, heart: Heart,
+};
+
+const EMPTY_POLICY = { name: '', tool: '', action: 'block', pattern: '', condition: '', rateMax: '', ratePer: 'hour' };
+
+// Tool profile fields as edited in the form (lists as comma-separated text, permissions one per line)
+const EMPTY_PERSONA_TOOLS = {
+  allowCategories: '', denyCategories: '', allowTools: '', denyTools: '', readOnly: false, permissions: '', approvalPolicy: '',
+};
+
+const EMPTY_PERSONA = {
+  label: '', description: '', icon: 'bot', color: '#6366f1', systemPrompt: '',
+  traits: { planFirst: true, verbosity: 'medium', riskTolerance: 'low' },
+  provider: '', model: '', temperature: '', keywords: '', examples: '',
+  tools: EMPTY_PERSONA_TOOLS,
+};
+
+const PERSONA_APPROVALS = {
+  '':                     'Ask me (default)',
+  auto_approve_safe:      'Auto-approve safe actions',
+  auto_approve_sensitive: 'Auto-approve safe and sensitive actions',
+  auto_deny:              'Deny without asking',
+};
+
+/** A persona's `tools` profile → form fields. */
+function personaToolsForm(tools = {}) {
+  return {
+    allowCategories: (tools.allowCategories || []).join(', '),
+    denyCategories:  (tools.denyCategories || []).join(', '),
+    allowTools:      (tools.allowTools || []).join(', '),
+    denyTools:       (tools.denyTools || []).join(', '),
+    readOnly:        !!tools.readOnly,
+    permissions:     Object.entries(tools.permissions || {}).map(([tool, level]) => `${tool}: ${level}`).join('\n'),
+    approvalPolicy:  tools.approvalPolicy || '',
+  };
+}
+
+/** Form fields → `tools` profile (personas.js trims the lists and checks the levels). */
+function personaToolsSpec(form) {
+  const permissions = {};
+  for (const line of form.permissions.split('\n')) {
+    const [tool, level] = line.split(':').map((v) => v.trim());
+    if (tool) permissions[tool] = level || '';
+  }
+  return {
+    allowCategories: form.allowCategories,
+    denyCategories:  form.denyCategories,
+    allowTools:      form.allowTools,
+    denyTools:       form.denyTools,
+    readOnly:        form.readOnly,
+    permissions,
+    approvalPolicy:  form.approvalPolicy || null,
+  };
+}
+
 const PROVIDER_META = {
   ollama: {
     icon: HardDrive,
@@ -169,6 +255,8 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
   const [keyVisible, setKeyVisible] = useState(false);
   const [keySaving, setKeySaving] = useState(false);
   const [keyStatus, setKeyStatus] = useState(null); // 'saved' | 'removed' | null
+  // Fallback chain entry being added
+  const [fallbackForm, setFallbackForm] = useState({ provider: 'openai', model: '' });
   // Ollama local models
   const [ollamaModels, setOllamaModels] = useState([]);
   const [ollamaLoading, setOllamaLoading] = useState(false);
@@ -179,9 +267,15 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
   const [mcpLoading, setMCPLoading] = useState(false);
   const [showAddMCP, setShowAddMCP] = useState(false);
   const [mcpForm, setMCPForm] = useState({
-    name: '', transport: 'stdio', command: '', args: '', url: '', env: '',
+    name: '', transport: 'stdio', command: '', args: '', url: '', env: '', headers: '',
   });
   const [mcpAddError, setMCPAddError] = useState(null);
+  const [mcpServerStatus, setMCPServerStatus] = useState(null);
+  const [mcpServerError, setMCPServerError] = useState(null);
+  const [mcpToolsOpen, setMCPToolsOpen] = useState(null); // server id whose tool settings are open
+  const [mcpToolForm, setMCPToolForm] = useState({ allowTools: '', denyTools: '', permissionLevel: '' });
+  const [mcpToolError, setMCPToolError] = useState(null);
+  const [mcpLogs, setMCPLogs] = useState(null); // { id, lines }
 
   // Integrations tab
   const [integrationKeys, setIntegrationKeys] = useState({});
@@ -199,16 +293,51 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
   const [showWorkflowForm, setShowWorkflowForm] = useState(false);
   const [workflowForm, setWorkflowForm] = useState({ name: '', description: '', prompt: '' });
   const [workflowLoading, setWorkflowLoading] = useState(false);
+  const [mcpPrompts, setMCPPrompts] = useState([]);
+  const [mcpPromptError, setMCPPromptError] = useState(null);
+
+  // Memory tab
+  const [facts, setFacts] = useState([]);
+  const [factCategories, setFactCategories] = useState([]);
+  const [factForm, setFactForm] = useState({ content: '', category: 'general' });
+  const [editingFact, setEditingFact] = useState(null); // { id, content, category }
+  const [factFilter, setFactFilter] = useState('');
+  const [factError, setFactError] = useState(null);
+
+  // Personas tab
+  const [personas, setPersonas] = useState([]);
+  const [personaForm, setPersonaForm] = useState(null); // EMPTY_PERSONA-shaped; `name` is set when editing
+  const [personaError, setPersonaError] = useState(null);
+
+  // API key storage (Permissions tab)
+  const [keyStoreStatus, setKeyStoreStatus] = useState(null);
+  const [keyStoreForm, setKeyStoreForm] = useState(null); // { action: 'unlock'|'mode'|'rotate'|'export'|'import', ... }
+  const [keyStoreNotice, setKeyStoreNotice] = useState(null);
+
+  // PII protection (Permissions tab)
+  const [piiConfig, setPIIConfig] = useState(null);
+  const [piiTypeForm, setPIITypeForm] = useState(null); // { type, pattern, flags, description } while adding
+  const [piiError, setPIIError] = useState(null);
+  const [piiSample, setPIISample] = useState('');
+  const [piiPreview, setPIIPreview] = useState(null);
 
   // Policies tab
   const [policies, setPolicies] = useState([]);
   const [showPolicyForm, setShowPolicyForm] = useState(false);
-  const [policyForm, setPolicyForm] = useState({ name: '', tool: '', action: 'block', pattern: '' });
+  const [policyForm, setPolicyForm] = useState(EMPTY_POLICY);
+  const [policyError, setPolicyError] = useState(null);
+  const [policyTest, setPolicyTest] = useState({ tool: '', input: '{}', at: '' });
+  const [policyTestResult, setPolicyTestResult] = useState(null);
+  const [policyNotice, setPolicyNotice] = useState(null);
+  const [managedPolicy, setManagedPolicy] = useState(null);
+  const [managedForm, setManagedForm] = useState(null); // { path, publicKey } while editing
 
   // Usage tab
   const [usageSummary, setUsageSummary] = useState(null);
   const [auditLog, setAuditLog] = useState([]);
   const [auditSearch, setAuditSearch] = useState('');
+  const [budgetStatus, setBudgetStatus] = useState(null);
+  const [providerBudgetForm, setProviderBudgetForm] = useState({ provider: 'anthropic', dailyUsd: '', monthlyUsd: '' });
 
   const refreshMCPServers = useCallback(async () => {
     try {
@@ -219,6 +348,25 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
     }
   }, []);
 
+  const refreshFacts = useCallback(async () => {
+    try {
+      const r = await api?.listFacts?.();
+      setFacts(r?.facts || []);
+      setFactCategories(r?.categories || []);
+    } catch (e) {
+      console.error('Failed to list facts:', e);
+    }
+  }, []);
+
+  const refreshPersonas = useCallback(async () => {
+    try {
+      const list = await api?.listPersonas?.();
+      setPersonas(list || []);
+    } catch (e) {
+      console.error('Failed to list personas:', e);
+    }
+  }, []);
+
   // Load initial data
   useEffect(() => {
     api?.getSettings().then((s) => {
@@ -227,7 +375,14 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
     api?.getModelCatalog().then(setCatalog).catch(console.error);
     api?.listApiKeys().then(setStoredKeys).catch(console.error);
     refreshMCPServers();
-  }, [refreshMCPServers]);
+    refreshPersonas();
+  }, [refreshMCPServers, refreshPersonas]);
+
+  // Servers drop out and reconnect in the background
+  useEffect(() => {
+    if (activeTab !== 'mcp') return undefined;
+    return api?.onMCPServersChanged?.(() => refreshMCPServers());
+  }, [activeTab, refreshMCPServers]);
 
   // Auto-discover Ollama models when provider changes to ollama
   useEffect(() => {
@@ -245,18 +400,78 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
     if (activeTab === 'databases') {
       api?.listDbConnections?.().then((c) => setDbConnections(c || [])).catch(console.error);
     }
+    if (activeTab === 'mcp') {
+      api?.getMCPServerStatus?.().then(setMCPServerStatus).catch(console.error);
+      refreshMCPServers();
+    }
     if (activeTab === 'workflows') {
-      api?.listWorkflows?.().then((r) => setWorkflows(r?.workflows || [])).catch(console.error);
+      api?.listWorkflows?.().then((r) => setWorkflows(r || [])).catch(console.error);
+      api?.listMCPPrompts?.().then((p) => setMCPPrompts(p || [])).catch(console.error);
+    }
+    if (activeTab === 'memory') {
+      refreshFacts();
+    }
+    if (activeTab === 'permissions') {
+      api?.getKeyStoreStatus?.().then(setKeyStoreStatus).catch(console.error);
+      api?.getPIIConfig?.().then(setPIIConfig).catch(console.error);
     }
     if (activeTab === 'policies') {
       api?.listPolicies?.().then((r) => setPolicies(r?.rules || [])).catch(console.error);
+      api?.getManagedPolicy?.().then(setManagedPolicy).catch(console.error);
     }
     if (activeTab === 'usage') {
       api?.getUsageSummary?.().then((s) => { if (s) setUsageSummary(s); }).catch(console.error);
       api?.getAuditLog?.({ limit: 50 }).then((r) => setAuditLog(r?.entries || [])).catch(console.error);
+      api?.getBudgetStatus?.().then(setBudgetStatus).catch(console.error);
     }
   }, [activeTab]);
 
+  // Runs a keystore form action; the result is the new status or { error }
+  const submitKeyStoreForm = async () => {
+    const f = keyStoreForm;
+    if ((f.action === 'mode' && f.mode === 'password') || (f.action === 'rotate' && f.password)) {
+      if (f.password !== f.confirm) {
+        setKeyStoreForm((x) => ({ ...x, error: 'The passwords do not match' }));
+        return;
+      }
+    }
+    setKeyStoreForm((x) => ({ ...x, busy: true, error: null }));
+    let r;
+    if (f.action === 'unlock') r = await api?.unlockKeyStore?.(f.currentPassword);
+    if (f.action === 'mode')   r = await api?.setKeyStoreMode?.(f.mode, f.password, f.currentPassword);
+    if (f.action === 'rotate') r = await api?.rotateKeyStore?.(f.currentPassword, f.password || undefined);
+    if (f.action === 'export') r = await api?.exportKeyStore?.(f.passphrase);
+    if (f.action === 'import') r = await api?.importKeyStore?.(f.passphrase, false);
+    if (!r || r.error) {
+      setKeyStoreForm((x) => ({ ...x, busy: false, error: r?.error || 'Failed' }));
+      return;
+    }
+    if (r.canceled) {
+      setKeyStoreForm((x) => ({ ...x, busy: false }));
+      return;
+    }
+    setKeyStoreForm(null);
+    setKeyStoreNotice(
+      f.action === 'export' ? `Exported ${r.keys} key(s) to ${r.path}` :
+      f.action === 'import' ? `Imported ${r.added} new and ${r.updated} updated key(s)` :
+      f.action === 'rotate' ? 'Keys re-encrypted with a new key' : null
+    );
+    setKeyStoreStatus(await api?.getKeyStoreStatus?.());
+    api?.listApiKeys?.().then(setStoredKeys).catch(console.error);
+  };
+
+  // PII settings save immediately (not with the Save button); returns false on a validation error
+  const savePIIConfig = async (patch) => {
+    const r = await api?.setPIIConfig?.(patch);
+    if (!r || r.error) {
+      setPIIError(r?.error || 'Could not save PII settings');
+      return false;
+    }
+    setPIIConfig(r);
+    setPIIError(null);
+    return true;
+  };
+
   const refreshOllamaModels = useCallback(async () => {
     setOllamaLoading(true);
     setOllamaError(null);
@@ -343,22 +558,31 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
         args:      mcpForm.transport === 'stdio'
           ? mcpForm.args.trim().split(/\s+/).filter(Boolean)
           : undefined,
-        url:       mcpForm.transport === 'sse' ? mcpForm.url.trim() : undefined,
+        url:       mcpForm.transport !== 'stdio' ? mcpForm.url.trim() : undefined,
         env:       mcpForm.env.trim()
           ? Object.fromEntries(
               mcpForm.env.trim().split('\n').map((line) => line.split('=').map((s) => s.trim()))
             )
           : {},
+        // "Name: value" per line; split on the first colon so values may contain colons
+        headers:   mcpForm.transport !== 'stdio' && mcpForm.headers.trim()
+          ? Object.fromEntries(
+              mcpForm.headers.trim().split('\n').filter((line) => line.includes(':')).map((line) => {
+                const i = line.indexOf(':');
+                return [line.slice(0, i).trim(), line.slice(i + 1).trim()];
+              })
+            )
+          : undefined,
       };
       if (!config.name) { setMCPAddError('Server name is required'); return; }
       if (config.transport === 'stdio' && !config.command) { setMCPAddError('Command is required for stdio transport'); return; }
-      if (config.transport === 'sse' && !config.url) { setMCPAddError('URL is required for SSE transport'); return; }
+      if (config.transport !== 'stdio' && !config.url) { setMCPAddError(`URL is required for ${config.transport === 'http' ? 'HTTP' : 'SSE'} transport`); return; }
 
       const result = await api?.addMCPServer(config);
       if (result?.error) { setMCPAddError(result.error); return; }
 
       setShowAddMCP(false);
-      setMCPForm({ name: '', transport: 'stdio', command: '', args: '', url: '', env: '' });
+      setMCPForm({ name: '', transport: 'stdio', command: '', args: '', url: '', env: '', headers: '' });
       await refreshMCPServers();
     } catch (err) {
       setMCPAddError(err.message);
@@ -367,6 +591,14 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
     }
   };
 
+  // OpenDesktop's own MCP server: run an IPC call, then reload the status
+  const updateMCPServer = async (call) => {
+    setMCPServerError(null);
+    const r = await call();
+    if (r?.error) setMCPServerError(r.error);
+    setMCPServerStatus(await api?.getMCPServerStatus?.());
+  };
+
   const handleRemoveMCPServer = async (id) => {
     await api?.removeMCPServer(id);
     await refreshMCPServers();
@@ -384,14 +616,45 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
     }
   };
 
+  const openMCPTools = (server) => {
+    setMCPToolError(null);
+    if (mcpToolsOpen === server.id) { setMCPToolsOpen(null); return; }
+    setMCPToolsOpen(server.id);
+    setMCPToolForm({
+      allowTools:      server.allowTools.join(', '),
+      denyTools:       server.denyTools.join(', '),
+      permissionLevel: server.permissionLevel || '',
+    });
+  };
+
+  const handleSaveMCPTools = async (id) => {
+    setMCPToolError(null);
+    const names = (text) => text.split(/[\s,]+/).filter(Boolean);
+    const r = await api?.configureMCPServer(id, {
+      allowTools:      names(mcpToolForm.allowTools),
+      denyTools:       names(mcpToolForm.denyTools),
+      permissionLevel: mcpToolForm.permissionLevel || null,
+    });
+    if (r?.error) { setMCPToolError(r.error); return; }
+    setMCPToolsOpen(null);
+    await refreshMCPServers();
+  };
+
+  const showMCPLogs = async (id) => {
+    const lines = await api?.getMCPServerLogs(id);
+    setMCPLogs({ id, lines: lines || [] });
+  };
+
   const tabs = [
     { id: 'llm',          label: 'LLM & Models',  icon: Brain       },
     { id: 'agent',        label: 'Agent',          icon: Zap         },
+    { id: 'personas',     label: 'Personas',       icon: Users       },
     { id: 'permissions',  label: 'Permissions',    icon: Shield      },
     { id: 'mcp',          label: 'MCP Servers',    icon: Plug        },
     { id: 'integrations', label: 'Integrations',   icon: Plug2       },
     { id: 'databases',    label: 'Databases',      icon: Database    },
     { id: 'workflows',    label: 'Workflows',      icon: GitMerge    },
+    { id: 'memory',       label: 'Memory',         icon: Lightbulb   },
     { id: 'policies',     label: 'Policies',       icon: ShieldCheck },
     { id: 'usage',        label: 'Usage & Audit',  icon: BarChart3   },
     { id: 'appearance',   label: 'Appearance',     icon: Palette     },
@@ -702,6 +965,91 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
                 />
               </Field>
 
+              {/* Fallback chain */}
+              <Field label="Fallback Models" icon={Layers}>
+                <p className="text-[10px] text-zinc-600 mb-2">
+                  Tried in order when the selected model is overloaded, rate-limited or unreachable.
+                </p>
+                {(settings.llmFallbacks || []).length > 0 && (
+                  <div className="space-y-1 mb-2">
+                    {settings.llmFallbacks.map((fb, i) => (
+                      <div key={`${fb.provider}:${fb.model}`} className="flex items-center justify-between px-2.5 py-1.5 rounded-lg bg-surface-0/40 border border-surface-3">
+                        <div className="flex items-center gap-2 min-w-0">
+                          <span className="text-[10px] text-zinc-600 font-mono w-3">{i + 1}</span>
+                          <span className="text-xs text-zinc-400">{catalog?.[fb.provider]?.label || fb.provider}</span>
+                          <span className="text-xs text-zinc-300 font-mono truncate">{fb.model}</span>
+                        </div>
+                        <div className="flex items-center gap-1 shrink-0">
+                          <button
+                            onClick={() => {
+                              const list = [...settings.llmFallbacks];
+                              [list[i - 1], list[i]] = [list[i], list[i - 1]];
+                              updateField('llmFallbacks', list);
+                            }}
+                            disabled={i === 0}
+                            className="p-0.5 text-zinc-600 hover:text-zinc-300 transition-colors disabled:opacity-30"
+                            title="Move up"
+                          ><ChevronUp size={11} /></button>
+                          <button
+                            onClick={() => {
+                              const list = [...settings.llmFallbacks];
+                              [list[i + 1], list[i]] = [list[i], list[i + 1]];
+                              updateField('llmFallbacks', list);
+                            }}
+                            disabled={i === settings.llmFallbacks.length - 1}
+                            className="p-0.5 text-zinc-600 hover:text-zinc-300 transition-colors disabled:opacity-30"
+                            title="Move down"
+                          ><ChevronDown size={11} /></button>
+                          <button
+                            onClick={() => updateField('llmFallbacks', settings.llmFallbacks.filter((_, j) => j !== i))}
+                            className="p-0.5 text-zinc-600 hover:text-red-400 transition-colors"
+                            title="Remove"
+                          ><Trash2 size={10} /></button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <div className="flex items-center gap-2">
+                  <div className="relative w-36 shrink-0">
+                    <select
+                      value={fallbackForm.provider}
+                      onChange={(e) => setFallbackForm({ provider: e.target.value, model: '' })}
+                      className="input-field appearance-none pr-7"
+                    >
+                      {Object.entries(catalog || {}).map(([id, p]) => <option key={id} value={id}>{p.label || id}</option>)}
+                    </select>
+                    <ChevronDown size={11} className="absolute right-2 top-1/2 -translate-y-1/2 text-zinc-600 pointer-events-none" />
+                  </div>
+                  <input
+                    type="text"
+                    list="fallback-models"
+                    value={fallbackForm.model}
+                    onChange={(e) => setFallbackForm((f) => ({ ...f, model: e.target.value }))}
+                    className="input-field flex-1 font-mono"
+                    placeholder="Model ID"
+                  />
+                  <datalist id="fallback-models">
+                    {(fallbackForm.provider === 'ollama' && ollamaModels.length ? ollamaModels : catalog?.[fallbackForm.provider]?.models || [])
+                      .map((m) => <option key={m.id} value={m.id}>{m.name}</option>)}
+                  </datalist>
+                  <button
+                    onClick={() => {
+                      const entry = { provider: fallbackForm.provider, model: fallbackForm.model.trim() };
+                      const list = settings.llmFallbacks || [];
+                      if (!list.some((f) => f.provider === entry.provider && f.model === entry.model)) {
+                        updateField('llmFallbacks', [...list, entry]);
+                      }
+                      setFallbackForm((f) => ({ ...f, model: '' }));
+                    }}
+                    disabled={!fallbackForm.model.trim()}
+                    className="shrink-0 flex items-center gap-1.5 px-2.5 py-2 rounded-lg bg-surface-2 border border-surface-3 text-xs text-zinc-400 hover:text-zinc-200 hover:bg-surface-3 transition-colors disabled:opacity-50"
+                  >
+                    <Plus size={12} /> Add
+                  </button>
+                </div>
+              </Field>
+
               {/* Stored Keys Overview */}
               {Object.keys(storedKeys).length > 0 && (
                 <div className="mt-2 pt-3 border-t border-surface-3">
@@ -771,6 +1119,7 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
                   <option value="executor">Executor</option>
                   <option value="researcher">Researcher</option>
                   <option value="custom">Custom</option>
+                  {personas.filter((p) => !p.builtIn).map((p) => <option key={p.name} value={p.name}>{p.label}</option>)}
                 </select>
               </Field>
 
@@ -790,168 +1139,771 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
                   </span>
                 </div>
               </Field>
-            </>
-          )}
 
-          {activeTab === 'permissions' && (
-            <>
-              <Field label="Auto-approve read operations">
-                <Toggle
-                  checked={settings.autoApproveRead}
-                  onChange={(v) => updateField('autoApproveRead', v)}
-                />
+              <Field label="Long Conversations">
+                <select
+                  value={settings.contextStrategy || 'compact'}
+                  onChange={(e) => updateField('contextStrategy', e.target.value)}
+                  className="input-field"
+                >
+                  <option value="compact">Compact — summarize older turns into a progress report</option>
+                  <option value="truncate">Truncate — drop the oldest turns</option>
+                </select>
+                <p className="text-[10px] text-zinc-600 mt-1">
+                  Applied when a conversation nears the model's context window.
+                </p>
               </Field>
 
-              <Field label="Auto-approve write operations">
+              <Field label="Semantic memory search">
                 <Toggle
-                  checked={settings.autoApproveWrite}
-                  onChange={(v) => updateField('autoApproveWrite', v)}
+                  checked={settings.memoryEmbeddings !== false}
+                  onChange={(v) => updateField('memoryEmbeddings', v)}
                 />
+                <p className="text-[10px] text-zinc-600 mt-1">
+                  Ranks past interactions by meaning (embeddings) as well as keywords, so paraphrased recalls still match.
+                </p>
               </Field>
 
-              <div className="bg-surface-0/50 border border-surface-3 rounded-xl p-3 mt-2">
-                <p className="text-xs text-zinc-500">
-                  <strong className="text-zinc-400">Safe</strong> actions (read files, search, fetch) are auto-approved by default.
-                  <br /><br />
-                  <strong className="text-amber-400">Sensitive</strong> actions (write files, run commands, open apps) require approval unless auto-approve write is on.
-                  <br /><br />
-                  <strong className="text-red-400">Dangerous</strong> actions (delete files, sudo commands, form submissions with credentials) always require explicit approval.
-                </p>
-              </div>
+              {settings.memoryEmbeddings !== false && (
+                <div className="grid grid-cols-2 gap-3">
+                  <Field label="Embedding provider">
+                    <select
+                      value={settings.embeddingProvider || 'ollama'}
+                      onChange={(e) => updateField('embeddingProvider', e.target.value)}
+                      className="input-field"
+                    >
+                      <option value="ollama">Ollama (local)</option>
+                      <option value="openai">OpenAI</option>
+                      <option value="mistral">Mistral</option>
+                      <option value="together">Together</option>
+                    </select>
+                  </Field>
+                  <Field label="Embedding model">
+                    <input
+                      type="text"
+                      value={settings.embeddingModel || ''}
+                      onChange={(e) => updateField('embeddingModel', e.target.value)}
+                      className="input-field"
+                      placeholder={EMBEDDING_MODEL_PLACEHOLDERS[settings.embeddingProvider || 'ollama']}
+                    />
+                  </Field>
+                  <div className="col-span-2">
+                    <Field label="Embedding endpoint (optional)">
+                      <input
+                        type="text"
+                        value={settings.embeddingEndpoint || ''}
+                        onChange={(e) => updateField('embeddingEndpoint', e.target.value)}
+                        className="input-field"
+                        placeholder="Provider default — or any OpenAI-compatible base URL"
+                      />
+                    </Field>
+                  </div>
+                </div>
+              )}
             </>
           )}
 
-          {activeTab === 'mcp' && (
+          {activeTab === 'personas' && (
             <div className="space-y-3">
-              {/* Header */}
               <div className="flex items-center justify-between">
-                <div>
-                  <p className="text-xs text-zinc-400">
-                    Connect external MCP servers to give the agent new tools and capabilities.
-                  </p>
-                </div>
+                <p className="text-xs text-zinc-400">Create your own personas, or clone a built-in one to customize it.</p>
                 <button
-                  onClick={() => { setShowAddMCP(!showAddMCP); setMCPAddError(null); }}
+                  onClick={() => { setPersonaForm(personaForm ? null : EMPTY_PERSONA); setPersonaError(null); }}
                   className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-accent/15 border border-accent/30 text-accent text-xs hover:bg-accent/25 transition-colors"
                 >
-                  <Plus size={12} /> Add Server
+                  <Plus size={12} /> New Persona
                 </button>
               </div>
 
-              {/* Add server form */}
-              {showAddMCP && (
+              {personaForm && (
                 <div className="bg-surface-0/60 border border-surface-3 rounded-xl p-4 space-y-3 animate-fade-in">
-                  <p className="text-xs font-medium text-zinc-300">New MCP Server</p>
-
-                  <div className="grid grid-cols-2 gap-2">
-                    <div>
+                  <p className="text-xs font-medium text-zinc-300">{personaForm.name ? `Edit ${personaForm.label || 'Persona'}` : 'New Persona'}</p>
+                  <div className="flex items-end gap-2">
+                    <div className="flex-1">
                       <label className="text-[10px] text-zinc-500 mb-1 block">Name</label>
-                      <input
-                        type="text"
-                        value={mcpForm.name}
-                        onChange={(e) => setMCPForm((f) => ({ ...f, name: e.target.value }))}
-                        className="input-field"
-                        placeholder="My MCP Server"
-                      />
+                      <input type="text" value={personaForm.label} onChange={(e) => setPersonaForm((f) => ({ ...f, label: e.target.value }))} className="input-field" placeholder="Copywriter" />
+                    </div>
+                    <div className="relative w-32 shrink-0">
+                      <label className="text-[10px] text-zinc-500 mb-1 block">Icon</label>
+                      <select value={personaForm.icon} onChange={(e) => setPersonaForm((f) => ({ ...f, icon: e.target.value }))} className="input-field appearance-none pr-7">
+                        {Object.keys(PERSONA_ICONS).map((icon) => <option key={icon} value={icon}>{icon}</option>)}
+                      </select>
+                      <ChevronDown size={11} className="absolute right-2 bottom-3 text-zinc-600 pointer-events-none" />
+                    </div>
+                    <div className="shrink-0">
+                      <label className="text-[10px] text-zinc-500 mb-1 block">Color</label>
+                      <input type="color" value={personaForm.color} onChange={(e) => setPersonaForm((f) => ({ ...f, color: e.target.value }))} className="h-[34px] w-10 rounded-lg bg-surface-2 border border-surface-3 cursor-pointer" />
+                    </div>
+                  </div>
+                  <div>
+                    <label className="text-[10px] text-zinc-500 mb-1 block">Description (optional)</label>
+                    <input type="text" value={personaForm.description} onChange={(e) => setPersonaForm((f) => ({ ...f, description: e.target.value }))} className="input-field" placeholder="Writes marketing copy in our brand voice" />
+                  </div>
+                  <div>
+                    <label className="text-[10px] text-zinc-500 mb-1 block">System prompt</label>
+                    <textarea
+                      value={personaForm.systemPrompt}
+                      onChange={(e) => setPersonaForm((f) => ({ ...f, systemPrompt: e.target.value }))}
+                      className="input-field resize-none"
+                      rows={4}
+                      placeholder="You are a copywriter. You write short, punchy copy..."
+                    />
+                  </div>
+                  <div className="grid grid-cols-3 gap-2">
+                    <div>
+                      <label className="text-[10px] text-zinc-500 mb-1 block">Verbosity</label>
+                      <select value={personaForm.traits.verbosity} onChange={(e) => setPersonaForm((f) => ({ ...f, traits: { ...f.traits, verbosity: e.target.value } }))} className="input-field">
+                        {['low', 'medium', 'high'].map((v) => <option key={v} value={v}>{v}</option>)}
+                      </select>
                     </div>
                     <div>
-                      <label className="text-[10px] text-zinc-500 mb-1 block">Transport</label>
-                      <div className="relative">
-                        <select
-                          value={mcpForm.transport}
-                          onChange={(e) => setMCPForm((f) => ({ ...f, transport: e.target.value }))}
-                          className="input-field appearance-none pr-7"
-                        >
-                          <option value="stdio">stdio (local process)</option>
-                          <option value="sse">SSE (HTTP)</option>
-                        </select>
-                        <ChevronDown size={11} className="absolute right-2 top-1/2 -translate-y-1/2 text-zinc-600 pointer-events-none" />
+                      <label className="text-[10px] text-zinc-500 mb-1 block">Risk tolerance</label>
+                      <select value={personaForm.traits.riskTolerance} onChange={(e) => setPersonaForm((f) => ({ ...f, traits: { ...f.traits, riskTolerance: e.target.value } }))} className="input-field">
+                        {['low', 'medium', 'high'].map((v) => <option key={v} value={v}>{v}</option>)}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="text-[10px] text-zinc-500 mb-1 block">Plan first</label>
+                      <div className="h-[34px] flex items-center">
+                        <Toggle checked={personaForm.traits.planFirst} onChange={(v) => setPersonaForm((f) => ({ ...f, traits: { ...f.traits, planFirst: v } }))} />
                       </div>
                     </div>
                   </div>
-
-                  {mcpForm.transport === 'stdio' ? (
-                    <>
-                      <div>
-                        <label className="text-[10px] text-zinc-500 mb-1 block flex items-center gap-1">
-                          <Terminal size={10} /> Command
-                        </label>
-                        <input
-                          type="text"
-                          value={mcpForm.command}
-                          onChange={(e) => setMCPForm((f) => ({ ...f, command: e.target.value }))}
-                          className="input-field font-mono"
-                          placeholder="npx"
-                        />
-                      </div>
-                      <div>
-                        <label className="text-[10px] text-zinc-500 mb-1 block">Args (space-separated)</label>
-                        <input
-                          type="text"
-                          value={mcpForm.args}
-                          onChange={(e) => setMCPForm((f) => ({ ...f, args: e.target.value }))}
-                          className="input-field font-mono"
-                          placeholder="-y @modelcontextprotocol/server-filesystem /path/to/dir"
-                        />
-                      </div>
-                    </>
-                  ) : (
-                    <div>
-                      <label className="text-[10px] text-zinc-500 mb-1 block flex items-center gap-1">
-                        <Wifi size={10} /> Server URL
-                      </label>
+                  <div className="flex items-center gap-2">
+                    <div className="relative w-36 shrink-0">
+                      <label className="text-[10px] text-zinc-500 mb-1 block">Provider</label>
+                      <select
+                        value={personaForm.provider}
+                        onChange={(e) => setPersonaForm((f) => ({ ...f, provider: e.target.value, model: '' }))}
+                        className="input-field appearance-none pr-7"
+                      >
+                        <option value="">Default</option>
+                        {Object.entries(catalog || {}).map(([id, p]) => <option key={id} value={id}>{p.label || id}</option>)}
+                      </select>
+                      <ChevronDown size={11} className="absolute right-2 bottom-3 text-zinc-600 pointer-events-none" />
+                    </div>
+                    <div className="flex-1">
+                      <label className="text-[10px] text-zinc-500 mb-1 block">Model</label>
                       <input
                         type="text"
-                        value={mcpForm.url}
-                        onChange={(e) => setMCPForm((f) => ({ ...f, url: e.target.value }))}
-                        className="input-field font-mono"
-                        placeholder="http://localhost:3001/sse"
+                        list="persona-models"
+                        value={personaForm.model}
+                        onChange={(e) => setPersonaForm((f) => ({ ...f, model: e.target.value }))}
+                        disabled={!personaForm.provider}
+                        className="input-field font-mono disabled:opacity-50"
+                        placeholder={personaForm.provider ? 'Model ID' : 'Uses the LLM settings'}
                       />
+                      <datalist id="persona-models">
+                        {(personaForm.provider === 'ollama' && ollamaModels.length ? ollamaModels : catalog?.[personaForm.provider]?.models || [])
+                          .map((m) => <option key={m.id} value={m.id}>{m.name}</option>)}
+                      </datalist>
                     </div>
-                  )}
-
+                    <div className="w-24 shrink-0">
+                      <label className="text-[10px] text-zinc-500 mb-1 block">Temperature</label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="2"
+                        step="0.1"
+                        value={personaForm.temperature}
+                        onChange={(e) => setPersonaForm((f) => ({ ...f, temperature: e.target.value }))}
+                        className="input-field"
+                        placeholder="Default"
+                      />
+                    </div>
+                  </div>
                   <div>
-                    <label className="text-[10px] text-zinc-500 mb-1 block">
-                      Env vars (one per line: KEY=VALUE)
-                    </label>
+                    <label className="text-[10px] text-zinc-500 mb-1 block">Auto-select keywords (comma-separated)</label>
+                    <input type="text" value={personaForm.keywords} onChange={(e) => setPersonaForm((f) => ({ ...f, keywords: e.target.value }))} className="input-field" placeholder="tagline, ad copy, landing page" />
+                  </div>
+                  <div>
+                    <label className="text-[10px] text-zinc-500 mb-1 block">Example prompts (one per line)</label>
                     <textarea
-                      value={mcpForm.env}
-                      onChange={(e) => setMCPForm((f) => ({ ...f, env: e.target.value }))}
-                      className="input-field font-mono resize-none"
-                      rows={2}
-                      placeholder="API_KEY=abc123"
+                      value={personaForm.examples}
+                      onChange={(e) => setPersonaForm((f) => ({ ...f, examples: e.target.value }))}
+                      className="input-field resize-none"
+                      rows={3}
+                      placeholder={'Write three headlines for our spring sale\nRewrite this product description to be shorter'}
                     />
+                    <p className="text-[10px] text-zinc-600 mt-1">The Auto persona picks this one when a message uses these keywords or reads like an example.</p>
                   </div>
-
-                  {mcpAddError && (
-                    <div className="flex items-center gap-1.5 text-xs text-red-400 bg-red-500/10 border border-red-500/20 rounded-lg px-3 py-2">
-                      <AlertCircle size={12} /> {mcpAddError}
+                  <div className="pt-1 space-y-2">
+                    <p className="text-[10px] font-medium text-zinc-400">Tools</p>
+                    <div className="grid grid-cols-2 gap-2">
+                      <div>
+                        <label className="text-[10px] text-zinc-500 mb-1 block">Only these categories (comma-separated)</label>
+                        <input type="text" value={personaForm.tools.allowCategories} onChange={(e) => setPersonaForm((f) => ({ ...f, tools: { ...f.tools, allowCategories: e.target.value } }))} className="input-field" placeholder="All categories" />
+                      </div>
+                      <div>
+                        <label className="text-[10px] text-zinc-500 mb-1 block">Never these categories</label>
+                        <input type="text" value={personaForm.tools.denyCategories} onChange={(e) => setPersonaForm((f) => ({ ...f, tools: { ...f.tools, denyCategories: e.target.value } }))} className="input-field" placeholder="messaging, social-media" />
+                      </div>
+                      <div>
+                        <label className="text-[10px] text-zinc-500 mb-1 block">Also allow these tools</label>
+                        <input type="text" value={personaForm.tools.allowTools} onChange={(e) => setPersonaForm((f) => ({ ...f, tools: { ...f.tools, allowTools: e.target.value } }))} className="input-field font-mono" placeholder="system_info" />
+                      </div>
+                      <div>
+                        <label className="text-[10px] text-zinc-500 mb-1 block">Never these tools</label>
+                        <input type="text" value={personaForm.tools.denyTools} onChange={(e) => setPersonaForm((f) => ({ ...f, tools: { ...f.tools, denyTools: e.target.value } }))} className="input-field font-mono" placeholder="system_exec" />
+                      </div>
                     </div>
-                  )}
-
+                    <div className="grid grid-cols-2 gap-2">
+                      <div>
+                        <label className="text-[10px] text-zinc-500 mb-1 block">Permission levels (one per line)</label>
+                        <textarea
+                          value={personaForm.tools.permissions}
+                          onChange={(e) => setPersonaForm((f) => ({ ...f, tools: { ...f.tools, permissions: e.target.value } }))}
+                          className="input-field font-mono resize-none"
+                          rows={3}
+                          placeholder={'fs_write: dangerous\nweb_fetch: safe'}
+                        />
+                      </div>
+                      <div className="space-y-2">
+                        <div className="relative">
+                          <label className="text-[10px] text-zinc-500 mb-1 block">Approvals</label>
+                          <select value={personaForm.tools.approvalPolicy} onChange={(e) => setPersonaForm((f) => ({ ...f, tools: { ...f.tools, approvalPolicy: e.target.value } }))} className="input-field appearance-none pr-7">
+                            {Object.entries(PERSONA_APPROVALS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                          </select>
+                          <ChevronDown size={11} className="absolute right-2 bottom-3 text-zinc-600 pointer-events-none" />
+                        </div>
+                        <div className="flex items-center justify-between">
+                          <label className="text-[10px] text-zinc-500">Read-only (no file writes or MCP tools)</label>
+                          <Toggle checked={personaForm.tools.readOnly} onChange={(v) => setPersonaForm((f) => ({ ...f, tools: { ...f.tools, readOnly: v } }))} />
+                        </div>
+                      </div>
+                    </div>
+                    <p className="text-[10px] text-zinc-600">Levels are safe, sensitive or dangerous. Deny rules win over allow rules; denied tools are hidden from the model.</p>
+                  </div>
+                  {personaError && <p className="text-[10px] text-red-400">{personaError}</p>}
                   <div className="flex items-center justify-end gap-2 pt-1">
+                    <button onClick={() => { setPersonaForm(null); setPersonaError(null); }} className="px-3 py-1.5 rounded-lg text-xs text-zinc-500 hover:text-zinc-300 transition-colors">Cancel</button>
                     <button
-                      onClick={() => { setShowAddMCP(false); setMCPAddError(null); }}
-                      className="px-3 py-1.5 rounded-lg text-xs text-zinc-500 hover:text-zinc-300 transition-colors"
-                    >
-                      Cancel
-                    </button>
-                    <button
-                      onClick={handleAddMCPServer}
-                      disabled={mcpLoading}
+                      onClick={async () => {
+                        const r = await api?.savePersona?.({ ...personaForm, provider: personaForm.provider || null, tools: personaToolsSpec(personaForm.tools) });
+                        if (r?.error) { setPersonaError(r.error); return; }
+                        setPersonaForm(null);
+                        setPersonaError(null);
+                        refreshPersonas();
+                      }}
+                      disabled={!personaForm.label.trim() || !personaForm.systemPrompt.trim()}
                       className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-accent/20 text-accent border border-accent/30 text-xs hover:bg-accent/30 transition-colors disabled:opacity-50"
                     >
-                      {mcpLoading
-                        ? <><RefreshCw size={11} className="animate-spin" /> Connecting...</>
-                        : <><PlugZap size={11} /> Connect</>
-                      }
+                      <Check size={11} /> Save
                     </button>
                   </div>
                 </div>
               )}
 
-              {/* Server list */}
-              {mcpServers.length === 0 && !showAddMCP ? (
+              <div className="space-y-2">
+                {personas.map((p) => {
+                  const Icon = PERSONA_ICONS[p.icon] || Bot;
+                  return (
+                    <div key={p.name} className="bg-surface-0/50 border border-surface-3 rounded-xl p-3">
+                      <div className="flex items-start justify-between gap-2">
+                        <div className="flex items-start gap-2.5 min-w-0">
+                          <Icon size={14} style={{ color: p.color }} className="mt-0.5 shrink-0" />
+                          <div className="min-w-0">
+                            <p className="text-xs font-medium text-zinc-300 truncate">
+                              {p.label}
+                              {p.builtIn && <span className="ml-1.5 text-[9px] text-zinc-600 bg-surface-3 px-1.5 py-0.5 rounded">built-in</span>}
+                            </p>
+                            {p.description && <p className="text-[10px] text-zinc-500 mt-0.5 truncate">{p.description}</p>}
+                            {(p.provider || p.temperature != null || p.keywords.length > 0) && (
+                              <p className="text-[10px] text-zinc-600 mt-0.5 truncate">
+                                {[
+                                  p.provider && `${catalog?.[p.provider]?.label || p.provider}${p.model ? ` · ${p.model}` : ''}`,
+                                  p.temperature != null && `temp ${p.temperature}`,
+                                  p.keywords.length > 0 && `keywords: ${p.keywords.join(', ')}`,
+                                ].filter(Boolean).join(' · ')}
+                              </p>
+                            )}
+                          </div>
+                        </div>
+                        <div className="flex items-center gap-1 shrink-0">
+                          {!p.builtIn && (
+                            <button
+                              onClick={() => {
+                                setPersonaError(null);
+                                setPersonaForm({
+                                  ...EMPTY_PERSONA,
+                                  ...p,
+                                  traits:      { ...EMPTY_PERSONA.traits, ...p.traits },
+                                  provider:    p.provider || '',
+                                  model:       p.model || '',
+                                  temperature: p.temperature ?? '',
+                                  keywords:    p.keywords.join(', '),
+                                  examples:    p.examples.join('\n'),
+                                  tools:       personaToolsForm(p.tools),
+                                });
+                              }}
+                              className="p-1 text-zinc-600 hover:text-zinc-300 transition-colors rounded"
+                              title="Edit"
+                            ><Pencil size={12} /></button>
+                          )}
+                          <button
+                            onClick={async () => {
+                              const r = await api?.clonePersona?.(p.name);
+                              if (r?.error) { setPersonaError(r.error); return; }
+                              refreshPersonas();
+                            }}
+                            className="p-1 text-zinc-600 hover:text-zinc-300 transition-colors rounded"
+                            title="Clone"
+                          ><Copy size={12} /></button>
+                          {!p.builtIn && (
+                            <button
+                              onClick={async () => {
+                                await api?.deletePersona?.(p.name);
+                                if (personaForm?.name === p.name) setPersonaForm(null);
+                                refreshPersonas();
+                              }}
+                              className="p-1 text-zinc-600 hover:text-red-400 transition-colors rounded"
+                              title="Delete"
+                            ><Trash2 size={12} /></button>
+                          )}
+                        </div>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {activeTab === 'permissions' && (
+            <>
+              <Field label="Auto-approve read operations">
+                <Toggle
+                  checked={settings.autoApproveRead}
+                  onChange={(v) => updateField('autoApproveRead', v)}
+                />
+              </Field>
+
+              <Field label="Auto-approve write operations">
+                <Toggle
+                  checked={settings.autoApproveWrite}
+                  onChange={(v) => updateField('autoApproveWrite', v)}
+                />
+              </Field>
+
+              <div className="bg-surface-0/50 border border-surface-3 rounded-xl p-3 mt-2">
+                <p className="text-xs text-zinc-500">
+                  <strong className="text-zinc-400">Safe</strong> actions (read files, search, fetch) are auto-approved by default.
+                  <br /><br />
+                  <strong className="text-amber-400">Sensitive</strong> actions (write files, run commands, open apps) require approval unless auto-approve write is on.
+                  <br /><br />
+                  <strong className="text-red-400">Dangerous</strong> actions (delete files, sudo commands, form submissions with credentials) always require explicit approval.
+                </p>
+              </div>
+
+              {keyStoreStatus && (
+                <div className="space-y-2 pt-2">
+                  <div className="flex items-center justify-between">
+                    <p className="text-xs font-medium text-zinc-300 flex items-center gap-1.5"><Key size={11} /> API key storage</p>
+                    <div className="flex items-center gap-1">
+                      {!keyStoreStatus.locked && (
+                        <>
+                          <button
+                            onClick={() => setKeyStoreForm({ action: 'import', passphrase: '' })}
+                            className="p-1.5 rounded-lg text-zinc-500 hover:text-zinc-300 hover:bg-surface-2 transition-colors"
+                            title="Import keys from another machine"
+                          ><Upload size={12} /></button>
+                          <button
+                            onClick={() => setKeyStoreForm({ action: 'export', passphrase: '' })}
+                            className="p-1.5 rounded-lg text-zinc-500 hover:text-zinc-300 hover:bg-surface-2 transition-colors"
+                            title="Export keys (encrypted with a passphrase)"
+                          ><Download size={12} /></button>
+                          <button
+                            onClick={() => setKeyStoreForm({ action: 'rotate', currentPassword: '', password: '', confirm: '' })}
+                            className="p-1.5 rounded-lg text-zinc-500 hover:text-zinc-300 hover:bg-surface-2 transition-colors"
+                            title="Re-encrypt with a new key"
+                          ><RotateCcw size={12} /></button>
+                          <button
+                            onClick={() => setKeyStoreForm({ action: 'mode', mode: keyStoreStatus.mode, currentPassword: '', password: '', confirm: '' })}
+                            className="p-1.5 rounded-lg text-zinc-500 hover:text-zinc-300 hover:bg-surface-2 transition-colors"
+                            title="Change protection"
+                          ><Pencil size={12} /></button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="bg-surface-0/50 border border-surface-3 rounded-xl p-3 space-y-2">
+                    <p className={`text-[10px] ${keyStoreStatus.locked ? 'text-amber-400' : keyStoreStatus.mode === 'machine' ? 'text-zinc-500' : 'text-emerald-400'}`}>
+                      {KEYSTORE_MODES[keyStoreStatus.mode]?.label || keyStoreStatus.mode}
+                      {keyStoreStatus.locked ? ' — locked' : ` — ${keyStoreStatus.keys} key(s)`}
+                    </p>
+                    <p className="text-[10px] text-zinc-600">
+                      {keyStoreStatus.error || KEYSTORE_MODES[keyStoreStatus.mode]?.hint}
+                    </p>
+                    {keyStoreStatus.locked && !keyStoreForm && (
+                      <div className="flex items-center justify-end gap-2">
+                        <button
+                          onClick={async () => {
+                            if (!window.confirm('Delete every stored API key and start a new keystore?')) return;
+                            const r = await api?.resetKeyStore?.();
+                            setKeyStoreStatus(r?.error ? { ...keyStoreStatus, error: r.error } : r);
+                            api?.listApiKeys?.().then(setStoredKeys).catch(console.error);
+                          }}
+                          className="px-3 py-1.5 rounded-lg text-xs text-red-400/80 hover:text-red-400 transition-colors"
+                        >Reset</button>
+                        {keyStoreStatus.mode === 'password' && !keyStoreStatus.error && (
+                          <button
+                            onClick={() => setKeyStoreForm({ action: 'unlock', currentPassword: '' })}
+                            className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-accent/20 text-accent border border-accent/30 text-xs hover:bg-accent/30 transition-colors"
+                          >
+                            <Lock size={11} /> Unlock
+                          </button>
+                        )}
+                      </div>
+                    )}
+
+                    {keyStoreForm && (
+                      <div className="space-y-2 pt-1 animate-fade-in">
+                        {keyStoreForm.action === 'mode' && (
+                          <div className="relative">
+                            <select
+                              value={keyStoreForm.mode}
+                              onChange={(e) => setKeyStoreForm((f) => ({ ...f, mode: e.target.value, error: null }))}
+                              className="input-field appearance-none pr-7"
+                            >
+                              {Object.entries(KEYSTORE_MODES).map(([id, m]) => (
+                                <option key={id} value={id} disabled={id === 'safeStorage' && !keyStoreStatus.safeStorageAvailable}>
+                                  {m.label}{id === 'safeStorage' && !keyStoreStatus.safeStorageAvailable ? ' (not available)' : ''}
+                                </option>
+                              ))}
+                            </select>
+                            <ChevronDown size={11} className="absolute right-2 top-1/2 -translate-y-1/2 text-zinc-600 pointer-events-none" />
+                          </div>
+                        )}
+                        {(keyStoreForm.action === 'unlock'
+                          || (['mode', 'rotate'].includes(keyStoreForm.action) && keyStoreStatus.mode === 'password')) && (
+                          <input type="password" value={keyStoreForm.currentPassword} onChange={(e) => setKeyStoreForm((f) => ({ ...f, currentPassword: e.target.value, error: null }))} className="input-field" placeholder="Current master password" />
+                        )}
+                        {((keyStoreForm.action === 'mode' && keyStoreForm.mode === 'password')
+                          || (keyStoreForm.action === 'rotate' && keyStoreStatus.mode === 'password')) && (
+                          <div className="grid grid-cols-2 gap-2">
+                            <input type="password" value={keyStoreForm.password} onChange={(e) => setKeyStoreForm((f) => ({ ...f, password: e.target.value, error: null }))} className="input-field" placeholder={keyStoreForm.action === 'rotate' ? 'New password (optional)' : 'New master password'} />
+                            <input type="password" value={keyStoreForm.confirm} onChange={(e) => setKeyStoreForm((f) => ({ ...f, confirm: e.target.value, error: null }))} className="input-field" placeholder="Confirm" />
+                          </div>
+                        )}
+                        {['export', 'import'].includes(keyStoreForm.action) && (
+                          <>
+                            <input type="password" value={keyStoreForm.passphrase} onChange={(e) => setKeyStoreForm((f) => ({ ...f, passphrase: e.target.value, error: null }))} className="input-field" placeholder={keyStoreForm.action === 'export' ? 'Passphrase for the export file (8+ characters)' : 'Passphrase the file was exported with'} />
+                            <p className="text-[10px] text-zinc-600">
+                              {keyStoreForm.action === 'export'
+                                ? 'The file can be imported on any machine with this passphrase — keep both safe.'
+                                : 'Imported keys are added to yours; keys with the same name are replaced.'}
+                            </p>
+                          </>
+                        )}
+                        {keyStoreForm.action === 'rotate' && keyStoreStatus.mode !== 'password' && (
+                          <p className="text-[10px] text-zinc-600">Re-encrypts every key with a newly generated key.</p>
+                        )}
+                        {keyStoreForm.error && <p className="text-[10px] text-red-400">{keyStoreForm.error}</p>}
+                        <div className="flex items-center justify-end gap-2">
+                          <button onClick={() => setKeyStoreForm(null)} className="px-3 py-1.5 rounded-lg text-xs text-zinc-500 hover:text-zinc-300 transition-colors">Cancel</button>
+                          <button
+                            onClick={submitKeyStoreForm}
+                            disabled={keyStoreForm.busy}
+                            className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-accent/20 text-accent border border-accent/30 text-xs hover:bg-accent/30 transition-colors disabled:opacity-50"
+                          >
+                            <Check size={11} /> {{ unlock: 'Unlock', mode: 'Save', rotate: 'Rotate', export: 'Export', import: 'Import' }[keyStoreForm.action]}
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                    {keyStoreNotice && !keyStoreForm && <p className="text-[10px] text-zinc-500">{keyStoreNotice}</p>}
+                  </div>
+                </div>
+              )}
+
+              {piiConfig && (
+                <div className="space-y-3 pt-2">
+                  <p className="text-xs font-medium text-zinc-300 flex items-center gap-1.5"><EyeOff size={11} /> PII protection</p>
+
+                  <Field label="Ask before write tools send PII (files, messages, issues)">
+                    <Toggle checked={piiConfig.approveWrites} onChange={(v) => savePIIConfig({ approveWrites: v })} />
+                  </Field>
+
+                  <Field label="Redact PII before it is sent to the model">
+                    <Toggle checked={piiConfig.redact} onChange={(v) => savePIIConfig({ redact: v })} />
+                  </Field>
+                  <p className="text-[10px] text-zinc-600 -mt-1.5">
+                    Values are replaced with placeholders like [PII_EMAIL_1] in messages, tool results and prompts, and put back when tools run on this machine.
+                  </p>
+
+                  <Field label="Detect">
+                    <div className="relative">
+                      <select
+                        value={piiConfig.minConfidence}
+                        onChange={(e) => savePIIConfig({ minConfidence: Number(e.target.value) })}
+                        className="input-field appearance-none pr-7"
+                      >
+                        <option value={0.5}>All types</option>
+                        <option value={0.7}>Skip low-confidence types (phone numbers, IPs, addresses)</option>
+                        <option value={0.9}>Only checksummed numbers, keys and tokens</option>
+                      </select>
+                      <ChevronDown size={11} className="absolute right-2 top-1/2 -translate-y-1/2 text-zinc-600 pointer-events-none" />
+                    </div>
+                  </Field>
+
+                  {piiConfig.redact && (
+                    <div className="bg-surface-0/50 border border-surface-3 rounded-xl p-3 space-y-1.5">
+                      <p className="text-[10px] text-zinc-500 mb-1">Redact for</p>
+                      {Object.entries(catalog || {}).map(([id, p]) => {
+                        const on = piiConfig.providers[id] ?? !piiConfig.localProviders.includes(id);
+                        return (
+                          <div key={id} className="flex items-center justify-between">
+                            <span className="text-xs text-zinc-400">{p.label || id}</span>
+                            <Toggle checked={on} onChange={(v) => savePIIConfig({ providers: { ...piiConfig.providers, [id]: v } })} />
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+
+                  <div className="bg-surface-0/50 border border-surface-3 rounded-xl p-3 space-y-2">
+                    <div className="flex items-center justify-between">
+                      <p className="text-[10px] text-zinc-500">Detected types</p>
+                      {!piiTypeForm && (
+                        <button
+                          onClick={() => setPIITypeForm({ type: '', pattern: '', flags: '', description: '' })}
+                          className="flex items-center gap-1 text-[10px] text-accent hover:text-accent/80 transition-colors"
+                        >
+                          <Plus size={10} /> Custom type
+                        </button>
+                      )}
+                    </div>
+                    <div className="flex flex-wrap gap-1">
+                      {piiConfig.builtInTypes.map((t) => (
+                        <span
+                          key={t.type}
+                          className={`text-[10px] px-1.5 py-0.5 rounded bg-surface-2 ${t.confidence < piiConfig.minConfidence ? 'text-zinc-700 line-through' : 'text-zinc-500'}`}
+                          title={`${t.description} (confidence ${t.confidence})`}
+                        >{t.type}</span>
+                      ))}
+                    </div>
+                    {piiConfig.customTypes.map((t) => (
+                      <div key={t.type} className="flex items-center gap-2">
+                        <span className="text-[10px] px-1.5 py-0.5 rounded bg-accent/15 text-accent shrink-0">{t.type}</span>
+                        <span className="text-[10px] text-zinc-600 font-mono truncate flex-1" title={t.description}>/{t.pattern}/{t.flags}</span>
+                        <button
+                          onClick={() => savePIIConfig({ customTypes: piiConfig.customTypes.filter((c) => c.type !== t.type) })}
+                          className="p-1 text-zinc-600 hover:text-red-400 transition-colors rounded"
+                          title="Remove"
+                        ><Trash2 size={11} /></button>
+                      </div>
+                    ))}
+                    {piiTypeForm && (
+                      <div className="space-y-2 pt-1 animate-fade-in">
+                        <div className="grid grid-cols-2 gap-2">
+                          <input type="text" value={piiTypeForm.type} onChange={(e) => setPIITypeForm((f) => ({ ...f, type: e.target.value }))} className="input-field" placeholder="EmployeeID" />
+                          <input type="text" value={piiTypeForm.description} onChange={(e) => setPIITypeForm((f) => ({ ...f, description: e.target.value }))} className="input-field" placeholder="Employee ID" />
+                        </div>
+                        <div className="flex items-center gap-2">
+                          <input type="text" value={piiTypeForm.pattern} onChange={(e) => setPIITypeForm((f) => ({ ...f, pattern: e.target.value }))} className="input-field flex-1 font-mono" placeholder="\bEMP-\d{6}\b" />
+                          <input type="text" value={piiTypeForm.flags} onChange={(e) => setPIITypeForm((f) => ({ ...f, flags: e.target.value }))} className="input-field w-16 font-mono" placeholder="i" title="Regex flags (i, m, s, u)" />
+                        </div>
+                        <p className="text-[10px] text-zinc-600">Name a group (?&lt;value&gt;…) to redact only that part of the match.</p>
+                        <div className="flex items-center justify-end gap-2">
+                          <button onClick={() => { setPIITypeForm(null); setPIIError(null); }} className="px-3 py-1.5 rounded-lg text-xs text-zinc-500 hover:text-zinc-300 transition-colors">Cancel</button>
+                          <button
+                            onClick={async () => {
+                              if (await savePIIConfig({ customTypes: [...piiConfig.customTypes, piiTypeForm] })) setPIITypeForm(null);
+                            }}
+                            disabled={!piiTypeForm.type.trim() || !piiTypeForm.pattern}
+                            className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-accent/20 text-accent border border-accent/30 text-xs hover:bg-accent/30 transition-colors disabled:opacity-50"
+                          >
+                            <Check size={11} /> Add
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                    {piiError && <p className="text-[10px] text-red-400">{piiError}</p>}
+                  </div>
+
+                  <div className="bg-surface-0/50 border border-surface-3 rounded-xl p-3 space-y-2">
+                    <p className="text-[10px] text-zinc-500">Preview redaction</p>
+                    <textarea
+                      value={piiSample}
+                      onChange={(e) => setPIISample(e.target.value)}
+                      className="input-field resize-none font-mono"
+                      rows={2}
+                      placeholder="Contact jane@example.com, card 4111111111111111"
+                    />
+                    <div className="flex justify-end">
+                      <button
+                        onClick={async () => setPIIPreview(await api?.testPII?.(piiSample))}
+                        disabled={!piiSample.trim()}
+                        className="px-3 py-1.5 rounded-lg bg-surface-2 border border-surface-3 text-xs text-zinc-400 hover:text-zinc-200 hover:bg-surface-3 transition-colors disabled:opacity-50"
+                      >
+                        Preview
+                      </button>
+                    </div>
+                    {piiPreview && (
+                      <div className="space-y-1">
+                        <p className="text-[10px] text-zinc-400 font-mono whitespace-pre-wrap break-all">{piiPreview.redacted}</p>
+                        <p className="text-[10px] text-zinc-600">
+                          {piiPreview.findings.length
+                            ? piiPreview.findings.map((f) => `${f.description} ×${f.count}`).join(', ')
+                            : 'No PII detected'}
+                        </p>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+
+          {activeTab === 'mcp' && (
+            <div className="space-y-3">
+              {/* Header */}
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-xs text-zinc-400">
+                    Connect external MCP servers to give the agent new tools and capabilities.
+                  </p>
+                </div>
+                <button
+                  onClick={() => { setShowAddMCP(!showAddMCP); setMCPAddError(null); }}
+                  className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-accent/15 border border-accent/30 text-accent text-xs hover:bg-accent/25 transition-colors"
+                >
+                  <Plus size={12} /> Add Server
+                </button>
+              </div>
+
+              {/* Add server form */}
+              {showAddMCP && (
+                <div className="bg-surface-0/60 border border-surface-3 rounded-xl p-4 space-y-3 animate-fade-in">
+                  <p className="text-xs font-medium text-zinc-300">New MCP Server</p>
+
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <label className="text-[10px] text-zinc-500 mb-1 block">Name</label>
+                      <input
+                        type="text"
+                        value={mcpForm.name}
+                        onChange={(e) => setMCPForm((f) => ({ ...f, name: e.target.value }))}
+                        className="input-field"
+                        placeholder="My MCP Server"
+                      />
+                    </div>
+                    <div>
+                      <label className="text-[10px] text-zinc-500 mb-1 block">Transport</label>
+                      <div className="relative">
+                        <select
+                          value={mcpForm.transport}
+                          onChange={(e) => setMCPForm((f) => ({ ...f, transport: e.target.value }))}
+                          className="input-field appearance-none pr-7"
+                        >
+                          <option value="stdio">stdio (local process)</option>
+                          <option value="http">Streamable HTTP</option>
+                          <option value="sse">SSE (legacy HTTP)</option>
+                        </select>
+                        <ChevronDown size={11} className="absolute right-2 top-1/2 -translate-y-1/2 text-zinc-600 pointer-events-none" />
+                      </div>
+                    </div>
+                  </div>
+
+                  {mcpForm.transport === 'stdio' ? (
+                    <>
+                      <div>
+                        <label className="text-[10px] text-zinc-500 mb-1 block flex items-center gap-1">
+                          <Terminal size={10} /> Command
+                        </label>
+                        <input
+                          type="text"
+                          value={mcpForm.command}
+                          onChange={(e) => setMCPForm((f) => ({ ...f, command: e.target.value }))}
+                          className="input-field font-mono"
+                          placeholder="npx"
+                        />
+                      </div>
+                      <div>
+                        <label className="text-[10px] text-zinc-500 mb-1 block">Args (space-separated)</label>
+                        <input
+                          type="text"
+                          value={mcpForm.args}
+                          onChange={(e) => setMCPForm((f) => ({ ...f, args: e.target.value }))}
+                          className="input-field font-mono"
+                          placeholder="-y @modelcontextprotocol/server-filesystem /path/to/dir"
+                        />
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      <div>
+                        <label className="text-[10px] text-zinc-500 mb-1 block flex items-center gap-1">
+                          <Wifi size={10} /> Server URL
+                        </label>
+                        <input
+                          type="text"
+                          value={mcpForm.url}
+                          onChange={(e) => setMCPForm((f) => ({ ...f, url: e.target.value }))}
+                          className="input-field font-mono"
+                          placeholder={mcpForm.transport === 'http' ? 'https://mcp.example.com/mcp' : 'http://localhost:3001/sse'}
+                        />
+                      </div>
+                      <div>
+                        <label className="text-[10px] text-zinc-500 mb-1 block">
+                          Headers (one per line: Name: value)
+                        </label>
+                        <textarea
+                          value={mcpForm.headers}
+                          onChange={(e) => setMCPForm((f) => ({ ...f, headers: e.target.value }))}
+                          className="input-field font-mono resize-none"
+                          rows={2}
+                          placeholder="Authorization: Bearer abc123"
+                        />
+                      </div>
+                    </>
+                  )}
+
+                  {mcpForm.transport === 'stdio' && (
+                    <div>
+                      <label className="text-[10px] text-zinc-500 mb-1 block">
+                        Env vars (one per line: KEY=VALUE)
+                      </label>
+                      <textarea
+                        value={mcpForm.env}
+                        onChange={(e) => setMCPForm((f) => ({ ...f, env: e.target.value }))}
+                        className="input-field font-mono resize-none"
+                        rows={2}
+                        placeholder="API_KEY=abc123"
+                      />
+                    </div>
+                  )}
+
+                  {mcpAddError && (
+                    <div className="flex items-center gap-1.5 text-xs text-red-400 bg-red-500/10 border border-red-500/20 rounded-lg px-3 py-2">
+                      <AlertCircle size={12} /> {mcpAddError}
+                    </div>
+                  )}
+
+                  <div className="flex items-center justify-end gap-2 pt-1">
+                    <button
+                      onClick={() => { setShowAddMCP(false); setMCPAddError(null); }}
+                      className="px-3 py-1.5 rounded-lg text-xs text-zinc-500 hover:text-zinc-300 transition-colors"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      onClick={handleAddMCPServer}
+                      disabled={mcpLoading}
+                      className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-accent/20 text-accent border border-accent/30 text-xs hover:bg-accent/30 transition-colors disabled:opacity-50"
+                    >
+                      {mcpLoading
+                        ? <><RefreshCw size={11} className="animate-spin" /> Connecting...</>
+                        : <><PlugZap size={11} /> Connect</>
+                      }
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {/* Server list */}
+              {mcpServers.length === 0 && !showAddMCP ? (
                 <div className="flex flex-col items-center justify-center py-8 text-center">
                   <Plug size={24} className="text-zinc-700 mb-2" />
                   <p className="text-xs text-zinc-600">No MCP servers configured</p>
@@ -965,14 +1917,16 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
                       className={`rounded-xl p-3 border ${
                         server.status === 'connected'
                           ? 'bg-emerald-500/5 border-emerald-500/20'
-                          : 'bg-red-500/5 border-red-500/20'
+                          : server.retry
+                            ? 'bg-amber-500/5 border-amber-500/20'
+                            : 'bg-red-500/5 border-red-500/20'
                       }`}
                     >
                       <div className="flex items-start justify-between gap-2">
                         <div className="flex items-center gap-2 min-w-0">
                           {server.status === 'connected'
                             ? <Wifi size={13} className="text-emerald-400 shrink-0" />
-                            : <WifiOff size={13} className="text-red-400 shrink-0" />
+                            : <WifiOff size={13} className={`${server.retry ? 'text-amber-400' : 'text-red-400'} shrink-0`} />
                           }
                           <div className="min-w-0">
                             <p className="text-xs font-medium text-zinc-300 truncate">{server.name}</p>
@@ -987,9 +1941,28 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
 
                         <div className="flex items-center gap-1.5 shrink-0">
                           {server.status === 'connected' ? (
-                            <span className="text-[10px] text-emerald-400 bg-emerald-500/10 px-1.5 py-0.5 rounded">
-                              {server.toolCount} tool{server.toolCount !== 1 ? 's' : ''}
-                            </span>
+                            <>
+                              {server.health?.latencyMs != null && (
+                                <span className="text-[10px] text-zinc-600" title={`Last health check ${new Date(server.health.lastPingAt).toLocaleTimeString()}`}>
+                                  {server.health.latencyMs} ms
+                                </span>
+                              )}
+                              <span className="text-[10px] text-emerald-400 bg-emerald-500/10 px-1.5 py-0.5 rounded">
+                                {server.tools.some((t) => !t.enabled)
+                                  ? `${server.tools.filter((t) => t.enabled).length}/${server.toolCount} tools`
+                                  : `${server.toolCount} tool${server.toolCount !== 1 ? 's' : ''}`}
+                              </span>
+                              {server.resourceCount > 0 && (
+                                <span className="text-[10px] text-sky-400 bg-sky-500/10 px-1.5 py-0.5 rounded">
+                                  {server.resourceCount} resource{server.resourceCount !== 1 ? 's' : ''}
+                                </span>
+                              )}
+                              {server.promptCount > 0 && (
+                                <span className="text-[10px] text-violet-400 bg-violet-500/10 px-1.5 py-0.5 rounded" title="Available as templates in the Workflows tab">
+                                  {server.promptCount} prompt{server.promptCount !== 1 ? 's' : ''}
+                                </span>
+                              )}
+                            </>
                           ) : (
                             <button
                               onClick={() => handleReconnectMCPServer(server.id)}
@@ -998,6 +1971,20 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
                               <RefreshCw size={9} /> Retry
                             </button>
                           )}
+                          <button
+                            onClick={() => openMCPTools(server)}
+                            className={`p-1 transition-colors rounded ${mcpToolsOpen === server.id ? 'text-accent' : 'text-zinc-600 hover:text-zinc-300'}`}
+                            title="Tool settings"
+                          >
+                            <Sliders size={12} />
+                          </button>
+                          <button
+                            onClick={() => (mcpLogs?.id === server.id ? setMCPLogs(null) : showMCPLogs(server.id))}
+                            className={`p-1 transition-colors rounded ${mcpLogs?.id === server.id ? 'text-accent' : 'text-zinc-600 hover:text-zinc-300'}`}
+                            title="Server log"
+                          >
+                            <Terminal size={12} />
+                          </button>
                           <button
                             onClick={() => handleRemoveMCPServer(server.id)}
                             className="p-1 text-zinc-600 hover:text-red-400 transition-colors rounded"
@@ -1014,10 +2001,16 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
                         </p>
                       )}
 
-                      {server.status === 'connected' && server.tools?.length > 0 && (
+                      {server.status === 'error' && server.retry && (
+                        <p className="text-[10px] text-amber-400 mt-1">
+                          Reconnecting automatically at {new Date(server.retry.nextRetryAt).toLocaleTimeString()} (attempt {server.retry.attempt})
+                        </p>
+                      )}
+
+                      {server.status === 'connected' && server.tools?.length > 0 && mcpToolsOpen !== server.id && (
                         <div className="mt-2 flex flex-wrap gap-1">
                           {server.tools.slice(0, 6).map((t) => (
-                            <span key={t.name} className="text-[9px] text-zinc-600 bg-surface-2 px-1.5 py-0.5 rounded font-mono">
+                            <span key={t.name} className={`text-[9px] bg-surface-2 px-1.5 py-0.5 rounded font-mono ${t.enabled ? 'text-zinc-600' : 'text-zinc-700 line-through'}`}>
                               {t.name}
                             </span>
                           ))}
@@ -1028,6 +2021,110 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
                           )}
                         </div>
                       )}
+
+                      {/* Tool allow/deny lists and permission level */}
+                      {mcpToolsOpen === server.id && (
+                        <div className="mt-2 pt-2 border-t border-surface-3 space-y-2">
+                          {server.tools.length > 0 && (
+                            <div className="flex flex-wrap gap-1">
+                              {server.tools.map((t) => (
+                                <span key={t.name} title={t.description} className={`text-[9px] bg-surface-2 px-1.5 py-0.5 rounded font-mono ${t.enabled ? 'text-zinc-500' : 'text-zinc-700 line-through'}`}>
+                                  {t.name}
+                                </span>
+                              ))}
+                            </div>
+                          )}
+                          <div className="grid grid-cols-2 gap-2">
+                            <div>
+                              <label className="text-[10px] text-zinc-500 block mb-1">Allow only these tools</label>
+                              <input
+                                type="text"
+                                value={mcpToolForm.allowTools}
+                                onChange={(e) => setMCPToolForm((f) => ({ ...f, allowTools: e.target.value }))}
+                                className="input-field text-xs font-mono"
+                                placeholder="All tools"
+                              />
+                            </div>
+                            <div>
+                              <label className="text-[10px] text-zinc-500 block mb-1">Never these tools</label>
+                              <input
+                                type="text"
+                                value={mcpToolForm.denyTools}
+                                onChange={(e) => setMCPToolForm((f) => ({ ...f, denyTools: e.target.value }))}
+                                className="input-field text-xs font-mono"
+                                placeholder="delete_file, run_query"
+                              />
+                            </div>
+                          </div>
+                          <div>
+                            <label className="text-[10px] text-zinc-500 block mb-1">Permission level for its tools</label>
+                            <select
+                              value={mcpToolForm.permissionLevel}
+                              onChange={(e) => setMCPToolForm((f) => ({ ...f, permissionLevel: e.target.value }))}
+                              className="input-field text-xs"
+                            >
+                              <option value="">Default (sensitive)</option>
+                              <option value="safe">Safe — run without asking</option>
+                              <option value="sensitive">Sensitive — follow the approval settings</option>
+                              <option value="dangerous">Dangerous — always ask</option>
+                            </select>
+                          </div>
+                          <p className="text-[10px] text-zinc-600">
+                            Tool names as the server lists them, separated by commas. Deny wins over allow. Resource tools are not affected.
+                          </p>
+                          {mcpToolError && (
+                            <div className="flex items-center gap-1.5 text-xs text-red-400 bg-red-500/10 border border-red-500/20 rounded-lg px-3 py-2">
+                              <AlertCircle size={12} /> {mcpToolError}
+                            </div>
+                          )}
+                          <div className="flex justify-end gap-2">
+                            <button
+                              onClick={() => setMCPToolsOpen(null)}
+                              className="px-3 py-1.5 rounded-lg text-xs text-zinc-500 hover:text-zinc-300 transition-colors"
+                            >
+                              Cancel
+                            </button>
+                            <button
+                              onClick={() => handleSaveMCPTools(server.id)}
+                              className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-accent/20 text-accent border border-accent/30 text-xs hover:bg-accent/30 transition-colors"
+                            >
+                              <Save size={11} /> Save
+                            </button>
+                          </div>
+                        </div>
+                      )}
+
+                      {/* stderr output and connection events */}
+                      {mcpLogs?.id === server.id && (
+                        <div className="mt-2 pt-2 border-t border-surface-3">
+                          <div className="flex items-center justify-between mb-1">
+                            <span className="text-[10px] text-zinc-500">
+                              {server.transport === 'stdio' ? 'stderr and connection events' : 'Connection events'}
+                            </span>
+                            <div className="flex items-center gap-2">
+                              <button onClick={() => showMCPLogs(server.id)} className="text-[10px] text-zinc-500 hover:text-zinc-300 flex items-center gap-1">
+                                <RefreshCw size={9} /> Refresh
+                              </button>
+                              <button
+                                onClick={async () => { await api?.clearMCPServerLogs(server.id); setMCPLogs({ id: server.id, lines: [] }); }}
+                                className="text-[10px] text-zinc-500 hover:text-red-400 flex items-center gap-1"
+                              >
+                                <Trash2 size={9} /> Clear
+                              </button>
+                            </div>
+                          </div>
+                          <pre className="text-[10px] font-mono bg-surface-0 border border-surface-3 rounded-lg p-2 max-h-48 overflow-auto whitespace-pre-wrap break-all">
+                            {mcpLogs.lines.length === 0
+                              ? <span className="text-zinc-700">No output yet</span>
+                              : mcpLogs.lines.map((l, i) => (
+                                <div key={i} className={l.stream === 'event' ? 'text-sky-500/80' : 'text-zinc-400'}>
+                                  <span className="text-zinc-700">{new Date(l.time).toLocaleTimeString()} </span>{l.text}
+                                </div>
+                              ))
+                            }
+                          </pre>
+                        </div>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -1038,9 +2135,126 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
                 <p className="text-[10px] text-zinc-600 leading-relaxed">
                   <strong className="text-zinc-500">MCP</strong> (Model Context Protocol) lets the agent use tools from external servers.
                   Try <span className="font-mono text-zinc-500">npx -y @modelcontextprotocol/server-filesystem /path</span> for local filesystem access,
-                  or connect to any MCP-compatible server via SSE.
+                  or connect to any MCP-compatible server via Streamable HTTP or SSE. Server resources can be attached to chat messages;
+                  server prompts appear as templates in the Workflows tab.
                 </p>
               </div>
+
+              {/* OpenDesktop as an MCP server */}
+              {mcpServerStatus && (
+                <div className="space-y-2 pt-2">
+                  <h3 className="text-[10px] font-semibold text-zinc-500 uppercase tracking-wider">OpenDesktop as an MCP server</h3>
+                  <div className="flex items-center justify-between p-3 bg-surface-0/50 border border-surface-3 rounded-xl">
+                    <div>
+                      <p className="text-xs font-medium text-zinc-300">Publish tools to other MCP clients</p>
+                      <p className="text-[10px] text-zinc-500 mt-0.5">
+                        {mcpServerStatus.running
+                          ? `Running · ${mcpServerStatus.url}${mcpServerStatus.clients.length ? ` · ${mcpServerStatus.clients.join(', ')}` : ''}`
+                          : 'Stopped — lets IDEs and CLI agents call OpenDesktop tools'}
+                      </p>
+                    </div>
+                    <Toggle
+                      checked={mcpServerStatus.running}
+                      onChange={(v) => updateMCPServer(() => api?.toggleMCPServer?.(v))}
+                    />
+                  </div>
+
+                  {mcpServerStatus.running && (
+                    <div className="bg-surface-0/50 border border-surface-3 rounded-xl p-3 space-y-3">
+                      <div className="grid grid-cols-3 gap-2">
+                        <div>
+                          <label className="text-[10px] text-zinc-500 mb-1 block">Port</label>
+                          <input
+                            type="number"
+                            defaultValue={mcpServerStatus.port}
+                            key={mcpServerStatus.port}
+                            onBlur={(e) => {
+                              if (Number(e.target.value) !== mcpServerStatus.port) {
+                                updateMCPServer(() => api?.setMCPServerConfig?.({ port: e.target.value }));
+                              }
+                            }}
+                            className="input-field font-mono"
+                          />
+                        </div>
+                        <div>
+                          <label className="text-[10px] text-zinc-500 mb-1 block">Tools</label>
+                          <div className="relative">
+                            <select
+                              value={mcpServerStatus.persona || ''}
+                              onChange={(e) => updateMCPServer(() => api?.setMCPServerConfig?.({ persona: e.target.value }))}
+                              className="input-field appearance-none pr-7"
+                            >
+                              <option value="">All tools</option>
+                              {personas.map((p) => <option key={p.name} value={p.name}>{`${p.label || p.name} persona's tools`}</option>)}
+                            </select>
+                            <ChevronDown size={11} className="absolute right-2 top-1/2 -translate-y-1/2 text-zinc-600 pointer-events-none" />
+                          </div>
+                        </div>
+                        <div>
+                          <label className="text-[10px] text-zinc-500 mb-1 block">Approvals</label>
+                          <div className="relative">
+                            <select
+                              value={mcpServerStatus.approvalPolicy}
+                              onChange={(e) => updateMCPServer(() => api?.setMCPServerConfig?.({ approvalPolicy: e.target.value }))}
+                              className="input-field appearance-none pr-7"
+                            >
+                              {Object.entries(MCP_SERVER_APPROVALS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                            </select>
+                            <ChevronDown size={11} className="absolute right-2 top-1/2 -translate-y-1/2 text-zinc-600 pointer-events-none" />
+                          </div>
+                        </div>
+                      </div>
+
+                      <div>
+                        <label className="text-[10px] text-zinc-500 mb-1 block">Bearer token</label>
+                        <div className="flex items-center gap-1.5">
+                          <input type="text" readOnly value={mcpServerStatus.token || ''} className="input-field font-mono flex-1" />
+                          <button
+                            onClick={() => navigator.clipboard?.writeText(mcpServerStatus.token || '')}
+                            className="p-1.5 text-zinc-500 hover:text-zinc-300 transition-colors rounded"
+                            title="Copy token"
+                          ><Copy size={12} /></button>
+                          <button
+                            onClick={() => updateMCPServer(() => api?.regenerateMCPToken?.())}
+                            className="p-1.5 text-zinc-500 hover:text-amber-400 transition-colors rounded"
+                            title="Regenerate token (connected clients must use the new one)"
+                          ><RefreshCw size={12} /></button>
+                        </div>
+                      </div>
+
+                      {[
+                        ['HTTP clients', { type: 'http', url: mcpServerStatus.url, headers: { Authorization: `Bearer ${mcpServerStatus.token}` } }],
+                        ['stdio clients', mcpServerStatus.stdio],
+                      ].map(([label, entry]) => {
+                        const snippet = JSON.stringify({ mcpServers: { opendesktop: entry } }, null, 2);
+                        return (
+                          <div key={label}>
+                            <div className="flex items-center justify-between mb-1">
+                              <label className="text-[10px] text-zinc-500">{label}</label>
+                              <button
+                                onClick={() => navigator.clipboard?.writeText(snippet)}
+                                className="text-[10px] text-zinc-500 hover:text-zinc-300 flex items-center gap-1 transition-colors"
+                              ><Copy size={10} /> Copy</button>
+                            </div>
+                            <pre className="text-[10px] text-zinc-400 font-mono bg-surface-2 rounded-lg p-2 overflow-x-auto">{snippet}</pre>
+                          </div>
+                        );
+                      })}
+
+                      <p className="text-[10px] text-zinc-600 leading-relaxed">
+                        Calls run with your permission levels and policies. Dangerous calls show the approval dialog here
+                        and are denied after the approval timeout. Tools from other MCP servers are not re-published.
+                      </p>
+                    </div>
+                  )}
+
+                  {mcpServerError && (
+                    <div className="flex items-center gap-1.5 text-xs text-red-400 bg-red-500/10 border border-red-500/20 rounded-lg px-3 py-2">
+                      <AlertCircle size={12} /> {mcpServerError}
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
           )}
 
@@ -1280,7 +2494,7 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
                           setShowWorkflowForm(false);
                           setWorkflowForm({ name: '', description: '', prompt: '' });
                           const r = await api?.listWorkflows?.();
-                          setWorkflows(r?.workflows || []);
+                          setWorkflows(r || []);
                         } catch (e) { console.error(e); }
                         setWorkflowLoading(false);
                       }}
@@ -1335,20 +2549,311 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
                   ))}
                 </div>
               )}
+
+              {mcpPrompts.length > 0 && (
+                <div className="space-y-2 pt-2">
+                  <h3 className="text-[10px] font-semibold text-zinc-500 uppercase tracking-wider">Templates from MCP servers</h3>
+                  {mcpPromptError && (
+                    <div className="flex items-center gap-1.5 text-xs text-red-400 bg-red-500/10 border border-red-500/20 rounded-lg px-3 py-2">
+                      <AlertCircle size={12} /> {mcpPromptError}
+                    </div>
+                  )}
+                  {mcpPrompts.map((p) => (
+                    <div key={`${p.serverId}:${p.name}`} className="flex items-start justify-between gap-2 bg-surface-0/50 border border-surface-3 rounded-xl p-3">
+                      <div className="min-w-0">
+                        <p className="text-xs font-medium text-zinc-300 truncate">
+                          {p.name} <span className="text-[10px] text-zinc-600 font-normal">· {p.server}</span>
+                        </p>
+                        {p.description && <p className="text-[10px] text-zinc-500 mt-0.5 truncate">{p.description}</p>}
+                        {p.arguments.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-1">
+                            {p.arguments.map((a) => (
+                              <span key={a.name} title={a.description} className="text-[9px] text-accent/80 bg-accent/10 px-1.5 py-0.5 rounded font-mono">
+                                {`{{${a.name}}}`}{a.required ? '' : '?'}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                      <button
+                        onClick={async () => {
+                          setMCPPromptError(null);
+                          const t = await api?.getMCPTemplate?.(p.serverId, p.name);
+                          if (t?.error) { setMCPPromptError(t.error); return; }
+                          setWorkflowForm(t);
+                          setShowWorkflowForm(true);
+                        }}
+                        className="shrink-0 text-[10px] text-accent/80 bg-accent/10 border border-accent/20 px-2 py-0.5 rounded hover:bg-accent/20 transition-colors"
+                      >Use template</button>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           )}
 
-          {activeTab === 'policies' && (
+          {activeTab === 'memory' && (
             <div className="space-y-3">
-              <div className="flex items-center justify-between">
-                <p className="text-xs text-zinc-400">Control which tools the agent can run and when approval is required.</p>
+              <p className="text-xs text-zinc-400">
+                Facts and preferences the agent always knows. The agent adds facts when you ask it to remember something; edit or remove them here.
+              </p>
+
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={factForm.content}
+                  onChange={(e) => { setFactForm((f) => ({ ...f, content: e.target.value })); setFactError(null); }}
+                  className="input-field flex-1"
+                  placeholder="My team's Jira project is OPS"
+                />
+                <div className="relative w-32 shrink-0">
+                  <select value={factForm.category} onChange={(e) => setFactForm((f) => ({ ...f, category: e.target.value }))} className="input-field appearance-none pr-7">
+                    {factCategories.map((c) => <option key={c} value={c}>{c}</option>)}
+                  </select>
+                  <ChevronDown size={11} className="absolute right-2 top-1/2 -translate-y-1/2 text-zinc-600 pointer-events-none" />
+                </div>
                 <button
-                  onClick={() => setShowPolicyForm((v) => !v)}
-                  className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-accent/15 border border-accent/30 text-accent text-xs hover:bg-accent/25 transition-colors"
+                  onClick={async () => {
+                    const r = await api?.addFact?.(factForm.content, factForm.category);
+                    if (r?.error) { setFactError(r.error); return; }
+                    setFactForm((f) => ({ ...f, content: '' }));
+                    refreshFacts();
+                  }}
+                  disabled={!factForm.content.trim()}
+                  className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-accent/15 border border-accent/30 text-accent text-xs hover:bg-accent/25 transition-colors disabled:opacity-50 shrink-0"
                 >
-                  <Plus size={12} /> Add Rule
+                  <Plus size={12} /> Add
                 </button>
               </div>
+              {factError && <p className="text-[10px] text-red-400">{factError}</p>}
+
+              {facts.length > 5 && (
+                <div className="relative">
+                  <Search size={12} className="absolute left-2.5 top-1/2 -translate-y-1/2 text-zinc-600" />
+                  <input type="text" value={factFilter} onChange={(e) => setFactFilter(e.target.value)} className="input-field pl-7" placeholder="Filter facts..." />
+                </div>
+              )}
+
+              {facts.length === 0 ? (
+                <div className="flex flex-col items-center justify-center py-8 text-center">
+                  <Lightbulb size={24} className="text-zinc-700 mb-2" />
+                  <p className="text-xs text-zinc-600">No remembered facts</p>
+                  <p className="text-[10px] text-zinc-700 mt-0.5">Add one above, or tell the agent "remember that…"</p>
+                </div>
+              ) : (
+                <div className="space-y-2">
+                  {facts
+                    .filter((f) => !factFilter || `${f.content} ${f.category}`.toLowerCase().includes(factFilter.toLowerCase()))
+                    .map((fact) => (
+                    <div key={fact.id} className="px-3 py-2.5 bg-surface-0/50 border border-surface-3 rounded-xl">
+                      {editingFact?.id === fact.id ? (
+                        <div className="flex items-center gap-2">
+                          <input
+                            type="text"
+                            value={editingFact.content}
+                            onChange={(e) => setEditingFact((f) => ({ ...f, content: e.target.value }))}
+                            className="input-field flex-1"
+                            autoFocus
+                          />
+                          <div className="relative w-32 shrink-0">
+                            <select value={editingFact.category} onChange={(e) => setEditingFact((f) => ({ ...f, category: e.target.value }))} className="input-field appearance-none pr-7">
+                              {factCategories.map((c) => <option key={c} value={c}>{c}</option>)}
+                            </select>
+                            <ChevronDown size={11} className="absolute right-2 top-1/2 -translate-y-1/2 text-zinc-600 pointer-events-none" />
+                          </div>
+                          <button
+                            onClick={async () => {
+                              const r = await api?.updateFact?.(fact.id, editingFact);
+                              if (r?.error) { setFactError(r.error); return; }
+                              setEditingFact(null);
+                              refreshFacts();
+                            }}
+                            disabled={!editingFact.content.trim()}
+                            className="p-1 text-emerald-400 hover:text-emerald-300 transition-colors rounded disabled:opacity-50"
+                          ><Check size={12} /></button>
+                          <button onClick={() => setEditingFact(null)} className="p-1 text-zinc-600 hover:text-zinc-300 transition-colors rounded"><X size={12} /></button>
+                        </div>
+                      ) : (
+                        <div className="flex items-start justify-between gap-2">
+                          <div className="min-w-0">
+                            <p className="text-xs text-zinc-300">{fact.content}</p>
+                            <p className="text-[10px] text-zinc-600 mt-0.5">
+                              <span className="text-accent/80">{fact.category}</span>
+                              {' · '}{fact.source === 'agent' ? 'learned by agent' : 'added by you'}
+                              {' · '}{new Date(fact.updated_at).toLocaleDateString()}
+                            </p>
+                          </div>
+                          <div className="flex items-center gap-1 shrink-0">
+                            <button
+                              onClick={() => setEditingFact({ id: fact.id, content: fact.content, category: fact.category })}
+                              className="p-1 text-zinc-600 hover:text-zinc-300 transition-colors rounded"
+                            ><Pencil size={12} /></button>
+                            <button
+                              onClick={async () => {
+                                await api?.deleteFact?.(fact.id);
+                                setFacts((fs) => fs.filter((f) => f.id !== fact.id));
+                              }}
+                              className="p-1 text-zinc-600 hover:text-red-400 transition-colors rounded"
+                            ><Trash2 size={12} /></button>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {activeTab === 'policies' && (
+            <div className="space-y-3">
+              <div className="flex items-center justify-between">
+                <p className="text-xs text-zinc-400">Control which tools the agent can run and when approval is required.</p>
+                <div className="flex items-center gap-1.5 shrink-0">
+                  <button
+                    onClick={async () => {
+                      const r = await api?.importPolicies?.(false);
+                      if (!r || r.canceled) return;
+                      if (r.error) { setPolicyNotice({ error: r.error }); return; }
+                      setPolicyNotice({
+                        text: `Imported ${r.added} new and ${r.updated} updated rule(s)`
+                          + (r.skipped.length ? `; skipped ${r.skipped.map((k) => `${k.name} (${k.error})`).join(', ')}` : ''),
+                      });
+                      const list = await api?.listPolicies?.();
+                      setPolicies(list?.rules || []);
+                    }}
+                    className="p-1.5 rounded-lg text-zinc-500 hover:text-zinc-300 hover:bg-surface-2 transition-colors"
+                    title="Import rules"
+                  ><Upload size={12} /></button>
+                  <button
+                    onClick={async () => {
+                      const r = await api?.exportPolicies?.();
+                      if (!r || r.canceled) return;
+                      setPolicyNotice(r.error ? { error: r.error } : { text: `Exported ${r.rules} rule(s) to ${r.path}` });
+                    }}
+                    className="p-1.5 rounded-lg text-zinc-500 hover:text-zinc-300 hover:bg-surface-2 transition-colors"
+                    title="Export your rules"
+                  ><Download size={12} /></button>
+                  <button
+                    onClick={() => setShowPolicyForm((v) => !v)}
+                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-accent/15 border border-accent/30 text-accent text-xs hover:bg-accent/25 transition-colors"
+                  >
+                    <Plus size={12} /> Add Rule
+                  </button>
+                </div>
+              </div>
+              {policyNotice && (
+                <p className={`text-[10px] ${policyNotice.error ? 'text-red-400' : 'text-zinc-500'}`}>{policyNotice.error || policyNotice.text}</p>
+              )}
+
+              <div className="bg-surface-0/50 border border-surface-3 rounded-xl p-3 space-y-2">
+                <div className="flex items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <p className="text-xs font-medium text-zinc-300 flex items-center gap-1.5"><Lock size={11} /> Managed policy</p>
+                    <p className={`text-[10px] mt-0.5 ${
+                      managedPolicy?.status === 'verified' ? 'text-emerald-400' :
+                      managedPolicy?.status === 'stale' ? 'text-amber-400' :
+                      managedPolicy?.status === 'invalid' ? 'text-red-400' : 'text-zinc-600'
+                    }`}>
+                      {!managedPolicy || managedPolicy.status === 'none'
+                        ? 'None — team rules signed by your admin can be loaded from a shared file'
+                        : managedPolicy.status === 'verified'
+                          ? `${managedPolicy.name || 'Team policy'} — ${managedPolicy.rules} rule(s), signature verified`
+                          : managedPolicy.status === 'stale'
+                            ? `Enforcing the last verified copy (${managedPolicy.rules} rule(s)): ${managedPolicy.error}`
+                            : `Not loaded: ${managedPolicy.error}`}
+                    </p>
+                    {managedPolicy?.path && (
+                      <p className="text-[10px] text-zinc-600 font-mono truncate mt-0.5">
+                        {managedPolicy.path}{managedPolicy.fromEnv && ' (set by OPENDESKTOP_MANAGED_POLICY)'}
+                      </p>
+                    )}
+                    {managedPolicy?.locked && (
+                      <p className="text-[10px] text-zinc-500 mt-0.5 flex items-center gap-1">
+                        <Lock size={9} className="shrink-0" />
+                        {managedPolicy.lockedBy === 'env'
+                          ? 'Locked by the environment'
+                          : `Locked — only an administrator can change or remove it (${managedPolicy.machineConfig})`}
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-1 shrink-0">
+                    {managedPolicy?.path && (
+                      <button
+                        onClick={async () => {
+                          setManagedPolicy(await api?.reloadManagedPolicy?.());
+                          const list = await api?.listPolicies?.();
+                          setPolicies(list?.rules || []);
+                        }}
+                        className="p-1 text-zinc-600 hover:text-zinc-300 transition-colors rounded"
+                        title="Reload"
+                      ><RefreshCw size={12} /></button>
+                    )}
+                    {!managedPolicy?.locked && (
+                      <button
+                        onClick={() => setManagedForm(managedForm ? null : { path: managedPolicy?.path || '', publicKey: '' })}
+                        className="p-1 text-zinc-600 hover:text-zinc-300 transition-colors rounded"
+                        title="Configure"
+                      ><Pencil size={12} /></button>
+                    )}
+                  </div>
+                </div>
+                {managedForm && (
+                  <div className="space-y-2 pt-1 animate-fade-in">
+                    <div className="flex items-center gap-2">
+                      <input type="text" value={managedForm.path} onChange={(e) => setManagedForm((f) => ({ ...f, path: e.target.value }))} className="input-field flex-1 font-mono" placeholder="/Volumes/Team/opendesktop-policy.json" />
+                      <button
+                        type="button"
+                        onClick={async () => {
+                          const files = await api?.selectFiles?.();
+                          if (files?.[0]) setManagedForm((f) => ({ ...f, path: files[0] }));
+                        }}
+                        className="shrink-0 flex items-center gap-1.5 px-2.5 py-2 rounded-lg bg-surface-2 border border-surface-3 text-xs text-zinc-400 hover:text-zinc-200 hover:bg-surface-3 transition-colors"
+                      >
+                        <FolderOpen size={12} /> Browse
+                      </button>
+                    </div>
+                    <textarea
+                      value={managedForm.publicKey}
+                      onChange={(e) => setManagedForm((f) => ({ ...f, publicKey: e.target.value }))}
+                      className="input-field resize-none font-mono"
+                      rows={3}
+                      placeholder={'Team public key (PEM)\n-----BEGIN PUBLIC KEY-----\n...'}
+                    />
+                    {managedForm.error && <p className="text-[10px] text-red-400">{managedForm.error}</p>}
+                    <div className="flex items-center justify-end gap-2">
+                      {managedPolicy?.path && (
+                        <button
+                          onClick={async () => {
+                            const r = await api?.setManagedPolicy?.(null, null);
+                            if (r?.error) { setManagedForm((f) => ({ ...f, error: r.error })); return; }
+                            setManagedPolicy(r);
+                            setManagedForm(null);
+                            const list = await api?.listPolicies?.();
+                            setPolicies(list?.rules || []);
+                          }}
+                          className="px-3 py-1.5 rounded-lg text-xs text-red-400/80 hover:text-red-400 transition-colors"
+                        >Remove</button>
+                      )}
+                      <button onClick={() => setManagedForm(null)} className="px-3 py-1.5 rounded-lg text-xs text-zinc-500 hover:text-zinc-300 transition-colors">Cancel</button>
+                      <button
+                        onClick={async () => {
+                          const r = await api?.setManagedPolicy?.(managedForm.path.trim(), managedForm.publicKey.trim());
+                          if (r?.error) { setManagedForm((f) => ({ ...f, error: r.error })); return; }
+                          setManagedPolicy(r);
+                          setManagedForm(null);
+                          const list = await api?.listPolicies?.();
+                          setPolicies(list?.rules || []);
+                        }}
+                        disabled={!managedForm.path.trim() || !managedForm.publicKey.trim()}
+                        className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-accent/20 text-accent border border-accent/30 text-xs hover:bg-accent/30 transition-colors disabled:opacity-50"
+                      >
+                        <Check size={11} /> Save
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
 
               {showPolicyForm && (
                 <div className="bg-surface-0/60 border border-surface-3 rounded-xl p-4 space-y-3 animate-fade-in">
@@ -1378,20 +2883,49 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
                     <label className="text-[10px] text-zinc-500 mb-1 block">Path pattern to match (optional)</label>
                     <input type="text" value={policyForm.pattern} onChange={(e) => setPolicyForm((f) => ({ ...f, pattern: e.target.value }))} className="input-field font-mono" placeholder="/Sensitive/ or .env" />
                   </div>
+                  <div>
+                    <label className="text-[10px] text-zinc-500 mb-1 block">{'Condition JSON (optional) — e.g. {"rows": {"gt": 1000}, "$time": {"after": "18:00", "before": "08:00"}}'}</label>
+                    <textarea
+                      value={policyForm.condition}
+                      onChange={(e) => { setPolicyForm((f) => ({ ...f, condition: e.target.value })); setPolicyError(null); }}
+                      className="input-field resize-none font-mono"
+                      rows={3}
+                      placeholder={'{"channel": {"not_in": ["#general"]}}'}
+                    />
+                  </div>
+                  <div>
+                    <label className="text-[10px] text-zinc-500 mb-1 block">Rate limit (optional) — the rule applies once this many calls have run</label>
+                    <div className="flex items-center gap-2">
+                      <input type="number" min="1" value={policyForm.rateMax} onChange={(e) => setPolicyForm((f) => ({ ...f, rateMax: e.target.value }))} className="input-field w-24" placeholder="5" />
+                      <span className="text-xs text-zinc-500">calls per</span>
+                      <select value={policyForm.ratePer} onChange={(e) => setPolicyForm((f) => ({ ...f, ratePer: e.target.value }))} className="input-field w-28">
+                        {['minute', 'hour', 'day'].map((p) => <option key={p} value={p}>{p}</option>)}
+                      </select>
+                    </div>
+                  </div>
+                  {policyError && <p className="text-[10px] text-red-400">{policyError}</p>}
                   <div className="flex items-center justify-end gap-2 pt-1">
-                    <button onClick={() => { setShowPolicyForm(false); setPolicyForm({ name: '', tool: '', action: 'block', pattern: '' }); }} className="px-3 py-1.5 rounded-lg text-xs text-zinc-500 hover:text-zinc-300 transition-colors">Cancel</button>
+                    <button onClick={() => { setShowPolicyForm(false); setPolicyForm(EMPTY_POLICY); setPolicyError(null); }} className="px-3 py-1.5 rounded-lg text-xs text-zinc-500 hover:text-zinc-300 transition-colors">Cancel</button>
                     <button
                       onClick={async () => {
                         try {
+                          let condition = {};
+                          if (policyForm.condition.trim()) {
+                            try { condition = JSON.parse(policyForm.condition); } catch { setPolicyError('Condition is not valid JSON'); return; }
+                          }
+                          if (policyForm.pattern) condition = { ...condition, path: { contains: policyForm.pattern } };
                           const rule = {
                             name: policyForm.name,
                             tool: policyForm.tool.includes(',') ? policyForm.tool.split(',').map((t) => t.trim()) : policyForm.tool.trim(),
                             action: policyForm.action,
-                            ...(policyForm.pattern && { condition: { path: { contains: policyForm.pattern } } }),
+                            condition,
+                            ...(policyForm.rateMax && { rate_limit: { max: parseInt(policyForm.rateMax, 10), per: policyForm.ratePer } }),
                           };
-                          await api?.addPolicy?.(rule);
+                          const added = await api?.addPolicy?.(rule);
+                          if (added?.error) { setPolicyError(added.error); return; }
                           setShowPolicyForm(false);
-                          setPolicyForm({ name: '', tool: '', action: 'block', pattern: '' });
+                          setPolicyForm(EMPTY_POLICY);
+                          setPolicyError(null);
                           const r = await api?.listPolicies?.();
                           setPolicies(r?.rules || []);
                         } catch (e) { console.error(e); }
@@ -1423,10 +2957,17 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
                       <div className="flex items-center gap-2">
                         <p className="text-xs font-medium text-zinc-300">{rule.name}</p>
                         {rule.builtin && <span className="text-[9px] text-zinc-600 bg-surface-2 px-1.5 py-0.5 rounded">built-in</span>}
+                        {rule.managed && <span className="text-[9px] text-accent/80 bg-accent/10 px-1.5 py-0.5 rounded">managed</span>}
                       </div>
                       <p className="text-[10px] text-zinc-500 mt-0.5 font-mono truncate">
                         {Array.isArray(rule.tool) ? rule.tool.join(', ') : rule.tool}
+                        {rule.rate_limit && ` · max ${rule.rate_limit.max}/${rule.rate_limit.per}`}
                       </p>
+                      {rule.condition && Object.keys(rule.condition).length > 0 && (
+                        <p className="text-[10px] text-zinc-600 mt-0.5 font-mono truncate" title={JSON.stringify(rule.condition, null, 2)}>
+                          {JSON.stringify(rule.condition)}
+                        </p>
+                      )}
                     </div>
                     <div className="flex items-center gap-1.5 shrink-0">
                       <span className={`text-[10px] px-1.5 py-0.5 rounded font-medium ${
@@ -1436,7 +2977,7 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
                       }`}>
                         {rule.action === 'require_approval' ? 'approve' : rule.action}
                       </span>
-                      {!rule.builtin && (
+                      {!rule.builtin && !rule.managed && (
                         <button
                           onClick={async () => {
                             await api?.removePolicy?.(rule.id);
@@ -1449,11 +2990,160 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
                   </div>
                 ))}
               </div>
+
+              <div className="bg-surface-0/60 border border-surface-3 rounded-xl p-4 space-y-3">
+                <p className="text-xs font-medium text-zinc-300">Test a tool call</p>
+                <div className="flex items-center gap-2">
+                  <input type="text" value={policyTest.tool} onChange={(e) => setPolicyTest((t) => ({ ...t, tool: e.target.value }))} className="input-field flex-1 font-mono" placeholder="slack_send" />
+                  <input type="datetime-local" value={policyTest.at} onChange={(e) => setPolicyTest((t) => ({ ...t, at: e.target.value }))} className="input-field w-48" title="Evaluate at this time (default now)" />
+                </div>
+                <textarea
+                  value={policyTest.input}
+                  onChange={(e) => setPolicyTest((t) => ({ ...t, input: e.target.value }))}
+                  className="input-field resize-none font-mono"
+                  rows={3}
+                  placeholder={'{"channel": "#general", "text": "hi"}'}
+                />
+                <div className="flex items-center justify-end">
+                  <button
+                    onClick={async () => {
+                      let input;
+                      try { input = JSON.parse(policyTest.input || '{}'); } catch { setPolicyTestResult({ error: 'Parameters are not valid JSON' }); return; }
+                      setPolicyTestResult(await api?.testPolicy?.(policyTest.tool.trim(), input, policyTest.at || undefined));
+                    }}
+                    disabled={!policyTest.tool.trim()}
+                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-accent/15 border border-accent/30 text-accent text-xs hover:bg-accent/25 transition-colors disabled:opacity-50"
+                  >
+                    <ShieldCheck size={11} /> Test
+                  </button>
+                </div>
+                {policyTestResult?.error && <p className="text-[10px] text-red-400">{policyTestResult.error}</p>}
+                {policyTestResult && !policyTestResult.error && (
+                  <div className="space-y-1.5">
+                    <p className={`text-xs font-medium ${
+                      policyTestResult.action === 'block' ? 'text-red-400' :
+                      policyTestResult.action === 'require_approval' ? 'text-amber-400' :
+                      policyTestResult.action === 'warn' ? 'text-zinc-300' : 'text-emerald-400'
+                    }`}>
+                      {policyTestResult.ruleId
+                        ? `${policyTestResult.action === 'require_approval' ? 'Approval required' : policyTestResult.action === 'block' ? 'Blocked' : 'Warning'} by "${policyTestResult.ruleName}"`
+                        : 'Allowed — no rule applies'}
+                    </p>
+                    {policyTestResult.reason && <p className="text-[10px] text-zinc-500">{policyTestResult.reason}</p>}
+                    {policyTestResult.trace?.map((t) => (
+                      <p key={t.ruleId} className="text-[10px] text-zinc-600 font-mono truncate" title={t.reason}>
+                        {t.matched ? '✓' : '·'} {t.name}: {t.reason}
+                      </p>
+                    ))}
+                  </div>
+                )}
+              </div>
             </div>
           )}
 
           {activeTab === 'usage' && (
             <div className="space-y-4">
+              <div>
+                <h3 className="text-[10px] font-semibold text-zinc-500 uppercase tracking-wider mb-2">Spend Budgets</h3>
+                <p className="text-[10px] text-zinc-600 mb-2">
+                  Estimated USD limits, checked before every LLM call. Tasks stop when a budget is reached. Leave at 0 for no limit.
+                </p>
+                <div className="grid grid-cols-4 gap-2">
+                  {[
+                    ['budgetTaskUsd',    'Per task ($)'],
+                    ['budgetDailyUsd',   'Per day ($)'],
+                    ['budgetMonthlyUsd', 'Per month ($)'],
+                  ].map(([key, label]) => (
+                    <div key={key}>
+                      <label className="text-[10px] text-zinc-500 mb-1 block">{label}</label>
+                      <input
+                        type="number" min="0" step="0.5"
+                        value={settings[key] || 0}
+                        onChange={(e) => updateField(key, Math.max(0, parseFloat(e.target.value) || 0))}
+                        className="input-field font-mono"
+                      />
+                    </div>
+                  ))}
+                  <div>
+                    <label className="text-[10px] text-zinc-500 mb-1 block">Warn at (%)</label>
+                    <input
+                      type="number" min="10" max="99" step="5"
+                      value={Math.round((settings.budgetWarnRatio || 0.8) * 100)}
+                      onChange={(e) => updateField('budgetWarnRatio', Math.min(99, Math.max(10, parseInt(e.target.value) || 80)) / 100)}
+                      className="input-field font-mono"
+                    />
+                  </div>
+                </div>
+
+                {Object.entries(settings.budgetProviders || {}).length > 0 && (
+                  <div className="space-y-1 mt-2">
+                    {Object.entries(settings.budgetProviders).map(([provider, b]) => (
+                      <div key={provider} className="flex items-center justify-between px-2.5 py-1.5 rounded-lg bg-surface-0/40 border border-surface-3">
+                        <span className="text-xs text-zinc-400">{catalog?.[provider]?.label || provider}</span>
+                        <div className="flex items-center gap-3">
+                          <span className="text-[10px] text-zinc-500 font-mono">
+                            {b.dailyUsd ? `$${b.dailyUsd}/day` : ''}{b.dailyUsd && b.monthlyUsd ? ' · ' : ''}{b.monthlyUsd ? `$${b.monthlyUsd}/month` : ''}
+                          </span>
+                          <button
+                            onClick={() => {
+                              const { [provider]: _removed, ...rest } = settings.budgetProviders;
+                              updateField('budgetProviders', rest);
+                            }}
+                            className="text-zinc-600 hover:text-red-400 transition-colors"
+                            title="Remove"
+                          ><Trash2 size={10} /></button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <div className="flex items-center gap-2 mt-2">
+                  <div className="relative w-36 shrink-0">
+                    <select
+                      value={providerBudgetForm.provider}
+                      onChange={(e) => setProviderBudgetForm((f) => ({ ...f, provider: e.target.value }))}
+                      className="input-field appearance-none pr-7"
+                    >
+                      {Object.entries(catalog || {}).map(([id, p]) => <option key={id} value={id}>{p.label || id}</option>)}
+                    </select>
+                    <ChevronDown size={11} className="absolute right-2 top-1/2 -translate-y-1/2 text-zinc-600 pointer-events-none" />
+                  </div>
+                  <input type="number" min="0" step="0.5" value={providerBudgetForm.dailyUsd} onChange={(e) => setProviderBudgetForm((f) => ({ ...f, dailyUsd: e.target.value }))} className="input-field font-mono" placeholder="$ / day" />
+                  <input type="number" min="0" step="0.5" value={providerBudgetForm.monthlyUsd} onChange={(e) => setProviderBudgetForm((f) => ({ ...f, monthlyUsd: e.target.value }))} className="input-field font-mono" placeholder="$ / month" />
+                  <button
+                    onClick={() => {
+                      const dailyUsd   = parseFloat(providerBudgetForm.dailyUsd) || 0;
+                      const monthlyUsd = parseFloat(providerBudgetForm.monthlyUsd) || 0;
+                      updateField('budgetProviders', { ...(settings.budgetProviders || {}), [providerBudgetForm.provider]: { dailyUsd, monthlyUsd } });
+                      setProviderBudgetForm((f) => ({ ...f, dailyUsd: '', monthlyUsd: '' }));
+                    }}
+                    disabled={!(parseFloat(providerBudgetForm.dailyUsd) > 0 || parseFloat(providerBudgetForm.monthlyUsd) > 0)}
+                    className="shrink-0 flex items-center gap-1.5 px-2.5 py-2 rounded-lg bg-surface-2 border border-surface-3 text-xs text-zinc-400 hover:text-zinc-200 hover:bg-surface-3 transition-colors disabled:opacity-50"
+                  >
+                    <Plus size={12} /> Provider limit
+                  </button>
+                </div>
+
+                {budgetStatus?.scopes?.length > 0 && (
+                  <div className="space-y-1.5 mt-3">
+                    {budgetStatus.scopes.map((s) => (
+                      <div key={`${s.scope}:${s.provider || ''}`}>
+                        <div className="flex items-center justify-between text-[10px] mb-0.5">
+                          <span className="text-zinc-500">{s.provider ? `${s.provider} · ` : ''}{s.scope}</span>
+                          <span className="font-mono text-zinc-400">${s.remainingUsd.toFixed(2)} left of ${s.limitUsd.toFixed(2)}</span>
+                        </div>
+                        <div className="h-1 rounded-full bg-surface-3 overflow-hidden">
+                          <div
+                            className={`h-full ${s.ratio >= 1 ? 'bg-red-500' : s.ratio >= budgetStatus.warnRatio ? 'bg-amber-500' : 'bg-emerald-500'}`}
+                            style={{ width: `${Math.min(100, s.ratio * 100)}%` }}
+                          />
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
               {usageSummary ? (
                 <>
                   <div className="grid grid-cols-3 gap-2">
@@ -1708,6 +3398,13 @@ export default function SettingsModal({ onClose, theme = 'dark', onThemeChange }
   );
 }
 
+const EMBEDDING_MODEL_PLACEHOLDERS = {
+  ollama:   'nomic-embed-text',
+  openai:   'text-embedding-3-small',
+  mistral:  'mistral-embed',
+  together: 'BAAI/bge-base-en-v1.5',
+};
+
 function Field({ label, icon: Icon, children }) {
   return (
     <div>
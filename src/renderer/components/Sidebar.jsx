@@ -23,6 +23,14 @@ import {
   WifiOff,
   Briefcase,
   Import,
+  MessageSquare,
+  Pencil,
+  Trash2,
+  Bot,
+  PenLine,
+  BookOpen,
+  LineChart,
+  Heart,
 } from 'lucide-react';
 
 const PERSONA_ICONS = {
@@ -33,6 +41,12 @@ const PERSONA_ICONS = {
   custom: Settings,
 };
 
+// Icons user personas can pick in Settings (names stored by personas.js)
+const USER_PERSONA_ICONS = {
+  brain: Brain, zap: Zap, search: Search, settings: Settings, bot: Bot, code: Code, pen: PenLine, book: BookOpen,
+  briefcase: Briefcase, chart: LineChart, globe: Globe, terminal: Terminal, sparkles: Sparkles, heart: Heart,
+};
+
 const PERSONA_CONFIG = {
   auto: { label: 'Auto', color: 'text-violet-400', bg: 'bg-violet-500/10 border-violet-500/30', desc: 'Automatically picks the best persona' },
   planner: { label: 'Planner', color: 'text-indigo-400', bg: 'bg-indigo-500/10 border-indigo-500/30' },
@@ -51,9 +65,10 @@ const TOOL_CATEGORY_ICONS = {
   mcp: Plug,
 };
 
-export default function Sidebar({ activePersona, onPersonaChange, history, selectedHistoryId, onSelectHistory, tools, mcpServers, showContext, onToggleContext, onNewSession, workItems, selectedWorkItemId, onSelectWorkItem, onNewWorkItem, onImportJira }) {
+export default function Sidebar({ activePersona, onPersonaChange, personas = [], history, selectedHistoryId, onSelectHistory, sessions, activeSessionId, onSelectSession, onRenameSession, onDeleteSession, tools, mcpServers, showContext, onToggleContext, onNewSession, workItems, selectedWorkItemId, onSelectWorkItem, onNewWorkItem, onImportJira }) {
   const [expandedSection, setExpandedSection] = useState('persona');
   const [activeToolInfo, setActiveToolInfo] = useState(null);
+  const [renaming, setRenaming] = useState(null); // { id, title }
 
   useEffect(() => {
     window.api?.activeTools?.().then(setActiveToolInfo).catch(() => {});
@@ -63,6 +78,12 @@ export default function Sidebar({ activePersona, onPersonaChange, history, selec
     setExpandedSection(expandedSection === section ? null : section);
   };
 
+  const commitRename = () => {
+    const title = renaming?.title.trim();
+    if (title) onRenameSession?.(renaming.id, title);
+    setRenaming(null);
+  };
+
   const toolsByCategory = tools.reduce((acc, tool) => {
     const cat = tool.category || 'other';
     if (!acc[cat]) acc[cat] = [];
@@ -102,6 +123,24 @@ export default function Sidebar({ activePersona, onPersonaChange, history, selec
                 </button>
               );
             })}
+            {personas.filter((p) => !p.builtIn).map((p) => {
+              const Icon = USER_PERSONA_ICONS[p.icon] || Bot;
+              const isActive = activePersona === p.name;
+              return (
+                <button
+                  key={p.name}
+                  onClick={() => onPersonaChange(p.name)}
+                  title={p.description || undefined}
+                  style={isActive ? { color: p.color, borderColor: `${p.color}4d`, backgroundColor: `${p.color}1a` } : undefined}
+                  className={`w-full flex items-center gap-2.5 px-2.5 py-2 rounded-lg text-sm transition-all border ${
+                    isActive ? '' : 'hover:bg-surface-2 text-zinc-400 border-transparent'
+                  }`}
+                >
+                  <Icon size={15} />
+                  <span className="font-medium truncate">{p.label}</span>
+                </button>
+              );
+            })}
           </div>
         )}
       </div>
@@ -156,9 +195,9 @@ export default function Sidebar({ activePersona, onPersonaChange, history, selec
                   <div key={server.id} className="pl-5 py-0.5 flex items-center gap-1.5">
                     {server.status === 'connected'
                       ? <Wifi size={9} className="text-emerald-500 shrink-0" />
-                      : <WifiOff size={9} className="text-red-400 shrink-0" />
+                      : <WifiOff size={9} className={`${server.retry ? 'text-amber-400' : 'text-red-400'} shrink-0`} />
                     }
-                    <span className="text-xs text-zinc-500 truncate" title={server.error || server.name}>
+                    <span className="text-xs text-zinc-500 truncate" title={server.error ? `${server.error}${server.retry ? ' — reconnecting' : ''}` : server.name}>
                       {server.name}
                     </span>
                     {server.status === 'connected' && (
@@ -174,6 +213,82 @@ export default function Sidebar({ activePersona, onPersonaChange, history, selec
         )}
       </div>
 
+      {/* Sessions */}
+      <div className="p-3 border-b border-surface-3">
+        <button
+          className="flex items-center justify-between w-full text-xs font-medium text-muted uppercase tracking-wider mb-2 hover:text-zinc-300 transition-colors"
+          onClick={() => toggleSection('sessions')}
+        >
+          <span className="flex items-center gap-1.5">
+            <MessageSquare size={11} /> Sessions {sessions?.length ? `(${sessions.length})` : ''}
+          </span>
+          {expandedSection === 'sessions' ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+        </button>
+
+        {expandedSection === 'sessions' && (
+          <div className="space-y-0.5 max-h-64 overflow-y-auto animate-fade-in">
+            {(!sessions?.length) ? (
+              <p className="text-xs text-zinc-600 italic px-2">No saved sessions</p>
+            ) : (
+              sessions.map((session) => {
+                const isActive = activeSessionId === session.id;
+                if (renaming?.id === session.id) {
+                  return (
+                    <input
+                      key={session.id}
+                      autoFocus
+                      className="input-field w-full text-xs py-1"
+                      value={renaming.title}
+                      onChange={(e) => setRenaming({ ...renaming, title: e.target.value })}
+                      onBlur={commitRename}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') commitRename();
+                        if (e.key === 'Escape') setRenaming(null);
+                      }}
+                    />
+                  );
+                }
+                return (
+                  <div
+                    key={session.id}
+                    onClick={() => onSelectSession?.(session)}
+                    className={`w-full flex items-center gap-2 px-2 py-1.5 rounded-lg cursor-pointer transition-colors group ${
+                      isActive
+                        ? 'bg-accent/10 border border-accent/30'
+                        : 'hover:bg-surface-2 border border-transparent'
+                    }`}
+                  >
+                    <div className="min-w-0 flex-1">
+                      <p className={`text-xs truncate ${isActive ? 'text-white' : 'text-zinc-400 group-hover:text-zinc-200'}`}>
+                        {session.title || 'Untitled session'}
+                      </p>
+                      <p className="text-[10px] text-zinc-600">
+                        {session.source && session.source !== 'chat' ? `${session.source} · ` : ''}
+                        {session.messageCount} msgs · {new Date(session.updatedAt).toLocaleDateString()}
+                      </p>
+                    </div>
+                    <button
+                      onClick={(e) => { e.stopPropagation(); setRenaming({ id: session.id, title: session.title || '' }); }}
+                      title="Rename session"
+                      className="p-0.5 rounded opacity-0 group-hover:opacity-100 hover:bg-surface-3 text-zinc-600 hover:text-zinc-300 transition-all"
+                    >
+                      <Pencil size={10} />
+                    </button>
+                    <button
+                      onClick={(e) => { e.stopPropagation(); onDeleteSession?.(session.id); }}
+                      title="Delete session"
+                      className="p-0.5 rounded opacity-0 group-hover:opacity-100 hover:bg-surface-3 text-zinc-600 hover:text-red-400 transition-all"
+                    >
+                      <Trash2 size={10} />
+                    </button>
+                  </div>
+                );
+              })
+            )}
+          </div>
+        )}
+      </div>
+
       {/* History */}
       <div className="flex-1 p-3 overflow-hidden flex flex-col">
         <button
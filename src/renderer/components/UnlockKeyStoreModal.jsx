@@ -0,0 +1,109 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { X, Lock, Unlock, Loader2, AlertCircle } from 'lucide-react';
+
+/**
+ * UnlockKeyStoreModal — asks for the master password when the API keystore
+ * is in password mode (shown at startup).
+ * Props:
+ *   onSubmit(password) → Promise<errorString|null>
+ *   onClose()          — continue without stored keys (environment variables still work)
+ */
+export default function UnlockKeyStoreModal({ onSubmit, onClose }) {
+  const [password, setPassword] = useState('');
+  const [loading,  setLoading]  = useState(false);
+  const [error,    setError]    = useState(null);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!password) return;
+
+    setLoading(true);
+    setError(null);
+
+    const err = await onSubmit(password);
+    if (err) {
+      setError(err);
+      setLoading(false);
+      setPassword('');
+      inputRef.current?.focus();
+    }
+    // On success, onSubmit closes the modal
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 backdrop-blur-sm">
+      <div className="bg-surface-1 border border-surface-3 rounded-xl shadow-2xl w-full max-w-md mx-4 p-6">
+        {/* Header */}
+        <div className="flex items-center gap-3 mb-5">
+          <div className="p-2 rounded-lg bg-accent/10">
+            <Lock size={18} className="text-accent" />
+          </div>
+          <div className="flex-1">
+            <h2 className="text-sm font-semibold text-white">Unlock API keys</h2>
+            <p className="text-xs text-zinc-500 mt-0.5">
+              Your stored API keys are protected by a master password.
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1.5 rounded-lg hover:bg-surface-2 text-zinc-500 hover:text-zinc-200 transition-colors"
+          >
+            <X size={16} />
+          </button>
+        </div>
+
+        {/* Form */}
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="text-[10px] text-zinc-500 uppercase tracking-wider block mb-1.5">
+              Master Password
+            </label>
+            <input
+              ref={inputRef}
+              type="password"
+              className="input-field w-full text-sm"
+              value={password}
+              onChange={(e) => { setPassword(e.target.value); setError(null); }}
+              disabled={loading}
+            />
+            <p className="text-[10px] text-zinc-600 mt-1">
+              Until it is unlocked, only API keys from environment variables are used.
+            </p>
+          </div>
+
+          {error && (
+            <div className="flex items-start gap-2 p-3 rounded-lg bg-red-500/10 border border-red-500/20 text-red-400 text-xs">
+              <AlertCircle size={14} className="shrink-0 mt-0.5" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          <div className="flex gap-3 justify-end pt-1">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 rounded-lg text-xs text-zinc-400 hover:text-zinc-200 hover:bg-surface-2 transition-colors"
+            >
+              Not now
+            </button>
+            <button
+              type="submit"
+              disabled={!password || loading}
+              className="flex items-center gap-1.5 px-4 py-2 rounded-lg text-xs bg-accent text-white font-medium hover:bg-accent/80 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              {loading
+                ? <><Loader2 size={12} className="animate-spin" /> Unlocking...</>
+                : <><Unlock size={12} /> Unlock</>
+              }
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
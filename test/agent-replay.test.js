@@ -0,0 +1,125 @@
+/**
+ * AgentLoop against recorded LLM responses: test/fixtures/llm/*.json
+ *
+ * delete-with-approval.json was recorded through llm.js (recordFixture) and is
+ * served back by the `replay` provider: the model reads a file, then deletes
+ * it, which is dangerous and has to be approved, then reports. The tools are
+ * stubs, so nothing touches the disk.
+ */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const path   = require('path');
+
+const llm = require('../src/main/agent/llm');
+const { AgentLoop } = require('../src/main/agent/loop');
+const { PermissionManager } = require('../src/main/agent/permissions');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'llm', 'delete-with-approval.json');
+const TARGET  = '/tmp/replay-demo/old-report.txt';
+const PROMPT  = 'Delete the old report in /tmp/replay-demo if it is the outdated draft.';
+
+/** A loop over two stub tools that answers approval prompts with `approve`. */
+function createLoop(approve, deps = {}) {
+  const calls     = [];
+  const approvals = [];
+  const stub = (name, output) => ({
+    name,
+    category:    'filesystem',
+    description: name,
+    params:      ['path'],
+    execute:     async (input) => { calls.push({ name, input }); return output; },
+  });
+  const tools = new Map([
+    ['fs_read',   stub('fs_read', 'Q1 report DRAFT (superseded)')],
+    ['fs_delete', stub('fs_delete', 'deleted')],
+  ]);
+
+  const loop = new AgentLoop({
+    toolRegistry: {
+      get:                (name) => tools.get(name) || null,
+      listTools:          () => [...tools.values()],
+      getToolDefinitions: () => [...tools.values()].map(({ name, description }) => ({ name, description })),
+    },
+    llm: {
+      callWithTools:      llm.callWithTools,
+      callLLM:            llm.callLLM,
+      getCurrentProvider: llm.getCurrentProvider,
+      getCurrentModel:    llm.getCurrentModel,
+      getContextWindow:   llm.getContextWindow,
+    },
+    permissions: new PermissionManager(),
+    emit: (channel, data) => {
+      if (channel !== 'agent:approval-request') return;
+      approvals.push(data.action);
+      // The resolver is registered right after the event is emitted
+      setImmediate(() => loop.pendingApprovals.get(data.requestId)({ approved: approve }));
+    },
+    ...deps,
+  });
+  return { loop, calls, approvals };
+}
+
+function run(loop, options = {}) {
+  return loop.run({
+    messages:     [{ role: 'user', content: PROMPT }],
+    systemPrompt: 'You are a desktop agent.',
+    taskId:       'replay-test',
+    options:      { approvalTimeoutMs: 5000, ...options },
+  });
+}
+
+test.beforeEach(() => {
+  llm.resetFixtures();
+  llm.configure({ provider: 'replay', model: 'fixture', replayFixture: FIXTURE, replayStrict: false });
+});
+
+test('approved dangerous call runs and the recorded answer is returned', async () => {
+  const { loop, calls, approvals } = createLoop(true);
+  const result = await run(loop);
+
+  assert.deepEqual(calls, [
+    { name: 'fs_read',   input: { path: TARGET } },
+    { name: 'fs_delete', input: { path: TARGET } },
+  ]);
+  assert.equal(approvals.length, 1);
+  assert.equal(approvals[0].tool, 'fs_delete');
+  assert.equal(approvals[0].riskLevel, 'dangerous');
+  assert.deepEqual(approvals[0].params, { path: TARGET });
+  assert.equal(result.turns, 3);
+  assert.equal(result.text, `Deleted ${TARGET} (the outdated Q1 draft).`);
+});
+
+test('denied dangerous call is skipped and reported to the model', async () => {
+  const { loop, calls, approvals } = createLoop(false);
+  const result = await run(loop);
+
+  assert.deepEqual(calls.map((c) => c.name), ['fs_read']);
+  assert.equal(approvals.length, 1);
+  const denied = result.messages
+    .filter((m) => m.role === 'tool_results')
+    .flatMap((m) => m.results)
+    .find((r) => r.name === 'fs_delete');
+  assert.equal(denied.error, 'denied');
+});
+
+test('auto-approval does not cover policy prompts', async () => {
+  const policyEngine = {
+    evaluate:   (tool) => (tool === 'fs_read'
+      ? { allowed: true, action: 'require_approval', message: 'Reads need sign-off', ruleId: 'team-ask-read' }
+      : { allowed: true, action: 'allow', message: '', ruleId: null }),
+    recordCall: () => {},
+  };
+  const { loop, calls, approvals } = createLoop(false, { policyEngine });
+  await run(loop, { approvalPolicy: 'auto_approve_sensitive' });
+
+  // fs_read is safe, but the policy rule still asks a human, who says no
+  assert.deepEqual(approvals.map((a) => [a.tool, a.riskLevel]), [['fs_read', 'policy'], ['fs_delete', 'dangerous']]);
+  assert.deepEqual(calls, []);
+});
+
+test('strict replay fails loudly when the conversation changes', async () => {
+  llm.configure({ replayStrict: true });
+  const { loop } = createLoop(false);
+  await assert.rejects(run(loop), /No recorded tools response left/);
+});
@@ -0,0 +1,41 @@
+/**
+ * PII detector fixtures: test/fixtures/pii/*.json
+ *
+ * validators.json lists values each validator must accept and reject. Every
+ * other file is a list of cases, { name, text, findings: [{ type, value,
+ * confidence }] }, and a case passes only when detect() reports exactly those
+ * findings in that order — anything extra is a false positive.
+ */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const path   = require('path');
+
+const pii = require('../src/main/agent/pii-detector');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'pii');
+const load     = (file) => JSON.parse(fs.readFileSync(path.join(FIXTURES, file), 'utf-8'));
+
+test('validators', async (t) => {
+  for (const [name, { valid, invalid }] of Object.entries(load('validators.json'))) {
+    await t.test(name, () => {
+      const validate = pii.validators[name];
+      assert.equal(typeof validate, 'function', `no validator named ${name}`);
+      for (const value of valid)   assert.equal(validate(value), true,  `${name} should accept ${value}`);
+      for (const value of invalid) assert.equal(validate(value), false, `${name} should reject ${value}`);
+    });
+  }
+});
+
+for (const file of fs.readdirSync(FIXTURES).filter((f) => f.endsWith('.json') && f !== 'validators.json').sort()) {
+  test(path.basename(file, '.json'), async (t) => {
+    for (const { name, text, findings } of load(file)) {
+      await t.test(name, () => {
+        const found = pii.detect(text, { minConfidence: 0 })
+          .map(({ type, value, confidence }) => ({ type, value, confidence }));
+        assert.deepEqual(found, findings);
+      });
+    }
+  });
+}
@@ -0,0 +1,78 @@
+/**
+ * PolicyEngine: managed (signed) rules against the built-ins.
+ *
+ * The strictest matching rule decides, so a team's managed block on fs_delete
+ * must win over the built-in warn-bulk-delete rule that also matches.
+ */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+const policyEngine = require('../src/main/agent/policy-engine');
+const { signBundle } = policyEngine;
+
+const dirs = [];
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-test-'));
+  dirs.push(dir);
+  return dir;
+}
+
+/** Point the engine at a freshly signed bundle (through the environment, like a managed machine). */
+function useManagedRules(rules) {
+  const dir = tempDir();
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const bundlePath = path.join(dir, 'team-policy.json');
+  const bundle = signBundle({ name: 'Team policy', rules }, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  fs.writeFileSync(bundlePath, JSON.stringify(bundle));
+
+  process.env.OPENDESKTOP_MANAGED_POLICY     = bundlePath;
+  process.env.OPENDESKTOP_MANAGED_POLICY_KEY = publicKey.export({ type: 'spki', format: 'pem' });
+  policyEngine.init(dir);
+}
+
+test.afterEach(() => {
+  delete process.env.OPENDESKTOP_MANAGED_POLICY;
+  delete process.env.OPENDESKTOP_MANAGED_POLICY_KEY;
+});
+
+test.after(() => {
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('without managed rules fs_delete only warns', () => {
+  policyEngine.init(tempDir());
+  const result = policyEngine.evaluate('fs_delete', { path: '/tmp/report.txt' });
+  assert.equal(result.action, 'warn');
+  assert.equal(result.ruleId, 'warn-bulk-delete');
+});
+
+test('a managed block on fs_delete beats the built-in warning', () => {
+  useManagedRules([{ id: 'team-no-delete', name: 'No deletes', tool: 'fs_delete', condition: {}, action: 'block' }]);
+  assert.equal(policyEngine.getManagedStatus().status, 'verified');
+
+  const result = policyEngine.evaluate('fs_delete', { path: '/tmp/report.txt' });
+  assert.equal(result.allowed, false);
+  assert.equal(result.action, 'block');
+  assert.equal(result.ruleId, 'team-no-delete');
+});
+
+test('a managed require_approval on fs_delete beats the built-in warning', () => {
+  useManagedRules([{ id: 'team-ask-delete', name: 'Ask before deleting', tool: 'fs_delete', condition: {}, action: 'require_approval' }]);
+
+  const result = policyEngine.evaluate('fs_delete', { path: '/tmp/report.txt' });
+  assert.equal(result.action, 'require_approval');
+  assert.equal(result.ruleId, 'team-ask-delete');
+});
+
+test('test() traces every rule, not just the ones before the decider', () => {
+  useManagedRules([{ id: 'team-no-delete', name: 'No deletes', tool: 'fs_delete', condition: {}, action: 'block' }]);
+
+  const { action, trace } = policyEngine.test('fs_delete', { path: '/tmp/report.txt' });
+  assert.equal(action, 'block');
+  assert.deepEqual(trace.filter((t) => t.matched).map((t) => t.ruleId), ['warn-bulk-delete', 'team-no-delete']);
+});